@@ -0,0 +1,9 @@
+const aliasKinds = {
+  ACCOUNT: 'account',
+  CATEGORY: 'category',
+  PAYEE: 'payee',
+};
+
+module.exports = {
+  aliasKinds,
+};
@@ -0,0 +1,42 @@
+// Words that give away the category of an expense, used by the fast-path parser. A budget may call the
+// same category by different names, so each entry lists the names to look for, in order of preference.
+const categoryKeywords = [
+  {
+    categories: ['Food', 'Makanan', 'Makan', 'Food & Drinks', 'Eating Out'],
+    keywords: [
+      'kopi',
+      'coffee',
+      'makan',
+      'sarapan',
+      'nasi',
+      'bakso',
+      'mie',
+      'soto',
+      'sate',
+      'jajan',
+      'snack',
+      'teh',
+      'roti',
+    ],
+  },
+  {
+    categories: ['Transport', 'Transportasi', 'Transportation'],
+    keywords: ['bensin', 'pertalite', 'pertamax', 'parkir', 'tol', 'ojek', 'ojol', 'taksi', 'taxi', 'krl', 'mrt', 'busway'],
+  },
+  {
+    categories: ['Groceries', 'Belanja', 'Belanja Dapur'],
+    keywords: ['sayur', 'buah', 'beras', 'telur', 'galon', 'indomaret', 'alfamart', 'supermarket'],
+  },
+  {
+    categories: ['Bills', 'Tagihan', 'Utilities'],
+    keywords: ['listrik', 'pln', 'token', 'pulsa', 'internet', 'wifi', 'pdam'],
+  },
+  {
+    categories: ['Health', 'Kesehatan'],
+    keywords: ['obat', 'apotek', 'dokter', 'vitamin'],
+  },
+];
+
+module.exports = {
+  categoryKeywords,
+};
@@ -4,10 +4,28 @@ const Joi = require('joi');
 
 dotenv.config({ path: path.join(__dirname, '../../.env') });
 
+const llmProviders = ['gemini', 'openai', 'fixture'];
+// e.g. 'openai:llama3.1:8b', where everything after the first colon is the model
+const llmTaskPattern = /^(gemini|openai|fixture):.+$/;
+
+/**
+ * Parses a per-task LLM setting in the form 'provider:model'
+ * @param {string} [value]
+ * @returns {{ provider: string, model: string }|undefined}
+ */
+const parseLlmTask = (value) => {
+  if (!value) {
+    return undefined;
+  }
+  const separator = value.indexOf(':');
+  return { provider: value.slice(0, separator), model: value.slice(separator + 1) };
+};
+
 const envVarsSchema = Joi.object()
   .keys({
     NODE_ENV: Joi.string().valid('production', 'development', 'test').required(),
     PORT: Joi.number().default(3000),
+    TIMEZONE: Joi.string().default('Asia/Jakarta').description('timezone used to resolve transaction dates'),
     MONGODB_URL: Joi.string().required().description('Mongo DB url'),
     JWT_SECRET: Joi.string().required().description('JWT secret key'),
     JWT_ACCESS_EXPIRATION_MINUTES: Joi.number().default(30).description('minutes after which access tokens expire'),
@@ -18,18 +36,142 @@ const envVarsSchema = Joi.object()
     JWT_VERIFY_EMAIL_EXPIRATION_MINUTES: Joi.number()
       .default(10)
       .description('minutes after which verify email token expires'),
+    PHONE_LINK_CODE_EXPIRATION_MINUTES: Joi.number()
+      .default(10)
+      .description('minutes after which a code for linking a WhatsApp number expires'),
+    PHONE_LINK_MAX_FAILED_ATTEMPTS: Joi.number()
+      .default(5)
+      .description('wrong link codes a WhatsApp number may send before it is locked out'),
+    PHONE_LINK_LOCKOUT_MINUTES: Joi.number()
+      .default(15)
+      .description('minutes a WhatsApp number that sent too many wrong link codes has to wait'),
+    PHONE_LINK_CODE_MAX_FAILED_ATTEMPTS: Joi.number()
+      .default(20)
+      .description('wrong link codes, from any number, after which the codes that were live all stop working'),
     SMTP_HOST: Joi.string().description('server that will send the emails'),
     SMTP_PORT: Joi.number().description('port to connect to the email server'),
     SMTP_USERNAME: Joi.string().description('username for email server'),
     SMTP_PASSWORD: Joi.string().description('password for email server'),
     EMAIL_FROM: Joi.string().description('the from field in the emails sent by the app'),
-    GEMINI_API_KEY: Joi.string().required().description('Gemini API key'),
+    LLM_PROVIDER: Joi.string()
+      .valid(...llmProviders)
+      .default('gemini')
+      .description('LLM provider used for every task without its own'),
+    LLM_MODEL: Joi.string().default('gemini-2.5-flash').description('model used for every task without its own'),
+    LLM_INTENT: Joi.string()
+      .pattern(llmTaskPattern)
+      .description(
+        'provider:model used for telling transactions, balance queries and questions apart, instead of the default'
+      ),
+    LLM_TRANSACTION: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for extracting transactions from text, instead of the default'),
+    LLM_RECEIPT: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for reading receipt photos, instead of the default'),
+    LLM_CORRECTION: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for extracting corrections to recorded transactions, instead of the default'),
+    LLM_BALANCE_QUERY: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for extracting balance queries, instead of the default'),
+    LLM_SPENDING_QUERY: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for extracting spending questions, instead of the default'),
+    LLM_BUDGET_COMMAND: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for extracting changes to budget amounts, instead of the default'),
+    LLM_SCHEDULE: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for extracting recurring transactions, instead of the default'),
+    LLM_RECONCILIATION: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for extracting account balances to reconcile, instead of the default'),
+    LLM_TRANSACTION_SEARCH: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for extracting transaction searches, instead of the default'),
+    LLM_TRANSCRIPTION: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for transcribing voice notes, instead of the default'),
+    LLM_ANSWER: Joi.string()
+      .pattern(llmTaskPattern)
+      .description('provider:model used for answering general questions, instead of the default'),
+    GEMINI_API_KEY: Joi.string().allow('').description('Gemini API key'),
+    OPENAI_BASE_URL: Joi.string()
+      .default('https://api.openai.com/v1')
+      .description('base URL of an OpenAI-compatible API, e.g. http://localhost:11434/v1 for Ollama'),
+    OPENAI_API_KEY: Joi.string().allow('').description('API key for the OpenAI-compatible API, if it needs one'),
+    TRANSCRIPTION_BACKEND: Joi.string()
+      .valid('gemini')
+      .default('gemini')
+      .description('backend used to transcribe voice notes'),
     WAHA_BASE_URL: Joi.string().required().description('WAHA Base URL'),
     WAHA_API_KEY: Joi.string().required().description('WAHA API key'),
-    ACTUAL_SERVER_URL: Joi.string().required().description('Actual server URL'),
-    ACTUAL_DATA_DIR: Joi.string().required().description('Actual data directory'),
-    ACTUAL_PASSWORD: Joi.string().required().description('Actual password'),
-    ACTUAL_BUDGET_SYNC_ID: Joi.string().required().description('Actual budget sync ID'),
+    ENCRYPTION_KEY: Joi.string().required().description('secret used to encrypt stored credentials'),
+    ACTUAL_SERVER_URL: Joi.string().description('Actual server URL of the budget used by ACTUAL_DEFAULT_USER_ID'),
+    ACTUAL_DATA_DIR: Joi.string().default('actual').description('Actual data directory'),
+    ACTUAL_PASSWORD: Joi.string().description('Actual password of the budget used by ACTUAL_DEFAULT_USER_ID'),
+    ACTUAL_BUDGET_SYNC_ID: Joi.string().description('Actual budget sync ID of the budget used by ACTUAL_DEFAULT_USER_ID'),
+    ACTUAL_DEFAULT_USER_ID: Joi.string()
+      .allow('')
+      .description('ID of the one user who uses the budget above while they have none of their own'),
+    ACTUAL_SYNC_INTERVAL_SECONDS: Joi.number()
+      .default(60)
+      .description('seconds between syncs of the open Actual budget with the server'),
+    ACTUAL_IDLE_MINUTES: Joi.number().default(15).description('minutes after which an unused Actual budget is closed'),
+    ACTUAL_ALLOWED_HOSTS: Joi.string()
+      .allow('')
+      .default('')
+      .description('comma-separated hosts users may set as their Actual server even though they are private or local'),
+    PENDING_CONVERSATION_TTL_MINUTES: Joi.number()
+      .default(30)
+      .description('minutes after which an unanswered follow-up question expires'),
+    CONFIRMATION_AMOUNT_THRESHOLD: Joi.number()
+      .default(1000000)
+      .description('default amount in rupiah from which a transaction needs confirmation'),
+    CONFIRMATION_MIN_CONFIDENCE: Joi.number()
+      .min(0)
+      .max(1)
+      .default(0.7)
+      .description('extraction confidence below which a transaction needs confirmation'),
+    CONFIRMATION_TTL_MINUTES: Joi.number().default(15).description('minutes after which an unconfirmed draft expires'),
+    TRANSACTION_MAX_DAYS_BACK: Joi.number()
+      .default(60)
+      .description('how many days in the past a transaction recorded from chat may be dated'),
+    PAYEE_CATEGORY_FORCE_AFTER: Joi.number()
+      .integer()
+      .min(1)
+      .default(3)
+      .description('times in a row a payee must be filed under one category before the bot files it there by itself'),
+    PAYEE_CATEGORY_MAX_HINTS: Joi.number()
+      .integer()
+      .min(0)
+      .default(50)
+      .description('maximum number of learned payee categories passed to the model as hints'),
+    BUDGET_ALERT_THRESHOLDS: Joi.string()
+      .pattern(/^[\d,]+$/)
+      .default('80,100')
+      .description('comma-separated percentages of a category budget at which spending triggers an alert'),
+    BUDGET_DIGEST_TIME: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .default('20:00')
+      .description('time of day, in HH:mm in the configured timezone, at which daily budget digests are sent'),
+    SCHEDULE_TIME: Joi.string()
+      .pattern(/^([01]\d|2[0-3]):[0-5]\d$/)
+      .default('07:00')
+      .description('time of day, in HH:mm in the configured timezone, at which scheduled transactions are recorded'),
+    WEBHOOK_EVENT_LEASE_MINUTES: Joi.number()
+      .default(10)
+      .description('minutes after which an unfinished webhook event is presumed lost and accepted again on redelivery'),
+    JOBS_CONCURRENCY: Joi.number().default(2).description('how many background jobs run at the same time'),
+    JOBS_MAX_ATTEMPTS: Joi.number().default(5).description('attempts after which a failing job is moved to dead'),
+    JOBS_BACKOFF_SECONDS: Joi.number()
+      .default(15)
+      .description('seconds before the first retry of a failed job, doubled on every retry after it'),
+    JOBS_POLL_INTERVAL_SECONDS: Joi.number().default(1).description('seconds between checks for due jobs'),
+    JOBS_LEASE_MINUTES: Joi.number()
+      .default(10)
+      .description('minutes after which a running job is presumed lost, e.g. to a crash, and queued again'),
   })
   .unknown();
 
@@ -42,6 +184,7 @@ if (error) {
 module.exports = {
   env: envVars.NODE_ENV,
   port: envVars.PORT,
+  timezone: envVars.TIMEZONE,
   mongoose: {
     url: envVars.MONGODB_URL + (envVars.NODE_ENV === 'test' ? '-test' : ''),
     options: {},
@@ -53,6 +196,12 @@ module.exports = {
     resetPasswordExpirationMinutes: envVars.JWT_RESET_PASSWORD_EXPIRATION_MINUTES,
     verifyEmailExpirationMinutes: envVars.JWT_VERIFY_EMAIL_EXPIRATION_MINUTES,
   },
+  phoneLink: {
+    codeExpirationMinutes: envVars.PHONE_LINK_CODE_EXPIRATION_MINUTES,
+    maxFailedAttempts: envVars.PHONE_LINK_MAX_FAILED_ATTEMPTS,
+    lockoutMinutes: envVars.PHONE_LINK_LOCKOUT_MINUTES,
+    codeMaxFailedAttempts: envVars.PHONE_LINK_CODE_MAX_FAILED_ATTEMPTS,
+  },
   email: {
     smtp: {
       host: envVars.SMTP_HOST,
@@ -64,8 +213,35 @@ module.exports = {
     },
     from: envVars.EMAIL_FROM,
   },
-  gemini: {
-    apiKey: envVars.GEMINI_API_KEY,
+  llm: {
+    default: {
+      provider: envVars.LLM_PROVIDER,
+      model: envVars.LLM_MODEL,
+    },
+    tasks: {
+      intent: parseLlmTask(envVars.LLM_INTENT),
+      transaction: parseLlmTask(envVars.LLM_TRANSACTION),
+      receipt: parseLlmTask(envVars.LLM_RECEIPT),
+      correction: parseLlmTask(envVars.LLM_CORRECTION),
+      balanceQuery: parseLlmTask(envVars.LLM_BALANCE_QUERY),
+      spendingQuery: parseLlmTask(envVars.LLM_SPENDING_QUERY),
+      budgetCommand: parseLlmTask(envVars.LLM_BUDGET_COMMAND),
+      schedule: parseLlmTask(envVars.LLM_SCHEDULE),
+      reconciliation: parseLlmTask(envVars.LLM_RECONCILIATION),
+      transactionSearch: parseLlmTask(envVars.LLM_TRANSACTION_SEARCH),
+      transcription: parseLlmTask(envVars.LLM_TRANSCRIPTION),
+      answer: parseLlmTask(envVars.LLM_ANSWER),
+    },
+    gemini: {
+      apiKey: envVars.GEMINI_API_KEY,
+    },
+    openai: {
+      baseUrl: envVars.OPENAI_BASE_URL,
+      apiKey: envVars.OPENAI_API_KEY,
+    },
+  },
+  transcription: {
+    backend: envVars.TRANSCRIPTION_BACKEND,
   },
   waha: {
     baseUrl: envVars.WAHA_BASE_URL,
@@ -76,5 +252,49 @@ module.exports = {
     dataDir: path.resolve(path.join(__dirname, '../../'), envVars.ACTUAL_DATA_DIR),
     password: envVars.ACTUAL_PASSWORD,
     syncId: envVars.ACTUAL_BUDGET_SYNC_ID,
+    defaultUserId: envVars.ACTUAL_DEFAULT_USER_ID,
+    syncIntervalSeconds: envVars.ACTUAL_SYNC_INTERVAL_SECONDS,
+    idleMinutes: envVars.ACTUAL_IDLE_MINUTES,
+    allowedHosts: envVars.ACTUAL_ALLOWED_HOSTS.split(',')
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+  },
+  encryption: {
+    key: envVars.ENCRYPTION_KEY,
+  },
+  transactions: {
+    maxDaysBack: envVars.TRANSACTION_MAX_DAYS_BACK,
+  },
+  conversation: {
+    ttlMinutes: envVars.PENDING_CONVERSATION_TTL_MINUTES,
+  },
+  confirmation: {
+    amountThreshold: envVars.CONFIRMATION_AMOUNT_THRESHOLD,
+    minConfidence: envVars.CONFIRMATION_MIN_CONFIDENCE,
+    ttlMinutes: envVars.CONFIRMATION_TTL_MINUTES,
+  },
+  payeeCategories: {
+    forceAfter: envVars.PAYEE_CATEGORY_FORCE_AFTER,
+    maxHints: envVars.PAYEE_CATEGORY_MAX_HINTS,
+  },
+  budgetAlerts: {
+    thresholds: envVars.BUDGET_ALERT_THRESHOLDS.split(',')
+      .filter(Boolean)
+      .map(Number)
+      .sort((a, b) => a - b),
+    digestTime: envVars.BUDGET_DIGEST_TIME,
+  },
+  schedules: {
+    time: envVars.SCHEDULE_TIME,
+  },
+  webhookEvents: {
+    leaseMinutes: envVars.WEBHOOK_EVENT_LEASE_MINUTES,
+  },
+  jobs: {
+    concurrency: envVars.JOBS_CONCURRENCY,
+    maxAttempts: envVars.JOBS_MAX_ATTEMPTS,
+    backoffSeconds: envVars.JOBS_BACKOFF_SECONDS,
+    pollIntervalSeconds: envVars.JOBS_POLL_INTERVAL_SECONDS,
+    leaseMinutes: envVars.JOBS_LEASE_MINUTES,
   },
 };
@@ -0,0 +1,22 @@
+const jobStatuses = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  SUCCEEDED: 'succeeded',
+  DEAD: 'dead',
+};
+
+const jobTypes = {
+  WEBHOOK: 'webhook',
+  // Runs once a day, queueing a digest for every user who asked for one
+  BUDGET_DIGESTS: 'budgetDigests',
+  BUDGET_DIGEST: 'budgetDigest',
+  // Records one due transaction of a schedule, and queues its next one
+  SCHEDULED_TRANSACTION: 'scheduledTransaction',
+  // Sends a reply that failed to go out, without handling its message again
+  REPLY: 'reply',
+};
+
+module.exports = {
+  jobStatuses,
+  jobTypes,
+};
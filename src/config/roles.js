@@ -1,12 +1,33 @@
 const allRoles = {
   user: [],
-  admin: ['getUsers', 'manageUsers'],
+  admin: [
+    'getUsers',
+    'manageUsers',
+    'managePhoneLinks',
+    'manageJobs',
+    'manageWebhookEvents',
+    'manageBudgets',
+    'manageAliases',
+    'managePayeeCategories',
+  ],
 };
 
 const roles = Object.keys(allRoles);
 const roleRights = new Map(Object.entries(allRoles));
 
+// What a linked WhatsApp number may do in chat. The numbers linked to a user make up their household
+const allChatRoles = {
+  owner: ['recordTransaction', 'transfer', 'queryBalance', 'editBudget', 'undo', 'manageSchedules', 'reconcile'],
+  member: ['recordTransaction', 'transfer', 'queryBalance', 'undo', 'manageSchedules'],
+  helper: ['recordTransaction'],
+};
+
+const chatRoles = Object.keys(allChatRoles);
+const chatRoleRights = new Map(Object.entries(allChatRoles));
+
 module.exports = {
   roles,
   roleRights,
+  chatRoles,
+  chatRoleRights,
 };
@@ -0,0 +1,10 @@
+const webhookEventStatuses = {
+  RECEIVED: 'received',
+  PROCESSING: 'processing',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+module.exports = {
+  webhookEventStatuses,
+};
@@ -0,0 +1,33 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { aliasService } = require('../services');
+
+const createAlias = catchAsync(async (req, res) => {
+  const alias = await aliasService.createAlias(req.params.userId, req.body);
+  res.status(httpStatus.CREATED).send(alias);
+});
+
+const getAliases = catchAsync(async (req, res) => {
+  const filter = { user: req.params.userId, ...pick(req.query, ['kind']) };
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await aliasService.queryAliases(filter, options);
+  res.send(result);
+});
+
+const updateAlias = catchAsync(async (req, res) => {
+  const alias = await aliasService.updateAlias(req.params.userId, req.params.aliasId, req.body);
+  res.send(alias);
+});
+
+const deleteAlias = catchAsync(async (req, res) => {
+  await aliasService.deleteAlias(req.params.userId, req.params.aliasId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  createAlias,
+  getAliases,
+  updateAlias,
+  deleteAlias,
+};
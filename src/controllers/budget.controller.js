@@ -0,0 +1,32 @@
+const httpStatus = require('http-status');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const { userService, budgetService } = require('../services');
+
+const getBudget = catchAsync(async (req, res) => {
+  const budget = await budgetService.getBudgetByUserId(req.params.userId);
+  if (!budget) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Budget not found');
+  }
+  res.send(budget);
+});
+
+const setBudget = catchAsync(async (req, res) => {
+  const user = await userService.getUserById(req.params.userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+  const budget = await budgetService.setBudget(user.id, req.body);
+  res.send(budget);
+});
+
+const testBudget = catchAsync(async (req, res) => {
+  const result = await budgetService.testBudget(req.params.userId);
+  res.send(result);
+});
+
+module.exports = {
+  getBudget,
+  setBudget,
+  testBudget,
+};
@@ -1,2 +1,8 @@
 module.exports.authController = require('./auth.controller');
 module.exports.userController = require('./user.controller');
+module.exports.jobController = require('./job.controller');
+module.exports.webhookEventController = require('./webhookEvent.controller');
+module.exports.phoneLinkController = require('./phoneLink.controller');
+module.exports.budgetController = require('./budget.controller');
+module.exports.aliasController = require('./alias.controller');
+module.exports.payeeCategoryController = require('./payeeCategory.controller');
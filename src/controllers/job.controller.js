@@ -0,0 +1,31 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const { jobService } = require('../services');
+
+const getJobs = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['type', 'status']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await jobService.queryJobs(filter, options);
+  res.send(result);
+});
+
+const getJob = catchAsync(async (req, res) => {
+  const job = await jobService.getJobById(req.params.jobId);
+  if (!job) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Job not found');
+  }
+  res.send(job);
+});
+
+const retryJob = catchAsync(async (req, res) => {
+  const job = await jobService.retryJob(req.params.jobId);
+  res.send(job);
+});
+
+module.exports = {
+  getJobs,
+  getJob,
+  retryJob,
+};
@@ -0,0 +1,31 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { payeeCategoryService } = require('../services');
+
+const getPayeeCategories = catchAsync(async (req, res) => {
+  const filter = { user: req.params.userId, ...pick(req.query, ['category', 'forced']) };
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await payeeCategoryService.queryPayeeCategories(filter, options);
+  res.send(result);
+});
+
+const updatePayeeCategory = catchAsync(async (req, res) => {
+  const payeeCategory = await payeeCategoryService.updatePayeeCategory(
+    req.params.userId,
+    req.params.payeeCategoryId,
+    req.body
+  );
+  res.send(payeeCategory);
+});
+
+const deletePayeeCategory = catchAsync(async (req, res) => {
+  await payeeCategoryService.deletePayeeCategory(req.params.userId, req.params.payeeCategoryId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  getPayeeCategories,
+  updatePayeeCategory,
+  deletePayeeCategory,
+};
@@ -0,0 +1,38 @@
+const httpStatus = require('http-status');
+const pick = require('../utils/pick');
+const ApiError = require('../utils/ApiError');
+const catchAsync = require('../utils/catchAsync');
+const { userService, tokenService, phoneLinkService } = require('../services');
+
+const createLinkCode = catchAsync(async (req, res) => {
+  const user = await userService.getUserById(req.params.userId);
+  if (!user) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'User not found');
+  }
+  const linkCode = await tokenService.generateLinkPhoneToken(user, req.body.role);
+  res.status(httpStatus.CREATED).send(linkCode);
+});
+
+const getPhoneLinks = catchAsync(async (req, res) => {
+  const filter = { user: req.params.userId };
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await phoneLinkService.queryPhoneLinks(filter, options);
+  res.send(result);
+});
+
+const updatePhoneLink = catchAsync(async (req, res) => {
+  const phoneLink = await phoneLinkService.updatePhoneLinkRole(req.params.userId, req.params.phoneLinkId, req.body.role);
+  res.send(phoneLink);
+});
+
+const deletePhoneLink = catchAsync(async (req, res) => {
+  await phoneLinkService.deletePhoneLink(req.params.userId, req.params.phoneLinkId);
+  res.status(httpStatus.NO_CONTENT).send();
+});
+
+module.exports = {
+  createLinkCode,
+  getPhoneLinks,
+  updatePhoneLink,
+  deletePhoneLink,
+};
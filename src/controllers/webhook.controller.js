@@ -1,229 +1,1383 @@
 const httpStatus = require('http-status');
 const catchAsync = require('../utils/catchAsync');
-const { geminiService, wahaService, actualService } = require('../services');
-const { WebhookEvent } = require('../models');
+const {
+  geminiService,
+  wahaService,
+  actualService,
+  transactionService,
+  transcriptionService,
+  conversationService,
+  chatSettingService,
+  transactionLogService,
+  jobService,
+  webhookEventService,
+  phoneLinkService,
+  fastParserService,
+  aliasService,
+  resolverService,
+  payeeCategoryService,
+  spendingService,
+  budgetChangeService,
+  budgetAlertService,
+  userService,
+  scheduleService,
+  reconciliationService,
+  transactionSearchService,
+} = require('../services');
+const config = require('../config/config');
+const { jobTypes } = require('../config/jobs');
+const { chatRoleRights } = require('../config/roles');
+const { aliasKinds } = require('../config/aliases');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const formatIDR = require('../utils/formatIDR');
+const { getToday } = require('../utils/date');
+const { resolveAmount, toRupiah } = require('../utils/money');
 
-const formatIDR = (amount) => {
-  // Formats a number into IDR currency string, e.g., 150000 -> Rp 150.000,00
-  return new Intl.NumberFormat('id-ID', { style: 'currency', currency: 'IDR' }).format(amount);
+const handledEvents = ['message', 'message.reaction'];
+const undoCommand = /^(undo|batalkan)$/i;
+// The chat right each intent needs. Intents that are not listed are open to every role
+const intentRights = {
+  transaction: 'recordTransaction',
+  query_balance: 'queryBalance',
+  query_spending: 'queryBalance',
+  manage_budget: 'editBudget',
+  schedule_transaction: 'manageSchedules',
+  reconcile_account: 'reconcile',
+  search_transactions: 'queryBalance',
+};
+// Tells the user how their message was read, so that a misread can be traced to the parser or the model
+const parsedByNotes = {
+  fastPath: '⚡ _Read by the quick parser_',
+  llm: '🤖 _Read by AI_',
+};
+const chatRightDescriptions = {
+  recordTransaction: 'record transactions',
+  transfer: 'move money between accounts',
+  queryBalance: 'see balances and budgets',
+  editBudget: 'change budget settings',
+  undo: 'undo or change recorded transactions',
+  manageSchedules: 'set up recurring transactions',
+  reconcile: 'reconcile account balances',
 };
 
-const handleWebhook = catchAsync(async (req, res) => {
-  // Here you can process the webhook payload.
-  // The payload is available in req.body after being parsed and validated.
-  // console.log('Webhook received:', JSON.stringify(req.body, null, 2));
+/**
+ * Whether a WAHA chat ID belongs to a group chat.
+ * @param {string} chatId
+ * @returns {boolean}
+ */
+const isGroupChat = (chatId) => chatId.endsWith('@g.us');
 
-  if (req.body.event === 'message' && req.body.payload && req.body.payload.id) {
-    const eventId = req.body.payload.id;
+/**
+ * Identifies a message for the transaction log, with the user whose budget it is about and the sender's chat role.
+ * @param {object} messagePayload - The WAHA message payload.
+ * @param {object} [phoneLink] - The link of the sender's number, with its user.
+ * @returns {{ chatId: string, messageId: string, replyToId: string|undefined, userId: string, role: string }} `replyToId` is set for quoted replies.
+ */
+const toMessageRef = (messagePayload, phoneLink) => ({
+  chatId: messagePayload.from,
+  messageId: messagePayload.id,
+  replyToId: messagePayload.replyTo ? messagePayload.replyTo.id : undefined,
+  userId: phoneLink ? phoneLink.user.id : undefined,
+  role: phoneLink ? phoneLink.role : undefined,
+});
 
-    // Idempotency Check: See if we've processed this event ID before.
-    const existingEvent = await WebhookEvent.findOne({ eventId });
-    if (existingEvent) {
-      console.log(`Duplicate event received, ignoring: ${eventId}`);
-      return res.status(httpStatus.OK).send({ status: 'duplicate_ignored' });
+/**
+ * Explains why the sender may not do something, unless their chat role allows it.
+ * @param {object} message - The `role` of the sender.
+ * @param {string} right - One of the rights in `chatRoleRights`.
+ * @returns {string|null} The refusal to send back, or null if the sender may go ahead.
+ */
+const checkChatRight = ({ role }, right) => {
+  if ((chatRoleRights.get(role) || []).includes(right)) {
+    return null;
+  }
+  return `🚫 Sorry, as a ${role} in this household you can't ${chatRightDescriptions[right]}. Ask the account owner if you need to.`;
+};
+
+/**
+ * Lists every valid name for the field a follow-up question is about.
+ * @param {string} field - One of 'account', 'category' or 'destinationAccount'.
+ * @param {object} context - The accounts and categories fetched from Actual.
+ * @returns {string[]}
+ */
+const namesForField = (field, { accounts, categories }) =>
+  (field === 'category' ? categories : accounts).map((entry) => entry.name);
+
+/**
+ * Records extracted transactions and describes the outcome, one line per transaction.
+ * If a transaction names an unknown account or category, the bot asks about it and keeps
+ * the transaction around until the user answers. Large or uncertain transactions are held
+ * as a draft until the user confirms them.
+ * @param {object} message - The `chatId`, `messageId`, `userId` and `role` of the message that led to the transactions.
+ * @param {object[]} transactions - The transactions extracted by Gemini.
+ * @param {object} context - The accounts, categories and payees fetched from Actual, and today's date.
+ * @param {object} [options]
+ * @param {boolean} [options.confirmed] - Whether the user already confirmed these transactions.
+ * @param {boolean} [options.answered] - Whether the transactions answer the chat's pending conversation. It is only
+ * cleared once they are written, so that a retry after a failed write still finds it.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const recordTransactions = async (message, transactions, context, { confirmed = false, answered = false } = {}) => {
+  const { chatId } = message;
+  if (!transactions.length) {
+    return "Sorry, I couldn't find any transaction in your message.";
+  }
+  const refusal =
+    checkChatRight(message, 'recordTransaction') ||
+    (transactions.some((item) => item.type === 'transfer') && checkChatRight(message, 'transfer'));
+  if (refusal) {
+    return refusal;
+  }
+  const { resolved, rejected, unresolved } = transactionService.resolveTransactions(transactions, context);
+
+  const setting = confirmed ? null : await chatSettingService.getChatSetting(message.userId);
+  const ready = [];
+  const drafts = [];
+  resolved.forEach((entry) => {
+    const reason = setting && chatSettingService.getConfirmationReason(entry, setting);
+    if (reason) {
+      drafts.push({ ...entry, reason });
+    } else {
+      ready.push(entry);
     }
+  });
+
+  // A message handled again after a failure may already be written, and must not be written twice
+  const recordedLog = ready.length ? await transactionLogService.findTransactionLog(chatId, message.messageId) : null;
+  const written = recordedLog ? [] : await transactionService.writeTransactions(message.userId, ready);
+  // From here on the transactions are written, so a failure must not fail the message, which would write them again
+  if (written.length) {
+    await webhookEventService.markWritten(message.messageId).catch((error) => {
+      logger.error(`Could not mark ${message.messageId} as written: ${error.message}`);
+    });
+  }
+  await transactionLogService.saveTransactionLog(message, written).catch((error) => {
+    logger.error(`Could not log the transactions recorded from ${message.messageId}: ${error.message}`);
+  });
+  await payeeCategoryService
+    .learnPayeeCategories(
+      message.userId,
+      written
+        .filter(({ category }) => category)
+        .map(({ category, legs }) => ({ payee: legs[0].transaction.payee_name, category: category.name }))
+    )
+    .catch((error) => logger.warn(`Could not learn payee categories: ${error.message}`));
+  const alerts = await budgetAlertService.getBudgetAlerts(message.userId, written).catch((error) => {
+    logger.warn(`Could not check the budget after recording: ${error.message}`);
+    return [];
+  });
+  const responseParts = [
+    recordedLog &&
+      recordedLog.transactions
+        .map((t) => `✅ ${transactionLogService.describeLoggedTransaction(t, context.today)}`)
+        .join('\n'),
+    transactionService.formatRecordResult({ recorded: written, rejected, today: context.today }),
+    alerts.join('\n'),
+  ];
 
-    // If it's a new event, save it to prevent future duplicates, then process.
-    await WebhookEvent.create({ eventId });
+  if (unresolved.length) {
+    // Drafts wait behind the question, so the user only has one thing to answer at a time
+    const [first] = unresolved;
+    const { question, text } = conversationService.buildQuestion(first, namesForField(first.missing.field, context));
+    await conversationService.savePendingConversation(chatId, {
+      user: message.userId,
+      type: 'clarification',
+      transactions: [...unresolved, ...drafts].map(({ item }) => item),
+      question,
+    });
+    responseParts.push(text);
+  } else if (drafts.length) {
+    await conversationService.savePendingConversation(chatId, {
+      user: message.userId,
+      type: 'confirmation',
+      transactions: drafts.map(({ item }) => item),
+    });
+    responseParts.push(
+      [
+        '📝 Please confirm before I record:',
+        ...drafts.map((entry) => `• ${transactionService.describeTransaction(entry, context.today)}, ${entry.reason}`),
+        'Reply "ya" to record or "batal" to cancel.',
+      ].join('\n')
+    );
+  } else if (answered) {
+    await conversationService.clearPendingConversation(chatId).catch((error) => {
+      logger.error(`Could not clear the answered conversation in ${chatId}: ${error.message}`);
+    });
+  }
+  return responseParts.filter(Boolean).join('\n\n');
+};
 
-    const messagePayload = req.body.payload;
-    console.log(`New ${req.body.event} from ${messagePayload.from} to ${messagePayload.to}: ${messagePayload.body}`);
+/**
+ * Fetches what the transaction pipeline needs to know about the budget.
+ * @param {string} userId - The user whose budget to read.
+ * @returns {Promise<object>} The accounts, categories and payees fetched from Actual, the user's aliases and learned payee categories, and today's date.
+ */
+const getRecordContext = async (userId) => {
+  const [accounts, categories, payees, aliases, payeeCategories] = await Promise.all([
+    actualService.getAccounts(userId),
+    actualService.getCategories(userId),
+    actualService.getPayees(userId),
+    aliasService.getAliasesByKind(userId),
+    payeeCategoryService.getPayeeCategories(userId),
+  ]);
+  return { accounts, categories, payees, aliases, payeeCategories, today: getToday(config.timezone) };
+};
 
-    // Mark the message as seen immediately
-    await wahaService.sendSeen(messagePayload.from);
-    // Add your business logic here (e.g., save to a database, trigger another event, etc.)
-    const userInput = messagePayload.body;
+/**
+ * Explains that a name could not be matched, listing the closest names if there are any.
+ * @param {string} label - What the name is, e.g. 'account' or 'budget category'.
+ * @param {string} name - The name as the user wrote it.
+ * @param {object[]} candidates - From `resolverService.resolveName`.
+ * @returns {string}
+ */
+const describeUnmatchedName = (label, name, candidates) =>
+  candidates.length
+    ? `Sorry, "${name}" could be ${resolverService.describeCandidates(candidates)}. Which one did you mean?`
+    : `Sorry, I couldn't find ${/^[aeiou]/.test(label) ? 'an' : 'a'} ${label} named "${name}".`;
 
-    // 1. Determine Intent
-    const { intent, transactionDetail } = await geminiService.determineIntent(userInput);
-    console.log(`Determined intent: ${intent}`);
+/**
+ * Uses a reply to fill in the account or category the bot asked about, then records the
+ * transactions that were waiting on it.
+ * @param {object} pending - The pending clarification for the chat.
+ * @param {string} userInput - The user's reply.
+ * @param {object} message - The `chatId`, `messageId`, `userId` and `role` of the reply.
+ * @returns {Promise<string|null>} The message to send back to the user, or null if the reply doesn't answer the question.
+ */
+const handleClarification = async (pending, userInput, message) => {
+  const context = await getRecordContext(message.userId);
+  const { field } = pending.question;
+  const names = namesForField(field, context);
+  const { cancel, answer } = conversationService.parseAnswer(pending, userInput, names);
 
-    let finalResponse;
+  if (cancel) {
+    await conversationService.clearPendingConversation(pending.chatId);
+    return `OK, I won't record ${pending.transactions.length === 1 ? 'it' : 'them'}.`;
+  }
+  if (!answer) {
+    return null;
+  }
 
-    // 2. Execute based on intent
-    if (intent === 'transaction') {
-      // --- Actual Budget Integration ---
-      try {
-        await actualService.init();
-        // 1. Fetch accounts and categories to provide context to the AI
-        const [accounts, categories, payees] = await Promise.all([
-          actualService.getAccounts(),
-          actualService.getCategories(),
-          actualService.getPayees(),
-        ]);
+  const [first, ...rest] = pending.transactions;
+  return recordTransactions(message, [transactionService.applyAnswer(first, field, answer), ...rest], context, {
+    answered: true,
+  });
+};
 
-        const accountNames = accounts.map((acc) => acc.name);
-        const categoryNames = categories.map((cat) => cat.name);
+/**
+ * Records or drops a draft, depending on the user's reply.
+ * @param {object} pending - The pending confirmation for the chat.
+ * @param {string} userInput - The user's reply.
+ * @param {object} message - The `chatId`, `messageId`, `userId` and `role` of the reply.
+ * @returns {Promise<string|null>} The message to send back to the user, or null if the reply is neither yes nor no.
+ */
+const handleConfirmation = async (pending, userInput, message) => {
+  const { confirm, cancel } = conversationService.parseConfirmation(userInput);
+  if (cancel) {
+    await conversationService.clearPendingConversation(pending.chatId);
+    return `OK, I won't record ${pending.transactions.length === 1 ? 'it' : 'them'}.`;
+  }
+  if (!confirm) {
+    return null;
+  }
 
-        const transactionData = await geminiService.processTransaction(userInput, accountNames, categoryNames);
-        console.log('Transaction data:', transactionData);
+  const context = await getRecordContext(message.userId);
+  return recordTransactions(message, pending.transactions, context, { confirmed: true, answered: true });
+};
 
-        // 2. Find the matching account and category IDs from the AI's response
-        const account = accounts.find((acc) => acc.name.toLowerCase() === transactionData.source_account_name.toLowerCase());
+/**
+ * Compares an account's balance in Actual with the bank's. A matching account is reconciled right away,
+ * otherwise the difference is saved for the user to confirm.
+ * @param {object} message - The `chatId` and `userId` of the request.
+ * @param {object} account - The `id` and `name` of the account.
+ * @param {number} balance - The balance the bank shows, in minor units.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const offerReconciliation = async ({ chatId, userId }, account, balance) => {
+  const today = getToday(config.timezone);
+  const current = await actualService.getReconcilableBalance(userId, account.id, today);
+  if (current === balance) {
+    const result = await reconciliationService.applyReconciliation(
+      userId,
+      { accountId: account.id, current, adjustment: 0 },
+      today
+    );
+    return result
+      ? reconciliationService.formatReconciliation(account.name, balance, result)
+      : `Sorry, ${account.name} changed while I was reconciling it. Please send the balance again.`;
+  }
+  await conversationService.savePendingConversation(chatId, {
+    user: userId,
+    type: 'reconciliation',
+    reconciliation: { accountId: account.id, accountName: account.name, balance, current, adjustment: balance - current },
+  });
+  return reconciliationService.formatDifference({ account, current, balance });
+};
 
-        if (!account) {
-          finalResponse = `Sorry, I couldn't find an account named "${transactionData.source_account_name}".`;
-        } else {
-          const amountInCents = parseFloat(transactionData.amount) * 100;
-          const today = new Date().toISOString().split('T')[0]; // Today's date in YYYY-MM-DD
-
-          if (transactionDetail === 'transfer') {
-            const destinationAccount = accounts.find(
-              (acc) => acc.name.toLowerCase() === transactionData.payee.toLowerCase()
-            );
-            if (!destinationAccount) {
-              finalResponse = `Sorry, I couldn't find a destination account named "${transactionData.payee}" for the transfer.`;
-            } else {
-              // For a transfer, we need to create two transactions.
-              // 1. A withdrawal from the source account.
-              // 2. A deposit into the destination account.
-              // These are linked by using the internal transfer payees.
-
-              const sourceTransferPayee = payees.find((p) => p.transfer_acct === account.id);
-              const destinationTransferPayee = payees.find((p) => p.transfer_acct === destinationAccount.id);
-
-              if (!destinationTransferPayee) {
-                finalResponse = `Sorry, I couldn't find the internal transfer payee for account "${destinationAccount.name}".`;
-              } else if (!sourceTransferPayee) {
-                finalResponse = `Sorry, I couldn't find the internal transfer payee for account "${account.name}".`;
-              } else {
-                const withdrawal = {
-                  date: today,
-                  amount: -Math.abs(amountInCents),
-                  payee: destinationTransferPayee.id,
-                  notes: transactionData.description || `Transfer to ${destinationAccount.name}`,
-                  cleared: false,
-                };
-                const deposit = {
-                  date: today,
-                  amount: Math.abs(amountInCents),
-                  payee: sourceTransferPayee.id,
-                  notes: transactionData.description || `Transfer from ${account.name}`,
-                  cleared: false,
-                };
-                // Add the withdrawal to the source account and the deposit to the destination account.
-                await actualService.addTransactions(account.id, [withdrawal]);
-                await actualService.addTransactions(destinationAccount.id, [deposit]);
-                finalResponse = transactionData.message_to_user;
-              }
+/**
+ * Applies or drops a reconciliation, depending on the user's reply.
+ * @param {object} pending - The pending reconciliation for the chat.
+ * @param {string} userInput - The user's reply.
+ * @param {object} message - The `userId` and `role` of the reply.
+ * @returns {Promise<string|null>} The message to send back to the user, or null if the reply is neither yes nor no.
+ */
+const handleReconciliationConfirmation = async (pending, userInput, message) => {
+  const { accountId, accountName, balance, current, adjustment } = pending.reconciliation;
+  const { confirm, cancel } = conversationService.parseConfirmation(userInput);
+  if (!confirm && !cancel) {
+    return null;
+  }
+  const refusal = checkChatRight(message, 'reconcile');
+  if (refusal) {
+    return refusal;
+  }
+  if (cancel) {
+    await conversationService.clearPendingConversation(pending.chatId);
+    return `OK, I'll leave ${accountName} as it is.`;
+  }
+
+  // Cleared only after the write, so that a retry after a failed write still finds the confirmed adjustment
+  const result = await reconciliationService.applyReconciliation(
+    message.userId,
+    { accountId, current, adjustment },
+    getToday(config.timezone)
+  );
+  await conversationService.clearPendingConversation(pending.chatId);
+  if (!result) {
+    // Writing a different adjustment than the one confirmed could leave the account off, so ask again
+    const offer = await offerReconciliation(
+      { chatId: pending.chatId, userId: message.userId },
+      { id: accountId, name: accountName },
+      balance
+    );
+    return `${accountName} changed in Actual since I asked, so I didn't change anything.\n${offer}`;
+  }
+  return reconciliationService.formatReconciliation(accountName, balance, result);
+};
+
+/**
+ * Handles a reply to a question or draft the bot sent earlier.
+ * A message that doesn't answer it leaves it waiting, so that it can be handled as a new message.
+ * @param {object} pending - The pending conversation for the chat.
+ * @param {string} userInput - The user's reply.
+ * @param {object} message - The `chatId`, `messageId`, `userId` and `role` of the reply.
+ * @returns {Promise<string|null>} The message to send back to the user, or null if the message is not an answer.
+ */
+const handlePendingAnswer = async (pending, userInput, message) => {
+  if (pending.type === 'confirmation') {
+    return handleConfirmation(pending, userInput, message);
+  }
+  if (pending.type === 'reconciliation') {
+    return handleReconciliationConfirmation(pending, userInput, message);
+  }
+  return handleClarification(pending, userInput, message);
+};
+
+/**
+ * Records a receipt photo as an expense.
+ * @param {object} messagePayload - The WAHA message payload, with `media` attached.
+ * @param {object} message - The `chatId`, `messageId`, `userId` and `role` of the message.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleReceipt = async (messagePayload, message) => {
+  const { userId } = message;
+  const refusal = checkChatRight(message, 'recordTransaction');
+  if (refusal) {
+    return refusal;
+  }
+  try {
+    const [image, context] = await Promise.all([
+      wahaService.downloadMedia(messagePayload.media.url),
+      getRecordContext(userId),
+    ]);
+
+    const accountNames = context.accounts.map((acc) => acc.name);
+    const categoryNames = context.categories.map((cat) => cat.name);
+
+    const receiptData = await geminiService.processReceipt(
+      image.data,
+      messagePayload.media.mimetype || image.mimetype,
+      messagePayload.body,
+      accountNames,
+      categoryNames,
+      context.today,
+      payeeCategoryService.buildCategoryHints(context.payeeCategories)
+    );
+    logger.info(`Receipt data: ${JSON.stringify(receiptData)}`);
+
+    const response = await recordTransactions(message, receiptData.transactions, context);
+    if (!receiptData.line_items.length) {
+      return response;
+    }
+
+    const itemLines = receiptData.line_items.map((item) => {
+      const quantity = item.quantity ? `${item.quantity}x ` : '';
+      // Line items are only shown, so one the money parser cannot read is marked rather than dropped
+      const { amount } = resolveAmount(item.amount);
+      return `- ${quantity}${item.name}: ${amount ? formatIDR(toRupiah(amount)) : '?'}`;
+    });
+    return [response, '', '*🧾 Items:*', ...itemLines].join('\n');
+  } catch (error) {
+    logger.error(`Error while processing receipt: ${error.message}`);
+    throw error;
+  }
+};
+
+/**
+ * Whether the message carries a photo we should treat as a receipt.
+ * @param {object} messagePayload
+ * @returns {boolean}
+ */
+const isImageMessage = (messagePayload) =>
+  Boolean(
+    messagePayload.hasMedia &&
+      messagePayload.media &&
+      messagePayload.media.url &&
+      /^image\//.test(messagePayload.media.mimetype || '')
+  );
+
+/**
+ * Whether the message is a voice note or other audio recording.
+ * @param {object} messagePayload
+ * @returns {boolean}
+ */
+const isVoiceMessage = (messagePayload) =>
+  Boolean(
+    messagePayload.hasMedia &&
+      messagePayload.media &&
+      messagePayload.media.url &&
+      /^audio\//.test(messagePayload.media.mimetype || '')
+  );
+
+/**
+ * Changes the amount from which the user's transactions need confirmation, in any of their chats.
+ * @param {object} message - The `userId` and `role` of the command.
+ * @param {{ category: string|null, threshold: number }} command - The parsed "batas konfirmasi" command.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleThresholdCommand = async (message, { category, threshold }) => {
+  const { userId } = message;
+  const refusal = checkChatRight(message, 'editBudget');
+  if (refusal) {
+    return refusal;
+  }
+  let categoryName = null;
+  if (category) {
+    const [categories, aliases] = await Promise.all([
+      actualService.getCategories(userId),
+      aliasService.getAliasesByKind(userId),
+    ]);
+    const { match, candidates } = resolverService.resolveName(category, categories, aliases.category);
+    if (!match) {
+      return describeUnmatchedName('category', category, candidates);
+    }
+    categoryName = match.name;
+  }
+
+  await chatSettingService.setConfirmationThreshold(userId, threshold, categoryName);
+  const scope = categoryName ? ` in ${categoryName}` : '';
+  return `👍 I'll ask before recording transactions of ${formatIDR(threshold)} or more${scope}.`;
+};
+
+/**
+ * Saves a word that stands for an account, category or payee, e.g. "alias gopay = GoPay Wallet".
+ * The kind is taken from whatever the target names, looking at accounts, then categories, then payees.
+ * @param {object} message - The `userId` and `role` of the command.
+ * @param {{ alias: string, target: string }} command - The parsed "alias" command.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleAliasCommand = async (message, { alias, target }) => {
+  const { userId } = message;
+  const refusal = checkChatRight(message, 'editBudget');
+  if (refusal) {
+    return refusal;
+  }
+  const [accounts, categories, payees] = await Promise.all([
+    actualService.getAccounts(userId),
+    actualService.getCategories(userId),
+    actualService.getPayees(userId),
+  ]);
+  const lists = [
+    { kind: aliasKinds.ACCOUNT, entries: accounts },
+    { kind: aliasKinds.CATEGORY, entries: categories },
+    { kind: aliasKinds.PAYEE, entries: payees.filter((p) => !p.transfer_acct) },
+  ];
+  // Only the names in Actual count here, so an alias can't point at another alias
+  const resolutions = lists.map(({ kind, entries }) => ({ kind, ...resolverService.resolveName(target, entries) }));
+  const resolved = resolutions.find(({ match }) => match);
+  if (!resolved) {
+    const candidates = resolutions.flatMap((resolution) => resolution.candidates);
+    return describeUnmatchedName('account, category or payee', target, candidates);
+  }
+
+  await aliasService.setAlias(userId, { kind: resolved.kind, alias, target: resolved.match.name });
+  return `👍 From now on "${alias}" means the ${resolved.kind} ${resolved.match.name}.`;
+};
+
+/**
+ * Turns the daily digest of categories close to or over budget on or off for the whole household.
+ * @param {object} message - The `userId` and `role` of the command.
+ * @param {{ dailyDigest: boolean }} command - The parsed "digest" command.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleDigestCommand = async (message, { dailyDigest }) => {
+  const refusal = checkChatRight(message, 'editBudget');
+  if (refusal) {
+    return refusal;
+  }
+  await userService.updateUserById(message.userId, { dailyDigest });
+  return dailyDigest
+    ? `🔔 I'll send a digest of the categories close to or over budget every day at ${config.budgetAlerts.digestTime}.`
+    : '🔕 No more daily budget digests.';
+};
+
+/**
+ * Lists the household's recurring transactions, or pauses, resumes or deletes one of them.
+ * @param {object} message - The `userId` and `role` of the command.
+ * @param {{ action: string, number?: number }} command - The parsed "jadwal" command.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleScheduleCommand = async (message, { action, number }) => {
+  const refusal = checkChatRight(message, 'manageSchedules');
+  if (refusal) {
+    return refusal;
+  }
+  const schedules = await scheduleService.getSchedules(message.userId);
+  if (action === 'list') {
+    return scheduleService.formatScheduleList(schedules);
+  }
+  const schedule = schedules[number - 1];
+  if (!schedule) {
+    return `Sorry, there is no recurring transaction number ${number}. Send "jadwal" to see the list.`;
+  }
+  if (action === 'delete') {
+    await scheduleService.deleteSchedule(schedule);
+    return `🗑️ Deleted: ${scheduleService.describeSchedule(schedule)}.`;
+  }
+  await scheduleService.setSchedulePaused(schedule, action === 'pause');
+  return `${action === 'pause' ? '⏸️ Paused' : '▶️ Resumed'}: ${scheduleService.describeSchedule(schedule)}.`;
+};
+
+/**
+ * Refuses to act on transactions someone else recorded, e.g. by another member of a group.
+ * The sender's rights come from their own link, so they say nothing about another user's budget.
+ * @param {object} log - The transactions to act on.
+ * @param {object} message - The `userId` of whoever asked.
+ * @param {string} action - What would be done to the transactions, e.g. 'remove'.
+ * @returns {string|null} The refusal, or null if the sender recorded the transactions.
+ */
+const checkLogOwner = (log, message, action) =>
+  String(log.user) === String(message.userId)
+    ? null
+    : `🚫 Sorry, only the person who recorded those transactions can ${action} them.`;
+
+/**
+ * Deletes the transactions recorded from a message, and describes what was removed.
+ * If Actual fails partway, the user is told how far it got. Undoing again deletes the rest.
+ * @param {object} log - The transaction log to undo.
+ * @param {object} message - The `userId` and `role` of whoever asked to undo.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const undoTransactions = async (log, message) => {
+  const refusal = checkLogOwner(log, message, 'remove') || checkChatRight(message, 'undo');
+  if (refusal) {
+    return refusal;
+  }
+  try {
+    await transactionLogService.undoTransactionLog(log);
+  } catch (error) {
+    logger.error(`Error while undoing transactions: ${error.message}`);
+    const { deleted, total } = transactionLogService.countDeletedTransactions(log);
+    return `⚠️ I removed ${deleted} of ${total} transaction(s) before Actual Budget failed. Undo again to remove the rest.`;
+  }
+  return ['↩️ Removed:', ...log.transactions.map((t) => `• ${transactionLogService.describeLoggedTransaction(t)}`)].join(
+    '\n'
+  );
+};
+
+/**
+ * Undoes the most recent transactions recorded in the chat.
+ * @param {object} message - The `chatId` and `role` of the command.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleUndo = async (message) => {
+  const log = await transactionLogService.getLatestTransactionLog(message.chatId, message.userId);
+  if (!log) {
+    return 'There is nothing to undo.';
+  }
+  return undoTransactions(log, message);
+};
+
+/**
+ * Undoes the transactions behind a confirmation when the user reacts to it with ❌.
+ * @param {object} reactionPayload - The WAHA `message.reaction` payload.
+ * @param {object} message - The `userId` and `role` of whoever reacted.
+ * @returns {Promise<string|null>} The message to send back to the user, or null to stay silent.
+ */
+const handleReaction = async (reactionPayload, message) => {
+  const { reaction } = reactionPayload;
+  if (!reaction || reaction.text !== '❌') {
+    return null;
+  }
+  const log = await transactionLogService.getTransactionLogByReplyMessageId(reactionPayload.from, reaction.messageId);
+  if (!log) {
+    return null;
+  }
+  if (log.undone) {
+    return 'Those transactions were already removed.';
+  }
+  return undoTransactions(log, message);
+};
+
+/**
+ * Applies a correction the user quote-replied to one of the bot's confirmations.
+ * @param {object} log - The transactions behind the confirmation.
+ * @param {string} userInput - The correction, e.g. "harusnya 75rb".
+ * @param {object} message - The `userId` and `role` of whoever sent the correction.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleCorrection = async (log, userInput, message) => {
+  if (log.undone) {
+    return 'Those transactions were already removed.';
+  }
+  const refusal =
+    checkLogOwner(log, message, 'change') ||
+    checkChatRight(message, 'undo') ||
+    (log.transactions.some((t) => t.type === 'transfer') && checkChatRight(message, 'transfer'));
+  if (refusal) {
+    return refusal;
+  }
+  const context = await getRecordContext(log.user);
+  const correction = await geminiService.processCorrection(
+    userInput,
+    log.transactions.map((t) => transactionLogService.describeLoggedTransaction(t, context.today)),
+    context.accounts.map((acc) => acc.name),
+    context.categories.map((cat) => cat.name),
+    context.today
+  );
+  logger.info(`Correction data: ${JSON.stringify(correction)}`);
+
+  const { amount, category, payee, date, notes } = correction;
+  if (![amount, category, payee, correction.account_name, date, notes].some(Boolean)) {
+    return 'Sorry, I couldn\'t tell what to change. Try e.g. "harusnya 75rb" or "kategori transport".';
+  }
+
+  const { reason, updated } = await transactionLogService.correctTransactionLog(log, correction, context);
+  if (reason) {
+    return `Sorry, I couldn't apply that. ${reason}`;
+  }
+  if (category || payee) {
+    // The corrected category is where the payee really belongs
+    await payeeCategoryService.learnPayeeCategories(
+      log.user,
+      updated.filter((t) => t.category).map((t) => ({ payee: t.payee, category: t.category.name }))
+    );
+  }
+  return [
+    '✏️ Updated:',
+    ...updated.map((t) => `• ${transactionLogService.describeLoggedTransaction(t, context.today)}`),
+  ].join('\n');
+};
+
+/**
+ * Gets the text of a message. Button replies may carry the pressed button instead of a body.
+ * @param {object} messagePayload
+ * @returns {string}
+ */
+const getMessageText = (messagePayload) => {
+  const data = messagePayload._data || {};
+  return messagePayload.body || data.selectedDisplayText || data.selectedButtonId || '';
+};
+
+/**
+ * Answers a question about spending over a period, e.g. "berapa pengeluaran makan bulan lalu".
+ * @param {string} userInput - The question.
+ * @param {string} userId - The user whose budget to query.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleSpendingQuery = async (userInput, userId) => {
+  const context = await getRecordContext(userId);
+  const query = await geminiService.processSpendingQuery(
+    userInput,
+    context.accounts.map((acc) => acc.name),
+    context.categories.map((cat) => cat.name),
+    context.today
+  );
+  logger.info(`Spending query data: ${JSON.stringify(query)}`);
+
+  const { startDate, endDate, reason } = spendingService.resolvePeriod(query, context.today);
+  if (reason) {
+    return `Sorry, ${reason}.`;
+  }
+  const { filters, unmatched } = spendingService.resolveFilters(query, context);
+  if (unmatched) {
+    return describeUnmatchedName(unmatched.label, unmatched.name, unmatched.candidates);
+  }
+
+  const transactions = await actualService.getTransactions(userId, startDate, endDate);
+  const summary = spendingService.summarizeSpending(spendingService.filterExpenses(transactions, filters));
+  return spendingService.formatSpendingSummary(summary, {
+    startDate,
+    endDate,
+    focus: query.focus,
+    filters,
+    categories: context.categories,
+    payees: context.payees,
+  });
+};
+
+/**
+ * Changes budgeted amounts as asked, e.g. "pindahkan 500rb dari hiburan ke transport", and shows them before and after.
+ * @param {string} userInput - The command.
+ * @param {string} userId - The user whose budget to change.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleBudgetCommand = async (userInput, userId) => {
+  const [categories, aliases] = await Promise.all([
+    actualService.getCategories(userId),
+    aliasService.getAliasesByKind(userId),
+  ]);
+  const today = getToday(config.timezone);
+  const command = await geminiService.processBudgetCommand(
+    userInput,
+    categories.filter((cat) => !cat.is_income).map((cat) => cat.name),
+    today
+  );
+  logger.info(`Budget command data: ${JSON.stringify(command)}`);
+
+  const month = budgetChangeService.resolveMonth(command.month, today);
+  const [budgetMonth, previousMonth] = await Promise.all([
+    actualService.getBudgetMonth(userId, month),
+    command.action === 'copy_last_month'
+      ? actualService.getBudgetMonth(userId, budgetChangeService.getPreviousMonth(month))
+      : null,
+  ]);
+  const { change, reason, unmatched } = budgetChangeService.resolveBudgetChange(command, {
+    month,
+    budgetMonth,
+    previousMonth,
+    aliases,
+  });
+  if (reason) {
+    return `Sorry, ${reason}.`;
+  }
+  if (unmatched) {
+    return describeUnmatchedName('budget category', unmatched.name, unmatched.candidates);
+  }
+
+  await budgetChangeService.applyBudgetChange(userId, change);
+  return budgetChangeService.formatBudgetChange(change);
+};
+
+/**
+ * Sets up a transaction to be recorded every month, e.g. "setiap tanggal 5 bayar internet 350rb dari BCA".
+ * The transaction is checked against the budget now, so that the monthly runs don't fail on a name that never matched.
+ * @param {string} userInput - The request.
+ * @param {object} message - The `chatId`, `userId` and `role` of the request.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleScheduleRequest = async (userInput, message) => {
+  const context = await getRecordContext(message.userId);
+  const { day_of_month: dayOfMonth, transaction } = await geminiService.processSchedule(
+    userInput,
+    context.accounts.map((acc) => acc.name),
+    context.categories.map((cat) => cat.name)
+  );
+  logger.info(`Schedule data: ${JSON.stringify({ dayOfMonth, transaction })}`);
+
+  const refusal = transaction.type === 'transfer' && checkChatRight(message, 'transfer');
+  if (refusal) {
+    return refusal;
+  }
+  const { resolved, rejected, unresolved } = transactionService.resolveTransactions(
+    [{ ...transaction, date: null }],
+    context
+  );
+  if (rejected.length) {
+    return `Sorry, ${rejected[0].reason}.`;
+  }
+  if (unresolved.length) {
+    const { field, value, candidates } = unresolved[0].missing;
+    const label = field === 'category' ? 'budget category' : 'account';
+    return value ? describeUnmatchedName(label, value, candidates) : `Sorry, I couldn't tell which ${label} to use.`;
+  }
+
+  // The names are stored as they are in Actual, so that each run finds them again
+  const [{ account, category, destinationAccount, legs }] = resolved;
+  const schedule = await scheduleService.createSchedule(
+    message,
+    {
+      ...transaction,
+      source_account_name: account.name,
+      category: category ? category.name : null,
+      payee: destinationAccount ? destinationAccount.name : legs[0].transaction.payee_name,
+    },
+    dayOfMonth
+  );
+  return `🔁 Set up: ${scheduleService.describeSchedule(
+    schedule
+  )}.\nSend "jadwal" to see, pause or delete your recurring transactions.`;
+};
+
+/**
+ * Compares an account with the balance the bank shows, e.g. "saldo BCA sebenarnya 4.250.000".
+ * An account that matches is reconciled right away, otherwise the adjustment waits for the user to confirm it.
+ * @param {string} userInput - The message.
+ * @param {object} message - The `chatId`, `userId` and `role` of the message.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleReconciliationRequest = async (userInput, message) => {
+  const { userId } = message;
+  const [accounts, aliases] = await Promise.all([actualService.getAccounts(userId), aliasService.getAliasesByKind(userId)]);
+  const request = await geminiService.processReconciliation(
+    userInput,
+    accounts.map((acc) => acc.name)
+  );
+  logger.info(`Reconciliation data: ${JSON.stringify(request)}`);
+
+  const { account, balance, reason, unmatched } = reconciliationService.resolveReconciliation(request, {
+    accounts,
+    aliases,
+  });
+  if (reason) {
+    return `Sorry, ${reason}.`;
+  }
+  if (unmatched) {
+    return describeUnmatchedName('account', unmatched.name, unmatched.candidates);
+  }
+
+  return offerReconciliation(message, account, balance);
+};
+
+/**
+ * Lists the transactions a request asks for, e.g. "5 transaksi terakhir BCA", one page at a time.
+ * @param {string} userInput - The request.
+ * @param {object} message - The `chatId` and `userId` of the request.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleTransactionSearch = async (userInput, message) => {
+  const { chatId, userId } = message;
+  const context = await getRecordContext(userId);
+  const query = await geminiService.processTransactionSearch(
+    userInput,
+    context.accounts.map((acc) => acc.name),
+    context.categories.map((cat) => cat.name),
+    context.today
+  );
+  logger.info(`Transaction search data: ${JSON.stringify(query)}`);
+
+  const { search, reason, unmatched } = transactionSearchService.resolveSearch(query, context);
+  if (reason) {
+    return `Sorry, ${reason}.`;
+  }
+  if (unmatched) {
+    return describeUnmatchedName(unmatched.label, unmatched.name, unmatched.candidates);
+  }
+
+  const result = await transactionSearchService.getSearchPage(userId, search, 0);
+  if (result.hasMore) {
+    await conversationService.savePendingConversation(chatId, {
+      user: userId,
+      type: 'search',
+      search: { ...search, page: 0 },
+    });
+  }
+  return transactionSearchService.formatSearchPage(result, context);
+};
+
+/**
+ * Shows the next page of the last search in the chat.
+ * @param {object} pending - The pending search for the chat.
+ * @param {object} message - The `chatId`, `userId` and `role` of the request.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleMoreResults = async (pending, message) => {
+  const refusal = checkChatRight(message, 'queryBalance');
+  if (refusal) {
+    return refusal;
+  }
+  const { page, ...search } = pending.search;
+  const [accounts, categories, payees] = await Promise.all([
+    actualService.getAccounts(message.userId),
+    actualService.getCategories(message.userId),
+    actualService.getPayees(message.userId),
+  ]);
+  const result = await transactionSearchService.getSearchPage(message.userId, search, page + 1);
+  if (result.hasMore) {
+    await conversationService.savePendingConversation(pending.chatId, {
+      user: message.userId,
+      type: 'search',
+      search: { ...search, page: page + 1 },
+    });
+  } else {
+    await conversationService.clearPendingConversation(pending.chatId);
+  }
+  return transactionSearchService.formatSearchPage(result, { accounts, categories, payees });
+};
+
+/**
+ * Runs a text message through the intent pipeline.
+ * A quoted reply to a confirmation is handled as a correction, and a message that answers a
+ * pending follow-up question or draft is handled as that answer instead.
+ * @param {string} userInput - The message text.
+ * @param {object} message - The `chatId`, `messageId`, `replyToId`, `userId` and `role` of the message.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleTextMessage = async (userInput, message) => {
+  const { chatId, replyToId, userId } = message;
+  if (replyToId) {
+    const log = await transactionLogService.getTransactionLogByReplyMessageId(chatId, replyToId);
+    if (log) {
+      return handleCorrection(log, userInput, message);
+    }
+  }
+
+  // Only the user who started a conversation may answer it. In a group, anyone else's message is their own new message,
+  // rather than an answer that would be recorded in their budget
+  const chatPending = await conversationService.getPendingConversation(chatId);
+  const pending = chatPending && String(chatPending.user) === String(userId) ? chatPending : null;
+  if (pending && pending.type === 'search') {
+    // Search results only wait for "lagi", anything else is a new message
+    if (transactionSearchService.isMoreCommand(userInput)) {
+      return handleMoreResults(pending, message);
+    }
+  } else if (pending) {
+    const answered = await handlePendingAnswer(pending, userInput, message);
+    if (answered !== null) {
+      return answered;
+    }
+  }
+
+  if (undoCommand.test(userInput.trim())) {
+    return handleUndo(message);
+  }
+
+  const thresholdCommand = chatSettingService.parseThresholdCommand(userInput);
+  if (thresholdCommand) {
+    return handleThresholdCommand(message, thresholdCommand);
+  }
+
+  const aliasCommand = aliasService.parseAliasCommand(userInput);
+  if (aliasCommand) {
+    return handleAliasCommand(message, aliasCommand);
+  }
+
+  const digestCommand = budgetAlertService.parseDigestCommand(userInput);
+  if (digestCommand) {
+    return handleDigestCommand(message, digestCommand);
+  }
+
+  const scheduleCommand = scheduleService.parseScheduleCommand(userInput);
+  if (scheduleCommand) {
+    return handleScheduleCommand(message, scheduleCommand);
+  }
+
+  // Simple expenses such as "kopi 25k bca" skip the model altogether
+  if (fastParserService.mayBeExpense(userInput) && !checkChatRight(message, 'recordTransaction')) {
+    const context = await getRecordContext(userId);
+    const parsed = fastParserService.parseExpense(userInput, context);
+    if (parsed) {
+      logger.info(`Fast path transaction data: ${JSON.stringify(parsed)}`);
+      const response = await recordTransactions(message, [parsed], context);
+      return `${response}\n\n${parsedByNotes.fastPath}`;
+    }
+  }
+
+  // 1. Determine Intent
+  const { intent } = await geminiService.determineIntent(userInput);
+  logger.info(`Determined intent: ${intent}`);
+
+  const refusal = intentRights[intent] && checkChatRight(message, intentRights[intent]);
+  if (refusal) {
+    return refusal;
+  }
+
+  let finalResponse;
+
+  // 2. Execute based on intent
+  if (intent === 'transaction') {
+    // --- Actual Budget Integration ---
+    try {
+      // 1. Fetch accounts and categories to provide context to the AI
+      const context = await getRecordContext(userId);
+      const accountNames = context.accounts.map((acc) => acc.name);
+      const categoryNames = context.categories.map((cat) => cat.name);
+
+      const transactionData = await geminiService.processTransaction(
+        userInput,
+        accountNames,
+        categoryNames,
+        context.today,
+        payeeCategoryService.buildCategoryHints(context.payeeCategories)
+      );
+      logger.info(`Transaction data: ${JSON.stringify(transactionData)}`);
+
+      const response = await recordTransactions(message, transactionData.transactions, context);
+      finalResponse = `${response}\n\n${parsedByNotes.llm}`;
+    } catch (error) {
+      logger.error(`Error during Actual Budget integration: ${error.message}`);
+      finalResponse = 'Sorry, I encountered an error while processing your transaction with Actual Budget.';
+      // Re-throw the error to be caught by catchAsync and logged properly
+      throw error;
+    }
+  } else if (intent === 'query_balance') {
+    try {
+      const [accounts, categories, aliases] = await Promise.all([
+        actualService.getAccounts(userId),
+        actualService.getCategories(userId),
+        aliasService.getAliasesByKind(userId),
+      ]);
+
+      const accountNames = accounts.map((acc) => acc.name);
+      const categoryNames = categories.map((cat) => cat.name);
+
+      const today = getToday(config.timezone);
+      const queryData = await geminiService.processBalanceQuery(userInput, accountNames, categoryNames, today);
+      logger.info(`Balance query data: ${JSON.stringify(queryData)}`);
+
+      if (queryData.query_type === 'account') {
+        const responseParts = [];
+        if (queryData.name.toLowerCase() === 'all') {
+          responseParts.push('*🏦 All Account Balances:*');
+          // Create an array of promises to fetch all account balances concurrently
+          const balancePromises = accounts.map(async (acc) => {
+            if (!acc.closed) {
+              const balance = await actualService.getAccountBalance(userId, acc.id);
+              const formattedBalance = formatIDR(balance / 100);
+              return `*${acc.name}:* ${formattedBalance}`;
             }
+            return null;
+          });
+          const balanceLines = (await Promise.all(balancePromises)).filter(Boolean);
+          responseParts.push(...balanceLines);
+        } else {
+          const { match: account, candidates } = resolverService.resolveName(queryData.name, accounts, aliases.account);
+          if (account) {
+            const balance = await actualService.getAccountBalance(userId, account.id);
+            const formattedBalance = formatIDR(balance / 100);
+            responseParts.push(`*🏦 Account Balance:*`);
+            responseParts.push(`*${account.name}:* ${formattedBalance}`);
           } else {
-            // Handle Income or Expense
-            const category = categories.find((cat) => cat.name.toLowerCase() === transactionData.category.toLowerCase());
-
-            if (!category) {
-              finalResponse = `Sorry, I couldn't find a category named "${transactionData.category}".`;
-            } else {
-              const newTransaction = {
-                date: today,
-                // Amount is positive for income, negative for expense
-                amount: transactionDetail === 'income' ? Math.abs(amountInCents) : -Math.abs(amountInCents),
-                notes: transactionData.description,
-                category: category.id,
-                payee_name: transactionData.payee,
-                cleared: false,
-              };
-              await actualService.addTransactions(account.id, [newTransaction]);
-              finalResponse = transactionData.message_to_user;
-            }
+            responseParts.push(describeUnmatchedName('account', queryData.name, candidates));
           }
-          // This line was redundant and could overwrite more specific error messages
-          // finalResponse = transactionData.message_to_user;
         }
-      } catch (error) {
-        console.error('Error during Actual Budget integration:', error);
-        finalResponse = 'Sorry, I encountered an error while processing your transaction with Actual Budget.';
-        // Re-throw the error to be caught by catchAsync and logged properly
-        throw error;
-      } finally {
-        await actualService.shutdown();
-      }
-    } else if (intent === 'query_balance') {
-      try {
-        await actualService.init();
-        const [accounts, categories] = await Promise.all([actualService.getAccounts(), actualService.getCategories()]);
-
-        const accountNames = accounts.map((acc) => acc.name);
-        const categoryNames = categories.map((cat) => cat.name);
-
-        const queryData = await geminiService.processBalanceQuery(userInput, accountNames, categoryNames);
-        console.log('Balance query data:', queryData);
-
-        if (queryData.query_type === 'account') {
-          const responseParts = [];
-          if (queryData.name.toLowerCase() === 'all') {
-            responseParts.push('*🏦 All Account Balances:*');
-            // Create an array of promises to fetch all account balances concurrently
-            const balancePromises = accounts.map(async (acc) => {
-              if (!acc.closed) {
-                const balance = await actualService.getAccountBalance(acc.id);
-                const formattedBalance = formatIDR(balance / 100);
-                return `*${acc.name}:* ${formattedBalance}`;
-              }
-              return null;
-            });
-            const balanceLines = (await Promise.all(balancePromises)).filter(Boolean);
-            responseParts.push(...balanceLines);
+        finalResponse = responseParts.join('\n');
+      } else if (queryData.query_type === 'budget' || queryData.query_type === 'summary') {
+        const month = /^\d{4}-\d{2}$/.test(queryData.month || '') ? queryData.month : today.slice(0, 7);
+        const budgetData = await actualService.getBudgetMonth(userId, month);
+
+        if (queryData.name && queryData.name.toLowerCase() !== 'all') {
+          const { match: category, candidates } = resolverService.resolveName(
+            queryData.name,
+            budgetData.categoryGroups.flatMap((group) => group.categories),
+            aliases.category
+          );
+
+          if (category) {
+            const budgeted = formatIDR(category.budgeted / 100); // e.g., 200000000 -> Rp 2.000.000,00
+            const spent = formatIDR(Math.abs(category.spent / 100)); // spent is negative, so use Math.abs
+            const balance = formatIDR(category.balance / 100);
+            finalResponse = `*📊 Budget for ${category.name}:*\n- *Budgeted:* ${budgeted}\n- *Spent:* ${spent}\n- *Remaining:* ${balance}`;
           } else {
-            const account = accounts.find((acc) => acc.name.toLowerCase() === queryData.name.toLowerCase());
-            if (account) {
-              const balance = await actualService.getAccountBalance(account.id);
-              const formattedBalance = formatIDR(balance / 100);
-              responseParts.push(`*🏦 Account Balance:*`);
-              responseParts.push(`*${account.name}:* ${formattedBalance}`);
-            } else {
-              responseParts.push(`Sorry, I couldn't find an account named "${queryData.name}".`);
-            }
+            finalResponse = describeUnmatchedName('budget category', queryData.name, candidates);
           }
-          finalResponse = responseParts.join('\n');
-        } else if (queryData.query_type === 'budget' || queryData.query_type === 'summary') {
-          const month = new Date().toISOString().slice(0, 7); // 'YYYY-MM'
-          const budgetData = await actualService.getBudgetMonth(month);
-          console.log(budgetData);
-
-          if (queryData.name && queryData.name.toLowerCase() !== 'all') {
-            const category = budgetData.categorGroups
-              .flatMap((group) => group.categories)
-              .find((cat) => cat.name.toLowerCase() === queryData.name.toLowerCase());
-
-            if (category) {
-              const budgeted = formatIDR(category.budgeted / 100); // e.g., 200000000 -> Rp 2.000.000,00
-              const spent = formatIDR(Math.abs(category.spent / 100)); // spent is negative, so use Math.abs
-              const balance = formatIDR(category.balance / 100);
-              finalResponse = `*📊 Budget for ${category.name}:*\n- *Budgeted:* ${budgeted}\n- *Spent:* ${spent}\n- *Remaining:* ${balance}`;
-            } else {
-              finalResponse = `Sorry, I couldn't find a budget category named "${queryData.name}".`;
+        } else {
+          // Summary of all budgets
+          const responseParts = ['*📊 Monthly Budget Summary:*'];
+          budgetData.categoryGroups.forEach((group) => {
+            if (!group.is_income) {
+              responseParts.push(`\n*${group.name}*`);
+              group.categories.forEach((cat) => {
+                const balance = formatIDR(cat.balance / 100); // e.g., 259562700 -> Rp 2.595.627,00
+                responseParts.push(`- ${cat.name}: ${balance}`);
+              });
             }
-          } else {
-            // Summary of all budgets
-            const responseParts = ['*📊 Monthly Budget Summary:*'];
-            budgetData.categoryGroups.forEach((group) => {
-              if (!group.is_income) {
-                responseParts.push(`\n*${group.name}*`);
-                group.categories.forEach((cat) => {
-                  const balance = formatIDR(cat.balance / 100); // e.g., 259562700 -> Rp 2.595.627,00
-                  responseParts.push(`- ${cat.name}: ${balance}`);
-                });
-              }
-            });
-            finalResponse = responseParts.join('\n');
-          }
+          });
+          finalResponse = responseParts.join('\n');
         }
-      } catch (error) {
-        console.error('Error during balance query:', error);
-        finalResponse = 'Sorry, I had trouble fetching your balance information.';
-        throw error;
-      } finally {
-        await actualService.shutdown();
       }
-    } else if (intent === 'question') {
-      const answer = await geminiService.getAnswer(userInput);
-      console.log('Answer:', answer.content);
-      finalResponse = answer.content;
+    } catch (error) {
+      logger.error(`Error during balance query: ${error.message}`);
+      finalResponse = 'Sorry, I had trouble fetching your balance information.';
+      throw error;
+    }
+  } else if (intent === 'query_spending') {
+    finalResponse = await handleSpendingQuery(userInput, userId);
+  } else if (intent === 'manage_budget') {
+    finalResponse = await handleBudgetCommand(userInput, userId);
+  } else if (intent === 'schedule_transaction') {
+    finalResponse = await handleScheduleRequest(userInput, message);
+  } else if (intent === 'reconcile_account') {
+    finalResponse = await handleReconciliationRequest(userInput, message);
+  } else if (intent === 'search_transactions') {
+    finalResponse = await handleTransactionSearch(userInput, message);
+  } else if (intent === 'question') {
+    const answer = await geminiService.getAnswer(userInput);
+    finalResponse = answer.content;
+  }
+  return finalResponse;
+};
+
+/**
+ * Transcribes a voice note and runs the transcript through the intent pipeline.
+ * The reply quotes the transcript so the user can spot mishearings.
+ * @param {object} messagePayload - The WAHA message payload, with `media` attached.
+ * @param {object} message - The `chatId`, `messageId`, `replyToId`, `userId` and `role` of the message.
+ * @returns {Promise<string>} The message to send back to the user.
+ */
+const handleVoiceNote = async (messagePayload, message) => {
+  const audio = await wahaService.downloadMedia(messagePayload.media.url);
+  const transcript = await transcriptionService.transcribe(audio.data, messagePayload.media.mimetype || audio.mimetype);
+  logger.info(`Voice note transcript: ${transcript}`);
+
+  const response = await handleTextMessage(transcript, message);
+  return `🎙️ _"${transcript}"_\n\n${response}`;
+};
+
+/**
+ * Tells a number that sent too many wrong link codes how long to wait.
+ * @param {Date} lockedUntil - When the number may link again.
+ * @returns {string}
+ */
+const describeLinkLockout = (lockedUntil) => {
+  const minutes = Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / (60 * 1000)));
+  return `Too many wrong codes. Please wait ${minutes} minute(s), then request a new code and send it again.`;
+};
+
+/**
+ * Links the sender's number if the message is a link code, and otherwise explains how to link it.
+ * Wrong codes lock the number out for a while, so that codes can't be guessed.
+ * @param {object} messagePayload - The WAHA message payload from a number that is not linked.
+ * @returns {Promise<string|null>} The message to send back, or null to stay silent.
+ */
+const handleUnlinkedMessage = async (messagePayload) => {
+  const code = phoneLinkService.parseLinkCode(getMessageText(messagePayload));
+  if (code) {
+    const senderId = phoneLinkService.getSenderId(messagePayload);
+    const lockedUntil = await phoneLinkService.getLinkLockout(senderId);
+    if (lockedUntil) {
+      return describeLinkLockout(lockedUntil);
+    }
+    const phoneLink = await phoneLinkService.linkPhone(senderId, code);
+    if (!phoneLink) {
+      const lockout = await phoneLinkService.recordFailedLink(senderId);
+      return lockout
+        ? describeLinkLockout(lockout)
+        : 'That code is invalid or has expired. Please request a new one and send it again.';
+    }
+    logger.info(`Linked ${phoneLink.chatId} to user ${phoneLink.user.id}`);
+    return `✅ Hi ${phoneLink.user.name}, this number is now linked to your account. Try "kopi 25k pakai gopay".`;
+  }
+  // Only explain in direct chats, so that a group isn't flooded with replies to everyone who hasn't linked yet
+  if (isGroupChat(messagePayload.from)) {
+    return null;
+  }
+  return [
+    '👋 Hi! This number is not linked to an account yet, so I can’t record anything for you.',
+    'Log in, request a link code with POST /v1/users/<your user ID>/phone-links/code and send the code here.',
+  ].join('\n');
+};
+
+/**
+ * Handles a message from a linked number.
+ * @param {object} messagePayload - The WAHA message payload.
+ * @param {object} message - The `chatId`, `messageId`, `replyToId`, `userId` and `role` of the message.
+ * @returns {Promise<string|null>} The message to send back, or null to stay silent.
+ */
+const handleLinkedMessage = async (messagePayload, message) => {
+  // Mark the message as seen immediately
+  await wahaService.sendSeen(messagePayload.from);
+
+  try {
+    if (isImageMessage(messagePayload)) {
+      return await handleReceipt(messagePayload, message);
+    }
+    if (isVoiceMessage(messagePayload)) {
+      return await handleVoiceNote(messagePayload, message);
+    }
+    if (getMessageText(messagePayload)) {
+      return await handleTextMessage(getMessageText(messagePayload), message);
+    }
+  } catch (error) {
+    // Errors the user can fix, such as having no budget set up, are explained rather than retried
+    if (error instanceof ApiError && error.statusCode < httpStatus.INTERNAL_SERVER_ERROR) {
+      return `Sorry, ${error.message.charAt(0).toLowerCase()}${error.message.slice(1)}.`;
+    }
+    throw error;
+  }
+  logger.info(`Ignoring unsupported media-only message ${messagePayload.id}`);
+  return null;
+};
+
+/**
+ * Sends a reply, and links it to the transactions the message recorded.
+ * Runs as a background job when the reply could not be sent along with handling the message.
+ * @param {{ to: string, text: string, message: object }} reply - The chat to reply to, the reply, and the `chatId` and `messageId` of the message.
+ * @returns {Promise<void>}
+ */
+const sendReply = async ({ to, text, message }) => {
+  const replyMessageId = await wahaService.sendTextMessage(to, text);
+  if (replyMessageId) {
+    // Lets the user undo or correct the transactions by reacting or replying to the confirmation.
+    // The reply is out, so failing here would only send it again.
+    await transactionLogService.setReplyMessageId(message, replyMessageId).catch((error) => {
+      logger.error(`Could not link reply ${replyMessageId} to its transactions: ${error.message}`);
+    });
+  }
+};
+
+/**
+ * Handles a message or reaction and sends the reply.
+ * @param {{ event: string, payload: object }} data - The webhook event.
+ * @returns {Promise<void>}
+ */
+const handleWebhookEvent = async ({ event, payload: messagePayload }) => {
+  const phoneLink = await phoneLinkService.getPhoneLinkByChatId(phoneLinkService.getSenderId(messagePayload));
+
+  const message = toMessageRef(messagePayload, phoneLink);
+
+  let finalResponse;
+  if (!phoneLink) {
+    // Unlinked senders never reach Actual, they can only link their number
+    finalResponse = event === 'message' ? await handleUnlinkedMessage(messagePayload) : null;
+  } else if (event === 'message.reaction') {
+    finalResponse = await handleReaction(messagePayload, message);
+  } else {
+    finalResponse = await handleLinkedMessage(messagePayload, message);
+  }
+  if (!finalResponse) {
+    return;
+  }
+
+  // Send the reply back to the user who sent the message.
+  logger.info(`Final response to user: ${finalResponse}`);
+  const reply = { to: messagePayload.from, text: finalResponse, message };
+  try {
+    await sendReply(reply);
+  } catch (error) {
+    // The message is handled, and may be written to Actual already, so only the reply is tried again
+    logger.warn(`Could not send the reply to ${messagePayload.id}, queueing it: ${error.message}`);
+    await jobService.enqueueJob(jobTypes.REPLY, reply, { key: messagePayload.from });
+  }
+};
+
+/**
+ * Handles an event queued by `handleWebhook`, keeping its status up to date.
+ * Runs as a background job, so a thrown error is retried with backoff.
+ * @param {{ event: string, payload: object }} data - The webhook event.
+ * @returns {Promise<void>}
+ */
+const processWebhookEvent = async (data) => {
+  const eventId = data.payload.id;
+  const webhookEvent = await webhookEventService.startProcessing(eventId);
+  if (!webhookEvent) {
+    logger.info(`Webhook event ${eventId} already succeeded or is being processed, skipping`);
+    return;
+  }
+  if (webhookEvent.writtenAt) {
+    // An earlier attempt wrote to Actual and then stopped, e.g. because its lease ran out. Handling it again could write twice.
+    logger.warn(`Webhook event ${eventId} was already written to Actual, not handling it again`);
+    await webhookEventService.markSucceeded(eventId);
+    return;
+  }
+  try {
+    await handleWebhookEvent(data);
+  } catch (error) {
+    await webhookEventService.markFailed(eventId, error);
+    throw error;
+  }
+  await webhookEventService.markSucceeded(eventId);
+};
+
+/**
+ * Tells the user their message could not be handled, once its job has run out of retries.
+ * @param {{ event: string, payload: object }} data - The webhook event.
+ * @returns {Promise<void>}
+ */
+const notifyFailedWebhookEvent = async ({ event, payload }) => {
+  if (event === 'message') {
+    await wahaService.sendTextMessage(
+      payload.from,
+      'Sorry, something went wrong while handling your message. Please try again.'
+    );
+  }
+};
+
+/**
+ * Records the transaction of a schedule that is due, and tells the chat the schedule was set up in.
+ * Runs as a background job. The run is claimed before anything is written, so a failure to record
+ * is reported to the chat instead of being retried, which could record the transaction twice.
+ * @param {{ scheduleId: string, runAt: string }} data - The schedule, and when its run was due.
+ * @returns {Promise<void>}
+ */
+const runScheduledTransaction = async ({ scheduleId, runAt }) => {
+  const schedule = await scheduleService.claimScheduleRun(scheduleId, new Date(runAt));
+  if (!schedule) {
+    logger.info(`Schedule ${scheduleId} is paused, deleted or already ran for ${runAt}, skipping`);
+    return;
+  }
+  const date = getToday(config.timezone, schedule.lastRunAt);
+  const message = {
+    chatId: schedule.chatId,
+    messageId: `schedule-${schedule.id}-${date}`,
+    userId: schedule.user.toString(),
+  };
+
+  let response;
+  try {
+    // The run is dated when it was due, which after a long downtime may be further back than a user may date one
+    const context = { ...(await getRecordContext(message.userId)), maxDaysBack: Infinity };
+    const { resolved, rejected, unresolved } = transactionService.resolveTransactions(
+      [{ ...schedule.transaction, date }],
+      context
+    );
+    // Nobody is around to answer a question, so a name that no longer matches fails the run
+    unresolved.forEach(({ item, missing }) => {
+      rejected.push({ item, reason: `I couldn't find "${missing.value}" any more` });
+    });
+    const written = await transactionService.writeTransactions(message.userId, resolved);
+    await transactionLogService.saveTransactionLog(message, written);
+    const alerts = await budgetAlertService.getBudgetAlerts(message.userId, written).catch((error) => {
+      logger.warn(`Could not check the budget after recording: ${error.message}`);
+      return [];
+    });
+    response = [
+      '🔁 Recurring transaction:',
+      transactionService.formatRecordResult({ recorded: written, rejected, today: context.today }),
+      alerts.join('\n'),
+    ]
+      .filter(Boolean)
+      .join('\n');
+  } catch (error) {
+    logger.error(`Could not run schedule ${scheduleId}: ${error.message}`);
+    response = `⚠️ I couldn't record the recurring transaction "${schedule.transaction.description}" for ${date}. Please record it yourself.`;
+  }
+
+  const replyMessageId = await wahaService.sendTextMessage(schedule.chatId, response);
+  if (replyMessageId) {
+    // Lets the user undo or correct the transaction by reacting or replying, as for one they sent
+    await transactionLogService.setReplyMessageId(message, replyMessageId);
+  }
+};
+
+jobService.registerHandler(jobTypes.WEBHOOK, processWebhookEvent, { onDead: notifyFailedWebhookEvent });
+jobService.registerHandler(jobTypes.BUDGET_DIGESTS, budgetAlertService.queueBudgetDigests);
+jobService.registerHandler(jobTypes.BUDGET_DIGEST, ({ userId }) => budgetAlertService.sendBudgetDigest(userId));
+jobService.registerHandler(jobTypes.SCHEDULED_TRANSACTION, runScheduledTransaction);
+jobService.registerHandler(jobTypes.REPLY, sendReply);
+
+const handleWebhook = catchAsync(async (req, res) => {
+  const { event, payload } = req.body;
+  if (handledEvents.includes(event) && payload && payload.id && !payload.fromMe) {
+    // Idempotency Check: redeliveries of an event that succeeded or is in flight are ignored,
+    // while a failed one is queued again.
+    const webhookEvent = await webhookEventService.receiveWebhookEvent(event, payload);
+    if (!webhookEvent) {
+      logger.info(`Duplicate event received, ignoring: ${payload.id}`);
+      return res.status(httpStatus.OK).send({ status: 'duplicate_ignored' });
     }
-    // Send the reply back to the user who sent the message.
-    console.log(`Final response to user: ${finalResponse}`);
-    await wahaService.sendTextMessage(messagePayload.from, finalResponse);
+    logger.info(`New ${event} from ${payload.from} to ${payload.to}: ${payload.body}`);
+    return res.status(httpStatus.OK).send({ status: 'queued' });
   }
 
   res.status(httpStatus.OK).send({ status: 'received' });
@@ -231,4 +1385,6 @@ const handleWebhook = catchAsync(async (req, res) => {
 
 module.exports = {
   handleWebhook,
+  processWebhookEvent,
+  runScheduledTransaction,
 };
@@ -0,0 +1,20 @@
+const pick = require('../utils/pick');
+const catchAsync = require('../utils/catchAsync');
+const { webhookEventService } = require('../services');
+
+const getWebhookEvents = catchAsync(async (req, res) => {
+  const filter = pick(req.query, ['event', 'status']);
+  const options = pick(req.query, ['sortBy', 'limit', 'page']);
+  const result = await webhookEventService.queryWebhookEvents(filter, options);
+  res.send(result);
+});
+
+const reprocessWebhookEvent = catchAsync(async (req, res) => {
+  const webhookEvent = await webhookEventService.reprocessWebhookEvent(req.params.webhookEventId);
+  res.send(webhookEvent);
+});
+
+module.exports = {
+  getWebhookEvents,
+  reprocessWebhookEvent,
+};
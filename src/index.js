@@ -2,6 +2,7 @@ const mongoose = require('mongoose');
 const app = require('./app');
 const config = require('./config/config');
 const logger = require('./config/logger');
+const { actualService, jobService, budgetAlertService, scheduleService } = require('./services');
 
 let server;
 mongoose.connect(config.mongoose.url, config.mongoose.options).then(() => {
@@ -9,16 +10,28 @@ mongoose.connect(config.mongoose.url, config.mongoose.options).then(() => {
   server = app.listen(config.port, () => {
     logger.info(`Listening to port ${config.port}`);
   });
+  // If the budget can't be opened yet, the first message that needs it tries again
+  actualService.init().catch((error) => logger.error(error));
+  jobService.startWorker();
+  budgetAlertService.scheduleBudgetDigests().catch((error) => logger.error(error));
+  scheduleService.queueScheduleRuns().catch((error) => logger.error(error));
 });
 
+// Running jobs may still need the budget, so they finish before it is closed
+const stopBackgroundWork = () =>
+  jobService
+    .stopWorker()
+    .then(() => actualService.shutdown())
+    .catch((error) => logger.error(error));
+
 const exitHandler = () => {
   if (server) {
     server.close(() => {
       logger.info('Server closed');
-      process.exit(1);
+      stopBackgroundWork().then(() => process.exit(1));
     });
   } else {
-    process.exit(1);
+    stopBackgroundWork().then(() => process.exit(1));
   }
 };
 
@@ -35,4 +48,5 @@ process.on('SIGTERM', () => {
   if (server) {
     server.close();
   }
+  stopBackgroundWork();
 });
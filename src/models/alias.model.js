@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { aliasKinds } = require('../config/aliases');
+
+const aliasSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    kind: {
+      type: String,
+      enum: Object.values(aliasKinds),
+      required: true,
+    },
+    // The word used in chat, e.g. 'gopay'
+    alias: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    // The name of the account, category or payee in Actual, e.g. 'GoPay Wallet'
+    target: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+aliasSchema.index({ user: 1, kind: 1, alias: 1 }, { unique: true });
+
+// add plugin that converts mongoose to json
+aliasSchema.plugin(toJSON);
+aliasSchema.plugin(paginate);
+
+/**
+ * Check if an alias is taken
+ * @param {ObjectId} userId - The user the alias belongs to
+ * @param {string} kind
+ * @param {string} alias
+ * @param {ObjectId} [excludeAliasId] - The id of the alias to be excluded
+ * @returns {Promise<boolean>}
+ */
+aliasSchema.statics.isAliasTaken = async function (userId, kind, alias, excludeAliasId) {
+  const existing = await this.findOne({
+    user: userId,
+    kind,
+    alias: alias.trim().toLowerCase(),
+    _id: { $ne: excludeAliasId },
+  });
+  return !!existing;
+};
+
+/**
+ * @typedef Alias
+ */
+const Alias = mongoose.model('Alias', aliasSchema);
+
+module.exports = Alias;
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const budgetSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+    },
+    serverURL: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    syncId: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // The Actual server password, encrypted with the configured encryption key
+    encryptedPassword: {
+      type: String,
+      required: true,
+      private: true, // used by the toJSON plugin
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// add plugin that converts mongoose to json
+budgetSchema.plugin(toJSON);
+
+/**
+ * @typedef Budget
+ */
+const Budget = mongoose.model('Budget', budgetSchema);
+
+module.exports = Budget;
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const chatSettingSchema = mongoose.Schema(
+  {
+    // The settings belong to the budget's user, so they apply in every chat linked to it
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // Transactions of at least this many rupiah need confirmation. Falls back to the configured default when unset.
+    confirmationThreshold: {
+      type: Number,
+      min: 0,
+    },
+    // Per-category thresholds, which take precedence over `confirmationThreshold`
+    categoryThresholds: [
+      {
+        _id: false,
+        category: {
+          type: String,
+          required: true,
+        },
+        threshold: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// add plugin that converts mongoose to json
+chatSettingSchema.plugin(toJSON);
+
+/**
+ * @typedef ChatSetting
+ */
+const ChatSetting = mongoose.model('ChatSetting', chatSettingSchema);
+
+module.exports = ChatSetting;
@@ -1,3 +1,13 @@
 module.exports.Token = require('./token.model');
 module.exports.User = require('./user.model');
 module.exports.WebhookEvent = require('./webhookEvent.model');
+module.exports.PendingConversation = require('./pendingConversation.model');
+module.exports.ChatSetting = require('./chatSetting.model');
+module.exports.TransactionLog = require('./transactionLog.model');
+module.exports.Job = require('./job.model');
+module.exports.PhoneLink = require('./phoneLink.model');
+module.exports.LinkAttempt = require('./linkAttempt.model');
+module.exports.Budget = require('./budget.model');
+module.exports.Alias = require('./alias.model');
+module.exports.PayeeCategory = require('./payeeCategory.model');
+module.exports.Schedule = require('./schedule.model');
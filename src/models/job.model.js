@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { jobStatuses } = require('../config/jobs');
+
+const jobSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      required: true,
+    },
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Jobs with the same key run one at a time, e.g. the messages of one chat
+    key: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: Object.values(jobStatuses),
+      default: jobStatuses.QUEUED,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    maxAttempts: {
+      type: Number,
+      required: true,
+    },
+    // When the job may run next, pushed back after each failed attempt
+    runAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lockedAt: {
+      type: Date,
+    },
+    lastError: {
+      type: String,
+    },
+    // When the job succeeded or died, after which it is deleted with its payload
+    finishedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+jobSchema.index({ status: 1, runAt: 1 });
+// TTL index to automatically delete finished jobs after 7 days, which leaves time to retry a dead one
+jobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: 7 * 86400 });
+
+// add plugin that converts mongoose to json
+jobSchema.plugin(toJSON);
+jobSchema.plugin(paginate);
+
+/**
+ * @typedef Job
+ */
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const linkAttemptSchema = mongoose.Schema(
+  {
+    // The WhatsApp number that sent the link codes
+    chatId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // Wrong link codes sent since the number was last locked out
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    // The number may not link until then
+    lockedUntil: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// TTL index so that the attempts of a number are forgotten a day after its last one
+linkAttemptSchema.index({ updatedAt: 1 }, { expireAfterSeconds: 86400 });
+
+/**
+ * @typedef LinkAttempt
+ */
+const LinkAttempt = mongoose.model('LinkAttempt', linkAttemptSchema);
+
+module.exports = LinkAttempt;
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+
+const payeeCategorySchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // The payee name, normalized so that "Indomaret" and "INDOMARET" are one payee
+    payee: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // The payee name as it was last recorded
+    payeeName: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // The name of the category the payee was last filed under
+    category: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // How many times in a row the payee was filed under the category
+    timesFiled: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    // Set by the user, so the category is always used and never changed by learning
+    forced: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+payeeCategorySchema.index({ user: 1, payee: 1 }, { unique: true });
+
+// add plugin that converts mongoose to json
+payeeCategorySchema.plugin(toJSON);
+payeeCategorySchema.plugin(paginate);
+
+/**
+ * @typedef PayeeCategory
+ */
+const PayeeCategory = mongoose.model('PayeeCategory', payeeCategorySchema);
+
+module.exports = PayeeCategory;
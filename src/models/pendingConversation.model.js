@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const pendingConversationSchema = mongoose.Schema(
+  {
+    chatId: {
+      type: String,
+      required: true,
+      unique: true,
+      index: true,
+    },
+    // The user who started the conversation, the only one who may answer it
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+    },
+    // 'clarification' waits for a missing account or category, 'confirmation' for a yes or no on a draft,
+    // 'reconciliation' for a yes or no on an account's balance adjustment, 'search' for a request for more results
+    type: {
+      type: String,
+      enum: ['clarification', 'confirmation', 'reconciliation', 'search'],
+      default: 'clarification',
+    },
+    // The extracted transactions still waiting to be recorded
+    transactions: {
+      type: [mongoose.SchemaTypes.Mixed],
+      required() {
+        return ['clarification', 'confirmation'].includes(this.type);
+      },
+    },
+    // What the bot asked about the first transaction, for clarifications
+    question: {
+      field: {
+        type: String,
+        enum: ['account', 'category', 'destinationAccount'],
+        required() {
+          return this.type === 'clarification';
+        },
+      },
+      value: {
+        type: String,
+      },
+      options: {
+        type: [String],
+        default: [],
+      },
+    },
+    // The account to reconcile, the balance the bank shows for it, the balance in Actual it was compared with
+    // and the adjustment the user is confirming, in minor units, for reconciliations
+    reconciliation: {
+      accountId: {
+        type: String,
+      },
+      accountName: {
+        type: String,
+      },
+      balance: {
+        type: Number,
+      },
+      current: {
+        type: Number,
+      },
+      adjustment: {
+        type: Number,
+      },
+    },
+    // The filters, limit and last page shown of a transaction search, for searches
+    search: {
+      type: mongoose.SchemaTypes.Mixed,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// TTL index so unanswered questions and drafts clean themselves up
+pendingConversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * @typedef PendingConversation
+ */
+const PendingConversation = mongoose.model('PendingConversation', pendingConversationSchema);
+
+module.exports = PendingConversation;
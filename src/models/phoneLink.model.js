@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { chatRoles } = require('../config/roles');
+
+const phoneLinkSchema = mongoose.Schema(
+  {
+    // The WAHA ID of the sender, e.g. '628123456789@c.us'
+    chatId: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // What the number may do in chat, see `chatRoleRights`
+    role: {
+      type: String,
+      enum: chatRoles,
+      default: 'owner',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// add plugin that converts mongoose to json
+phoneLinkSchema.plugin(toJSON);
+phoneLinkSchema.plugin(paginate);
+
+/**
+ * @typedef PhoneLink
+ */
+const PhoneLink = mongoose.model('PhoneLink', phoneLinkSchema);
+
+module.exports = PhoneLink;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const scheduleSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+    // The chat the schedule was set up in, which hears about every transaction it records
+    chatId: {
+      type: String,
+      required: true,
+    },
+    // The transaction to record, as extracted from chat with the names resolved in Actual
+    transaction: {
+      type: mongoose.SchemaTypes.Mixed,
+      required: true,
+    },
+    // The day of the month to record the transaction on. Shorter months use their last day
+    dayOfMonth: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 31,
+    },
+    // When the transaction is recorded next
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    lastRunAt: {
+      type: Date,
+    },
+    paused: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// add plugin that converts mongoose to json
+scheduleSchema.plugin(toJSON);
+
+/**
+ * @typedef Schedule
+ */
+const Schedule = mongoose.model('Schedule', scheduleSchema);
+
+module.exports = Schedule;
@@ -1,6 +1,7 @@
 const mongoose = require('mongoose');
 const { toJSON } = require('./plugins');
 const { tokenTypes } = require('../config/tokens');
+const { chatRoles } = require('../config/roles');
 
 const tokenSchema = mongoose.Schema(
   {
@@ -16,7 +17,7 @@ const tokenSchema = mongoose.Schema(
     },
     type: {
       type: String,
-      enum: [tokenTypes.REFRESH, tokenTypes.RESET_PASSWORD, tokenTypes.VERIFY_EMAIL],
+      enum: [tokenTypes.REFRESH, tokenTypes.RESET_PASSWORD, tokenTypes.VERIFY_EMAIL, tokenTypes.LINK_PHONE],
       required: true,
     },
     expires: {
@@ -27,6 +28,16 @@ const tokenSchema = mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // The chat role given to the number linked with a link phone token
+    chatRole: {
+      type: String,
+      enum: chatRoles,
+    },
+    // The wrong link codes sent while a link phone token was live, since any of them may have been a guess at it
+    failedAttempts: {
+      type: Number,
+      default: 0,
+    },
   },
   {
     timestamps: true,
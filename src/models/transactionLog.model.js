@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { toJSON } = require('./plugins');
+
+const namedRefSchema = mongoose.Schema(
+  {
+    id: {
+      type: String,
+      required: true,
+    },
+    name: {
+      type: String,
+    },
+  },
+  { _id: false }
+);
+
+const loggedTransactionSchema = mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ['expense', 'income', 'transfer'],
+      required: true,
+    },
+    description: {
+      type: String,
+    },
+    // The absolute amount in Actual's units (cents)
+    amount: {
+      type: Number,
+      required: true,
+    },
+    date: {
+      type: String,
+      required: true,
+    },
+    payee: {
+      type: String,
+    },
+    account: namedRefSchema,
+    category: namedRefSchema,
+    destinationAccount: namedRefSchema,
+    // The IDs of the transactions created in Actual, both legs for a transfer
+    ids: {
+      type: [String],
+      default: [],
+    },
+  },
+  { _id: false }
+);
+
+const transactionLogSchema = mongoose.Schema(
+  {
+    chatId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    // The user whose budget the transactions were written to
+    user: {
+      type: mongoose.SchemaTypes.ObjectId,
+      ref: 'User',
+    },
+    // The message that led to the transactions being recorded
+    sourceMessageId: {
+      type: String,
+      required: true,
+    },
+    // The bot's confirmation message, which the user can react or reply to
+    replyMessageId: {
+      type: String,
+      index: true,
+    },
+    transactions: {
+      type: [loggedTransactionSchema],
+      default: [],
+    },
+    undone: {
+      type: Boolean,
+      default: false,
+    },
+    // The Actual transactions already deleted, so that an undo that failed halfway can pick up where it stopped
+    deletedIds: {
+      type: [String],
+      default: [],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+transactionLogSchema.index({ chatId: 1, createdAt: -1 });
+
+// add plugin that converts mongoose to json
+transactionLogSchema.plugin(toJSON);
+
+/**
+ * @typedef TransactionLog
+ */
+const TransactionLog = mongoose.model('TransactionLog', transactionLogSchema);
+
+module.exports = TransactionLog;
@@ -44,6 +44,11 @@ const userSchema = mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Whether the user's linked numbers get a daily message about the categories close to or over budget
+    dailyDigest: {
+      type: Boolean,
+      default: false,
+    },
   },
   {
     timestamps: true,
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { toJSON, paginate } = require('./plugins');
+const { webhookEventStatuses } = require('../config/webhookEvents');
 
 const webhookEventSchema = mongoose.Schema(
   {
@@ -8,6 +10,33 @@ const webhookEventSchema = mongoose.Schema(
       unique: true,
       index: true,
     },
+    // The event as WAHA sent it, so a failed event can be reprocessed
+    event: {
+      type: String,
+    },
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    status: {
+      type: String,
+      enum: Object.values(webhookEventStatuses),
+      default: webhookEventStatuses.RECEIVED,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastError: {
+      type: String,
+    },
+    // A received or processing event counts as in flight until then. After that, it is presumed lost and may be redelivered
+    leaseExpiresAt: {
+      type: Date,
+    },
+    // When handling the event wrote to Actual. An event that was written is never handled again, even if its lease ran out
+    writtenAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
@@ -17,6 +46,13 @@ const webhookEventSchema = mongoose.Schema(
 // TTL index to automatically delete documents after 1 day to keep the collection clean
 webhookEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: 86400 });
 
+// add plugin that converts mongoose to json
+webhookEventSchema.plugin(toJSON);
+webhookEventSchema.plugin(paginate);
+
+/**
+ * @typedef WebhookEvent
+ */
 const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
 
 module.exports = WebhookEvent;
@@ -0,0 +1,231 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { aliasValidation } = require('../../validations');
+const { aliasController } = require('../../controllers');
+
+// Mounted under /users/:userId, so users can manage their own aliases
+const router = express.Router({ mergeParams: true });
+
+router
+  .route('/')
+  .post(auth('manageAliases'), validate(aliasValidation.createAlias), aliasController.createAlias)
+  .get(auth('manageAliases'), validate(aliasValidation.getAliases), aliasController.getAliases);
+
+router
+  .route('/:aliasId')
+  .patch(auth('manageAliases'), validate(aliasValidation.updateAlias), aliasController.updateAlias)
+  .delete(auth('manageAliases'), validate(aliasValidation.deleteAlias), aliasController.deleteAlias);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Aliases
+ *   description: Other names for a user's accounts, categories and payees, used when reading chat messages
+ */
+
+/**
+ * @swagger
+ * /users/{id}/aliases:
+ *   post:
+ *     summary: Create an alias
+ *     description: Logged in users can create only their own aliases. Only admins can create aliases for other users.
+ *     tags: [Aliases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - kind
+ *               - alias
+ *               - target
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [account, category, payee]
+ *               alias:
+ *                 type: string
+ *                 description: The word used in chat, stored in lowercase
+ *               target:
+ *                 type: string
+ *                 description: The name of the account, category or payee in Actual
+ *             example:
+ *               kind: account
+ *               alias: gopay
+ *               target: GoPay Wallet
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Alias'
+ *       "400":
+ *         $ref: '#/components/responses/DuplicateAlias'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *
+ *   get:
+ *     summary: Get the aliases of a user
+ *     description: Logged in users can fetch only their own aliases. Only admins can fetch the aliases of other users.
+ *     tags: [Aliases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [account, category, payee]
+ *         description: Alias kind
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. alias:asc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of aliases
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Alias'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /users/{id}/aliases/{aliasId}:
+ *   patch:
+ *     summary: Update an alias
+ *     tags: [Aliases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: path
+ *         name: aliasId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alias id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               kind:
+ *                 type: string
+ *                 enum: [account, category, payee]
+ *               alias:
+ *                 type: string
+ *               target:
+ *                 type: string
+ *             example:
+ *               target: GoPay
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Alias'
+ *       "400":
+ *         $ref: '#/components/responses/DuplicateAlias'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Delete an alias
+ *     tags: [Aliases]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: path
+ *         name: aliasId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alias id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -0,0 +1,151 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { budgetValidation } = require('../../validations');
+const { budgetController } = require('../../controllers');
+
+// Mounted under /users/:userId, so users can manage their own budget
+const router = express.Router({ mergeParams: true });
+
+router
+  .route('/')
+  .get(auth('manageBudgets'), validate(budgetValidation.getBudget), budgetController.getBudget)
+  .put(auth('manageBudgets'), validate(budgetValidation.setBudget), budgetController.setBudget);
+
+router.route('/test').post(auth('manageBudgets'), validate(budgetValidation.testBudget), budgetController.testBudget);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Budgets
+ *   description: The Actual budget each user records transactions in
+ */
+
+/**
+ * @swagger
+ * /users/{id}/budget:
+ *   get:
+ *     summary: Get the Actual budget of a user
+ *     description: Logged in users can fetch only their own budget. Only admins can fetch the budgets of other users. The password is never returned.
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Budget'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   put:
+ *     summary: Set the Actual budget of a user
+ *     description: Replaces the budget set before. The password is stored encrypted. The server may not be on a private or local address, unless ACTUAL_ALLOWED_HOSTS allows it.
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - serverURL
+ *               - syncId
+ *               - password
+ *             properties:
+ *               serverURL:
+ *                 type: string
+ *                 format: uri
+ *               syncId:
+ *                 type: string
+ *                 description: The sync ID shown in Actual under Settings, Advanced
+ *               password:
+ *                 type: string
+ *                 format: password
+ *             example:
+ *               serverURL: https://actual.example.com
+ *               syncId: 1cfdbb80-6274-49bf-b0c2-737235a4c81f
+ *               password: password1
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/Budget'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /users/{id}/budget/test:
+ *   post:
+ *     summary: Test the connection to the Actual budget of a user
+ *     description: Downloads the budget with the stored settings and counts its accounts.
+ *     tags: [Budgets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 accounts:
+ *                   type: integer
+ *               example:
+ *                 accounts: 4
+ *       "400":
+ *         description: The budget could not be opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: 400
+ *               message: 'Could not open the budget: network failure'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -3,6 +3,8 @@ const authRoute = require('./auth.route');
 const userRoute = require('./user.route');
 const docsRoute = require('./docs.route');
 const webhookRoute = require('./webhook.route');
+const jobRoute = require('./job.route');
+const webhookEventRoute = require('./webhookEvent.route');
 const config = require('../../config/config');
 
 const router = express.Router();
@@ -20,6 +22,14 @@ const defaultRoutes = [
     path: '/webhook',
     route: webhookRoute,
   },
+  {
+    path: '/jobs',
+    route: jobRoute,
+  },
+  {
+    path: '/webhook-events',
+    route: webhookEventRoute,
+  },
 ];
 
 const devRoutes = [
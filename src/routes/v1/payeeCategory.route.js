@@ -0,0 +1,193 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { payeeCategoryValidation } = require('../../validations');
+const { payeeCategoryController } = require('../../controllers');
+
+// Mounted under /users/:userId, so users can manage their own learned categories
+const router = express.Router({ mergeParams: true });
+
+router
+  .route('/')
+  .get(
+    auth('managePayeeCategories'),
+    validate(payeeCategoryValidation.getPayeeCategories),
+    payeeCategoryController.getPayeeCategories
+  );
+
+router
+  .route('/:payeeCategoryId')
+  .patch(
+    auth('managePayeeCategories'),
+    validate(payeeCategoryValidation.updatePayeeCategory),
+    payeeCategoryController.updatePayeeCategory
+  )
+  .delete(
+    auth('managePayeeCategories'),
+    validate(payeeCategoryValidation.deletePayeeCategory),
+    payeeCategoryController.deletePayeeCategory
+  );
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Payee categories
+ *   description: The categories the bot learned for a user's payees from the transactions recorded in chat
+ */
+
+/**
+ * @swagger
+ * /users/{id}/payee-categories:
+ *   get:
+ *     summary: Get the learned categories of a user's payees
+ *     description: Logged in users can fetch only their own. Only admins can fetch those of other users.
+ *     tags: [Payee categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category name
+ *       - in: query
+ *         name: forced
+ *         schema:
+ *           type: boolean
+ *         description: Whether the category was forced
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. timesFiled:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of payees
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PayeeCategory'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /users/{id}/payee-categories/{payeeCategoryId}:
+ *   patch:
+ *     summary: Change the category of a payee
+ *     description: "A category set here is used for the payee straight away. A forced category is always used, and learning never changes it."
+ *     tags: [Payee categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: path
+ *         name: payeeCategoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payee category id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               category:
+ *                 type: string
+ *                 description: The name of the category in Actual
+ *               forced:
+ *                 type: boolean
+ *             example:
+ *               category: Groceries
+ *               forced: true
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/PayeeCategory'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Forget the category of a payee
+ *     tags: [Payee categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: path
+ *         name: payeeCategoryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Payee category id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
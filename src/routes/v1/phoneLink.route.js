@@ -0,0 +1,228 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { phoneLinkValidation } = require('../../validations');
+const { phoneLinkController } = require('../../controllers');
+
+// Mounted under /users/:userId, so users can manage their own links
+const router = express.Router({ mergeParams: true });
+
+router
+  .route('/')
+  .get(auth('managePhoneLinks'), validate(phoneLinkValidation.getPhoneLinks), phoneLinkController.getPhoneLinks);
+
+router
+  .route('/code')
+  .post(auth('managePhoneLinks'), validate(phoneLinkValidation.createLinkCode), phoneLinkController.createLinkCode);
+
+router
+  .route('/:phoneLinkId')
+  .patch(auth('managePhoneLinks'), validate(phoneLinkValidation.updatePhoneLink), phoneLinkController.updatePhoneLink)
+  .delete(auth('managePhoneLinks'), validate(phoneLinkValidation.deletePhoneLink), phoneLinkController.deletePhoneLink);
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Phone links
+ *   description: WhatsApp numbers allowed to use the bot on a user's behalf
+ */
+
+/**
+ * @swagger
+ * /users/{id}/phone-links:
+ *   get:
+ *     summary: Get the WhatsApp numbers linked to a user
+ *     description: Logged in users can fetch only their own links. Only admins can fetch the links of other users.
+ *     tags: [Phone links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. createdAt:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of links
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PhoneLink'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /users/{id}/phone-links/code:
+ *   post:
+ *     summary: Request a link code
+ *     description: Returns a one-time code. Sending it to the bot from WhatsApp links that number to the user.
+ *     tags: [Phone links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, member, helper]
+ *                 default: owner
+ *                 description: What the linked number may do in chat
+ *             example:
+ *               role: helper
+ *     responses:
+ *       "201":
+ *         description: Created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 code:
+ *                   type: string
+ *                 expires:
+ *                   type: string
+ *                   format: date-time
+ *               example:
+ *                 code: "482913"
+ *                 expires: 2020-05-12T16:18:04.793Z
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
+
+/**
+ * @swagger
+ * /users/{id}/phone-links/{phoneLinkId}:
+ *   patch:
+ *     summary: Change what a linked number may do in chat
+ *     description: "Owners can do everything. Members can do everything except change budget settings. Helpers can only record transactions, not transfers."
+ *     tags: [Phone links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: path
+ *         name: phoneLinkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Phone link id
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, member, helper]
+ *             example:
+ *               role: member
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/PhoneLink'
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ *
+ *   delete:
+ *     summary: Unlink a WhatsApp number
+ *     description: Logged in users can unlink only their own numbers. Only admins can unlink the numbers of other users.
+ *     tags: [Phone links]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User id
+ *       - in: path
+ *         name: phoneLinkId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Phone link id
+ *     responses:
+ *       "204":
+ *         description: No content
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
@@ -3,6 +3,10 @@ const auth = require('../../middlewares/auth');
 const validate = require('../../middlewares/validate');
 const userValidation = require('../../validations/user.validation');
 const userController = require('../../controllers/user.controller');
+const phoneLinkRoute = require('./phoneLink.route');
+const budgetRoute = require('./budget.route');
+const aliasRoute = require('./alias.route');
+const payeeCategoryRoute = require('./payeeCategory.route');
 
 const router = express.Router();
 
@@ -17,6 +21,11 @@ router
   .patch(auth('manageUsers'), validate(userValidation.updateUser), userController.updateUser)
   .delete(auth('manageUsers'), validate(userValidation.deleteUser), userController.deleteUser);
 
+router.use('/:userId/phone-links', phoneLinkRoute);
+router.use('/:userId/budget', budgetRoute);
+router.use('/:userId/aliases', aliasRoute);
+router.use('/:userId/payee-categories', payeeCategoryRoute);
+
 module.exports = router;
 
 /**
@@ -207,6 +216,9 @@ module.exports = router;
  *                 format: password
  *                 minLength: 8
  *                 description: At least one number and one letter
+ *               dailyDigest:
+ *                 type: boolean
+ *                 description: Whether the user's linked numbers get a daily digest of the categories close to or over budget
  *             example:
  *               name: fake name
  *               email: fake@example.com
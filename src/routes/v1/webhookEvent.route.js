@@ -0,0 +1,142 @@
+const express = require('express');
+const auth = require('../../middlewares/auth');
+const validate = require('../../middlewares/validate');
+const { webhookEventValidation } = require('../../validations');
+const { webhookEventController } = require('../../controllers');
+
+const router = express.Router();
+
+router
+  .route('/')
+  .get(
+    auth('manageWebhookEvents'),
+    validate(webhookEventValidation.getWebhookEvents),
+    webhookEventController.getWebhookEvents
+  );
+
+router
+  .route('/:webhookEventId/reprocess')
+  .post(
+    auth('manageWebhookEvents'),
+    validate(webhookEventValidation.reprocessWebhookEvent),
+    webhookEventController.reprocessWebhookEvent
+  );
+
+module.exports = router;
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhook events
+ *   description: Processing status of incoming WAHA events
+ */
+
+/**
+ * @swagger
+ * /webhook-events:
+ *   get:
+ *     summary: Get webhook events
+ *     description: Only admins can list webhook events. Filter by status=failed to find messages that could not be handled.
+ *     tags: [Webhook events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *         description: WAHA event name (ex. message)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [received, processing, succeeded, failed]
+ *         description: Processing status
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *         description: sort by query in the form of field:desc/asc (ex. createdAt:desc)
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         default: 10
+ *         description: Maximum number of webhook events
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookEvent'
+ *                 page:
+ *                   type: integer
+ *                   example: 1
+ *                 limit:
+ *                   type: integer
+ *                   example: 10
+ *                 totalPages:
+ *                   type: integer
+ *                   example: 1
+ *                 totalResults:
+ *                   type: integer
+ *                   example: 1
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ */
+
+/**
+ * @swagger
+ * /webhook-events/{id}/reprocess:
+ *   post:
+ *     summary: Reprocess a failed webhook event
+ *     description: Queues a failed event again. Only admins can reprocess webhook events.
+ *     tags: [Webhook events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook event id
+ *     responses:
+ *       "200":
+ *         description: OK
+ *         content:
+ *           application/json:
+ *             schema:
+ *                $ref: '#/components/schemas/WebhookEvent'
+ *       "400":
+ *         description: The event has not failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *             example:
+ *               code: 400
+ *               message: Only failed webhook events can be reprocessed
+ *       "401":
+ *         $ref: '#/components/responses/Unauthorized'
+ *       "403":
+ *         $ref: '#/components/responses/Forbidden'
+ *       "404":
+ *         $ref: '#/components/responses/NotFound'
+ */
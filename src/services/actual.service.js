@@ -1,10 +1,26 @@
+const fs = require('fs');
+const path = require('path');
 const actual = require('@actual-app/api');
 const httpStatus = require('http-status');
+const { Budget } = require('../models');
 const config = require('../config/config');
 const logger = require('../config/logger');
 const ApiError = require('../utils/ApiError');
+const { decrypt } = require('../utils/encryption');
+const { checkServerURL } = require('../utils/network');
+const runSequentially = require('../utils/runSequentially');
 
-let isInitialized = false;
+// @actual-app/api holds a single budget per process, so budgets take turns: every call goes
+// through `enqueue`, opens the budget it needs (closing whichever one was open before) and
+// leaves it open for the next call. A budget that goes unused for a while is closed, and one
+// whose sync fails is closed so that the next call reopens it.
+let openBudget = null;
+let queue = Promise.resolve();
+let timer = null;
+// Budget months read since the last sync, by budget key and month. A sync is the only way they change
+const budgetMonthCache = new Map();
+
+const DEFAULT_BUDGET_KEY = 'default';
 
 /**
  * @typedef {object} Transaction
@@ -43,158 +59,623 @@ let isInitialized = false;
  */
 
 /**
- * Initializes the connection to the Actual Budget server.
- * This must be called before any other methods.
+ * @typedef {object} BudgetSettings
+ * @property {string} key - Identifies the budget, the user ID or 'default'.
+ * @property {string} serverURL - The URL of the Actual server.
+ * @property {string} password - The Actual server password.
+ * @property {string} syncId - The sync ID of the budget.
+ */
+
+/**
+ * Runs an operation once every operation queued before it has finished.
+ * @param {Function} operation
+ * @returns {Promise<*>} The result of the operation.
+ */
+const enqueue = (operation) => {
+  const result = queue.then(operation);
+  queue = result.catch(() => {});
+  return result;
+};
+
+/**
+ * Gets the budget a user writes into: their own, or the budget from the environment for the one user it is configured for.
+ * Anyone can register and link a number, so no other user may fall back to the operator's budget.
+ * @param {string} [userId] - Transactions logged before budgets were per user have no user, and no budget.
+ * @returns {Promise<BudgetSettings>}
+ */
+const getBudgetSettings = async (userId) => {
+  const budget = userId ? await Budget.findOne({ user: userId }) : null;
+  if (budget) {
+    return {
+      key: budget.user.toString(),
+      serverURL: budget.serverURL,
+      password: decrypt(budget.encryptedPassword),
+      syncId: budget.syncId,
+    };
+  }
+  if (userId && String(userId) === config.actual.defaultUserId && config.actual.serverURL && config.actual.syncId) {
+    return {
+      key: DEFAULT_BUDGET_KEY,
+      serverURL: config.actual.serverURL,
+      password: config.actual.password,
+      syncId: config.actual.syncId,
+    };
+  }
+  throw new ApiError(httpStatus.NOT_FOUND, 'No Actual budget is set up for this account yet');
+};
+
+/**
+ * Closes the open budget, if any. Closing syncs any local changes first.
  * @returns {Promise<void>}
  */
-const init = async () => {
-  if (isInitialized) {
+const closeBudget = async () => {
+  if (!openBudget) {
     return;
   }
+  const { key } = openBudget;
+  openBudget = null;
   try {
-    logger.info('Initializing connection to Actual Budget server...');
-    await actual.init({
-      dataDir: config.actual.dataDir,
-      serverURL: config.actual.serverURL,
-      password: config.actual.password,
-    });
+    await actual.shutdown();
+    logger.info(`Closed Actual budget ${key}`);
+  } catch (error) {
+    logger.warn(`Error while closing Actual budget ${key}: ${error.message}`);
+  }
+};
 
-    await actual.downloadBudget(config.actual.syncId);
+/**
+ * Connects to an Actual server and downloads a budget into its own data directory.
+ * @param {BudgetSettings} settings
+ * @returns {Promise<void>}
+ */
+const downloadBudget = async ({ key, serverURL, password, syncId }) => {
+  if (key !== DEFAULT_BUDGET_KEY) {
+    // Checked again on every connection, since the host may resolve to another address than when it was set
+    const refusal = await checkServerURL(serverURL, config.actual.allowedHosts);
+    if (refusal) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `The Actual server can't be used: ${refusal}`);
+    }
+  }
+  const dataDir = path.join(config.actual.dataDir, key);
+  // The path is built from the configured directory and a user ID, never from user input
+  // eslint-disable-next-line security/detect-non-literal-fs-filename
+  await fs.promises.mkdir(dataDir, { recursive: true });
+  await actual.init({ dataDir, serverURL, password });
+  await actual.downloadBudget(syncId);
+};
 
-    isInitialized = true;
-    logger.info('Successfully connected to Actual Budget server.');
+/**
+ * Makes the given budget the open one, unless it already is.
+ * @param {BudgetSettings} settings
+ * @returns {Promise<void>}
+ */
+const useBudget = async (settings) => {
+  if (openBudget && openBudget.key === settings.key) {
+    openBudget.lastUsedAt = Date.now();
+    return;
+  }
+  await closeBudget();
+  try {
+    logger.info(`Opening Actual budget ${settings.key}...`);
+    budgetMonthCache.clear();
+    await downloadBudget(settings);
+    openBudget = { key: settings.key, lastUsedAt: Date.now() };
+    logger.info(`Opened Actual budget ${settings.key}.`);
   } catch (error) {
+    await actual.shutdown().catch(() => {});
     throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Actual API Init Error: ${error.message}`);
   }
 };
 
+/**
+ * Syncs local changes with the server and pulls in changes made elsewhere.
+ * A failed sync closes the budget, and the changes are synced again once it is reopened.
+ * @returns {Promise<void>}
+ */
+const syncBudget = async () => {
+  budgetMonthCache.clear();
+  try {
+    await actual.sync();
+  } catch (error) {
+    logger.warn(`Actual Budget sync failed, reconnecting: ${error.message}`);
+    await closeBudget();
+  }
+};
+
+/**
+ * Queues an operation against a user's budget, opening it first if needed.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} name - The operation name, used in error messages.
+ * @param {Function} operation
+ * @param {object} [options]
+ * @param {boolean} [options.sync] - Whether the operation changes the budget and should be synced right away.
+ * @returns {Promise<*>} The result of the operation.
+ */
+const run = (userId, name, operation, { sync = false } = {}) =>
+  enqueue(async () => {
+    await useBudget(await getBudgetSettings(userId));
+    let result;
+    try {
+      result = await operation();
+    } catch (error) {
+      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Actual API Error (${name}): ${error.message}`);
+    }
+    if (sync) {
+      await syncBudget();
+    }
+    return result;
+  });
+
+/**
+ * Syncs the open budget, or closes it if it has been idle for too long.
+ * @returns {Promise<void>}
+ */
+const maintainOpenBudget = async () => {
+  if (!openBudget) {
+    return;
+  }
+  if (Date.now() - openBudget.lastUsedAt > config.actual.idleMinutes * 60 * 1000) {
+    await closeBudget();
+    return;
+  }
+  await syncBudget();
+};
+
+/**
+ * Starts syncing the open budget periodically and closing it when idle.
+ * Budgets themselves are opened on first use. Called once at startup.
+ * @returns {Promise<void>}
+ */
+const init = async () => {
+  if (timer) {
+    return;
+  }
+  timer = setInterval(() => {
+    enqueue(maintainOpenBudget).catch((error) => logger.warn(error.message));
+  }, config.actual.syncIntervalSeconds * 1000);
+  timer.unref();
+};
+
+/**
+ * Checks that a budget can be downloaded with the given settings, without keeping it open.
+ * @param {object} settings
+ * @param {string} settings.serverURL
+ * @param {string} settings.password
+ * @param {string} settings.syncId
+ * @returns {Promise<{ accounts: number }>} How many accounts the budget has.
+ */
+const testConnection = async ({ serverURL, password, syncId }) =>
+  enqueue(async () => {
+    await closeBudget();
+    try {
+      await downloadBudget({ key: 'connection-test', serverURL, password, syncId });
+      const accounts = await actual.getAccounts();
+      return { accounts: accounts.length };
+    } catch (error) {
+      throw new ApiError(httpStatus.BAD_REQUEST, `Could not open the budget: ${error.message}`);
+    } finally {
+      await actual.shutdown().catch(() => {});
+    }
+  });
+
+/**
+ * Closes a user's budget if it is open, e.g. because its settings changed.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+const closeUserBudget = async (userId) =>
+  enqueue(async () => {
+    if (openBudget && openBudget.key === userId.toString()) {
+      await closeBudget();
+    }
+  });
+
 /**
  * Adds transactions to a specified account in Actual.
+ * @param {string} userId - The user whose budget to use.
  * @param {string} accountId - The ID of the account to add the transaction to.
  * @param {Transaction[]} transactions - An array of transaction objects.
  * @returns {Promise<string[]>} The IDs of the added transactions.
  */
-const addTransactions = async (accountId, transactions, runTransfers = false) => {
-  if (!isInitialized) {
-    await init();
-  }
+const addTransactions = async (userId, accountId, transactions, runTransfers = false) => {
+  return run(
+    userId,
+    'addTransactions',
+    async () => {
+      logger.info(`Adding ${transactions.length} transaction(s) to account ${accountId}`);
+      const transactionIds = await actual.addTransactions(accountId, transactions, runTransfers);
+      return transactionIds;
+    },
+    { sync: true }
+  );
+};
 
-  try {
-    logger.info(`Adding ${transactions.length} transaction(s) to account ${accountId}`);
-    const transactionIds = await actual.addTransactions(accountId, transactions, runTransfers);
-    return transactionIds;
-  } catch (error) {
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Actual API Error (addTransactions): ${error.message}`);
-  }
+/**
+ * Updates fields of an existing transaction.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} transactionId - The ID of the transaction to update.
+ * @param {Partial<Transaction>} fields - The fields to change, e.g. `{ amount: -7500000, category: 'cat-id' }`.
+ * @returns {Promise<void>}
+ */
+const updateTransaction = async (userId, transactionId, fields) => {
+  return run(
+    userId,
+    'updateTransaction',
+    async () => {
+      logger.info(`Updating transaction ${transactionId}: ${Object.keys(fields).join(', ')}`);
+      await actual.updateTransaction(transactionId, fields);
+    },
+    { sync: true }
+  );
+};
+
+/**
+ * Deletes a transaction.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} transactionId - The ID of the transaction to delete.
+ * @returns {Promise<void>}
+ */
+const deleteTransaction = async (userId, transactionId) => {
+  return run(
+    userId,
+    'deleteTransaction',
+    async () => {
+      logger.info(`Deleting transaction ${transactionId}`);
+      await actual.deleteTransaction(transactionId);
+    },
+    { sync: true }
+  );
 };
 
 /**
  * Gets the budget for a specific month.
+ * The result is cached until the budget is next synced, since alerts read it after every expense.
+ * @param {string} userId - The user whose budget to use.
  * @param {string} date - The month to get the budget for, in YYYY-MM format.
  * @returns {Promise<object>} The budget data for the specified month.
  */
-const getBudgetMonth = async (date) => {
-  if (!isInitialized) {
-    await init();
-  }
+const getBudgetMonth = async (userId, date) => {
+  return run(userId, 'getBudgetMonth', async () => {
+    const cacheKey = `${openBudget.key}:${date}`;
+    if (!budgetMonthCache.has(cacheKey)) {
+      logger.info(`Getting budget for month: ${date}`);
+      budgetMonthCache.set(cacheKey, await actual.getBudgetMonth(date));
+    }
+    return budgetMonthCache.get(cacheKey);
+  });
+};
 
-  try {
-    logger.info(`Getting budget for month: ${date}`);
-    const budgetMonth = await actual.getBudgetMonth(date);
-    return budgetMonth;
-  } catch (error) {
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Actual API Error (getBudgetMonth): ${error.message}`);
-  }
+/**
+ * Sets how much is budgeted for categories in a month, syncing once for all of them.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} month - The month in YYYY-MM format.
+ * @param {{ categoryId: string, amount: number }[]} amounts - The new budgeted amount of each category, in cents.
+ * @returns {Promise<void>}
+ */
+const setBudgetAmounts = async (userId, month, amounts) => {
+  return run(
+    userId,
+    'setBudgetAmounts',
+    async () => {
+      await runSequentially(amounts, ({ categoryId, amount }) => {
+        logger.info(`Setting budget for category ${categoryId} in ${month} to ${amount}`);
+        return actual.setBudgetAmount(month, categoryId, amount);
+      });
+    },
+    { sync: true }
+  );
+};
+
+/**
+ * Sets whether a category carries an overspent balance over to the next month.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} month - The month in YYYY-MM format.
+ * @param {string} categoryId - The ID of the category.
+ * @param {boolean} flag - Whether to carry the balance over.
+ * @returns {Promise<void>}
+ */
+const setBudgetCarryover = async (userId, month, categoryId, flag) => {
+  return run(
+    userId,
+    'setBudgetCarryover',
+    async () => {
+      logger.info(`Setting carryover for category ${categoryId} in ${month} to ${flag}`);
+      await actual.setBudgetCarryover(month, categoryId, flag);
+    },
+    { sync: true }
+  );
+};
+
+/**
+ * Holds money that is left to budget in a month for the next month, replacing any earlier hold.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} month - The month in YYYY-MM format.
+ * @param {number} amount - The amount to hold in cents. 0 releases the hold.
+ * @returns {Promise<void>}
+ */
+const holdBudgetForNextMonth = async (userId, month, amount) => {
+  return run(
+    userId,
+    'holdBudgetForNextMonth',
+    async () => {
+      logger.info(`Holding ${amount} for the month after ${month}`);
+      await actual.resetBudgetHold(month);
+      if (amount > 0) {
+        await actual.holdBudgetForNextMonth(month, amount);
+      }
+    },
+    { sync: true }
+  );
 };
 
 /**
  * Gets all accounts.
+ * @param {string} userId - The user whose budget to use.
  * @returns {Promise<Account[]>} A list of all accounts.
  */
-const getAccounts = async () => {
-  if (!isInitialized) {
-    await init();
-  }
-
-  try {
+const getAccounts = async (userId) => {
+  return run(userId, 'getAccounts', async () => {
     logger.info('Getting all accounts...');
     const accounts = await actual.getAccounts();
     return accounts;
-  } catch (error) {
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Actual API Error (getAccounts): ${error.message}`);
-  }
+  });
 };
 
 /**
  * Gets all categories.
+ * @param {string} userId - The user whose budget to use.
  * @returns {Promise<Category[]>} A list of all categories.
  */
-const getCategories = async () => {
-  if (!isInitialized) {
-    await init();
-  }
-
-  try {
+const getCategories = async (userId) => {
+  return run(userId, 'getCategories', async () => {
     logger.info('Getting all categories...');
     const categories = await actual.getCategories();
     return categories;
-  } catch (error) {
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Actual API Error (getCategories): ${error.message}`);
-  }
+  });
 };
 
 /**
  * Gets all payees.
+ * @param {string} userId - The user whose budget to use.
  * @returns {Promise<Payee[]>} A list of all payees.
  */
-const getPayees = async () => {
-  if (!isInitialized) {
-    await init();
-  }
-
-  try {
+const getPayees = async (userId) => {
+  return run(userId, 'getPayees', async () => {
     logger.info('Getting all payees...');
     const payees = await actual.getPayees();
     return payees;
-  } catch (error) {
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Actual API Error (getPayees): ${error.message}`);
-  }
+  });
+};
+
+/**
+ * Creates a payee.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} name - The name of the payee.
+ * @returns {Promise<string>} The ID of the new payee.
+ */
+const createPayee = async (userId, name) => {
+  return run(
+    userId,
+    'createPayee',
+    async () => {
+      logger.info(`Creating payee: ${name}`);
+      const payeeId = await actual.createPayee({ name });
+      return payeeId;
+    },
+    { sync: true }
+  );
 };
 
 /**
  * Gets the balance for a single account.
+ * @param {string} userId - The user whose budget to use.
  * @param {string} accountId - The ID of the account.
  * @returns {Promise<number>} The balance of the account in cents.
  */
-const getAccountBalance = async (accountId) => {
-  if (!isInitialized) {
-    await init();
-  }
-
-  try {
+const getAccountBalance = async (userId, accountId) => {
+  return run(userId, 'getAccountBalance', async () => {
     logger.info(`Getting balance for account: ${accountId}`);
     const balance = await actual.getAccountBalance(accountId);
     return balance;
-  } catch (error) {
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Actual API Error (getAccountBalance): ${error.message}`);
+  });
+};
+
+/**
+ * Adds up the amounts of transactions, counting a split transaction once rather than part by part.
+ * @param {Transaction[]} transactions - As `getTransactions` of the API returns them.
+ * @returns {number} The total in cents.
+ */
+const sumTransactions = (transactions) => transactions.reduce((total, { amount }) => total + amount, 0);
+
+/**
+ * Gets the balance of an account at the end of a day, from the transactions a reconciliation on that day covers.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} accountId - The ID of the account.
+ * @param {string} date - The day, in YYYY-MM-DD format.
+ * @returns {Promise<number>} The balance in cents.
+ */
+const getReconcilableBalance = async (userId, accountId, date) => {
+  return run(userId, 'getReconcilableBalance', async () => {
+    logger.info(`Getting the balance of account ${accountId} on ${date}`);
+    const transactions = await actual.getTransactions(accountId, '1970-01-01', date);
+    return sumTransactions(transactions);
+  });
+};
+
+/**
+ * Gets the transactions of every account between two dates.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} startDate - The first day, in YYYY-MM-DD format.
+ * @param {string} endDate - The last day, in YYYY-MM-DD format.
+ * @returns {Promise<Transaction[]>} The transactions, with split transactions as a parent holding its `subtransactions`.
+ */
+const getTransactions = async (userId, startDate, endDate) => {
+  return run(userId, 'getTransactions', async () => {
+    logger.info(`Getting transactions from ${startDate} to ${endDate}`);
+    const accounts = await actual.getAccounts();
+    // The API reads one account at a time
+    const transactions = await runSequentially(accounts, (account) =>
+      actual.getTransactions(account.id, startDate, endDate)
+    );
+    return transactions.flat();
+  });
+};
+
+/**
+ * @typedef {object} TransactionFilters
+ * @property {string} [accountId]
+ * @property {string} [categoryId]
+ * @property {string} [payeeId]
+ * @property {string} [notes] - Text the notes contain.
+ * @property {number} [minAmount] - The smallest amount in cents.
+ * @property {number} [maxAmount] - The largest amount in cents.
+ * @property {boolean} [income] - Whether the amount range is on money in rather than money out.
+ * @property {string} [startDate] - The first day, in YYYY-MM-DD format.
+ * @property {string} [endDate] - The last day, in YYYY-MM-DD format.
+ */
+
+/**
+ * Builds the AQL filter for `queryTransactions`.
+ * @param {TransactionFilters} filters
+ * @returns {object}
+ */
+const buildTransactionFilter = ({
+  accountId,
+  categoryId,
+  payeeId,
+  notes,
+  minAmount,
+  maxAmount,
+  income,
+  startDate,
+  endDate,
+}) => {
+  const conditions = [];
+  if (accountId) {
+    conditions.push({ account: accountId });
+  }
+  if (categoryId) {
+    conditions.push({ category: categoryId });
+  }
+  if (payeeId) {
+    conditions.push({ payee: payeeId });
+  }
+  if (notes) {
+    conditions.push({ notes: { $like: `%${notes}%` } });
   }
+  if (startDate) {
+    conditions.push({ date: { $gte: startDate } });
+  }
+  if (endDate) {
+    conditions.push({ date: { $lte: endDate } });
+  }
+  if (minAmount || maxAmount) {
+    // Money out is negative, so "above 500rb" means at most -500rb unless income is asked for
+    if (income) {
+      conditions.push({ amount: maxAmount ? { $gte: minAmount || 0, $lte: maxAmount } : { $gte: minAmount || 0 } });
+    } else {
+      conditions.push({ amount: maxAmount ? { $lte: -(minAmount || 0), $gte: -maxAmount } : { $lte: -(minAmount || 0) } });
+    }
+  }
+  return conditions.length ? { $and: conditions } : {};
 };
+
 /**
- * Shuts down the connection to the Actual Budget server.
+ * Finds the transactions that match every filter given, newest first.
+ * Split transactions are matched and returned part by part.
+ * @param {string} userId - The user whose budget to use.
+ * @param {TransactionFilters} filters
+ * @param {object} [page]
+ * @param {number} [page.offset] - How many matching transactions to skip.
+ * @param {number} [page.limit] - How many transactions to return at most.
+ * @returns {Promise<Transaction[]>}
+ */
+const queryTransactions = async (userId, filters, { offset = 0, limit } = {}) => {
+  return run(userId, 'queryTransactions', async () => {
+    logger.info(`Querying transactions: ${JSON.stringify(filters)}`);
+    let query = actual
+      .q('transactions')
+      .filter(buildTransactionFilter(filters))
+      .select('*')
+      .options({ splits: 'inline' })
+      .orderBy([{ date: 'desc' }, { sort_order: 'desc' }])
+      .offset(offset);
+    if (limit) {
+      query = query.limit(limit);
+    }
+    const { data } = await actual.aqlQuery(query);
+    return data;
+  });
+};
+
+/**
+ * Reconciles an account: adds the adjustment that brings it to the bank's balance, if one is needed,
+ * then marks its transactions up to the day as cleared and reconciled. Transactions recorded from chat
+ * are not cleared, but the bank's balance includes them, so they are reconciled along with the cleared ones.
+ * Nothing is changed if the balance is no longer the one the adjustment was worked out from.
+ * @param {string} userId - The user whose budget to use.
+ * @param {string} accountId - The ID of the account.
+ * @param {string} date - The day reconciled, in YYYY-MM-DD format. Later transactions are left as they are.
+ * @param {object} reconciliation
+ * @param {number} reconciliation.expected - The balance on the day the adjustment was worked out from, in cents.
+ * @param {Transaction|null} reconciliation.adjustment - A cleared transaction for the difference, or null if the balance matches.
+ * @returns {Promise<number|null>} How many transactions were marked as reconciled, the adjustment included, or null if the balance changed.
+ */
+const reconcileAccount = async (userId, accountId, date, { expected, adjustment }) => {
+  return run(
+    userId,
+    'reconcileAccount',
+    async () => {
+      const current = sumTransactions(await actual.getTransactions(accountId, '1970-01-01', date));
+      if (current !== expected) {
+        logger.warn(`Account ${accountId} is at ${current} rather than ${expected}, not reconciling`);
+        return null;
+      }
+      if (adjustment) {
+        logger.info(`Adding a reconciliation adjustment of ${adjustment.amount} to account ${accountId}`);
+        await actual.addTransactions(accountId, [adjustment]);
+      }
+      const transactions = await actual.getTransactions(accountId, '1970-01-01', date);
+      const unreconciled = transactions.filter(({ reconciled }) => !reconciled);
+      logger.info(`Marking ${unreconciled.length} transaction(s) in account ${accountId} as reconciled`);
+      await runSequentially(unreconciled, (transaction) =>
+        actual.updateTransaction(transaction.id, { cleared: true, reconciled: true })
+      );
+      return unreconciled.length;
+    },
+    { sync: true }
+  );
+};
+
+/**
+ * Stops the periodic sync and closes the open budget once queued operations have finished.
+ * Called once from the exit handler.
+ * @returns {Promise<void>}
  */
 const shutdown = async () => {
-  await actual.shutdown();
-  isInitialized = false;
-  logger.info('Connection to Actual Budget server shut down.');
+  clearInterval(timer);
+  timer = null;
+  await enqueue(closeBudget);
 };
 
 module.exports = {
   init,
+  testConnection,
+  closeUserBudget,
   addTransactions,
+  updateTransaction,
+  deleteTransaction,
   getBudgetMonth,
+  setBudgetAmounts,
+  setBudgetCarryover,
+  holdBudgetForNextMonth,
   getAccounts,
   getAccountBalance,
+  getReconcilableBalance,
+  getTransactions,
+  queryTransactions,
+  reconcileAccount,
   getCategories,
   getPayees,
+  createPayee,
   shutdown,
 };
@@ -0,0 +1,125 @@
+const httpStatus = require('http-status');
+const { Alias } = require('../models');
+const ApiError = require('../utils/ApiError');
+const { aliasKinds } = require('../config/aliases');
+
+const aliasCommandPrefix = /^alias\s+/i;
+
+/**
+ * Recognize a chat command such as "alias gopay = GoPay Wallet"
+ * @param {string} text
+ * @returns {{ alias: string, target: string }|null}
+ */
+const parseAliasCommand = (text) => {
+  const trimmed = (text || '').trim();
+  if (!aliasCommandPrefix.test(trimmed)) {
+    return null;
+  }
+  const [alias, target, ...rest] = trimmed.replace(aliasCommandPrefix, '').split('=');
+  if (rest.length || !target || !alias.trim() || !target.trim()) {
+    return null;
+  }
+  return { alias: alias.trim().toLowerCase(), target: target.trim() };
+};
+
+/**
+ * Create an alias
+ * @param {ObjectId} userId
+ * @param {Object} aliasBody - The `kind`, `alias` and `target`
+ * @returns {Promise<Alias>}
+ */
+const createAlias = async (userId, aliasBody) => {
+  if (await Alias.isAliasTaken(userId, aliasBody.kind, aliasBody.alias)) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Alias already taken');
+  }
+  return Alias.create({ ...aliasBody, user: userId });
+};
+
+/**
+ * Create an alias, or point an existing one at another target
+ * @param {ObjectId} userId
+ * @param {Object} aliasBody - The `kind`, `alias` and `target`
+ * @returns {Promise<Alias>}
+ */
+const setAlias = async (userId, { kind, alias, target }) => {
+  return Alias.findOneAndUpdate(
+    { user: userId, kind, alias: alias.trim().toLowerCase() },
+    { target },
+    { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+  );
+};
+
+/**
+ * Query for aliases
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryAliases = async (filter, options) => {
+  const aliases = await Alias.paginate(filter, options);
+  return aliases;
+};
+
+/**
+ * Get every alias of a user, grouped by kind
+ * Logs from before budgets were per user have no user, and so no aliases
+ * @param {ObjectId} [userId]
+ * @returns {Promise<{ account: Alias[], category: Alias[], payee: Alias[] }>}
+ */
+const getAliasesByKind = async (userId) => {
+  const aliases = userId ? await Alias.find({ user: userId }) : [];
+  return Object.values(aliasKinds).reduce(
+    (grouped, kind) => ({ ...grouped, [kind]: aliases.filter((alias) => alias.kind === kind) }),
+    {}
+  );
+};
+
+/**
+ * Update an alias
+ * @param {ObjectId} userId
+ * @param {ObjectId} aliasId
+ * @param {Object} updateBody
+ * @returns {Promise<Alias>}
+ */
+const updateAlias = async (userId, aliasId, updateBody) => {
+  const alias = await Alias.findOne({ _id: aliasId, user: userId });
+  if (!alias) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Alias not found');
+  }
+  const kind = updateBody.kind || alias.kind;
+  const name = updateBody.alias || alias.alias;
+  if ((updateBody.kind || updateBody.alias) && (await Alias.isAliasTaken(userId, kind, name, aliasId))) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Alias already taken');
+  }
+  Object.assign(alias, updateBody);
+  await alias.save();
+  return alias;
+};
+
+/**
+ * Delete an alias
+ * @param {ObjectId} userId
+ * @param {ObjectId} aliasId
+ * @returns {Promise<Alias>}
+ */
+const deleteAlias = async (userId, aliasId) => {
+  const alias = await Alias.findOne({ _id: aliasId, user: userId });
+  if (!alias) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Alias not found');
+  }
+  await alias.remove();
+  return alias;
+};
+
+module.exports = {
+  parseAliasCommand,
+  createAlias,
+  setAlias,
+  queryAliases,
+  getAliasesByKind,
+  updateAlias,
+  deleteAlias,
+};
@@ -0,0 +1,64 @@
+const httpStatus = require('http-status');
+const { Budget } = require('../models');
+const actualService = require('./actual.service');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { encrypt, decrypt } = require('../utils/encryption');
+const { checkServerURL } = require('../utils/network');
+
+/**
+ * Get the Actual budget settings of a user
+ * @param {ObjectId} userId
+ * @returns {Promise<Budget|null>}
+ */
+const getBudgetByUserId = async (userId) => {
+  return Budget.findOne({ user: userId });
+};
+
+/**
+ * Set the Actual budget of a user, replacing any budget set before
+ * The server may not be private or local, unless it is allowed in the config, so that users can't reach into the bot's network
+ * @param {ObjectId} userId
+ * @param {Object} settings
+ * @param {string} settings.serverURL
+ * @param {string} settings.syncId
+ * @param {string} settings.password
+ * @returns {Promise<Budget>}
+ */
+const setBudget = async (userId, { serverURL, syncId, password }) => {
+  const refusal = await checkServerURL(serverURL, config.actual.allowedHosts);
+  if (refusal) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `The server URL can't be used: ${refusal}`);
+  }
+  const budget = await Budget.findOneAndUpdate(
+    { user: userId },
+    { serverURL, syncId, encryptedPassword: encrypt(password) },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+  // The budget that is open may be the old one
+  await actualService.closeUserBudget(userId);
+  return budget;
+};
+
+/**
+ * Check that the Actual budget of a user can be opened
+ * @param {ObjectId} userId
+ * @returns {Promise<{ accounts: number }>}
+ */
+const testBudget = async (userId) => {
+  const budget = await getBudgetByUserId(userId);
+  if (!budget) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Budget not found');
+  }
+  return actualService.testConnection({
+    serverURL: budget.serverURL,
+    syncId: budget.syncId,
+    password: decrypt(budget.encryptedPassword),
+  });
+};
+
+module.exports = {
+  getBudgetByUserId,
+  setBudget,
+  testBudget,
+};
@@ -0,0 +1,186 @@
+const moment = require('moment');
+const actualService = require('./actual.service');
+const jobService = require('./job.service');
+const wahaService = require('./waha.service');
+const { User, PhoneLink } = require('../models');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { jobTypes } = require('../config/jobs');
+const { chatRoleRights } = require('../config/roles');
+const formatIDR = require('../utils/formatIDR');
+const { getToday, getNextTimeOfDay } = require('../utils/date');
+const { toRupiah } = require('../utils/money');
+const runSequentially = require('../utils/runSequentially');
+
+const digestCommand = /^(digest|ringkasan) (on|off)$/i;
+
+/**
+ * Get the expense categories of a budget month
+ * @param {Object} budgetMonth - From `actualService.getBudgetMonth`
+ * @returns {Object[]}
+ */
+const getExpenseCategories = (budgetMonth) =>
+  budgetMonth.categoryGroups.filter((group) => !group.is_income).flatMap((group) => group.categories);
+
+/**
+ * Get how much of a category's budget is spent
+ * @param {Object} category - A category of a budget month
+ * @param {number} [uncharged] - Minor units to leave out of what was spent
+ * @returns {number|null} The percentage, or null if nothing is budgeted
+ */
+const getSpentPercent = ({ budgeted, spent }, uncharged = 0) =>
+  budgeted > 0 ? ((-spent - uncharged) / budgeted) * 100 : null;
+
+/**
+ * Describe how a category stands, e.g. 'Food has used 85% of its budget, Rp 150.000,00 left'
+ * @param {Object} category - A category of a budget month
+ * @returns {string}
+ */
+const describeCategory = (category) => {
+  if (category.balance < 0) {
+    return `${category.name} is over budget by ${formatIDR(toRupiah(-category.balance))}`;
+  }
+  return `${category.name} has used ${Math.floor(getSpentPercent(category))}% of its budget, ${formatIDR(
+    toRupiah(category.balance)
+  )} left`;
+};
+
+/**
+ * Warn about a category that an expense just pushed past a threshold or over budget
+ * @param {Object} category - The category of the budget month, after the expense
+ * @param {number} charged - What the expense added to the category's spending, in minor units
+ * @returns {string|null}
+ */
+const checkCategory = (category, charged) => {
+  if (category.balance < 0) {
+    return `🚨 ${describeCategory(category)}`;
+  }
+  const before = getSpentPercent(category, charged);
+  const after = getSpentPercent(category);
+  const passed =
+    after !== null && config.budgetAlerts.thresholds.some((threshold) => before < threshold && after >= threshold);
+  return passed ? `⚠️ ${describeCategory(category)}` : null;
+};
+
+/**
+ * Check the budget of the categories recorded expenses were filed under
+ * @param {string} userId - The user whose budget to check
+ * @param {Object[]} recorded - Entries from `transactionService.writeTransactions`
+ * @returns {Promise<string[]>} A warning for each category that passed a threshold or is over budget
+ */
+const getBudgetAlerts = async (userId, recorded) => {
+  const currentMonth = getToday(config.timezone).slice(0, 7);
+  // What the expenses added to each category in each month, so that a threshold is reported only when it is passed
+  const charges = new Map();
+  recorded
+    .filter(({ category, legs }) => category && legs[0].transaction.amount < 0)
+    .forEach(({ category, date, legs }) => {
+      const month = date.slice(0, 7);
+      const key = `${month}:${category.id}`;
+      const charge = charges.get(key) || { month, categoryId: category.id, amount: 0 };
+      charge.amount -= legs[0].transaction.amount;
+      charges.set(key, charge);
+    });
+
+  const months = [...new Set([...charges.values()].map(({ month }) => month))];
+  const budgetMonths = new Map(
+    await Promise.all(months.map(async (month) => [month, await actualService.getBudgetMonth(userId, month)]))
+  );
+  return [...charges.values()]
+    .map(({ month, categoryId, amount }) => {
+      const category = getExpenseCategories(budgetMonths.get(month)).find(({ id }) => id === categoryId);
+      const alert = category && checkCategory(category, amount);
+      return alert && month !== currentMonth ? `${alert} in ${moment.utc(month, 'YYYY-MM').format('MMMM YYYY')}` : alert;
+    })
+    .filter(Boolean);
+};
+
+/**
+ * Build the digest of the categories in a budget month that are close to or over budget
+ * @param {Object} budgetMonth - From `actualService.getBudgetMonth`
+ * @returns {string|null} Null if every category is comfortably within budget
+ */
+const buildBudgetDigest = (budgetMonth) => {
+  const [lowestThreshold] = config.budgetAlerts.thresholds;
+  const atRisk = getExpenseCategories(budgetMonth)
+    .filter((category) => category.balance < 0 || getSpentPercent(category) >= lowestThreshold)
+    .sort((a, b) => a.balance - b.balance);
+  if (!atRisk.length) {
+    return null;
+  }
+  return [
+    '*📊 Daily budget digest*',
+    ...atRisk.map((category) => `${category.balance < 0 ? '🚨' : '⚠️'} ${describeCategory(category)}`),
+  ].join('\n');
+};
+
+/**
+ * Send a user's linked numbers the digest of this month's categories at risk, if they asked for it
+ * Numbers whose chat role may not see budgets are left out
+ * @param {ObjectId} userId
+ * @returns {Promise<void>}
+ */
+const sendBudgetDigest = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user || !user.dailyDigest) {
+    return;
+  }
+  const phoneLinks = await PhoneLink.find({ user: userId });
+  const chatIds = phoneLinks
+    .filter(({ role }) => (chatRoleRights.get(role) || []).includes('queryBalance'))
+    .map(({ chatId }) => chatId);
+  if (!chatIds.length) {
+    return;
+  }
+  const budgetMonth = await actualService.getBudgetMonth(userId, getToday(config.timezone).slice(0, 7));
+  const digest = buildBudgetDigest(budgetMonth);
+  if (!digest) {
+    logger.info(`No categories at risk for user ${userId}, skipping the digest`);
+    return;
+  }
+  await runSequentially(chatIds, (chatId) => wahaService.sendTextMessage(chatId, digest));
+};
+
+/**
+ * Queue the next daily run of the digests, unless it is already queued
+ * @returns {Promise<Job>}
+ */
+const scheduleBudgetDigests = () =>
+  jobService.ensureJob(
+    jobTypes.BUDGET_DIGESTS,
+    {},
+    { runAt: getNextTimeOfDay(config.budgetAlerts.digestTime, config.timezone) }
+  );
+
+/**
+ * Queue a digest for every user who asked for one, and the next daily run
+ * @returns {Promise<void>}
+ */
+const queueBudgetDigests = async () => {
+  // The next run is queued first, so that a failure below does not stop the digests for good
+  await scheduleBudgetDigests();
+  const users = await User.find({ dailyDigest: true });
+  await Promise.all(
+    users.map((user) => jobService.enqueueJob(jobTypes.BUDGET_DIGEST, { userId: user.id }, { key: `digest:${user.id}` }))
+  );
+  logger.info(`Queued the budget digest for ${users.length} user(s)`);
+};
+
+/**
+ * Parse a command that turns the daily digest on or off, e.g. "digest on" or "ringkasan off"
+ * @param {string} text
+ * @returns {{ dailyDigest: boolean }|null}
+ */
+const parseDigestCommand = (text) => {
+  const match = digestCommand.exec((text || '').trim());
+  return match ? { dailyDigest: match[2].toLowerCase() === 'on' } : null;
+};
+
+module.exports = {
+  getBudgetAlerts,
+  buildBudgetDigest,
+  sendBudgetDigest,
+  scheduleBudgetDigests,
+  queueBudgetDigests,
+  parseDigestCommand,
+};
@@ -0,0 +1,190 @@
+const moment = require('moment');
+const actualService = require('./actual.service');
+const { resolveName } = require('./resolver.service');
+const formatIDR = require('../utils/formatIDR');
+const { parseMoney, toRupiah } = require('../utils/money');
+
+/**
+ * @typedef {object} BudgetChange
+ * @property {string} month - The budget month in YYYY-MM format
+ * @property {{ category: Object, before: number, after: number }[]} amounts - The budgeted amounts to set, in minor units
+ * @property {{ category: Object, before: boolean, after: boolean }} [carryover]
+ * @property {{ before: number, after: number }} [hold] - The amount held for next month, in minor units
+ */
+
+/**
+ * Get the month a budget command is about
+ * @param {string|null} month - The month in YYYY-MM format, or null for the current month
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {string}
+ */
+const resolveMonth = (month, today) => (moment.utc(month || '', 'YYYY-MM', true).isValid() ? month : today.slice(0, 7));
+
+/**
+ * Get the month before a budget month
+ * @param {string} month - In YYYY-MM format
+ * @returns {string}
+ */
+const getPreviousMonth = (month) => moment.utc(month, 'YYYY-MM').subtract(1, 'month').format('YYYY-MM');
+
+/**
+ * Describe a budget month, e.g. 'October 2026'
+ * @param {string} month - In YYYY-MM format
+ * @returns {string}
+ */
+const describeMonth = (month) => moment.utc(month, 'YYYY-MM').format('MMMM YYYY');
+
+/**
+ * Get the expense categories of a budget month, with what is budgeted and left in each
+ * @param {Object} budgetMonth - From `actualService.getBudgetMonth`
+ * @returns {Object[]}
+ */
+const getBudgetCategories = (budgetMonth) =>
+  budgetMonth.categoryGroups.filter((group) => !group.is_income).flatMap((group) => group.categories);
+
+/**
+ * Read the amount of a budget command. Unlike a transaction, a budget can be set to zero
+ * @param {{ text: string }|null} amount
+ * @returns {number|null} The amount in minor units
+ */
+const readAmount = (amount) => (amount ? parseMoney(amount.text) : null);
+
+/**
+ * Work out what a budget command changes, from the budget as it is now
+ * @param {Object} command - From `geminiService.processBudgetCommand`
+ * @param {Object} context
+ * @param {string} context.month - From `resolveMonth`
+ * @param {Object} context.budgetMonth - The budget of the month
+ * @param {Object} [context.previousMonth] - The budget of the month before, to copy it
+ * @param {Object} [context.aliases] - The user's aliases by kind
+ * @returns {{ change: BudgetChange }|{ reason: string }|{ unmatched: { name: string, candidates: Object[] } }}
+ */
+const resolveBudgetChange = (command, { month, budgetMonth, previousMonth, aliases = {} }) => {
+  const categories = getBudgetCategories(budgetMonth);
+  const findCategory = (name) => {
+    const { match, candidates } = resolveName(name, categories, aliases.category);
+    return match ? { category: match } : { unmatched: { name: name || '', candidates } };
+  };
+  const amount = readAmount(command.amount);
+  const needsAmount = ['set', 'move', 'hold'].includes(command.action);
+  if (needsAmount && amount === null) {
+    return { reason: command.amount ? `"${command.amount.text}" is not an amount I can read` : `I couldn't tell how much` };
+  }
+
+  if (command.action === 'set') {
+    const { category, unmatched } = findCategory(command.category);
+    if (unmatched) {
+      return { unmatched };
+    }
+    return { change: { month, amounts: [{ category, before: category.budgeted, after: amount }] } };
+  }
+
+  if (command.action === 'move') {
+    const { category: from, unmatched: fromUnmatched } = findCategory(command.from_category);
+    const { category: to, unmatched: toUnmatched } = findCategory(command.category);
+    if (fromUnmatched || toUnmatched) {
+      return { unmatched: fromUnmatched || toUnmatched };
+    }
+    if (from.id === to.id) {
+      return { reason: `there is nothing to move from "${from.name}" to itself` };
+    }
+    if (amount > from.balance) {
+      return { reason: `"${from.name}" only has ${formatIDR(toRupiah(Math.max(from.balance, 0)))} left` };
+    }
+    return {
+      change: {
+        month,
+        amounts: [
+          { category: from, before: from.budgeted, after: from.budgeted - amount },
+          { category: to, before: to.budgeted, after: to.budgeted + amount },
+        ],
+      },
+    };
+  }
+
+  if (command.action === 'copy_last_month') {
+    const previous = getBudgetCategories(previousMonth);
+    const amounts = categories
+      .map((category) => {
+        const last = previous.find(({ id }) => id === category.id);
+        return { category, before: category.budgeted, after: last ? last.budgeted : category.budgeted };
+      })
+      .filter(({ before, after }) => before !== after);
+    if (!amounts.length) {
+      return { reason: `${describeMonth(month)} is already budgeted as ${describeMonth(getPreviousMonth(month))}` };
+    }
+    return { change: { month, amounts } };
+  }
+
+  if (command.action === 'carryover') {
+    const { category, unmatched } = findCategory(command.category);
+    if (unmatched) {
+      return { unmatched };
+    }
+    if (typeof command.carryover !== 'boolean') {
+      return { reason: `I couldn't tell whether to turn carryover on or off` };
+    }
+    return {
+      change: { month, amounts: [], carryover: { category, before: !!category.carryover, after: command.carryover } },
+    };
+  }
+
+  // A hold replaces the earlier one, so what was held is available again
+  const available = budgetMonth.toBudget + (budgetMonth.forNextMonth || 0);
+  if (amount > available) {
+    return { reason: `only ${formatIDR(toRupiah(Math.max(available, 0)))} is left to budget in ${describeMonth(month)}` };
+  }
+  return { change: { month, amounts: [], hold: { before: budgetMonth.forNextMonth || 0, after: amount } } };
+};
+
+/**
+ * Write a budget change to Actual
+ * @param {string} userId - The user whose budget to change
+ * @param {BudgetChange} change
+ * @returns {Promise<void>}
+ */
+const applyBudgetChange = async (userId, { month, amounts, carryover, hold }) => {
+  if (amounts.length) {
+    await actualService.setBudgetAmounts(
+      userId,
+      month,
+      amounts.map(({ category, after }) => ({ categoryId: category.id, amount: after }))
+    );
+  }
+  if (carryover) {
+    await actualService.setBudgetCarryover(userId, month, carryover.category.id, carryover.after);
+  }
+  if (hold) {
+    await actualService.holdBudgetForNextMonth(userId, month, hold.after);
+  }
+};
+
+/**
+ * Describe a budget change with the amounts before and after it
+ * @param {BudgetChange} change
+ * @returns {string}
+ */
+const formatBudgetChange = ({ month, amounts, carryover, hold }) => {
+  const describeAmount = (minorUnits) => formatIDR(toRupiah(minorUnits));
+  const describeFlag = (flag) => (flag ? 'on' : 'off');
+  const lines = amounts.map(
+    ({ category, before, after }) => `- ${category.name}: ${describeAmount(before)} → ${describeAmount(after)}`
+  );
+  if (carryover) {
+    lines.push(
+      `- Carryover for ${carryover.category.name}: ${describeFlag(carryover.before)} → ${describeFlag(carryover.after)}`
+    );
+  }
+  if (hold) {
+    lines.push(`- Held for next month: ${describeAmount(hold.before)} → ${describeAmount(hold.after)}`);
+  }
+  return [`*📊 Budget for ${describeMonth(month)} updated:*`, ...lines].join('\n');
+};
+
+module.exports = {
+  resolveMonth,
+  getPreviousMonth,
+  resolveBudgetChange,
+  applyBudgetChange,
+  formatBudgetChange,
+};
@@ -0,0 +1,91 @@
+const config = require('../config/config');
+const { ChatSetting } = require('../models');
+const formatIDR = require('../utils/formatIDR');
+const { parseMoney, toRupiah } = require('../utils/money');
+
+/**
+ * Get a user's confirmation settings, or the defaults if they have none
+ * @param {ObjectId} userId
+ * @returns {Promise<{ confirmationThreshold: number, categoryThresholds: Object[] }>}
+ */
+const getChatSetting = async (userId) => {
+  const setting = await ChatSetting.findOne({ user: userId });
+  return {
+    confirmationThreshold:
+      setting && typeof setting.confirmationThreshold === 'number'
+        ? setting.confirmationThreshold
+        : config.confirmation.amountThreshold,
+    categoryThresholds: setting ? setting.categoryThresholds : [],
+  };
+};
+
+/**
+ * Set the amount above which a user's transactions need confirmation, in any of their chats
+ * @param {ObjectId} userId
+ * @param {number} threshold - The amount in rupiah. 0 confirms every transaction.
+ * @param {string} [category] - Only apply the threshold to this category
+ * @returns {Promise<ChatSetting>}
+ */
+const setConfirmationThreshold = async (userId, threshold, category) => {
+  const setting = (await ChatSetting.findOne({ user: userId })) || new ChatSetting({ user: userId });
+  if (category) {
+    const existing = setting.categoryThresholds.find((entry) => entry.category === category);
+    if (existing) {
+      existing.threshold = threshold;
+    } else {
+      setting.categoryThresholds.push({ category, threshold });
+    }
+  } else {
+    setting.confirmationThreshold = threshold;
+  }
+  await setting.save();
+  return setting;
+};
+
+/**
+ * Recognize a chat command such as "batas konfirmasi 500rb" or "batas konfirmasi makan 200rb"
+ * @param {string} text
+ * @returns {{ category: string|null, threshold: number }|null}
+ */
+const parseThresholdCommand = (text) => {
+  const command = /^batas konfirmasi\s+(.+)$/i.exec(text.trim());
+  if (!command) {
+    return null;
+  }
+  // The amount comes last, optionally with "Rp" in front and a space before the suffix
+  const match = /^(.*?)\s*(\d[\d.,]*\s*(?:k|rb|ribu|jt|juta)?)$/i.exec(command[1]);
+  const minorUnits = match && parseMoney(match[2]);
+  if (minorUnits === null) {
+    return null;
+  }
+  const threshold = Math.round(toRupiah(minorUnits));
+  const category = match[1].replace(/\s*rp\.?$/i, '');
+  return { category: category || null, threshold };
+};
+
+/**
+ * Explain why a resolved transaction needs confirmation before it is written
+ * @param {Object} entry - An entry from `transactionService.resolveTransactions(...).resolved`
+ * @param {Object} setting - The user's settings, from `getChatSetting`
+ * @returns {string|null} The reason, or null if it can be written straight away
+ */
+const getConfirmationReason = ({ item, category, legs }, setting) => {
+  if (item.confidence < config.confirmation.minConfidence) {
+    return "I'm not sure I understood this one";
+  }
+  const categoryThreshold =
+    category && setting.categoryThresholds.find((entry) => entry.category.toLowerCase() === category.name.toLowerCase());
+  const threshold = categoryThreshold ? categoryThreshold.threshold : setting.confirmationThreshold;
+  const amount = Math.abs(legs[0].transaction.amount) / 100;
+  if (amount >= threshold) {
+    return `at or above your ${formatIDR(threshold)} limit`;
+  }
+  return null;
+};
+
+module.exports = {
+  getChatSetting,
+  setConfirmationThreshold,
+  parseThresholdCommand,
+  getConfirmationReason,
+};
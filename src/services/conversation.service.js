@@ -0,0 +1,136 @@
+const moment = require('moment');
+const config = require('../config/config');
+const { PendingConversation } = require('../models');
+const { closestNames, normalize } = require('../utils/similarity');
+
+const questionLabels = {
+  account: 'account',
+  category: 'category',
+  destinationAccount: 'destination account',
+};
+
+const cancelWords = ['batal', 'cancel', 'gak jadi', 'ga jadi', 'nggak jadi', 'tidak', 'no'];
+const confirmWords = ['ya', 'iya', 'y', 'yes', 'ok', 'oke', 'confirm', 'lanjut', 'simpan'];
+
+const ttlMinutes = {
+  clarification: () => config.conversation.ttlMinutes,
+  confirmation: () => config.confirmation.ttlMinutes,
+  reconciliation: () => config.confirmation.ttlMinutes,
+  search: () => config.conversation.ttlMinutes,
+};
+
+/**
+ * Get the pending conversation for a chat, if it has not expired
+ * @param {string} chatId
+ * @returns {Promise<PendingConversation|null>}
+ */
+const getPendingConversation = async (chatId) => {
+  return PendingConversation.findOne({ chatId, expiresAt: { $gt: new Date() } });
+};
+
+/**
+ * Store what still needs an answer, replacing any earlier question in the chat
+ * @param {string} chatId
+ * @param {Object} pending
+ * @param {ObjectId} pending.user - The user who started the conversation, the only one who may answer it
+ * @param {string} pending.type - 'clarification', 'confirmation', 'reconciliation' or 'search'
+ * @param {Object[]} [pending.transactions] - The extracted transactions. A clarification is about the first one.
+ * @param {Object} [pending.question] - For clarifications, what was asked
+ * @param {string} pending.question.field - One of 'account', 'category' or 'destinationAccount'
+ * @param {string} pending.question.value - The name that could not be found
+ * @param {string[]} pending.question.options - The names offered as answers
+ * @param {Object} [pending.reconciliation] - For reconciliations, the `accountId`, `accountName` and bank `balance`
+ * @param {Object} [pending.search] - For searches, the search and the `page` last shown
+ * @returns {Promise<PendingConversation>}
+ */
+const savePendingConversation = async (chatId, { user, type, transactions, question, reconciliation, search }) => {
+  const expiresAt = moment().add(ttlMinutes[type](), 'minutes').toDate();
+  return PendingConversation.findOneAndUpdate(
+    { chatId },
+    { chatId, user, type, transactions, question, reconciliation, search, expiresAt },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Remove the pending conversation for a chat
+ * @param {string} chatId
+ * @returns {Promise}
+ */
+const clearPendingConversation = async (chatId) => {
+  return PendingConversation.deleteOne({ chatId });
+};
+
+/**
+ * Build the question to ask about a transaction that names an unknown or ambiguous account or category
+ * @param {Object} unresolved - An entry from `recordTransactions(...).unresolved`
+ * @param {string[]} names - Every valid name for the missing field
+ * @returns {{ question: Object, text: string }}
+ */
+const buildQuestion = ({ item, missing }, names) => {
+  const candidates = (missing.candidates || []).map(({ name }) => name);
+  // Ranked candidates mean the name was ambiguous rather than unknown
+  const options = candidates.length ? candidates : closestNames(missing.value, names);
+  const label = questionLabels[missing.field];
+  let notFound = '';
+  if (missing.value) {
+    notFound =
+      candidates.length > 1 ? ` "${missing.value}" could be more than one.` : ` I couldn't find "${missing.value}".`;
+  }
+  const text = [
+    `🤔 Which ${label} did you mean for "${item.description}"?${notFound}`,
+    ...options.map((option, index) => `${index + 1}. ${option}`),
+    'Reply with a number or a name, or "batal" to cancel.',
+  ].join('\n');
+  return { question: { field: missing.field, value: missing.value, options }, text };
+};
+
+/**
+ * Interpret a reply to a pending question
+ * @param {PendingConversation} pending
+ * @param {string} text - The user's reply
+ * @param {string[]} names - Every valid name for the field that was asked about
+ * @returns {{ cancel: true }|{ answer: string }|{}} An empty object if the reply could not be understood
+ */
+const parseAnswer = (pending, text, names) => {
+  const reply = normalize(text);
+  if (!reply) {
+    return {};
+  }
+  if (cancelWords.includes(reply)) {
+    return { cancel: true };
+  }
+  const { options } = pending.question;
+  const index = parseInt(reply, 10);
+  if (String(index) === reply && index >= 1 && index <= options.length) {
+    return { answer: options[index - 1] };
+  }
+  const answer =
+    names.find((name) => normalize(name) === reply) || options.find((option) => normalize(option).includes(reply));
+  return answer ? { answer } : {};
+};
+
+/**
+ * Interpret a reply to a draft waiting for confirmation
+ * @param {string} text - The user's reply, or the ID of the button they pressed
+ * @returns {{ confirm: true }|{ cancel: true }|{}} An empty object if the reply could not be understood
+ */
+const parseConfirmation = (text) => {
+  const reply = normalize(text);
+  if (confirmWords.includes(reply)) {
+    return { confirm: true };
+  }
+  if (cancelWords.includes(reply)) {
+    return { cancel: true };
+  }
+  return {};
+};
+
+module.exports = {
+  getPendingConversation,
+  savePendingConversation,
+  clearPendingConversation,
+  buildQuestion,
+  parseAnswer,
+  parseConfirmation,
+};
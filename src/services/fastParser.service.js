@@ -0,0 +1,206 @@
+const { categoryKeywords } = require('../config/categoryKeywords');
+const { normalize } = require('../utils/similarity');
+const { parseMoney } = require('../utils/money');
+
+// Words that only join the parts of a message, e.g. "kopi 25k pakai gopay"
+const fillerWords = ['pakai', 'pake', 'pk', 'via', 'dengan', 'dgn'];
+// Words that hint at something the parser does not handle, such as income, transfers, dates or several transactions,
+// or at a request that isn't a new expense at all, such as a search, a budget change, a schedule or a reconciliation
+const handOffWords = [
+  'transfer',
+  'tf',
+  'pindah',
+  'topup',
+  'gaji',
+  'terima',
+  'dapat',
+  'dapet',
+  'refund',
+  'kemarin',
+  'kemaren',
+  'lalu',
+  'tanggal',
+  'tgl',
+  'dan',
+  // Searches and questions
+  'transaksi',
+  'cari',
+  'carikan',
+  'berapa',
+  'pengeluaran',
+  'atas',
+  'bawah',
+  'lebih',
+  'kurang',
+  // Balances and reconciliations
+  'saldo',
+  'sebenarnya',
+  // Budget changes
+  'budget',
+  'anggaran',
+  'pindahkan',
+  'salin',
+  'copy',
+  // Schedules
+  'setiap',
+  'tiap',
+  'jadwal',
+  'bulanan',
+];
+
+/**
+ * Parses one word as a rupiah amount, e.g. '25k', '150rb', '1,5jt' or '150.000'.
+ * Only words with digits are amounts, and bare numbers below 1000 are ambiguous ("kopi 25" usually means 25 thousand).
+ * @param {string} word
+ * @returns {number|null} The amount in minor units.
+ */
+const parseAmountWord = (word) => {
+  if (!/\d/.test(word)) {
+    return null;
+  }
+  const amount = parseMoney(word);
+  if (amount === null || (/\d$/.test(word) && amount < parseMoney('1000'))) {
+    return null;
+  }
+  return amount;
+};
+
+/**
+ * Maps the words that identify each account to the account, e.g. 'bca' and 'tabungan' for "BCA Tabungan".
+ * A word shared by several accounts identifies none of them, unless the user made it an alias of one.
+ * @param {object[]} accounts - The open accounts of the budget.
+ * @param {object[]} [userAliases] - The user's account aliases, each with an `alias` and a `target` name.
+ * @returns {Map<string, object>}
+ */
+const buildAccountAliases = (accounts, userAliases = []) => {
+  const aliases = new Map();
+  const ambiguous = new Set();
+  const addAlias = (alias, account) => {
+    if (aliases.has(alias) && aliases.get(alias) !== account) {
+      ambiguous.add(alias);
+    }
+    aliases.set(alias, account);
+  };
+  accounts.forEach((account) => {
+    const name = normalize(account.name);
+    addAlias(name.replace(/ /g, ''), account);
+    name
+      .split(' ')
+      .filter((word) => word.length >= 3)
+      .forEach((word) => addAlias(word, account));
+  });
+  ambiguous.forEach((alias) => aliases.delete(alias));
+  userAliases.forEach(({ alias, target }) => {
+    const account = accounts.find((entry) => normalize(entry.name) === normalize(target));
+    if (account) {
+      aliases.set(normalize(alias).replace(/ /g, ''), account);
+    }
+  });
+  return aliases;
+};
+
+/**
+ * Finds the budget category a keyword points to. The user's own aliases come before the built-in keywords.
+ * @param {string} word
+ * @param {object[]} categories - The categories of the budget.
+ * @param {object[]} [userAliases] - The user's category aliases, each with an `alias` and a `target` name.
+ * @returns {object|null}
+ */
+const findCategoryForKeyword = (word, categories, userAliases = []) => {
+  const userAlias = userAliases.find(({ alias }) => normalize(alias) === word);
+  const aliased = userAlias && categories.find((category) => normalize(category.name) === normalize(userAlias.target));
+  if (aliased) {
+    return aliased;
+  }
+  const entry = categoryKeywords.find(({ keywords }) => keywords.includes(word));
+  if (!entry) {
+    return null;
+  }
+  const names = entry.categories.map((name) => name.toLowerCase());
+  const matches = categories.filter((category) => names.includes(category.name.toLowerCase()));
+  matches.sort((a, b) => names.indexOf(a.name.toLowerCase()) - names.indexOf(b.name.toLowerCase()));
+  return matches[0] || null;
+};
+
+/**
+ * Whether a message may be a simple expense, i.e. whether it is worth fetching the budget to try the fast path.
+ * @param {string} text
+ * @returns {boolean}
+ */
+const mayBeExpense = (text) =>
+  text
+    .trim()
+    .split(/\s+/)
+    .some((word) => parseAmountWord(word) !== null);
+
+/**
+ * Parses a simple expense message such as "kopi 25k bca" or "bensin 150rb pakai gopay" without a model.
+ * Only messages with exactly one amount, one known account and a keyword for one category are parsed,
+ * anything else is left to the LLM.
+ * @param {string} text
+ * @param {object} context
+ * @param {object[]} context.accounts - The accounts of the budget.
+ * @param {object[]} context.categories - The categories of the budget.
+ * @param {object} [context.aliases] - The user's aliases by kind, from `aliasService.getAliasesByKind`.
+ * @returns {object|null} The transaction in the shape the LLM extracts, or null if the parser is not confident.
+ */
+const parseExpense = (text, { accounts, categories, aliases: userAliases = {} }) => {
+  if (/[,;\n]/.test(text.replace(/(\d),(\d)/g, '$1$2'))) {
+    // Several transactions, e.g. "kopi 25k, parkir 5rb"
+    return null;
+  }
+  const words = text.trim().toLowerCase().split(/\s+/);
+  if (words.length > 6 || words.some((word) => handOffWords.includes(word))) {
+    return null;
+  }
+
+  const aliases = buildAccountAliases(
+    accounts.filter((account) => !account.closed),
+    userAliases.account
+  );
+  const amounts = [];
+  const accountMatches = [];
+  const descriptionWords = [];
+  words.forEach((word) => {
+    const amount = parseAmountWord(word);
+    if (amount !== null) {
+      amounts.push({ text: word, minor_units: amount });
+    } else if (aliases.has(word)) {
+      accountMatches.push(aliases.get(word));
+    } else if (!fillerWords.includes(word)) {
+      descriptionWords.push(word);
+    }
+  });
+  if (amounts.length !== 1 || accountMatches.length !== 1 || !descriptionWords.length) {
+    return null;
+  }
+  if (descriptionWords.some((word) => /\d/.test(word))) {
+    return null;
+  }
+
+  const matchedCategories = [
+    ...new Set(
+      descriptionWords.map((word) => findCategoryForKeyword(word, categories, userAliases.category)).filter(Boolean)
+    ),
+  ];
+  if (matchedCategories.length !== 1) {
+    return null;
+  }
+
+  const description = descriptionWords.join(' ');
+  return {
+    type: 'expense',
+    description: description.charAt(0).toUpperCase() + description.slice(1),
+    amount: amounts[0],
+    category: matchedCategories[0].name,
+    payee: null,
+    date: null,
+    source_account_name: accountMatches[0].name,
+    confidence: 1,
+  };
+};
+
+module.exports = {
+  mayBeExpense,
+  parseExpense,
+};
@@ -1,15 +1,6 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-const httpStatus = require('http-status');
+const moment = require('moment');
 const { z } = require('zod');
-const { zodToJsonSchema } = require('zod-to-json-schema');
-const config = require('../config/config');
-const ApiError = require('../utils/ApiError');
-
-const genAI = new GoogleGenerativeAI(config.gemini.apiKey);
-
-const model = genAI.getGenerativeModel({
-  model: 'gemini-2.5-flash',
-});
+const llmService = require('./llm.service');
 
 /**
  * Determines the user's intent from the text.
@@ -17,113 +8,240 @@ const model = genAI.getGenerativeModel({
  * @returns {Promise<object>} An object with the determined intent.
  */
 const determineIntent = async (text) => {
-  try {
-    const intentZodSchema = z.object({
-      intent: z
-        .enum(['transaction', 'question', 'query_balance'])
-        .describe(
-          'The determined intent of the user input. "transaction" for financial recordings, "query_balance" for asking about account or budget balances, "question" for everything else.'
-        ),
-      transactionDetail: z
-        .enum(['expense', 'income', 'transfer'])
-        .describe(
-          'If the intent is "transaction", specify the type. "expense" is money out (e.g., buying something), "income" is money in (e.g., salary), "transfer" is moving money between two of the user\'s own accounts.'
-        ),
-    });
-
-    const intentJsonSchema = zodToJsonSchema(intentZodSchema);
-
-    const modelWithSchema = genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash',
-      generationConfig: {
-        responseMimeType: 'application/json',
-        responseJsonSchema: intentJsonSchema,
-      },
-    });
-
-    const prompt = `Analyze the user's text and determine the intent.
+  const intentZodSchema = z.object({
+    intent: z
+      .enum([
+        'transaction',
+        'question',
+        'query_balance',
+        'query_spending',
+        'manage_budget',
+        'schedule_transaction',
+        'reconcile_account',
+        'search_transactions',
+      ])
+      .describe(
+        'The determined intent of the user input. "transaction" for financial recordings, "query_balance" for asking about account or budget balances, "query_spending" for asking how much was spent, "manage_budget" for changing budgeted amounts, "schedule_transaction" for setting up a transaction that repeats every month, "reconcile_account" for telling the real balance of an account, "search_transactions" for listing or finding recorded transactions, "question" for everything else.'
+      ),
+  });
+
+  const prompt = `Analyze the user's text and determine the intent.
 *   If the text is about recording an expense, income, or transfer, the intent is "transaction".
 *   If the text is about asking for an account balance or budget status, the intent is "query_balance".
+*   If the text is about asking how much was spent, or on what, over some period (e.g. "berapa pengeluaran makan bulan lalu", "pengeluaran terbesar Oktober"), the intent is "query_spending".
+*   If the text is about changing how much is budgeted (e.g. "set budget makan 2jt bulan ini", "pindahkan 500rb dari hiburan ke transport", "copy budget bulan lalu"), the intent is "manage_budget".
+*   If the text asks to record a transaction every month (e.g. "setiap tanggal 5 bayar internet 350rb dari BCA"), the intent is "schedule_transaction".
+*   If the text tells what an account's balance really is at the bank (e.g. "saldo BCA sebenarnya 4.250.000", "saldo di bank Jago 1,2jt"), the intent is "reconcile_account".
+*   If the text asks to see or find recorded transactions rather than a total (e.g. "5 transaksi terakhir BCA", "cari transaksi grab minggu lalu", "transaksi di atas 500rb bulan ini"), the intent is "search_transactions".
 *   Otherwise, the intent is "question".
 
 User input: "${text}"`;
 
-    const result = await modelWithSchema.generateContent(prompt);
-    const responseJson = JSON.parse(result.response.text());
-
-    const validatedData = intentZodSchema.parse(responseJson);
-    return validatedData;
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      throw new ApiError(
-        httpStatus.INTERNAL_SERVER_ERROR,
-        `Gemini response validation error (determineIntent): ${error.message}`
-      );
-    }
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Gemini API Error (determineIntent): ${error.message}`);
-  }
+  return llmService.generateObject('intent', { prompt, schema: intentZodSchema });
 };
 
+/**
+ * Describes today's date for prompts that need to resolve relative dates.
+ * @param {string} today - Today's date in YYYY-MM-DD format.
+ * @returns {string}
+ */
+const describeToday = (today) =>
+  `Today is ${moment(today, 'YYYY-MM-DD').format(
+    'dddd, YYYY-MM-DD'
+  )}. A day of the month on its own (e.g. "tanggal 3") means the most recent such date that is not in the future.`;
+
+/**
+ * Describes the categories the user filed payees under before, for prompts that pick a category.
+ * @param {string[]} categoryHints - One payee per line, e.g. 'Indomaret: Groceries'.
+ * @returns {string} Empty if there are no hints.
+ */
+const describeCategoryHints = (categoryHints) =>
+  categoryHints.length
+    ? `\nCategories the user filed these payees under before. Use them unless the input says otherwise:\n${categoryHints.join(
+        '\n'
+      )}`
+    : '';
+
+/**
+ * Builds the Zod schema for an amount. The text is read again by the money parser, which has the final say.
+ * @param {string} description - What the amount is.
+ * @returns {z.ZodObject}
+ */
+const buildAmountSchema = (description) =>
+  z
+    .object({
+      text: z.string().describe("The amount exactly as written, e.g. '20k', 'Rp 25.000', '1,5jt' or 'dua puluh ribu'."),
+      minor_units: z.number().int().describe('The amount in hundredths of a rupiah, e.g. 2000000 for 20k.'),
+    })
+    .describe(description);
+
+/**
+ * Builds the Zod schema of one transaction, shared by every transaction extraction task.
+ * Account and category names are plain strings rather than enums, so that one unknown name
+ * rejects only that transaction instead of failing the whole response.
+ * @param {string[]} accountNames - An array of available account names.
+ * @param {string[]} categoryNames - An array of available category names.
+ * @returns {z.ZodObject}
+ */
+const buildTransactionItemSchema = (accountNames, categoryNames) =>
+  z.object({
+    type: z
+      .enum(['expense', 'income', 'transfer'])
+      .describe(
+        '"expense" is money out (e.g., buying something), "income" is money in (e.g., salary), "transfer" is moving money between two of the user\'s own accounts.'
+      ),
+    description: z.string().describe('A clear description of the transaction.'),
+    amount: buildAmountSchema('The amount of the transaction.'),
+    category: z
+      .string()
+      .nullable()
+      .describe(`The category for the transaction, chosen from: ${categoryNames.join(', ')}. Null for transfers.`),
+    payee: z
+      .string()
+      .nullable()
+      .describe(
+        'The person or business being paid for an expense, or the source of funds for an income. For a transfer, this should be the name of the destination account, chosen from the available accounts list.'
+      ),
+    date: z
+      .string()
+      .nullable()
+      .describe(
+        'The transaction date in YYYY-MM-DD format, resolved against today\'s date from expressions like "kemarin", "2 hari lalu", "Senin lalu" or "tanggal 3". Null if no date is mentioned.'
+      ),
+    source_account_name: z
+      .string()
+      .describe(
+        `The account the money is coming from, chosen from: ${accountNames.join(', ')}. Chose Other if can not be determined`
+      ),
+    confidence: z
+      .number()
+      .min(0)
+      .max(1)
+      .describe(
+        'How sure you are about this transaction, from 0 to 1. Use a low value when the amount, account or category had to be guessed.'
+      ),
+  });
+
+/**
+ * Builds the Zod schema for the transactions in a message.
+ * @param {string[]} accountNames - An array of available account names.
+ * @param {string[]} categoryNames - An array of available category names.
+ * @returns {z.ZodObject}
+ */
+const buildTransactionSchema = (accountNames, categoryNames) =>
+  z.object({
+    transactions: z
+      .array(buildTransactionItemSchema(accountNames, categoryNames))
+      .describe('Every transaction mentioned in the input, in the order they were mentioned.'),
+  });
+
 /**
  * Extracts transaction details from text.
  * @param {string} text - The text describing a transaction.
  * @param {string[]} accountNames - An array of available account names.
  * @param {string[]} categoryNames - An array of available category names.
- * @returns {Promise<object>} A structured transaction object.
- */
-const processTransaction = async (text, accountNames, categoryNames) => {
-  try {
-    // 1. Define the schema for the transaction output using Zod
-    const transactionZodSchema = z.object({
-      description: z.string().describe('A clear description of the transaction.'),
-      amount: z.string().describe("The numeric amount as a string, parsed from formats like '20k' to '20000'."),
-      category: z.enum(categoryNames).describe('The category for the transaction, chosen from the provided list.'),
-      payee: z
-        .string()
-        .nullable()
-        .describe(
-          'The person or business being paid for an expense, or the source of funds for an income. For a transfer, this should be the name of the destination account, chosen from the available accounts list.'
-        ),
-      source_account_name: z
-        .enum(accountNames)
-        .describe(
-          'The account the money is coming from, chosen from the provided list. Chose Other if can not be determined'
-        ),
-      message_to_user: z.string().describe('A short summary on what you just done, use emojis if necessary.'),
-    });
-
-    // 2. Convert the Zod schema to a JSON schema
-    const transactionJsonSchema = zodToJsonSchema(transactionZodSchema);
-
-    // 3. Configure the model with the generated JSON schema
-    const modelWithSchema = genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash',
-      generationConfig: {
-        responseMimeType: 'application/json',
-        responseJsonSchema: transactionJsonSchema,
-      },
-    });
-
-    // 4. Create a simpler prompt, as the schema handles the structure
-    const prompt = `You are a financial assistant. Extract transaction details from the following user input, which is in Indonesian.
+ * @param {string} today - Today's date in YYYY-MM-DD format, used to resolve relative dates.
+ * @param {string[]} [categoryHints] - The categories learned for the user's payees, e.g. 'Indomaret: Groceries'.
+ * @returns {Promise<{ transactions: object[] }>} The structured transactions.
+ */
+const processTransaction = async (text, accountNames, categoryNames, today, categoryHints = []) => {
+  const transactionZodSchema = buildTransactionSchema(accountNames, categoryNames);
+
+  const prompt = `You are a financial assistant. Extract the details of every transaction in the following user input, which is in Indonesian.
+A single message may list several transactions, e.g. "makan siang 50k, kopi 25k, parkir 5rb pakai gopay".
+An account mentioned once applies to every transaction in the message unless another one is given.
+${describeToday(today)}
 
 Available accounts: ${accountNames.join(', ')}
-Available categories: ${categoryNames.join(', ')}
+Available categories: ${categoryNames.join(', ')}${describeCategoryHints(categoryHints)}
 "${text}"`;
 
-    const result = await modelWithSchema.generateContent(prompt);
-    const responseJson = JSON.parse(result.response.text());
+  return llmService.generateObject('transaction', { prompt, schema: transactionZodSchema });
+};
 
-    // 5. Validate the response against the Zod schema
-    const validatedData = transactionZodSchema.parse(responseJson);
+/**
+ * Extracts transaction details from a photo of a receipt.
+ * @param {Buffer} image - The raw image data.
+ * @param {string} mimeType - The MIME type of the image (e.g., 'image/jpeg').
+ * @param {string} caption - The caption sent along with the photo, used as extra context. May be empty.
+ * @param {string[]} accountNames - An array of available account names.
+ * @param {string[]} categoryNames - An array of available category names.
+ * @param {string} today - Today's date in YYYY-MM-DD format, used to resolve relative dates.
+ * @param {string[]} [categoryHints] - The categories learned for the user's payees, e.g. 'Indomaret: Groceries'.
+ * @returns {Promise<object>} The same structure as `processTransaction`, plus `line_items`.
+ */
+const processReceipt = async (image, mimeType, caption, accountNames, categoryNames, today, categoryHints = []) => {
+  const receiptZodSchema = buildTransactionSchema(accountNames, categoryNames).extend({
+    line_items: z
+      .array(
+        z.object({
+          name: z.string().describe('The item name as printed on the receipt.'),
+          quantity: z.number().nullable().describe('The quantity bought, if printed.'),
+          amount: buildAmountSchema('The line total.'),
+        })
+      )
+      .describe('The individual items on the receipt. Leave empty if they cannot be read.'),
+  });
 
-    return validatedData;
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Gemini response validation error: ${error.message}`);
-    }
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Gemini API Error (processTransaction): ${error.message}`);
-  }
+  const prompt = `You are a financial assistant. The attached image is a receipt, most likely in Indonesian. Extract it as a single expense transaction.
+Use the grand total (after tax and discounts) as the amount and the store name as the payee.
+Use the date printed on the receipt, if any. The user's caption, if any, takes precedence over what is printed on the receipt.
+${describeToday(today)}
+
+Available accounts: ${accountNames.join(', ')}
+Available categories: ${categoryNames.join(', ')}${describeCategoryHints(categoryHints)}
+Caption: "${caption || ''}"`;
+
+  return llmService.generateObject('receipt', { prompt, schema: receiptZodSchema, media: [{ data: image, mimeType }] });
+};
+
+/**
+ * Extracts a correction to transactions the bot already recorded.
+ * @param {string} text - The user's correction, e.g. "harusnya 75rb" or "kategori transport".
+ * @param {string[]} transactionLines - The recorded transactions, one line each, in the order they are numbered.
+ * @param {string[]} accountNames - An array of available account names.
+ * @param {string[]} categoryNames - An array of available category names.
+ * @param {string} today - Today's date in YYYY-MM-DD format, used to resolve relative dates.
+ * @returns {Promise<object>} The fields to change. Fields the user did not mention are null.
+ */
+const processCorrection = async (text, transactionLines, accountNames, categoryNames, today) => {
+  const correctionZodSchema = z.object({
+    transaction_number: z
+      .number()
+      .int()
+      .nullable()
+      .describe(
+        'The number of the transaction to change, from the numbered list. Null if the user does not single one out.'
+      ),
+    amount: buildAmountSchema('The new amount. Null if the amount does not change.').nullable(),
+    category: z
+      .string()
+      .nullable()
+      .describe(`The new category, chosen from: ${categoryNames.join(', ')}.`),
+    payee: z.string().nullable().describe('The new person or business that was paid.'),
+    account_name: z
+      .string()
+      .nullable()
+      .describe(`The new account the money came from, chosen from: ${accountNames.join(', ')}.`),
+    date: z
+      .string()
+      .nullable()
+      .describe('The new date in YYYY-MM-DD format, resolved against today\'s date from expressions like "kemarin".'),
+    notes: z.string().nullable().describe('The new description of the transaction.'),
+  });
+
+  const prompt = `You are a financial assistant. The user recorded the transactions below and is now correcting them, in Indonesian.
+Extract only the fields the user wants to change and leave every other field null.
+${describeToday(today)}
+
+Recorded transactions:
+${transactionLines.map((line, index) => `${index + 1}. ${line}`).join('\n')}
+
+Available accounts: ${accountNames.join(', ')}
+Available categories: ${categoryNames.join(', ')}
+Correction: "${text}"`;
+
+  return llmService.generateObject('correction', { prompt, schema: correctionZodSchema });
 };
 
 /**
@@ -131,55 +249,83 @@ Available categories: ${categoryNames.join(', ')}
  * @param {string} text - The text describing a balance query.
  * @param {string[]} accountNames - An array of available account names.
  * @param {string[]} categoryNames - An array of available category names.
+ * @param {string} today - Today's date in YYYY-MM-DD format, to resolve months such as "bulan lalu".
  * @returns {Promise<object>} A structured query object.
  */
-const processBalanceQuery = async (text, accountNames, categoryNames) => {
-  try {
-    const balanceQueryZodSchema = z.object({
-      query_type: z
-        .enum(['account', 'budget', 'summary'])
-        .describe(
-          "The type of query. 'account' for account balances, 'budget' for a specific category's budget, 'summary' for a general budget overview."
-        ),
-      name: z
-        .string()
-        .nullable()
-        .describe(
-          "The name of the account or category. Use 'all' for all accounts or a budget summary. Choose from the provided lists."
-        ),
-    });
-
-    const balanceQueryJsonSchema = zodToJsonSchema(balanceQueryZodSchema);
-
-    const modelWithSchema = genAI.getGenerativeModel({
-      model: 'gemini-2.5-flash',
-      generationConfig: {
-        responseMimeType: 'application/json',
-        responseJsonSchema: balanceQueryJsonSchema,
-      },
-    });
-
-    const prompt = `You are a financial query processing AI. Extract the query details from the user's message.
+const processBalanceQuery = async (text, accountNames, categoryNames, today) => {
+  const balanceQueryZodSchema = z.object({
+    query_type: z
+      .enum(['account', 'budget', 'summary'])
+      .describe(
+        "The type of query. 'account' for account balances, 'budget' for a specific category's budget, 'summary' for a general budget overview."
+      ),
+    name: z
+      .string()
+      .nullable()
+      .describe(
+        "The name of the account or category. Use 'all' for all accounts or a budget summary. Choose from the provided lists."
+      ),
+    month: z
+      .string()
+      .nullable()
+      .describe("The budget month in YYYY-MM format, or null for the current month. Unused for 'account' queries."),
+  });
+
+  const prompt = `You are a financial query processing AI. Extract the query details from the user's message.
+${describeToday(today)}
+
+Available accounts: ${accountNames.join(', ')}
+Available categories: ${categoryNames.join(', ')}
+
+User message: "${text}"`;
+
+  return llmService.generateObject('balanceQuery', { prompt, schema: balanceQueryZodSchema });
+};
+
+/**
+ * Extracts the period and filters of a question about spending.
+ * @param {string} text - The question, e.g. 'berapa pengeluaran makan bulan lalu'.
+ * @param {string[]} accountNames - An array of available account names.
+ * @param {string[]} categoryNames - An array of available category names.
+ * @param {string} today - Today's date in YYYY-MM-DD format, to resolve relative periods.
+ * @returns {Promise<object>} The `start_date`, `end_date`, `category`, `payee`, `account` and `focus` of the question.
+ */
+const processSpendingQuery = async (text, accountNames, categoryNames, today) => {
+  const spendingQueryZodSchema = z.object({
+    start_date: z.string().describe('The first day of the period in YYYY-MM-DD format.'),
+    end_date: z.string().describe('The last day of the period in YYYY-MM-DD format, no later than today.'),
+    category: z.string().nullable().describe('The category to count, chosen from the provided list, or null for all.'),
+    payee: z.string().nullable().describe("The payee or shop to count, e.g. 'Indomaret', or null for all."),
+    account: z.string().nullable().describe('The account to count, chosen from the provided list, or null for all.'),
+    focus: z
+      .enum(['total', 'largest'])
+      .describe("'largest' when asking for the biggest expenses (e.g. 'terbesar'), 'total' otherwise."),
+  });
+
+  const prompt = `You are a financial query processing AI. Extract the period and filters of the user's question about their spending.
+${describeToday(today)}
+A week starts on Monday: "minggu ini" is from this Monday to today, and "minggu lalu" is the whole week before. "Bulan lalu" is the whole previous month, and a month name on its own (e.g. "Oktober") is the most recent such month that has started. Without a period, use this month so far.
 
 Available accounts: ${accountNames.join(', ')}
 Available categories: ${categoryNames.join(', ')}
 
 User message: "${text}"`;
 
-    const result = await modelWithSchema.generateContent(prompt);
-    const responseJson = JSON.parse(result.response.text());
-
-    const validatedData = balanceQueryZodSchema.parse(responseJson);
-    return validatedData;
-  } catch (error) {
-    if (error instanceof z.ZodError) {
-      throw new ApiError(
-        httpStatus.INTERNAL_SERVER_ERROR,
-        `Gemini response validation error (processBalanceQuery): ${error.message}`
-      );
-    }
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Gemini API Error (processBalanceQuery): ${error.message}`);
-  }
+  return llmService.generateObject('spendingQuery', { prompt, schema: spendingQueryZodSchema });
+};
+
+/**
+ * Transcribes a voice note.
+ * @param {Buffer} audio - The raw audio data.
+ * @param {string} mimeType - The MIME type of the audio (e.g., 'audio/ogg; codecs=opus').
+ * @returns {Promise<string>} The transcript, in the language that was spoken.
+ */
+const transcribeAudio = async (audio, mimeType) => {
+  const prompt = `Transcribe this voice note verbatim. It is most likely in Indonesian, possibly mixed with English.
+Write numbers and amounts the way they were spoken (e.g. "dua puluh lima ribu" stays as words). Return only the transcript.`;
+
+  const transcript = await llmService.generateText('transcription', { prompt, media: [{ data: audio, mimeType }] });
+  return transcript.trim();
 };
 
 /**
@@ -188,21 +334,165 @@ User message: "${text}"`;
  * @returns {Promise<object>} An object containing the answer.
  */
 const getAnswer = async (text) => {
-  try {
-    const prompt = `Answer the user's question or general inquiry concisely. User question: "${text}"`;
-    const result = await model.generateContent(prompt);
-    const { response } = result;
-    // We don't need to parse this as JSON because the response is not configured for it.
-    // Let's wrap it in the expected format ourselves.
-    return { content: response.text() };
-  } catch (error) {
-    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Gemini API Error (getAnswer): ${error.message}`);
-  }
+  const prompt = `Answer the user's question or general inquiry concisely. User question: "${text}"`;
+  const content = await llmService.generateText('answer', { prompt });
+  return { content };
+};
+
+/**
+ * Extracts a change to the budgeted amounts from text.
+ * @param {string} text - The command, e.g. 'pindahkan 500rb dari hiburan ke transport'.
+ * @param {string[]} categoryNames - An array of available category names.
+ * @param {string} today - Today's date in YYYY-MM-DD format, to resolve months such as "bulan depan".
+ * @returns {Promise<object>} The `action`, `category`, `from_category`, `amount`, `month` and `carryover` of the change.
+ */
+const processBudgetCommand = async (text, categoryNames, today) => {
+  const budgetCommandZodSchema = z.object({
+    action: z
+      .enum(['set', 'move', 'copy_last_month', 'carryover', 'hold'])
+      .describe(
+        "'set' to budget an amount for a category, 'move' to move an amount from one category to another, 'copy_last_month' to budget every category as in the month before, 'carryover' to turn rolling over overspending on or off for a category, 'hold' to hold money that is left to budget for next month."
+      ),
+    category: z
+      .string()
+      .nullable()
+      .describe('The category to set or turn carryover on or off for, or to move money to. Choose from the provided list.'),
+    from_category: z
+      .string()
+      .nullable()
+      .describe("For 'move', the category to take money from. Choose from the provided list."),
+    amount: buildAmountSchema("The amount to budget, move or hold. Null for 'copy_last_month' and 'carryover'.").nullable(),
+    month: z.string().nullable().describe('The budget month in YYYY-MM format, or null for the current month.'),
+    carryover: z.boolean().nullable().describe("For 'carryover', whether to turn it on. Null otherwise."),
+  });
+
+  const prompt = `You are a budgeting assistant AI. Extract the change the user wants to make to their budget.
+${describeToday(today)}
+
+Available categories: ${categoryNames.join(', ')}
+
+User message: "${text}"`;
+
+  return llmService.generateObject('budgetCommand', { prompt, schema: budgetCommandZodSchema });
+};
+
+/**
+ * Extracts a transaction to record every month, and the day of the month to record it on.
+ * @param {string} text - The request, e.g. 'setiap tanggal 5 bayar internet 350rb dari BCA'.
+ * @param {string[]} accountNames - An array of available account names.
+ * @param {string[]} categoryNames - An array of available category names.
+ * @returns {Promise<object>} The `day_of_month` and the `transaction`, shaped as in `processTransaction` but without a date.
+ */
+const processSchedule = async (text, accountNames, categoryNames) => {
+  const scheduleZodSchema = z.object({
+    day_of_month: z
+      .number()
+      .int()
+      .min(1)
+      .max(31)
+      .describe('The day of the month to record the transaction on, from 1 to 31.'),
+    transaction: buildTransactionItemSchema(accountNames, categoryNames).omit({ date: true }),
+  });
+
+  const prompt = `You are a financial assistant. The user, writing in Indonesian, wants a transaction recorded every month. Extract the day of the month and the transaction.
+
+Available accounts: ${accountNames.join(', ')}
+Available categories: ${categoryNames.join(', ')}
+"${text}"`;
+
+  return llmService.generateObject('schedule', { prompt, schema: scheduleZodSchema });
+};
+
+/**
+ * Extracts the account and the balance the bank shows for it, to reconcile the account.
+ * @param {string} text - The message, e.g. 'saldo BCA sebenarnya 4.250.000'.
+ * @param {string[]} accountNames - An array of available account names.
+ * @returns {Promise<object>} The `account_name`, the `balance` and whether the balance is `negative`.
+ */
+const processReconciliation = async (text, accountNames) => {
+  const reconciliationZodSchema = z.object({
+    account_name: z.string().describe(`The account, chosen from: ${accountNames.join(', ')}.`),
+    balance: buildAmountSchema('The balance the bank shows for the account, without its sign.'),
+    negative: z
+      .boolean()
+      .describe('Whether the balance is below zero, e.g. money owed on a credit card or an overdrawn account.'),
+  });
+
+  const prompt = `You are a financial assistant. The user, writing in Indonesian, tells you the real balance of one of their accounts as their bank shows it. Extract the account and the balance.
+
+Available accounts: ${accountNames.join(', ')}
+"${text}"`;
+
+  return llmService.generateObject('reconciliation', { prompt, schema: reconciliationZodSchema });
+};
+
+/**
+ * Extracts the filters of a request to list or find transactions.
+ * @param {string} text - The request, e.g. 'cari transaksi grab minggu lalu'.
+ * @param {string[]} accountNames - An array of available account names.
+ * @param {string[]} categoryNames - An array of available category names.
+ * @param {string} today - Today's date in YYYY-MM-DD format, to resolve relative periods.
+ * @returns {Promise<object>} The `account`, `category`, `keyword`, `min_amount`, `max_amount`, `income`, `start_date`, `end_date` and `limit` of the request.
+ */
+const processTransactionSearch = async (text, accountNames, categoryNames, today) => {
+  const transactionSearchZodSchema = z.object({
+    account: z
+      .string()
+      .nullable()
+      .describe(`The account to search in, chosen from: ${accountNames.join(', ')}. Null for all.`),
+    category: z
+      .string()
+      .nullable()
+      .describe(`The category to search in, chosen from: ${categoryNames.join(', ')}. Null for all.`),
+    keyword: z
+      .string()
+      .nullable()
+      .describe('A payee or a word from the notes to look for, e.g. "grab". Null if none is mentioned.'),
+    min_amount: buildAmountSchema('The smallest amount to include, e.g. for "di atas 500rb".').nullable(),
+    max_amount: buildAmountSchema('The largest amount to include, e.g. for "di bawah 100rb".').nullable(),
+    income: z
+      .boolean()
+      .describe(
+        'True if the amounts are money received, e.g. for "pemasukan di atas 1jt". False for spending, the default.'
+      ),
+    start_date: z
+      .string()
+      .nullable()
+      .describe('The first day of the period in YYYY-MM-DD format. Null if no period is mentioned.'),
+    end_date: z
+      .string()
+      .nullable()
+      .describe('The last day of the period in YYYY-MM-DD format. Null if no period is mentioned.'),
+    limit: z
+      .number()
+      .int()
+      .min(1)
+      .nullable()
+      .describe('How many transactions were asked for, e.g. 5 for "5 transaksi terakhir". Null if no number is given.'),
+  });
+
+  const prompt = `You are a financial query processing AI. The user, writing in Indonesian, wants to see transactions they recorded. Extract the filters from the user's message. Leave out any filter the message does not mention.
+${describeToday(today)}
+
+Available accounts: ${accountNames.join(', ')}
+Available categories: ${categoryNames.join(', ')}
+
+User message: "${text}"`;
+
+  return llmService.generateObject('transactionSearch', { prompt, schema: transactionSearchZodSchema });
 };
 
 module.exports = {
   determineIntent,
   processTransaction,
+  processReceipt,
+  processCorrection,
   processBalanceQuery,
+  processSpendingQuery,
+  processBudgetCommand,
+  processSchedule,
+  processReconciliation,
+  processTransactionSearch,
+  transcribeAudio,
   getAnswer,
 };
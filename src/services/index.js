@@ -5,3 +5,22 @@ module.exports.userService = require('./user.service');
 module.exports.wahaService = require('./waha.service');
 module.exports.geminiService = require('./gemini.service');
 module.exports.actualService = require('./actual.service');
+module.exports.transcriptionService = require('./transcription.service');
+module.exports.transactionService = require('./transaction.service');
+module.exports.conversationService = require('./conversation.service');
+module.exports.chatSettingService = require('./chatSetting.service');
+module.exports.transactionLogService = require('./transactionLog.service');
+module.exports.jobService = require('./job.service');
+module.exports.webhookEventService = require('./webhookEvent.service');
+module.exports.phoneLinkService = require('./phoneLink.service');
+module.exports.budgetService = require('./budget.service');
+module.exports.fastParserService = require('./fastParser.service');
+module.exports.resolverService = require('./resolver.service');
+module.exports.aliasService = require('./alias.service');
+module.exports.payeeCategoryService = require('./payeeCategory.service');
+module.exports.spendingService = require('./spending.service');
+module.exports.budgetChangeService = require('./budgetChange.service');
+module.exports.budgetAlertService = require('./budgetAlert.service');
+module.exports.scheduleService = require('./schedule.service');
+module.exports.reconciliationService = require('./reconciliation.service');
+module.exports.transactionSearchService = require('./transactionSearch.service');
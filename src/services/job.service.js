@@ -0,0 +1,283 @@
+const httpStatus = require('http-status');
+const { Job } = require('../models');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const { jobStatuses } = require('../config/jobs');
+const ApiError = require('../utils/ApiError');
+
+const handlers = new Map();
+// The IDs of the jobs this process is running
+const running = new Set();
+let pollTimer = null;
+let isPolling = false;
+
+/**
+ * Register the function that runs jobs of a type
+ * @param {string} type
+ * @param {Function} handler - Called with the job's data. A thrown error fails the attempt
+ * @param {Object} [options]
+ * @param {Function} [options.onDead] - Called with the job's data and the last error once the job has run out of attempts
+ */
+const registerHandler = (type, handler, { onDead } = {}) => {
+  handlers.set(type, { handler, onDead });
+};
+
+/**
+ * Seconds to wait before the next attempt of a job, doubling with every failed attempt
+ * @param {number} attempts - The number of attempts made so far
+ * @returns {number}
+ */
+const getBackoffSeconds = (attempts) => config.jobs.backoffSeconds * 2 ** (attempts - 1);
+
+/**
+ * Get the oldest unfinished job of every key, the only one of its key that may run
+ * Read from the queue rather than from this process, so that a job waiting to be retried holds back the newer jobs of its key,
+ * and so do jobs other processes are running
+ * @returns {Promise<ObjectId[]>}
+ */
+const getNextJobIdsByKey = async () => {
+  const heads = await Job.aggregate([
+    { $match: { status: { $in: [jobStatuses.QUEUED, jobStatuses.RUNNING] }, key: { $ne: null } } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$key', jobId: { $first: '$_id' } } },
+  ]);
+  return heads.map(({ jobId }) => jobId);
+};
+
+/**
+ * Mark a due job as running, skipping jobs that have an older job of their key still queued or running
+ * @returns {Promise<Job|null>}
+ */
+const claimJob = async () => {
+  const nextJobIds = await getNextJobIdsByKey();
+  return Job.findOneAndUpdate(
+    { status: jobStatuses.QUEUED, runAt: { $lte: new Date() }, $or: [{ key: null }, { _id: { $in: nextJobIds } }] },
+    { status: jobStatuses.RUNNING, lockedAt: new Date(), $inc: { attempts: 1 } },
+    { new: true, sort: { runAt: 1, createdAt: 1 } }
+  );
+};
+
+/**
+ * Run one attempt of a job, then record whether it succeeded, will be retried or is dead
+ * @param {Job} job
+ * @returns {Promise<void>}
+ */
+const runJob = async (job) => {
+  const registered = handlers.get(job.type);
+  try {
+    if (!registered) {
+      throw new Error(`No handler registered for job type "${job.type}"`);
+    }
+    await registered.handler(job.data);
+    Object.assign(job, { status: jobStatuses.SUCCEEDED, lockedAt: undefined, finishedAt: new Date() });
+  } catch (error) {
+    if (job.attempts >= job.maxAttempts) {
+      logger.error(`Job ${job.id} (${job.type}) failed for good after ${job.attempts} attempt(s): ${error.message}`);
+      Object.assign(job, {
+        status: jobStatuses.DEAD,
+        lockedAt: undefined,
+        lastError: error.message,
+        finishedAt: new Date(),
+      });
+      if (registered && registered.onDead) {
+        await Promise.resolve(registered.onDead(job.data, error)).catch((hookError) =>
+          logger.error(`onDead hook for job ${job.id} failed: ${hookError.message}`)
+        );
+      }
+    } else {
+      const backoffSeconds = getBackoffSeconds(job.attempts);
+      logger.warn(`Job ${job.id} (${job.type}) failed, retrying in ${backoffSeconds}s: ${error.message}`);
+      Object.assign(job, {
+        status: jobStatuses.QUEUED,
+        lockedAt: undefined,
+        lastError: error.message,
+        runAt: new Date(Date.now() + backoffSeconds * 1000),
+      });
+    }
+  }
+  await job.save();
+};
+
+/**
+ * Queue again the jobs whose worker stopped without finishing them, e.g. because the process crashed
+ * @returns {Promise}
+ */
+const releaseStaleJobs = async () => {
+  const leaseExpiredAt = new Date(Date.now() - config.jobs.leaseMinutes * 60 * 1000);
+  return Job.updateMany(
+    { _id: { $nin: [...running] }, status: jobStatuses.RUNNING, lockedAt: { $lt: leaseExpiredAt } },
+    { status: jobStatuses.QUEUED, runAt: new Date() }
+  );
+};
+
+/**
+ * Run a claimed job in the background, and look for more work once it is done
+ * @param {Job} job
+ * @param {Function} next - Called after the job has finished, unless the worker was stopped
+ */
+const startJob = (job, next) => {
+  running.add(job.id);
+  runJob(job)
+    .catch((error) => logger.error(`Could not record the outcome of job ${job.id}: ${error.message}`))
+    .finally(() => {
+      running.delete(job.id);
+      if (pollTimer) {
+        setImmediate(next);
+      }
+    });
+};
+
+/**
+ * Claim and start due jobs one at a time, until there are none left or the concurrency limit is reached
+ * @param {Function} next - Called after each job has finished, unless the worker was stopped
+ * @returns {Promise<void>}
+ */
+const startDueJobs = async (next) => {
+  if (running.size >= config.jobs.concurrency) {
+    return;
+  }
+  const job = await claimJob();
+  if (job) {
+    startJob(job, next);
+    await startDueJobs(next);
+  }
+};
+
+/**
+ * Start due jobs until the concurrency limit is reached
+ * @returns {Promise<void>}
+ */
+const poll = async () => {
+  if (isPolling) {
+    return;
+  }
+  isPolling = true;
+  try {
+    await releaseStaleJobs();
+    await startDueJobs(poll);
+  } catch (error) {
+    logger.error(`Job queue poll failed: ${error.message}`);
+  } finally {
+    isPolling = false;
+  }
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} type - A type with a registered handler
+ * @param {Object} data - Passed to the handler
+ * @param {Object} [options]
+ * @param {string} [options.key] - Jobs with the same key run one at a time, in the order they were queued
+ * @param {Date} [options.runAt] - When to run the job, if not right away
+ * @returns {Promise<Job>}
+ */
+const enqueueJob = async (type, data, { key, runAt } = {}) => {
+  const job = await Job.create({ type, data, key, runAt, maxAttempts: config.jobs.maxAttempts });
+  if (pollTimer) {
+    setImmediate(poll);
+  }
+  return job;
+};
+
+/**
+ * Add a job to the queue unless one of its type and key is already waiting to run, e.g. for jobs that queue their own next run
+ * @param {string} type - A type with a registered handler
+ * @param {Object} data - Passed to the handler
+ * @param {Object} [options] - As for `enqueueJob`
+ * @returns {Promise<Job>} The waiting job, or the one that was added
+ */
+const ensureJob = async (type, data, options = {}) => {
+  const queued = await Job.findOne({ type, key: options.key, status: jobStatuses.QUEUED });
+  return queued || enqueueJob(type, data, options);
+};
+
+/**
+ * Start running queued jobs in this process
+ */
+const startWorker = () => {
+  if (pollTimer) {
+    return;
+  }
+  pollTimer = setInterval(poll, config.jobs.pollIntervalSeconds * 1000);
+  setImmediate(poll);
+  logger.info(`Job worker started with a concurrency of ${config.jobs.concurrency}`);
+};
+
+/**
+ * Wait until this process is running no jobs
+ * @returns {Promise<void>}
+ */
+const waitForRunningJobs = async () => {
+  if (running.size) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    await waitForRunningJobs();
+  }
+};
+
+/**
+ * Stop starting new jobs, and wait for the running ones to finish
+ * @returns {Promise<void>}
+ */
+const stopWorker = async () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+  await waitForRunningJobs();
+  logger.info('Job worker stopped');
+};
+
+/**
+ * Query for jobs
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryJobs = async (filter, options) => {
+  const jobs = await Job.paginate(filter, options);
+  return jobs;
+};
+
+/**
+ * Get job by id
+ * @param {ObjectId} id
+ * @returns {Promise<Job>}
+ */
+const getJobById = async (id) => {
+  return Job.findById(id);
+};
+
+/**
+ * Queue a dead job again, with a fresh set of attempts
+ * @param {ObjectId} jobId
+ * @returns {Promise<Job>}
+ */
+const retryJob = async (jobId) => {
+  const job = await getJobById(jobId);
+  if (!job) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Job not found');
+  }
+  if (job.status !== jobStatuses.DEAD) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only dead jobs can be retried');
+  }
+  Object.assign(job, { status: jobStatuses.QUEUED, attempts: 0, runAt: new Date(), finishedAt: undefined });
+  await job.save();
+  if (pollTimer) {
+    setImmediate(poll);
+  }
+  return job;
+};
+
+module.exports = {
+  registerHandler,
+  getBackoffSeconds,
+  claimJob,
+  enqueueJob,
+  ensureJob,
+  startWorker,
+  stopWorker,
+  queryJobs,
+  getJobById,
+  retryJob,
+};
@@ -0,0 +1,73 @@
+const httpStatus = require('http-status');
+const { z } = require('zod');
+const { zodToJsonSchema } = require('zod-to-json-schema');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const providers = require('./llm');
+
+/**
+ * Gets the provider and model configured for a task, falling back to the default ones.
+ * @param {string} task
+ * @returns {{ provider: import('./llm').LlmProvider, providerName: string, model: string }}
+ */
+const getTaskSettings = (task) => {
+  const { provider: providerName, model } = config.llm.tasks[task] || config.llm.default;
+  const provider = providers[providerName];
+  if (!provider) {
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `Unknown LLM provider "${providerName}" for task ${task}`);
+  }
+  return { provider, providerName, model };
+};
+
+/**
+ * Sends a request to the provider configured for the task.
+ * @param {string} task
+ * @param {object} request - The `prompt`, `media` and `jsonSchema` of the request.
+ * @returns {Promise<string>} The text of the response.
+ */
+const generate = async (task, { prompt, media = [], jsonSchema }) => {
+  const { provider, providerName, model } = getTaskSettings(task);
+  try {
+    return await provider.generate({ task, model, prompt, media, jsonSchema });
+  } catch (error) {
+    logger.error(`LLM request for ${task} to ${providerName} (${model}) failed: ${error.message}`);
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `LLM API Error (${task}): ${error.message}`);
+  }
+};
+
+/**
+ * Generates a response that follows a Zod schema.
+ * @param {string} task - The task, which decides the provider and model, e.g. 'transaction'.
+ * @param {object} request
+ * @param {string} request.prompt
+ * @param {z.ZodTypeAny} request.schema - The schema the response is validated against.
+ * @param {{ data: Buffer, mimeType: string }[]} [request.media] - Images or audio to send along with the prompt.
+ * @returns {Promise<object>} The validated response.
+ */
+const generateObject = async (task, { prompt, schema, media }) => {
+  const text = await generate(task, { prompt, media, jsonSchema: zodToJsonSchema(schema) });
+  try {
+    return schema.parse(JSON.parse(text));
+  } catch (error) {
+    const reason = error instanceof z.ZodError ? error.message : `invalid JSON: ${error.message}`;
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `LLM response validation error (${task}): ${reason}`);
+  }
+};
+
+/**
+ * Generates a plain text response.
+ * @param {string} task - The task, which decides the provider and model, e.g. 'answer'.
+ * @param {object} request
+ * @param {string} request.prompt
+ * @param {{ data: Buffer, mimeType: string }[]} [request.media] - Images or audio to send along with the prompt.
+ * @returns {Promise<string>}
+ */
+const generateText = async (task, { prompt, media }) => {
+  return generate(task, { prompt, media });
+};
+
+module.exports = {
+  generateObject,
+  generateText,
+};
@@ -0,0 +1,38 @@
+// Answers with canned responses instead of calling a model, so that tests and local runs are deterministic
+const responses = new Map();
+
+/**
+ * Sets what the fixture provider answers for a task.
+ * @param {string} task - The task name, e.g. 'intent'.
+ * @param {object|string|Function} response - An object is answered as JSON. A function is called with the request.
+ */
+const setResponse = (task, response) => {
+  responses.set(task, response);
+};
+
+/**
+ * Forgets every response set with `setResponse`.
+ */
+const clearResponses = () => {
+  responses.clear();
+};
+
+/**
+ * Answers with the response set for the task.
+ * @param {import('./index').LlmRequest} request
+ * @returns {Promise<string>}
+ */
+const generate = async (request) => {
+  if (!responses.has(request.task)) {
+    throw new Error(`No fixture response set for task "${request.task}"`);
+  }
+  const response = responses.get(request.task);
+  const value = typeof response === 'function' ? await response(request) : response;
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+module.exports = {
+  setResponse,
+  clearResponses,
+  generate,
+};
@@ -0,0 +1,30 @@
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const config = require('../../config/config');
+
+let genAI = null;
+
+/**
+ * Generates a completion with the Gemini API.
+ * @param {import('./index').LlmRequest} request
+ * @returns {Promise<string>} The text of the response.
+ */
+const generate = async ({ model, prompt, media, jsonSchema }) => {
+  if (!config.llm.gemini.apiKey) {
+    throw new Error('GEMINI_API_KEY is not set');
+  }
+  genAI = genAI || new GoogleGenerativeAI(config.llm.gemini.apiKey);
+  const generativeModel = genAI.getGenerativeModel({
+    model,
+    generationConfig: jsonSchema ? { responseMimeType: 'application/json', responseJsonSchema: jsonSchema } : undefined,
+  });
+  const parts = [
+    prompt,
+    ...media.map(({ data, mimeType }) => ({ inlineData: { data: data.toString('base64'), mimeType } })),
+  ];
+  const result = await generativeModel.generateContent(parts.length > 1 ? parts : prompt);
+  return result.response.text();
+};
+
+module.exports = {
+  generate,
+};
@@ -0,0 +1,17 @@
+/**
+ * @typedef {object} LlmRequest
+ * @property {string} task - The task the request is for, e.g. 'intent'.
+ * @property {string} model - The model to use, as named by the provider.
+ * @property {string} prompt - The instructions and user input.
+ * @property {{ data: Buffer, mimeType: string }[]} media - Images or audio to send along with the prompt.
+ * @property {object} [jsonSchema] - The JSON schema the response must follow. Without one the response is plain text.
+ */
+
+/**
+ * @typedef {object} LlmProvider
+ * @property {function(LlmRequest): Promise<string>} generate - Returns the text of the response, JSON if a schema was given.
+ */
+
+module.exports.gemini = require('./gemini.provider');
+module.exports.openai = require('./openai.provider');
+module.exports.fixture = require('./fixture.provider');
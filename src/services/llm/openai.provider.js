@@ -0,0 +1,46 @@
+const axios = require('axios');
+const config = require('../../config/config');
+
+/**
+ * Builds the content part for an attachment. Images are sent as data URLs and audio as `input_audio`,
+ * which only some servers and models accept.
+ * @param {{ data: Buffer, mimeType: string }} attachment
+ * @returns {object}
+ */
+const toContentPart = ({ data, mimeType }) => {
+  if (mimeType.startsWith('audio/')) {
+    // e.g. 'audio/ogg; codecs=opus' -> 'ogg'
+    const format = mimeType.split(';')[0].split('/')[1];
+    return { type: 'input_audio', input_audio: { data: data.toString('base64'), format } };
+  }
+  return { type: 'image_url', image_url: { url: `data:${mimeType};base64,${data.toString('base64')}` } };
+};
+
+/**
+ * Generates a completion with an OpenAI-compatible chat completions API, such as OpenAI itself,
+ * Ollama or the llama.cpp server.
+ * @param {import('./index').LlmRequest} request
+ * @returns {Promise<string>} The text of the response.
+ */
+const generate = async ({ task, model, prompt, media, jsonSchema }) => {
+  const { baseUrl, apiKey } = config.llm.openai;
+  const content = media.length ? [{ type: 'text', text: prompt }, ...media.map(toContentPart)] : prompt;
+  const response = await axios.post(
+    `${baseUrl.replace(/\/$/, '')}/chat/completions`,
+    {
+      model,
+      messages: [{ role: 'user', content }],
+      response_format: jsonSchema ? { type: 'json_schema', json_schema: { name: task, schema: jsonSchema } } : undefined,
+    },
+    { headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} }
+  );
+  const [choice] = response.data.choices || [];
+  if (!choice || typeof choice.message.content !== 'string') {
+    throw new Error('The response has no message content');
+  }
+  return choice.message.content;
+};
+
+module.exports = {
+  generate,
+};
@@ -0,0 +1,148 @@
+const httpStatus = require('http-status');
+const { PayeeCategory } = require('../models');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { normalize } = require('../utils/similarity');
+const runSequentially = require('../utils/runSequentially');
+
+/**
+ * Whether a learned category is certain enough to be used without asking the model
+ * @param {PayeeCategory} payeeCategory
+ * @returns {boolean}
+ */
+const isSettled = ({ forced, timesFiled }) => forced || timesFiled >= config.payeeCategories.forceAfter;
+
+/**
+ * Record which category a payee was filed under
+ * Filing a payee under the same category again makes the mapping stronger, and filing it under another one starts over
+ * @param {ObjectId} userId
+ * @param {string} payeeName
+ * @param {string} categoryName
+ * @returns {Promise<PayeeCategory|null>} The mapping, or null if there is nothing to learn
+ */
+const learnPayeeCategory = async (userId, payeeName, categoryName) => {
+  const payee = normalize(payeeName);
+  if (!userId || !payee || !categoryName) {
+    return null;
+  }
+  const payeeCategory = await PayeeCategory.findOne({ user: userId, payee });
+  if (!payeeCategory) {
+    return PayeeCategory.create({ user: userId, payee, payeeName, category: categoryName });
+  }
+  if (payeeCategory.forced) {
+    return payeeCategory;
+  }
+  if (payeeCategory.category === categoryName) {
+    payeeCategory.timesFiled += 1;
+  } else {
+    Object.assign(payeeCategory, { category: categoryName, timesFiled: 1 });
+  }
+  payeeCategory.payeeName = payeeName;
+  await payeeCategory.save();
+  return payeeCategory;
+};
+
+/**
+ * Record the categories a list of transactions was filed under, in order
+ * @param {ObjectId} userId
+ * @param {{ payee: string, category: string }[]} filings - The payee and category names. Entries without either are skipped
+ * @returns {Promise<void>}
+ */
+const learnPayeeCategories = async (userId, filings) => {
+  // One at a time, so that a payee filed twice in one message counts twice
+  await runSequentially(filings, ({ payee, category }) => learnPayeeCategory(userId, payee, category));
+};
+
+/**
+ * Get the learned categories of a user, the strongest first
+ * Logs from before budgets were per user have no user, and so learn nothing
+ * @param {ObjectId} [userId]
+ * @returns {Promise<PayeeCategory[]>}
+ */
+const getPayeeCategories = async (userId) => {
+  if (!userId) {
+    return [];
+  }
+  return PayeeCategory.find({ user: userId }).sort({ forced: -1, timesFiled: -1, updatedAt: -1 });
+};
+
+/**
+ * Find the category to use for a payee without asking the model
+ * @param {PayeeCategory[]} payeeCategories - From `getPayeeCategories`
+ * @param {string} payeeName
+ * @returns {string|null} The category name, if the mapping is settled
+ */
+const getSettledCategory = (payeeCategories, payeeName) => {
+  const payee = normalize(payeeName);
+  const payeeCategory = payee && payeeCategories.find((entry) => entry.payee === payee);
+  return payeeCategory && isSettled(payeeCategory) ? payeeCategory.category : null;
+};
+
+/**
+ * Describe the learned categories for the model, one per line, e.g. 'Indomaret: Groceries'
+ * @param {PayeeCategory[]} payeeCategories - From `getPayeeCategories`
+ * @returns {string[]}
+ */
+const buildCategoryHints = (payeeCategories) =>
+  payeeCategories.slice(0, config.payeeCategories.maxHints).map(({ payeeName, category }) => `${payeeName}: ${category}`);
+
+/**
+ * Query for learned categories
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryPayeeCategories = async (filter, options) => {
+  const payeeCategories = await PayeeCategory.paginate(filter, options);
+  return payeeCategories;
+};
+
+/**
+ * Change a learned category, or force it so that learning never changes it
+ * @param {ObjectId} userId
+ * @param {ObjectId} payeeCategoryId
+ * @param {Object} updateBody - The `category` and `forced` flag
+ * @returns {Promise<PayeeCategory>}
+ */
+const updatePayeeCategory = async (userId, payeeCategoryId, updateBody) => {
+  const payeeCategory = await PayeeCategory.findOne({ _id: payeeCategoryId, user: userId });
+  if (!payeeCategory) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Payee category not found');
+  }
+  Object.assign(payeeCategory, updateBody);
+  if (updateBody.category) {
+    // A category the user picked is settled straight away, until the payee is filed elsewhere
+    payeeCategory.timesFiled = Math.max(payeeCategory.timesFiled, config.payeeCategories.forceAfter);
+  }
+  await payeeCategory.save();
+  return payeeCategory;
+};
+
+/**
+ * Forget a learned category
+ * @param {ObjectId} userId
+ * @param {ObjectId} payeeCategoryId
+ * @returns {Promise<PayeeCategory>}
+ */
+const deletePayeeCategory = async (userId, payeeCategoryId) => {
+  const payeeCategory = await PayeeCategory.findOne({ _id: payeeCategoryId, user: userId });
+  if (!payeeCategory) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Payee category not found');
+  }
+  await payeeCategory.remove();
+  return payeeCategory;
+};
+
+module.exports = {
+  learnPayeeCategory,
+  learnPayeeCategories,
+  getPayeeCategories,
+  getSettledCategory,
+  buildCategoryHints,
+  queryPayeeCategories,
+  updatePayeeCategory,
+  deletePayeeCategory,
+};
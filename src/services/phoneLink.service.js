@@ -0,0 +1,149 @@
+const httpStatus = require('http-status');
+const { PhoneLink, Token, LinkAttempt } = require('../models');
+const config = require('../config/config');
+const ApiError = require('../utils/ApiError');
+const { tokenTypes } = require('../config/tokens');
+
+const linkCodePattern = /^(?:link )?(\d{6})$/i;
+
+/**
+ * Get the WAHA ID of whoever sent a message. In a group, `from` is the group and `participant` the sender
+ * @param {Object} messagePayload - The WAHA message payload
+ * @returns {string}
+ */
+const getSenderId = (messagePayload) => messagePayload.participant || messagePayload.from;
+
+/**
+ * Get the link code in a message, e.g. '482913' or 'link 482913'
+ * @param {string} text
+ * @returns {string|null}
+ */
+const parseLinkCode = (text) => {
+  const match = linkCodePattern.exec((text || '').trim().replace(/\s+/g, ' '));
+  return match ? match[1] : null;
+};
+
+/**
+ * Get the link of a WhatsApp number, with its user
+ * @param {string} chatId
+ * @returns {Promise<PhoneLink|null>}
+ */
+const getPhoneLinkByChatId = async (chatId) => {
+  return PhoneLink.findOne({ chatId }).populate('user');
+};
+
+/**
+ * Link a WhatsApp number to the user who requested a link code
+ * @param {string} chatId
+ * @param {string} code
+ * @returns {Promise<PhoneLink|null>} The link, with its user, or null if the code is invalid or expired
+ */
+const linkPhone = async (chatId, code) => {
+  const tokenDoc = await Token.findOneAndDelete({
+    token: code,
+    type: tokenTypes.LINK_PHONE,
+    expires: { $gt: new Date() },
+    blacklisted: false,
+  });
+  if (!tokenDoc) {
+    return null;
+  }
+  await LinkAttempt.deleteOne({ chatId });
+  const phoneLink = await PhoneLink.findOneAndUpdate(
+    { chatId },
+    { user: tokenDoc.user, role: tokenDoc.chatRole },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+  return phoneLink.populate('user').execPopulate();
+};
+
+/**
+ * Get until when a WhatsApp number may not link, after sending too many wrong link codes
+ * @param {string} chatId
+ * @returns {Promise<Date|null>} Null if the number may link
+ */
+const getLinkLockout = async (chatId) => {
+  const attempt = await LinkAttempt.findOne({ chatId, lockedUntil: { $gt: new Date() } });
+  return attempt ? attempt.lockedUntil : null;
+};
+
+/**
+ * Count a wrong link code against the number that sent it, and against every live code, since it may have been a guess at any of them
+ * A number that sends too many is locked out for a while, and codes that faced too many stop working
+ * @param {string} chatId
+ * @returns {Promise<Date|null>} Until when the number is locked out, or null if it may try again
+ */
+const recordFailedLink = async (chatId) => {
+  const liveCodes = { type: tokenTypes.LINK_PHONE, expires: { $gt: new Date() }, blacklisted: false };
+  await Token.updateMany(liveCodes, { $inc: { failedAttempts: 1 } });
+  await Token.updateMany(
+    { ...liveCodes, failedAttempts: { $gte: config.phoneLink.codeMaxFailedAttempts } },
+    { blacklisted: true }
+  );
+
+  const attempt = await LinkAttempt.findOneAndUpdate({ chatId }, { $inc: { failures: 1 } }, { new: true, upsert: true });
+  if (attempt.failures < config.phoneLink.maxFailedAttempts) {
+    return null;
+  }
+  const lockedUntil = new Date(Date.now() + config.phoneLink.lockoutMinutes * 60 * 1000);
+  await LinkAttempt.updateOne({ chatId }, { failures: 0, lockedUntil });
+  return lockedUntil;
+};
+
+/**
+ * Query for phone links
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryPhoneLinks = async (filter, options) => {
+  const phoneLinks = await PhoneLink.paginate(filter, options);
+  return phoneLinks;
+};
+
+/**
+ * Change what a linked WhatsApp number may do in chat
+ * @param {ObjectId} userId
+ * @param {ObjectId} phoneLinkId
+ * @param {string} role
+ * @returns {Promise<PhoneLink>}
+ */
+const updatePhoneLinkRole = async (userId, phoneLinkId, role) => {
+  const phoneLink = await PhoneLink.findOne({ _id: phoneLinkId, user: userId });
+  if (!phoneLink) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Phone link not found');
+  }
+  Object.assign(phoneLink, { role });
+  await phoneLink.save();
+  return phoneLink;
+};
+
+/**
+ * Unlink a WhatsApp number from a user
+ * @param {ObjectId} userId
+ * @param {ObjectId} phoneLinkId
+ * @returns {Promise<PhoneLink>}
+ */
+const deletePhoneLink = async (userId, phoneLinkId) => {
+  const phoneLink = await PhoneLink.findOne({ _id: phoneLinkId, user: userId });
+  if (!phoneLink) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Phone link not found');
+  }
+  await phoneLink.remove();
+  return phoneLink;
+};
+
+module.exports = {
+  getSenderId,
+  parseLinkCode,
+  getPhoneLinkByChatId,
+  linkPhone,
+  getLinkLockout,
+  recordFailedLink,
+  queryPhoneLinks,
+  updatePhoneLinkRole,
+  deletePhoneLink,
+};
@@ -0,0 +1,105 @@
+const actualService = require('./actual.service');
+const { resolveName } = require('./resolver.service');
+const formatIDR = require('../utils/formatIDR');
+const { parseMoney, toRupiah } = require('../utils/money');
+
+// The payee Actual itself gives the adjustments it makes when reconciling
+const ADJUSTMENT_PAYEE = 'Reconciliation Balance Adjustment';
+
+/**
+ * Format an amount in minor units with its sign, e.g. '+Rp 50.000,00' or '-Rp 50.000,00'
+ * @param {number} minorUnits
+ * @returns {string}
+ */
+const formatSigned = (minorUnits) => `${minorUnits < 0 ? '-' : '+'}${formatIDR(toRupiah(Math.abs(minorUnits)))}`;
+
+/**
+ * Format a balance in minor units, keeping the minus sign of a negative one
+ * @param {number} minorUnits
+ * @returns {string}
+ */
+const formatBalance = (minorUnits) => (minorUnits < 0 ? formatSigned(minorUnits) : formatIDR(toRupiah(minorUnits)));
+
+/**
+ * Work out which account a reconciliation is about and the balance the bank shows for it
+ * @param {Object} request - From `geminiService.processReconciliation`
+ * @param {Object} context
+ * @param {Object[]} context.accounts - The accounts in Actual
+ * @param {Object} [context.aliases] - The user's aliases by kind
+ * @returns {{ account: Object, balance: number }|{ reason: string }|{ unmatched: { name: string, candidates: Object[] } }} The balance is in minor units
+ */
+const resolveReconciliation = (request, { accounts, aliases = {} }) => {
+  const { match: account, candidates } = resolveName(request.account_name, accounts, aliases.account);
+  if (!account) {
+    return { unmatched: { name: request.account_name || '', candidates } };
+  }
+  // Unlike a transaction, a balance can be zero
+  const amount = request.balance ? parseMoney(request.balance.text) : null;
+  if (amount === null) {
+    return {
+      reason: request.balance ? `"${request.balance.text}" is not an amount I can read` : `I couldn't tell the balance`,
+    };
+  }
+  return { account, balance: request.negative ? -amount : amount };
+};
+
+/**
+ * Compare an account's balance in Actual with the bank's, and ask to confirm the adjustment
+ * @param {Object} comparison
+ * @param {Object} comparison.account
+ * @param {number} comparison.current - The balance in Actual up to today, in minor units
+ * @param {number} comparison.balance - The balance the bank shows, in minor units
+ * @returns {string}
+ */
+const formatDifference = ({ account, current, balance }) => {
+  const difference = formatSigned(balance - current);
+  return [
+    `*🏦 ${account.name} is off by ${difference}*`,
+    `- In Actual: ${formatBalance(current)}`,
+    `- At the bank: ${formatBalance(balance)}`,
+    `Reply "ya" to add a ${difference} adjustment and mark the transactions up to today as reconciled, or "batal" to cancel.`,
+  ].join('\n');
+};
+
+/**
+ * Bring an account to the bank's balance and mark its transactions up to today as reconciled
+ * The adjustment is the one the user confirmed, and nothing is written if the balance in Actual has changed since
+ * @param {string} userId - The user whose budget to change
+ * @param {Object} reconciliation
+ * @param {string} reconciliation.accountId
+ * @param {number} reconciliation.current - The balance in Actual the adjustment was worked out from, in minor units
+ * @param {number} reconciliation.adjustment - The adjustment the user confirmed, in minor units
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {Promise<{ adjustment: number, reconciled: number }|null>} The adjustment in minor units and how many transactions were
+ * marked as reconciled, or null if the balance changed
+ */
+const applyReconciliation = async (userId, { accountId, current, adjustment }, today) => {
+  const reconciled = await actualService.reconcileAccount(userId, accountId, today, {
+    expected: current,
+    adjustment: adjustment
+      ? { date: today, amount: adjustment, payee_name: ADJUSTMENT_PAYEE, notes: 'Reconciled from chat', cleared: true }
+      : null,
+  });
+  return reconciled === null ? null : { adjustment, reconciled };
+};
+
+/**
+ * Describe a reconciliation that was applied
+ * @param {string} accountName
+ * @param {number} balance - The balance the account was brought to, in minor units
+ * @param {{ adjustment: number, reconciled: number }} result - From `applyReconciliation`
+ * @returns {string}
+ */
+const formatReconciliation = (accountName, balance, { adjustment, reconciled }) => {
+  const adjusted = adjustment ? `, after a ${formatSigned(adjustment)} adjustment` : '';
+  return `✅ ${accountName} is reconciled at ${formatBalance(
+    balance
+  )}${adjusted}. ${reconciled} transaction(s) marked as reconciled.`;
+};
+
+module.exports = {
+  resolveReconciliation,
+  formatDifference,
+  applyReconciliation,
+  formatReconciliation,
+};
@@ -0,0 +1,98 @@
+const { normalize, similarity } = require('../utils/similarity');
+
+// A name this similar to the query is taken as the match, unless another name comes close to it
+const matchScore = 0.75;
+// How far the match must be ahead of the runner-up, so that e.g. "bca" is not guessed between "BCA Tabungan" and "BCA Giro"
+const matchMargin = 0.1;
+// Names this similar are offered as candidates when there is no clear match
+const candidateScore = 0.5;
+const maxCandidates = 5;
+
+/**
+ * @typedef {object} Resolution
+ * @property {object} [match] - The entry the query refers to, if it is clear.
+ * @property {object[]} candidates - The entries the query may refer to, most likely first. Empty when there is a match.
+ */
+
+/**
+ * Scores how well a query names an entry, by its name or by one of the user's aliases for it.
+ * @param {string} query - The normalized query.
+ * @param {object} entry - An account, category or payee, with a `name`.
+ * @param {object[]} aliases - The user's aliases of the entry's kind.
+ * @returns {number} From 0 to 1, where 1 is an exact match of the name or an alias.
+ */
+const scoreEntry = (query, entry, aliases) => {
+  const name = normalize(entry.name);
+  const entryAliases = aliases.filter(({ target }) => normalize(target) === name).map(({ alias }) => normalize(alias));
+  if (entryAliases.includes(query)) {
+    return 1;
+  }
+  return Math.max(similarity(query, name), ...entryAliases.map((alias) => similarity(query, alias)));
+};
+
+/**
+ * Finds the account, category or payee a name refers to.
+ * An exact name or alias always matches. Otherwise the most similar name matches only if it is both close
+ * to the query and clearly ahead of the others, and the closest names are returned as candidates instead.
+ * @param {string} query - The name as the user or the model wrote it, e.g. 'bca' or 'makan'.
+ * @param {object[]} entries - The accounts, categories or payees to choose from, each with a `name`.
+ * @param {object[]} [aliases] - The user's aliases of this kind, each with an `alias` and a `target` name.
+ * @returns {Resolution}
+ */
+const resolveName = (query, entries, aliases = []) => {
+  const normalizedQuery = normalize(query);
+  if (!normalizedQuery) {
+    return { candidates: [] };
+  }
+  const ranked = entries
+    .map((entry, index) => ({ entry, index, score: scoreEntry(normalizedQuery, entry, aliases) }))
+    .filter(({ score }) => score >= candidateScore)
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const [best, runnerUp] = ranked;
+  if (
+    best &&
+    (best.score === 1 || (best.score >= matchScore && (!runnerUp || best.score - runnerUp.score >= matchMargin)))
+  ) {
+    return { match: best.entry, candidates: [] };
+  }
+  return { candidates: ranked.slice(0, maxCandidates).map(({ entry }) => entry) };
+};
+
+/**
+ * Finds the entry a name refers to only if it is the exact name or an alias, without fuzzy matching.
+ * Used where a close but different name would be recorded silently, e.g. a payee.
+ * @param {string} query - The name as the user or the model wrote it, e.g. 'indomaret'.
+ * @param {object[]} entries - The accounts, categories or payees to choose from, each with a `name`.
+ * @param {object[]} [aliases] - The user's aliases of this kind, each with an `alias` and a `target` name.
+ * @returns {object|undefined}
+ */
+const findExactName = (query, entries, aliases = []) => {
+  const normalizedQuery = normalize(query);
+  if (!normalizedQuery) {
+    return undefined;
+  }
+  return entries.find(
+    (entry) =>
+      normalize(entry.name) === normalizedQuery ||
+      aliases.some(
+        ({ alias, target }) => normalize(target) === normalize(entry.name) && normalize(alias) === normalizedQuery
+      )
+  );
+};
+
+/**
+ * Describes the names a query may refer to, e.g. '"BCA Tabungan" or "BCA Giro"'.
+ * @param {object[]} candidates - From `resolveName(...).candidates`.
+ * @returns {string}
+ */
+const describeCandidates = (candidates) => {
+  const names = candidates.map(({ name }) => `"${name}"`);
+  return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names.join('');
+};
+
+module.exports = {
+  resolveName,
+  findExactName,
+  describeCandidates,
+};
@@ -0,0 +1,191 @@
+const moment = require('moment');
+const jobService = require('./job.service');
+const { Schedule } = require('../models');
+const config = require('../config/config');
+const { jobTypes } = require('../config/jobs');
+const formatIDR = require('../utils/formatIDR');
+const { getToday, getNextDayOfMonth } = require('../utils/date');
+const { resolveAmount, toRupiah } = require('../utils/money');
+
+const listCommand = /^(jadwal|schedules?)$/i;
+const changeCommand = /^(?:jadwal|schedule) (pause|jeda|resume|lanjut|hapus|delete) (\d+)$/i;
+const changeActions = {
+  pause: 'pause',
+  jeda: 'pause',
+  resume: 'resume',
+  lanjut: 'resume',
+  hapus: 'delete',
+  delete: 'delete',
+};
+
+/**
+ * Parse a command about schedules, e.g. "jadwal", "jadwal jeda 2" or "jadwal hapus 1"
+ * @param {string} text
+ * @returns {{ action: string, number?: number }|null} The action is 'list', 'pause', 'resume' or 'delete', and the number is as listed
+ */
+const parseScheduleCommand = (text) => {
+  const trimmed = (text || '').trim();
+  if (listCommand.test(trimmed)) {
+    return { action: 'list' };
+  }
+  const match = changeCommand.exec(trimmed);
+  return match ? { action: changeActions[match[1].toLowerCase()], number: parseInt(match[2], 10) } : null;
+};
+
+/**
+ * Get when a day of the month next comes around, at the configured time
+ * @param {number} dayOfMonth
+ * @param {Date} [after]
+ * @returns {Date}
+ */
+const getNextRunAt = (dayOfMonth, after) => getNextDayOfMonth(dayOfMonth, config.schedules.time, config.timezone, after);
+
+/**
+ * Queue the job that records the next transaction of a schedule, unless it is already queued
+ * @param {Schedule} schedule
+ * @returns {Promise<Job>}
+ */
+const queueScheduleRun = (schedule) =>
+  jobService.ensureJob(
+    jobTypes.SCHEDULED_TRANSACTION,
+    { scheduleId: schedule.id, runAt: schedule.nextRunAt.toISOString() },
+    { key: `schedule:${schedule.id}`, runAt: schedule.nextRunAt }
+  );
+
+/**
+ * Set up a transaction to be recorded every month
+ * @param {Object} message
+ * @param {string} message.chatId - The chat to tell about every transaction recorded
+ * @param {ObjectId} message.userId - The user whose budget to record into
+ * @param {Object} transaction - The extracted transaction, with the names as they are in Actual
+ * @param {number} dayOfMonth
+ * @returns {Promise<Schedule>}
+ */
+const createSchedule = async ({ chatId, userId }, transaction, dayOfMonth) => {
+  const schedule = await Schedule.create({
+    user: userId,
+    chatId,
+    transaction,
+    dayOfMonth,
+    nextRunAt: getNextRunAt(dayOfMonth),
+  });
+  await queueScheduleRun(schedule);
+  return schedule;
+};
+
+/**
+ * Get a user's schedules, in the order they were set up
+ * @param {ObjectId} userId
+ * @returns {Promise<Schedule[]>}
+ */
+const getSchedules = async (userId) => {
+  return Schedule.find({ user: userId }).sort({ createdAt: 1 });
+};
+
+/**
+ * Take the due run of a schedule and move the schedule on to its next one, so that the run happens once
+ * @param {ObjectId} scheduleId
+ * @param {Date} runAt - When the run was due
+ * @returns {Promise<Schedule|null>} The schedule, or null if it was paused, deleted or already run
+ */
+const claimScheduleRun = async (scheduleId, runAt) => {
+  const schedule = await Schedule.findById(scheduleId);
+  if (!schedule || schedule.paused) {
+    return null;
+  }
+  if (schedule.nextRunAt.getTime() !== runAt.getTime()) {
+    // A run queued before the schedule was paused and resumed, so the current run may not be queued yet
+    await queueScheduleRun(schedule);
+    return null;
+  }
+  // Counted from the due date rather than from now, so that runs missed while the bot was down still happen
+  const claimed = await Schedule.findOneAndUpdate(
+    { _id: scheduleId, nextRunAt: runAt, paused: false },
+    { nextRunAt: getNextRunAt(schedule.dayOfMonth, runAt), lastRunAt: runAt },
+    { new: true }
+  );
+  if (claimed) {
+    await queueScheduleRun(claimed);
+  }
+  return claimed;
+};
+
+/**
+ * Pause or resume a schedule
+ * A resumed schedule skips the runs that were due while it was paused
+ * @param {Schedule} schedule
+ * @param {boolean} paused
+ * @returns {Promise<Schedule>}
+ */
+const setSchedulePaused = async (schedule, paused) => {
+  const missedRun = !paused && schedule.nextRunAt <= new Date();
+  Object.assign(schedule, { paused }, missedRun && { nextRunAt: getNextRunAt(schedule.dayOfMonth) });
+  await schedule.save();
+  if (!paused) {
+    await queueScheduleRun(schedule);
+  }
+  return schedule;
+};
+
+/**
+ * Delete a schedule. Its queued run finds it gone and does nothing
+ * @param {Schedule} schedule
+ * @returns {Promise<Schedule>}
+ */
+const deleteSchedule = async (schedule) => {
+  await schedule.remove();
+  return schedule;
+};
+
+/**
+ * Queue the next run of every active schedule, so that a run whose job was lost still happens
+ * @returns {Promise<void>}
+ */
+const queueScheduleRuns = async () => {
+  const schedules = await Schedule.find({ paused: false });
+  await Promise.all(schedules.map(queueScheduleRun));
+};
+
+/**
+ * Describe a schedule on one line, e.g. 'Bayar internet: Rp 350.000,00 from BCA every 5th, next on 5 Nov 2026'
+ * @param {Schedule} schedule
+ * @returns {string}
+ */
+const describeSchedule = ({ transaction, dayOfMonth, nextRunAt, paused }) => {
+  const { amount } = resolveAmount(transaction.amount);
+  const target = transaction.type === 'transfer' ? ` to ${transaction.payee}` : '';
+  const next = paused
+    ? 'paused'
+    : `next on ${moment.utc(getToday(config.timezone, nextRunAt), 'YYYY-MM-DD').format('D MMM YYYY')}`;
+  return `${transaction.description}: ${formatIDR(toRupiah(amount || 0))} from ${
+    transaction.source_account_name
+  }${target} every ${moment.localeData().ordinal(dayOfMonth)}, ${next}`;
+};
+
+/**
+ * List a user's schedules, numbered for the pause, resume and delete commands
+ * @param {Schedule[]} schedules
+ * @returns {string}
+ */
+const formatScheduleList = (schedules) => {
+  if (!schedules.length) {
+    return '🔁 No recurring transactions yet. Set one up with e.g. "setiap tanggal 5 bayar internet 350rb dari BCA".';
+  }
+  return [
+    '*🔁 Recurring transactions:*',
+    ...schedules.map((schedule, index) => `${index + 1}. ${describeSchedule(schedule)}`),
+    'Reply "jadwal jeda <number>", "jadwal lanjut <number>" or "jadwal hapus <number>" to change one.',
+  ].join('\n');
+};
+
+module.exports = {
+  parseScheduleCommand,
+  createSchedule,
+  getSchedules,
+  claimScheduleRun,
+  setSchedulePaused,
+  deleteSchedule,
+  queueScheduleRuns,
+  describeSchedule,
+  formatScheduleList,
+};
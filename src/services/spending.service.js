@@ -0,0 +1,184 @@
+const moment = require('moment');
+const { resolveName } = require('./resolver.service');
+const formatIDR = require('../utils/formatIDR');
+const { toRupiah } = require('../utils/money');
+
+// How many of the largest expenses and categories a reply lists
+const topCount = 5;
+
+/**
+ * @typedef {object} SpendingQuery
+ * @property {string} start_date - The first day in YYYY-MM-DD format
+ * @property {string} end_date - The last day in YYYY-MM-DD format
+ * @property {string|null} category
+ * @property {string|null} payee
+ * @property {string|null} account
+ * @property {string} focus - 'total' or 'largest'
+ */
+
+/**
+ * Validate the period of a spending question, ending it today at the latest
+ * @param {SpendingQuery} query
+ * @param {string} today - Today's date in YYYY-MM-DD format
+ * @returns {{ startDate: string, endDate: string }|{ reason: string }}
+ */
+const resolvePeriod = ({ start_date: start, end_date: end }, today) => {
+  const startDate = moment.utc(start, 'YYYY-MM-DD', true);
+  const endDate = moment.utc(end, 'YYYY-MM-DD', true);
+  if (!startDate.isValid() || !endDate.isValid()) {
+    return { reason: `I couldn't tell which dates you meant` };
+  }
+  const latest = moment.utc(today, 'YYYY-MM-DD');
+  if (startDate.isAfter(latest)) {
+    return { reason: `${startDate.format('YYYY-MM-DD')} is in the future` };
+  }
+  if (startDate.isAfter(endDate)) {
+    return { reason: `the period ends before it starts` };
+  }
+  return {
+    startDate: startDate.format('YYYY-MM-DD'),
+    endDate: moment.min(endDate, latest).format('YYYY-MM-DD'),
+  };
+};
+
+/**
+ * Find the account, category and payee a spending question is limited to
+ * @param {SpendingQuery} query
+ * @param {Object} context
+ * @param {Object[]} context.accounts
+ * @param {Object[]} context.categories
+ * @param {Object[]} context.payees
+ * @param {Object} [context.aliases] - The user's aliases by kind
+ * @returns {{ filters: Object }|{ unmatched: { label: string, name: string, candidates: Object[] } }} The filters hold the matched `account`, `category` and `payee`
+ */
+const resolveFilters = (query, { accounts, categories, payees, aliases = {} }) => {
+  const lookups = [
+    { field: 'account', label: 'account', entries: accounts, aliases: aliases.account },
+    { field: 'category', label: 'category', entries: categories, aliases: aliases.category },
+    { field: 'payee', label: 'payee', entries: payees.filter((p) => !p.transfer_acct), aliases: aliases.payee },
+  ];
+  const results = lookups
+    .filter(({ field }) => query[field])
+    .map(({ field, label, entries, aliases: kindAliases }) => ({
+      field,
+      label,
+      name: query[field],
+      ...resolveName(query[field], entries, kindAliases),
+    }));
+  const failed = results.find(({ match }) => !match);
+  if (failed) {
+    return { unmatched: { label: failed.label, name: failed.name, candidates: failed.candidates } };
+  }
+  return { filters: Object.fromEntries(results.map(({ field, match }) => [field, match])) };
+};
+
+/**
+ * Pick the expenses a spending question counts
+ * Split transactions count by their parts, and transfers and income do not count
+ * @param {Object[]} transactions - From `actualService.getTransactions`
+ * @param {Object} [filters] - The matched `account`, `category` and `payee`
+ * @returns {Object[]}
+ */
+const filterExpenses = (transactions, { account, category, payee } = {}) =>
+  transactions
+    .flatMap((transaction) =>
+      transaction.subtransactions && transaction.subtransactions.length
+        ? transaction.subtransactions.map((part) => ({
+            ...part,
+            date: transaction.date,
+            account: transaction.account,
+            payee: part.payee || transaction.payee,
+          }))
+        : [transaction]
+    )
+    .filter(
+      (transaction) =>
+        transaction.amount < 0 &&
+        !transaction.transfer_id &&
+        (!account || transaction.account === account.id) &&
+        (!category || transaction.category === category.id) &&
+        (!payee || transaction.payee === payee.id)
+    );
+
+/**
+ * Total expenses, overall and by category
+ * @param {Object[]} expenses - From `filterExpenses`
+ * @returns {{ total: number, count: number, largest: Object[], byCategory: { category: string, total: number }[] }} Amounts are positive minor units, largest first
+ */
+const summarizeSpending = (expenses) => {
+  const totals = new Map();
+  expenses.forEach(({ category, amount }) => {
+    totals.set(category || null, (totals.get(category || null) || 0) - amount);
+  });
+  return {
+    total: expenses.reduce((sum, { amount }) => sum - amount, 0),
+    count: expenses.length,
+    largest: [...expenses].sort((a, b) => a.amount - b.amount).slice(0, topCount),
+    byCategory: [...totals]
+      .map(([category, total]) => ({ category, total }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, topCount),
+  };
+};
+
+/**
+ * Describe a period, e.g. '1 Sep 2026 – 30 Sep 2026', or a single day
+ * @param {string} startDate
+ * @param {string} endDate
+ * @returns {string}
+ */
+const describePeriod = (startDate, endDate) => {
+  const format = (date) => moment.utc(date, 'YYYY-MM-DD').format('D MMM YYYY');
+  return startDate === endDate ? format(startDate) : `${format(startDate)} – ${format(endDate)}`;
+};
+
+/**
+ * Format the answer to a spending question
+ * @param {Object} summary - From `summarizeSpending`
+ * @param {Object} options
+ * @param {string} options.startDate
+ * @param {string} options.endDate
+ * @param {string} options.focus - 'total' or 'largest'
+ * @param {Object} options.filters - From `resolveFilters`
+ * @param {Object[]} options.categories - To name the categories
+ * @param {Object[]} options.payees - To name the payees
+ * @returns {string}
+ */
+const formatSpendingSummary = (summary, { startDate, endDate, focus, filters, categories, payees }) => {
+  const nameOf = (entries, id, fallback) => (entries.find((entry) => entry.id === id) || { name: fallback }).name;
+  const scope = [filters.category, filters.payee, filters.account].filter(Boolean).map(({ name }) => name);
+  const title = `*💸 Spending${scope.length ? ` on ${scope.join(', ')}` : ''}, ${describePeriod(startDate, endDate)}*`;
+  if (!summary.count) {
+    return `${title}\nNothing was spent.`;
+  }
+
+  const totalLine = `Total: ${formatIDR(toRupiah(summary.total))} in ${summary.count} transaction${
+    summary.count === 1 ? '' : 's'
+  }`;
+  const largestLines = summary.largest.map((expense, index) => {
+    const label = expense.notes || nameOf(payees, expense.payee, 'No payee');
+    const categoryName = nameOf(categories, expense.category, 'Uncategorized');
+    return `${index + 1}. ${label}: ${formatIDR(toRupiah(-expense.amount))} (${categoryName}, ${expense.date})`;
+  });
+  const largest = ['*Largest:*', ...(focus === 'largest' ? largestLines : largestLines.slice(0, 3))];
+  // A breakdown by category says nothing new when the question was about one category
+  const byCategory =
+    focus === 'total' && !filters.category && summary.byCategory.length > 1
+      ? [
+          '*By category:*',
+          ...summary.byCategory.map(
+            ({ category, total }) => `- ${nameOf(categories, category, 'Uncategorized')}: ${formatIDR(toRupiah(total))}`
+          ),
+        ]
+      : [];
+  const sections = focus === 'largest' ? [largest, [totalLine]] : [[totalLine], byCategory, largest];
+  return [title, ...sections.filter((lines) => lines.length).map((lines) => lines.join('\n'))].join('\n\n');
+};
+
+module.exports = {
+  resolvePeriod,
+  resolveFilters,
+  filterExpenses,
+  summarizeSpending,
+  formatSpendingSummary,
+};
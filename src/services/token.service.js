@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const moment = require('moment');
 const httpStatus = require('http-status');
@@ -113,6 +114,30 @@ const generateVerifyEmailToken = async (user) => {
   return verifyEmailToken;
 };
 
+/**
+ * Draw a six-digit link code that no other live code has
+ * Codes are short enough to type on a phone, so they are drawn again until one is free
+ * @returns {Promise<string>}
+ */
+const generateUniqueLinkCode = async () => {
+  const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+  const taken = await Token.exists({ token: code, type: tokenTypes.LINK_PHONE, expires: { $gt: new Date() } });
+  return taken ? generateUniqueLinkCode() : code;
+};
+
+/**
+ * Generate a one-time code for linking a WhatsApp number, to be sent to the bot
+ * @param {User} user
+ * @param {string} [chatRole] - The chat role of the number that will be linked
+ * @returns {Promise<{ code: string, expires: Date }>}
+ */
+const generateLinkPhoneToken = async (user, chatRole = 'owner') => {
+  const expires = moment().add(config.phoneLink.codeExpirationMinutes, 'minutes');
+  const code = await generateUniqueLinkCode();
+  await Token.create({ token: code, user: user.id, expires: expires.toDate(), type: tokenTypes.LINK_PHONE, chatRole });
+  return { code, expires: expires.toDate() };
+};
+
 module.exports = {
   generateToken,
   saveToken,
@@ -120,4 +145,5 @@ module.exports = {
   generateAuthTokens,
   generateResetPasswordToken,
   generateVerifyEmailToken,
+  generateLinkPhoneToken,
 };
@@ -0,0 +1,262 @@
+const actualService = require('./actual.service');
+const { resolveName, findExactName } = require('./resolver.service');
+const { getSettledCategory } = require('./payeeCategory.service');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const formatIDR = require('../utils/formatIDR');
+const { resolveTransactionDate } = require('../utils/date');
+const { resolveAmount, toRupiah } = require('../utils/money');
+const runSequentially = require('../utils/runSequentially');
+
+/**
+ * @typedef {object} ExtractedTransaction
+ * @property {string} type - One of 'expense', 'income' or 'transfer'.
+ * @property {string} description
+ * @property {{ text: string, minor_units: number }} amount - The amount as written, e.g. '20k', and in minor units.
+ * @property {string|null} category - The category name. Unused for transfers.
+ * @property {string|null} payee - The payee, or the destination account name for transfers.
+ * @property {string|null} date - The date in YYYY-MM-DD format, or null for today.
+ * @property {string} source_account_name
+ * @property {number} confidence - How sure the model is about the extraction, from 0 to 1.
+ */
+
+/**
+ * @typedef {object} RecordContext
+ * @property {object[]} accounts - The accounts fetched from Actual.
+ * @property {object[]} categories - The categories fetched from Actual.
+ * @property {object[]} payees - The payees fetched from Actual.
+ * @property {object} [aliases] - The user's aliases by kind, from `aliasService.getAliasesByKind`.
+ * @property {object[]} [payeeCategories] - The categories learned for the user's payees, from `payeeCategoryService.getPayeeCategories`.
+ * @property {string} today - Today's date in YYYY-MM-DD format, in the configured timezone.
+ * @property {number} [maxDaysBack] - How many days in the past a transaction may be dated. Defaults to `TRANSACTION_MAX_DAYS_BACK`.
+ */
+
+/**
+ * @typedef {object} RecordResult
+ * @property {object[]} recorded - The transactions that were written, with the resolved `account`, `category`, `destinationAccount`, `date` and `amount`.
+ * @property {object[]} rejected - The transactions that were not written, with the `reason`.
+ * @property {string} today - The date the transactions were resolved against.
+ */
+
+/**
+ * Resolves one extracted transaction against the budget and builds the Actual transaction(s) for it.
+ * @param {ExtractedTransaction} item
+ * @param {RecordContext} context
+ * @returns {{ reason: string }|{ missing: object }|{ account: object, category: object, destinationAccount: object, date: string, amount: number, legs: object[] }}
+ */
+const resolveTransaction = (
+  item,
+  { accounts, categories, payees, today, aliases = {}, payeeCategories = [], maxDaysBack = config.transactions.maxDaysBack }
+) => {
+  const { date, reason } = resolveTransactionDate(item.date, { today, maxDaysBack });
+  if (reason) {
+    return { reason };
+  }
+
+  const { match: account, candidates: accountCandidates } = resolveName(item.source_account_name, accounts, aliases.account);
+  if (!account) {
+    return { missing: { field: 'account', value: item.source_account_name, candidates: accountCandidates } };
+  }
+
+  const { amount: amountInCents, reason: amountReason } = resolveAmount(item.amount);
+  if (amountReason) {
+    return { reason: amountReason };
+  }
+
+  if (item.type === 'transfer') {
+    const { match: destinationAccount, candidates: destinationCandidates } = resolveName(
+      item.payee,
+      accounts,
+      aliases.account
+    );
+    if (!destinationAccount) {
+      return { missing: { field: 'destinationAccount', value: item.payee, candidates: destinationCandidates } };
+    }
+
+    // A transfer is two transactions, a withdrawal from the source account and a deposit into
+    // the destination account, linked by using the internal transfer payees.
+    const sourceTransferPayee = payees.find((p) => p.transfer_acct === account.id);
+    const destinationTransferPayee = payees.find((p) => p.transfer_acct === destinationAccount.id);
+    if (!destinationTransferPayee) {
+      return { reason: `I couldn't find the internal transfer payee for account "${destinationAccount.name}"` };
+    }
+    if (!sourceTransferPayee) {
+      return { reason: `I couldn't find the internal transfer payee for account "${account.name}"` };
+    }
+
+    return {
+      account,
+      destinationAccount,
+      date,
+      amount: amountInCents,
+      legs: [
+        {
+          accountId: account.id,
+          transaction: {
+            date,
+            amount: -Math.abs(amountInCents),
+            payee: destinationTransferPayee.id,
+            notes: item.description || `Transfer to ${destinationAccount.name}`,
+            cleared: false,
+          },
+        },
+        {
+          accountId: destinationAccount.id,
+          transaction: {
+            date,
+            amount: Math.abs(amountInCents),
+            payee: sourceTransferPayee.id,
+            notes: item.description || `Transfer from ${account.name}`,
+            cleared: false,
+          },
+        },
+      ],
+    };
+  }
+
+  // Handle Income or Expense
+  // A known payee or an alias of one keeps the name in Actual, e.g. "INDOMARET" is recorded as "Indomaret".
+  // A merely similar name is recorded as written, since "indomaret" may not mean "Indomaret Point"
+  const payee = findExactName(
+    item.payee,
+    payees.filter((p) => !p.transfer_acct),
+    aliases.payee
+  );
+  const payeeName = payee ? payee.name : item.payee;
+
+  // A payee the user keeps filing under one category goes there, whatever the model picked
+  const learnedCategoryName = getSettledCategory(payeeCategories, payeeName);
+  const learnedCategory = learnedCategoryName && resolveName(learnedCategoryName, categories).match;
+  const { match: category, candidates: categoryCandidates } = learnedCategory
+    ? { match: learnedCategory }
+    : resolveName(item.category, categories, aliases.category);
+  if (!category) {
+    return { missing: { field: 'category', value: item.category, candidates: categoryCandidates } };
+  }
+
+  return {
+    account,
+    category,
+    date,
+    amount: amountInCents,
+    legs: [
+      {
+        accountId: account.id,
+        transaction: {
+          date,
+          // Amount is positive for income, negative for expense
+          amount: item.type === 'income' ? Math.abs(amountInCents) : -Math.abs(amountInCents),
+          notes: item.description,
+          category: category.id,
+          payee_name: payeeName,
+          cleared: false,
+        },
+      },
+    ],
+  };
+};
+
+/**
+ * Validates each extracted transaction on its own against the budget.
+ * @param {ExtractedTransaction[]} items
+ * @param {RecordContext} context
+ * @returns {{ resolved: object[], rejected: object[], unresolved: object[] }}
+ */
+const resolveTransactions = (items, context) => {
+  const resolved = [];
+  const rejected = [];
+  const unresolved = [];
+
+  items.forEach((item) => {
+    const result = resolveTransaction(item, context);
+    if (result.reason) {
+      rejected.push({ item, reason: result.reason });
+    } else if (result.missing) {
+      unresolved.push({ item, missing: result.missing });
+    } else {
+      resolved.push({ item, ...result });
+    }
+  });
+
+  return { resolved, rejected, unresolved };
+};
+
+/**
+ * Writes resolved transactions to Actual, with one `addTransactions` call per account.
+ * @param {string} userId - The user whose budget to write to.
+ * @param {object[]} resolved - Entries from `resolveTransactions(...).resolved`.
+ * @returns {Promise<object[]>} The same entries, with the `ids` of the transactions created for each, both legs for a transfer.
+ */
+const writeTransactions = async (userId, resolved) => {
+  const batches = new Map();
+  resolved.forEach(({ legs }, index) => {
+    legs.forEach(({ accountId, transaction }) => {
+      if (!batches.has(accountId)) {
+        batches.set(accountId, []);
+      }
+      batches.get(accountId).push({ index, transaction });
+    });
+  });
+
+  const ids = resolved.map(() => []);
+  // Accounts are written one at a time, since the Actual API is not safe for concurrent writes.
+  await runSequentially([...batches], async ([accountId, batch]) => {
+    const batchIds = await actualService.addTransactions(
+      userId,
+      accountId,
+      batch.map(({ transaction }) => transaction)
+    );
+    batch.forEach(({ index }, position) => {
+      if (batchIds && batchIds[position]) {
+        ids[index].push(batchIds[position]);
+      }
+    });
+  });
+  logger.info(`Recorded ${resolved.length} transaction(s) in ${batches.size} account(s)`);
+
+  return resolved.map((entry, index) => ({ ...entry, ids: ids[index] }));
+};
+
+/**
+ * Fills in the account or category the user picked when asked about a transaction.
+ * @param {ExtractedTransaction} item
+ * @param {string} field - One of 'account', 'category' or 'destinationAccount'.
+ * @param {string} name - The name the user picked.
+ * @returns {ExtractedTransaction}
+ */
+const applyAnswer = (item, field, name) => {
+  const fields = { account: 'source_account_name', category: 'category', destinationAccount: 'payee' };
+  return { ...item, [fields[field]]: name };
+};
+
+/**
+ * Describes a resolved transaction on one line, e.g. 'Kopi: Rp 25.000,00 (Food, GoPay)'.
+ * @param {object} entry - An entry from `resolveTransactions(...).resolved`.
+ * @param {string} today - Today's date in YYYY-MM-DD format. Other dates are shown in the line.
+ * @returns {string}
+ */
+const describeTransaction = ({ item, account, category, destinationAccount, date, amount }, today) => {
+  const target = destinationAccount ? `${account.name} → ${destinationAccount.name}` : `${category.name}, ${account.name}`;
+  const dateSuffix = date !== today ? ` 📅 ${date}` : '';
+  return `${item.description}: ${formatIDR(toRupiah(amount))} (${target})${dateSuffix}`;
+};
+
+/**
+ * Formats what was recorded and rejected as one line per transaction.
+ * Unresolved transactions are left out, since the bot asks about them separately.
+ * @param {RecordResult} result
+ * @returns {string}
+ */
+const formatRecordResult = ({ recorded, rejected, today }) => {
+  const recordedLines = recorded.map((entry) => `✅ ${describeTransaction(entry, today)}`);
+  const rejectedLines = rejected.map(({ item, reason }) => `❌ ${item.description}: ${reason}`);
+  return [...recordedLines, ...rejectedLines].join('\n');
+};
+
+module.exports = {
+  resolveTransactions,
+  writeTransactions,
+  applyAnswer,
+  describeTransaction,
+  formatRecordResult,
+};
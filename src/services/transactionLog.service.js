@@ -0,0 +1,287 @@
+const { TransactionLog } = require('../models');
+const actualService = require('./actual.service');
+const { resolveName, describeCandidates } = require('./resolver.service');
+const config = require('../config/config');
+const formatIDR = require('../utils/formatIDR');
+const { resolveTransactionDate } = require('../utils/date');
+const { resolveAmount } = require('../utils/money');
+const runSequentially = require('../utils/runSequentially');
+
+const toNamedRef = (entity) => (entity ? { id: entity.id, name: entity.name } : undefined);
+
+/**
+ * Explain why a name in a correction could not be resolved
+ * @param {string} kind - 'account' or 'category'
+ * @param {string} name
+ * @param {Object[]} candidates - From `resolverService.resolveName`
+ * @returns {string}
+ */
+const describeUnresolved = (kind, name, candidates) =>
+  candidates.length
+    ? `"${name}" could be ${describeCandidates(candidates)}. Please say which one.`
+    : `I couldn't find ${kind === 'account' ? 'an' : 'a'} ${kind} named "${name}".`;
+
+/**
+ * Reduce a serialized WhatsApp message ID (e.g. 'true_628123@c.us_3EB0ABC') to the bare message ID,
+ * since reactions refer to messages by the serialized ID and quoted replies by the bare one
+ * @param {string} messageId
+ * @returns {string}
+ */
+const getShortMessageId = (messageId) => {
+  const parts = messageId.split('_');
+  return parts.length >= 3 ? parts[2] : messageId;
+};
+
+/**
+ * Save which Actual transactions a message created
+ * @param {Object} message
+ * @param {string} message.chatId - The chat the message came from
+ * @param {string} message.messageId - The ID of the message
+ * @param {string} message.userId - The user whose budget the transactions were written to
+ * @param {Object[]} written - Entries returned by `transactionService.writeTransactions`
+ * @returns {Promise<TransactionLog|null>}
+ */
+const saveTransactionLog = async ({ chatId, messageId, userId }, written) => {
+  if (!written.length) {
+    return null;
+  }
+  return TransactionLog.create({
+    chatId,
+    user: userId,
+    sourceMessageId: messageId,
+    transactions: written.map(({ item, account, category, destinationAccount, date, legs, ids }) => ({
+      type: item.type,
+      description: item.description,
+      amount: Math.abs(legs[0].transaction.amount),
+      date,
+      payee: destinationAccount ? undefined : legs[0].transaction.payee_name,
+      account: toNamedRef(account),
+      category: toNamedRef(category),
+      destinationAccount: toNamedRef(destinationAccount),
+      ids,
+    })),
+  });
+};
+
+/**
+ * Link the transactions a message created to the bot's reply to it
+ * @param {Object} message
+ * @param {string} message.chatId - The chat the message came from
+ * @param {string} message.messageId - The ID of the message
+ * @param {string} replyMessageId - The ID of the bot's reply
+ * @returns {Promise}
+ */
+const setReplyMessageId = async ({ chatId, messageId }, replyMessageId) => {
+  return TransactionLog.updateMany(
+    { chatId, sourceMessageId: messageId },
+    { replyMessageId: getShortMessageId(replyMessageId) }
+  );
+};
+
+/**
+ * Get the transactions a message created
+ * @param {string} chatId
+ * @param {string} messageId - The ID of the message
+ * @returns {Promise<TransactionLog|null>}
+ */
+const findTransactionLog = async (chatId, messageId) => {
+  return TransactionLog.findOne({ chatId, sourceMessageId: messageId });
+};
+
+/**
+ * Get the most recent transactions a user recorded in a chat that have not been undone
+ * @param {string} chatId
+ * @param {ObjectId} userId - In a group, other members' transactions are left alone
+ * @returns {Promise<TransactionLog|null>}
+ */
+const getLatestTransactionLog = async (chatId, userId) => {
+  return TransactionLog.findOne({ chatId, user: userId, undone: false }).sort({ createdAt: -1 });
+};
+
+/**
+ * Get the transactions that the bot confirmed in a given message
+ * @param {string} chatId
+ * @param {string} replyMessageId - The ID of the bot's confirmation message, serialized or bare
+ * @returns {Promise<TransactionLog|null>}
+ */
+const getTransactionLogByReplyMessageId = async (chatId, replyMessageId) => {
+  return TransactionLog.findOne({ chatId, replyMessageId: getShortMessageId(replyMessageId) });
+};
+
+/**
+ * Delete the transactions in a log from Actual
+ * Each deletion is saved as it happens, so that undoing a log again after a failure only deletes what is left
+ * @param {TransactionLog} log
+ * @returns {Promise<TransactionLog>}
+ */
+const undoTransactionLog = async (log) => {
+  const ids = log.transactions.flatMap((transaction) => transaction.ids).filter((id) => !log.deletedIds.includes(id));
+  await runSequentially(ids, async (id) => {
+    await actualService.deleteTransaction(log.user, id);
+    log.deletedIds.push(id);
+    await log.save();
+  });
+  Object.assign(log, { undone: true });
+  await log.save();
+  return log;
+};
+
+/**
+ * Count the Actual transactions of a log that are already deleted, out of all of them
+ * @param {TransactionLog} log
+ * @returns {{ deleted: number, total: number }}
+ */
+const countDeletedTransactions = (log) => ({
+  deleted: log.deletedIds.length,
+  total: log.transactions.flatMap((transaction) => transaction.ids).length,
+});
+
+/**
+ * Work out the Actual fields to change for each leg of a logged transaction
+ * @param {Object} transaction - An entry of `TransactionLog.transactions`
+ * @param {Object} changes - The resolved changes, see `correctTransactionLog`
+ * @returns {{ reason: string }|{ legs: Object[] }} The fields to change for each ID in `transaction.ids`
+ */
+const buildLegChanges = (transaction, { amount, category, account, payee, date, notes }) => {
+  const isTransfer = transaction.type === 'transfer';
+  if (isTransfer && (category || account || payee)) {
+    return { reason: 'I can only change the amount, date or notes of a transfer' };
+  }
+
+  return {
+    legs: transaction.ids.map((id, index) => {
+      const fields = {};
+      if (amount) {
+        // The source leg of a transfer and an expense take money out, everything else puts it in
+        const isOutflow = isTransfer ? index === 0 : transaction.type === 'expense';
+        fields.amount = isOutflow ? -amount : amount;
+      }
+      if (category) {
+        fields.category = category.id;
+      }
+      if (account) {
+        fields.account = account.id;
+      }
+      if (payee) {
+        fields.payee = payee.id;
+      }
+      if (date) {
+        fields.date = date;
+      }
+      if (notes) {
+        fields.notes = notes;
+      }
+      return { id, fields };
+    }),
+  };
+};
+
+/**
+ * Apply a correction to the transactions in a log, in Actual and in the log itself
+ * @param {TransactionLog} log
+ * @param {Object} correction - The correction extracted by `geminiService.processCorrection`
+ * @param {Object} context - The accounts, categories and payees fetched from Actual, the user's aliases and today's date
+ * @returns {Promise<{ reason: string }|{ updated: Object[] }>} The corrected entries of `log.transactions`
+ */
+const correctTransactionLog = async (log, correction, { accounts, categories, payees, today, aliases = {} }) => {
+  const number = correction.transaction_number;
+  if (number && !log.transactions[number - 1]) {
+    return { reason: `There is no transaction number ${number} in that message.` };
+  }
+  const targets = number ? [log.transactions[number - 1]] : log.transactions;
+  if (correction.amount && targets.length > 1) {
+    return { reason: 'That message recorded several transactions. Please say which one should change.' };
+  }
+
+  const changes = { notes: correction.notes };
+  if (correction.amount) {
+    const { amount, reason } = resolveAmount(correction.amount);
+    if (reason) {
+      return { reason: `${reason}.` };
+    }
+    changes.amount = amount;
+  }
+  if (correction.category) {
+    const { match, candidates } = resolveName(correction.category, categories, aliases.category);
+    if (!match) {
+      return { reason: describeUnresolved('category', correction.category, candidates) };
+    }
+    changes.category = match;
+  }
+  if (correction.account_name) {
+    const { match, candidates } = resolveName(correction.account_name, accounts, aliases.account);
+    if (!match) {
+      return { reason: describeUnresolved('account', correction.account_name, candidates) };
+    }
+    changes.account = match;
+  }
+  if (correction.date) {
+    const { date, reason } = resolveTransactionDate(correction.date, {
+      today,
+      maxDaysBack: config.transactions.maxDaysBack,
+    });
+    if (reason) {
+      return { reason: `${reason}.` };
+    }
+    changes.date = date;
+  }
+  if (correction.payee) {
+    const { match } = resolveName(
+      correction.payee,
+      payees.filter((p) => !p.transfer_acct),
+      aliases.payee
+    );
+    changes.payee = match || { id: await actualService.createPayee(log.user, correction.payee), name: correction.payee };
+  }
+
+  // Check every transaction before writing, so a correction is applied to all of them or none
+  const plans = targets.map((transaction) => ({ transaction, ...buildLegChanges(transaction, changes) }));
+  const refused = plans.find((plan) => plan.reason);
+  if (refused) {
+    return { reason: `${refused.reason}.` };
+  }
+
+  await runSequentially(
+    plans.flatMap(({ legs }) => legs),
+    ({ id, fields }) => actualService.updateTransaction(log.user, id, fields)
+  );
+
+  targets.forEach((transaction) => {
+    Object.assign(transaction, {
+      amount: changes.amount || transaction.amount,
+      date: changes.date || transaction.date,
+      description: changes.notes || transaction.description,
+      payee: changes.payee ? changes.payee.name : transaction.payee,
+      account: changes.account ? toNamedRef(changes.account) : transaction.account,
+      category: changes.category ? toNamedRef(changes.category) : transaction.category,
+    });
+  });
+  await log.save();
+  return { updated: targets };
+};
+
+/**
+ * Describe a logged transaction on one line, e.g. 'Kopi: Rp 25.000,00 (Food, GoPay)'
+ * @param {Object} transaction - An entry of `TransactionLog.transactions`
+ * @param {string} [today] - Today's date in YYYY-MM-DD format. If given, other dates are shown in the line
+ * @returns {string}
+ */
+const describeLoggedTransaction = ({ description, amount, date, account, category, destinationAccount }, today) => {
+  const target = destinationAccount
+    ? `${account.name} → ${destinationAccount.name}`
+    : `${category ? category.name : 'Uncategorized'}, ${account.name}`;
+  const dateSuffix = today && date !== today ? ` 📅 ${date}` : '';
+  return `${description}: ${formatIDR(amount / 100)} (${target})${dateSuffix}`;
+};
+
+module.exports = {
+  saveTransactionLog,
+  setReplyMessageId,
+  findTransactionLog,
+  getLatestTransactionLog,
+  getTransactionLogByReplyMessageId,
+  undoTransactionLog,
+  countDeletedTransactions,
+  correctTransactionLog,
+  describeLoggedTransaction,
+};
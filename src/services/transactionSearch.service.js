@@ -0,0 +1,154 @@
+const moment = require('moment');
+const actualService = require('./actual.service');
+const { resolveName } = require('./resolver.service');
+const { resolvePeriod, resolveFilters } = require('./spending.service');
+const formatIDR = require('../utils/formatIDR');
+const { parseMoney, toRupiah } = require('../utils/money');
+
+// How many transactions one reply lists, to keep it readable in WhatsApp
+const pageSize = 10;
+
+const moreCommand = /^(lagi|more|next|selanjutnya)$/i;
+
+/**
+ * @typedef {object} TransactionSearch
+ * @property {Object} filters - For `actualService.queryTransactions`
+ * @property {number|null} limit - How many transactions were asked for, or null for every match
+ */
+
+/**
+ * Read an amount filter of a search
+ * @param {{ text: string }|null} amount
+ * @returns {{ amount: number|null }|{ reason: string }} The amount in minor units, or null without a filter
+ */
+const readAmount = (amount) => {
+  if (!amount) {
+    return { amount: null };
+  }
+  const minorUnits = parseMoney(amount.text);
+  return minorUnits === null ? { reason: `"${amount.text}" is not an amount I can read` } : { amount: minorUnits };
+};
+
+/**
+ * Turn a request to list or find transactions into a search
+ * A keyword that names a payee searches for that payee, any other keyword searches the notes
+ * @param {Object} query - From `geminiService.processTransactionSearch`
+ * @param {Object} context - The `accounts`, `categories`, `payees` and `aliases`, and `today` in YYYY-MM-DD format
+ * @returns {{ search: TransactionSearch }|{ reason: string }|{ unmatched: { label: string, name: string, candidates: Object[] } }}
+ */
+const resolveSearch = (query, context) => {
+  const { filters: matched, unmatched } = resolveFilters({ account: query.account, category: query.category }, context);
+  if (unmatched) {
+    return { unmatched };
+  }
+  const filters = {
+    accountId: matched.account && matched.account.id,
+    categoryId: matched.category && matched.category.id,
+  };
+
+  if (query.keyword) {
+    const payees = context.payees.filter((p) => !p.transfer_acct);
+    const { match: payee } = resolveName(query.keyword, payees, (context.aliases || {}).payee);
+    Object.assign(filters, payee ? { payeeId: payee.id } : { notes: query.keyword });
+  }
+
+  const min = readAmount(query.min_amount);
+  const max = readAmount(query.max_amount);
+  if (min.reason || max.reason) {
+    return { reason: min.reason || max.reason };
+  }
+  if (min.amount !== null && max.amount !== null && min.amount > max.amount) {
+    return { reason: `${formatIDR(toRupiah(min.amount))} is more than ${formatIDR(toRupiah(max.amount))}` };
+  }
+  // Amounts are on spending unless the request is for income
+  Object.assign(filters, { minAmount: min.amount, maxAmount: max.amount, income: Boolean(query.income) });
+
+  if (query.start_date && query.end_date) {
+    const { startDate, endDate, reason } = resolvePeriod(query, context.today);
+    if (reason) {
+      return { reason };
+    }
+    Object.assign(filters, { startDate, endDate });
+  }
+
+  return { search: { filters, limit: query.limit || null } };
+};
+
+/**
+ * Get one page of the transactions a search finds, newest first
+ * @param {string} userId - The user whose budget to search
+ * @param {TransactionSearch} search
+ * @param {number} page - From 0
+ * @returns {Promise<{ transactions: Object[], page: number, hasMore: boolean }>}
+ */
+const getSearchPage = async (userId, { filters, limit }, page) => {
+  const offset = page * pageSize;
+  const count = limit ? Math.min(pageSize, limit - offset) : pageSize;
+  // One more than the page holds tells whether there is a next page
+  const found = await actualService.queryTransactions(userId, filters, { offset, limit: count + 1 });
+  return {
+    transactions: found.slice(0, count),
+    page,
+    hasMore: found.length > count && (!limit || offset + count < limit),
+  };
+};
+
+/**
+ * Describe a transaction on one line, e.g. '19 Oct 2026 · Grab: -Rp 25.000,00 (Transport, BCA) _ojek_'
+ * @param {Object} transaction - From `actualService.queryTransactions`
+ * @param {Object} names - The `accounts`, `categories` and `payees`, to name them
+ * @returns {string}
+ */
+const describeTransaction = (transaction, { accounts, categories, payees }) => {
+  const nameOf = (entries, id, fallback) => (entries.find((entry) => entry.id === id) || { name: fallback }).name;
+  const payee = payees.find(({ id }) => id === transaction.payee);
+  let label = payee ? payee.name : 'No payee';
+  if (payee && payee.transfer_acct) {
+    const otherAccount = nameOf(accounts, payee.transfer_acct, 'another account');
+    label = transaction.amount < 0 ? `Transfer to ${otherAccount}` : `Transfer from ${otherAccount}`;
+  }
+  const sign = transaction.amount < 0 ? '-' : '+';
+  const where = [
+    transaction.transfer_id ? null : nameOf(categories, transaction.category, 'Uncategorized'),
+    nameOf(accounts, transaction.account, 'Unknown account'),
+  ].filter(Boolean);
+  const notes = transaction.notes ? ` _${transaction.notes}_` : '';
+  return `${moment.utc(transaction.date, 'YYYY-MM-DD').format('D MMM YYYY')} · ${label}: ${sign}${formatIDR(
+    toRupiah(Math.abs(transaction.amount))
+  )} (${where.join(', ')})${notes}`;
+};
+
+/**
+ * Format a page of search results
+ * @param {{ transactions: Object[], page: number, hasMore: boolean }} result - From `getSearchPage`
+ * @param {Object} names - The `accounts`, `categories` and `payees`, to name them
+ * @returns {string}
+ */
+const formatSearchPage = ({ transactions, page, hasMore }, names) => {
+  if (!transactions.length) {
+    return page ? 'That was everything.' : '🔎 No transactions found.';
+  }
+  const first = page * pageSize + 1;
+  const last = first + transactions.length - 1;
+  return [
+    `*🔎 Transactions ${first === last ? first : `${first}–${last}`}:*`,
+    ...transactions.map((transaction) => `• ${describeTransaction(transaction, names)}`),
+    hasMore ? 'Reply "lagi" for more.' : '',
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+/**
+ * Whether a message asks for the next page of a search, e.g. "lagi"
+ * @param {string} text
+ * @returns {boolean}
+ */
+const isMoreCommand = (text) => moreCommand.test((text || '').trim());
+
+module.exports = {
+  resolveSearch,
+  getSearchPage,
+  formatSearchPage,
+  isMoreCommand,
+};
@@ -0,0 +1,51 @@
+const httpStatus = require('http-status');
+const config = require('../config/config');
+const logger = require('../config/logger');
+const ApiError = require('../utils/ApiError');
+const geminiService = require('./gemini.service');
+
+/**
+ * @typedef {object} TranscriptionBackend
+ * @property {function(Buffer, string): Promise<string>} transcribe - Turns raw audio and its MIME type into text.
+ */
+
+/** @type {Object<string, TranscriptionBackend>} */
+const backends = {
+  gemini: {
+    transcribe: (audio, mimeType) => geminiService.transcribeAudio(audio, mimeType),
+  },
+};
+
+let backend = backends[config.transcription.backend];
+
+/**
+ * Replaces the active transcription backend, e.g. with a local stub in tests.
+ * @param {string|TranscriptionBackend} nameOrBackend - The name of a built-in backend, or a backend object.
+ */
+const setBackend = (nameOrBackend) => {
+  const newBackend = typeof nameOrBackend === 'string' ? backends[nameOrBackend] : nameOrBackend;
+  if (!newBackend || typeof newBackend.transcribe !== 'function') {
+    throw new Error(`Unknown transcription backend: ${nameOrBackend}`);
+  }
+  backend = newBackend;
+};
+
+/**
+ * Transcribes a voice note with the active backend.
+ * @param {Buffer} audio - The raw audio data.
+ * @param {string} mimeType - The MIME type of the audio.
+ * @returns {Promise<string>} The transcript.
+ */
+const transcribe = async (audio, mimeType) => {
+  logger.info(`Transcribing ${audio.length} bytes of ${mimeType}`);
+  const transcript = await backend.transcribe(audio, mimeType);
+  if (!transcript || !transcript.trim()) {
+    throw new ApiError(httpStatus.UNPROCESSABLE_ENTITY, 'The voice note could not be transcribed');
+  }
+  return transcript.trim();
+};
+
+module.exports = {
+  setBackend,
+  transcribe,
+};
@@ -16,16 +16,19 @@ const wahaApi = axios.create({
  * Send a text message using WAHA.
  * @param {string} to - The recipient's chat ID (e.g., '1234567890@c.us').
  * @param {string} message - The text message to send.
- * @returns {Promise<void>}
+ * @returns {Promise<string|null>} The ID of the sent message, if WAHA returned one.
  */
 const sendTextMessage = async (to, message) => {
   try {
     logger.info(`Sending message to ${to}: "${message}"`);
-    await wahaApi.post('/api/sendText', {
+    const response = await wahaApi.post('/api/sendText', {
       session: 'default',
       chatId: to,
       text: message,
     });
+    // Depending on the engine, the ID is either a string or an object with the serialized form.
+    const id = response.data && response.data.id;
+    return (id && id._serialized) || id || null;
   } catch (error) {
     const errorMessage = error.response ? JSON.stringify(error.response.data) : error.message;
     throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `WAHA API Error: ${errorMessage}`);
@@ -51,7 +54,49 @@ const sendSeen = async (chatId) => {
   }
 };
 
+/**
+ * Get the path of a media file on the WAHA server from its URL in a message payload.
+ * Only the path is kept, so the file is always fetched from the configured server: the webhook is not authenticated,
+ * and a forged URL must not receive the API key or make the server request another host.
+ * @param {string} url - The media URL from the message payload (`payload.media.url`).
+ * @returns {string|null} The path, or null if the URL is not one of WAHA's files.
+ */
+const getMediaPath = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url, config.waha.baseUrl);
+  } catch (error) {
+    return null;
+  }
+  return parsed.pathname.startsWith('/api/files/') ? parsed.pathname : null;
+};
+
+/**
+ * Download a media file attached to a message.
+ * WAHA exposes media as a URL on its own server, which requires the same API key as the other endpoints.
+ * @param {string} url - The media URL from the message payload (`payload.media.url`).
+ * @returns {Promise<{ data: Buffer, mimetype: string }>}
+ */
+const downloadMedia = async (url) => {
+  const mediaPath = getMediaPath(url);
+  if (!mediaPath) {
+    throw new ApiError(httpStatus.BAD_REQUEST, `WAHA API Error (downloadMedia): ${url} is not a WAHA media URL`);
+  }
+  try {
+    logger.info(`Downloading media from ${mediaPath}`);
+    const response = await wahaApi.get(mediaPath, { responseType: 'arraybuffer' });
+    return {
+      data: Buffer.from(response.data),
+      mimetype: response.headers['content-type'],
+    };
+  } catch (error) {
+    const errorMessage = error.response ? error.response.status : error.message;
+    throw new ApiError(httpStatus.INTERNAL_SERVER_ERROR, `WAHA API Error (downloadMedia): ${errorMessage}`);
+  }
+};
+
 module.exports = {
   sendTextMessage,
   sendSeen,
+  downloadMedia,
 };
@@ -0,0 +1,163 @@
+const httpStatus = require('http-status');
+const { WebhookEvent } = require('../models');
+const jobService = require('./job.service');
+const config = require('../config/config');
+const { jobTypes } = require('../config/jobs');
+const { webhookEventStatuses } = require('../config/webhookEvents');
+const ApiError = require('../utils/ApiError');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const getLeaseExpiry = () => new Date(Date.now() + config.webhookEvents.leaseMinutes * 60 * 1000);
+
+/**
+ * Filter for events that may be (re)started: failed ones, and ones whose lease ran out before they finished
+ * @returns {Object}
+ */
+const restartableFilter = () => ({
+  $or: [
+    { status: webhookEventStatuses.FAILED },
+    {
+      status: { $in: [webhookEventStatuses.RECEIVED, webhookEventStatuses.PROCESSING] },
+      leaseExpiresAt: { $lt: new Date() },
+    },
+  ],
+});
+
+/**
+ * Queue a received event for processing
+ * @param {WebhookEvent} webhookEvent
+ * @returns {Promise<Job>}
+ */
+const queueWebhookEvent = async ({ event, payload }) => {
+  // Messages from one chat are handled in order, so an answer never overtakes its question
+  return jobService.enqueueJob(jobTypes.WEBHOOK, { event, payload }, { key: payload.from });
+};
+
+/**
+ * Record an incoming event and queue it, unless it already succeeded or is in flight
+ * A failed event, or one whose lease ran out, is accepted again so that a redelivery retries it
+ * @param {string} event - The WAHA event name
+ * @param {Object} payload - The WAHA payload, with the event ID in `id`
+ * @returns {Promise<WebhookEvent|null>} The event, or null if it is a duplicate
+ */
+const receiveWebhookEvent = async (event, payload) => {
+  const fields = { event, payload, status: webhookEventStatuses.RECEIVED, leaseExpiresAt: getLeaseExpiry() };
+  let webhookEvent;
+  try {
+    webhookEvent = await WebhookEvent.create({ eventId: payload.id, ...fields });
+  } catch (error) {
+    if (error.code !== DUPLICATE_KEY_ERROR) {
+      throw error;
+    }
+    webhookEvent = await WebhookEvent.findOneAndUpdate({ eventId: payload.id, ...restartableFilter() }, fields, {
+      new: true,
+    });
+    if (!webhookEvent) {
+      return null;
+    }
+  }
+  await queueWebhookEvent(webhookEvent);
+  return webhookEvent;
+};
+
+/**
+ * Mark an event as processing, unless it already succeeded or another attempt is in flight
+ * @param {string} eventId
+ * @returns {Promise<WebhookEvent|null>} The event, or null if it should not be processed
+ */
+const startProcessing = async (eventId) => {
+  return WebhookEvent.findOneAndUpdate(
+    {
+      eventId,
+      $or: [
+        { status: { $in: [webhookEventStatuses.RECEIVED, webhookEventStatuses.FAILED] } },
+        { status: webhookEventStatuses.PROCESSING, leaseExpiresAt: { $lt: new Date() } },
+      ],
+    },
+    { status: webhookEventStatuses.PROCESSING, leaseExpiresAt: getLeaseExpiry(), $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Record that handling an event wrote to Actual, before anything else can fail, so that it is never written twice
+ * @param {string} eventId
+ * @returns {Promise<WebhookEvent|null>}
+ */
+const markWritten = async (eventId) => {
+  return WebhookEvent.findOneAndUpdate({ eventId }, { writtenAt: new Date() }, { new: true });
+};
+
+/**
+ * Mark an event as handled, so that redeliveries of it are ignored
+ * @param {string} eventId
+ * @returns {Promise<WebhookEvent|null>}
+ */
+const markSucceeded = async (eventId) => {
+  return WebhookEvent.findOneAndUpdate(
+    { eventId },
+    { status: webhookEventStatuses.SUCCEEDED, $unset: { leaseExpiresAt: 1, lastError: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Mark an event as failed, so that a redelivery or an operator can retry it
+ * @param {string} eventId
+ * @param {Error} error
+ * @returns {Promise<WebhookEvent|null>}
+ */
+const markFailed = async (eventId, error) => {
+  return WebhookEvent.findOneAndUpdate(
+    { eventId },
+    { status: webhookEventStatuses.FAILED, lastError: error.message, $unset: { leaseExpiresAt: 1 } },
+    { new: true }
+  );
+};
+
+/**
+ * Query for webhook events
+ * @param {Object} filter - Mongo filter
+ * @param {Object} options - Query options
+ * @param {string} [options.sortBy] - Sort option in the format: sortField:(desc|asc)
+ * @param {number} [options.limit] - Maximum number of results per page (default = 10)
+ * @param {number} [options.page] - Current page (default = 1)
+ * @returns {Promise<QueryResult>}
+ */
+const queryWebhookEvents = async (filter, options) => {
+  const webhookEvents = await WebhookEvent.paginate(filter, options);
+  return webhookEvents;
+};
+
+/**
+ * Queue a failed event again
+ * @param {ObjectId} webhookEventId
+ * @returns {Promise<WebhookEvent>}
+ */
+const reprocessWebhookEvent = async (webhookEventId) => {
+  const webhookEvent = await WebhookEvent.findById(webhookEventId);
+  if (!webhookEvent) {
+    throw new ApiError(httpStatus.NOT_FOUND, 'Webhook event not found');
+  }
+  if (webhookEvent.status !== webhookEventStatuses.FAILED) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'Only failed webhook events can be reprocessed');
+  }
+  if (!webhookEvent.payload) {
+    throw new ApiError(httpStatus.BAD_REQUEST, 'The webhook event was stored without its payload');
+  }
+  Object.assign(webhookEvent, { status: webhookEventStatuses.RECEIVED, leaseExpiresAt: getLeaseExpiry() });
+  await webhookEvent.save();
+  await queueWebhookEvent(webhookEvent);
+  return webhookEvent;
+};
+
+module.exports = {
+  receiveWebhookEvent,
+  startProcessing,
+  markWritten,
+  markSucceeded,
+  markFailed,
+  queryWebhookEvents,
+  reprocessWebhookEvent,
+};
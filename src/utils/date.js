@@ -0,0 +1,116 @@
+const moment = require('moment');
+
+/**
+ * Get today's date in a timezone
+ * @param {string} timezone - IANA timezone, e.g. 'Asia/Jakarta'
+ * @param {Date} [now]
+ * @returns {string} The date in YYYY-MM-DD format
+ */
+const getToday = (timezone, now = new Date()) => {
+  // The en-CA locale formats dates as YYYY-MM-DD
+  return new Intl.DateTimeFormat('en-CA', { timeZone: timezone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(
+    now
+  );
+};
+
+/**
+ * Validate a transaction date against today
+ * @param {string|null} date - The date in YYYY-MM-DD format, or null for today
+ * @param {Object} options
+ * @param {string} options.today - Today's date in YYYY-MM-DD format
+ * @param {number} options.maxDaysBack - How many days in the past a transaction may be dated
+ * @returns {{ date: string }|{ reason: string }}
+ */
+const resolveTransactionDate = (date, { today, maxDaysBack }) => {
+  if (!date) {
+    return { date: today };
+  }
+  const parsed = moment.utc(date, 'YYYY-MM-DD', true);
+  if (!parsed.isValid()) {
+    return { reason: `"${date}" is not a valid date` };
+  }
+  const daysBack = moment.utc(today, 'YYYY-MM-DD').diff(parsed, 'days');
+  if (daysBack < 0) {
+    return { reason: `${date} is in the future` };
+  }
+  if (daysBack > maxDaysBack) {
+    return { reason: `${date} is more than ${maxDaysBack} days ago` };
+  }
+  return { date: parsed.format('YYYY-MM-DD') };
+};
+
+/**
+ * Get how far a timezone is ahead of UTC at a moment
+ * @param {string} timezone - IANA timezone, e.g. 'Asia/Jakarta'
+ * @param {Date} date
+ * @returns {number} The offset in minutes
+ */
+const getTimezoneOffset = (timezone, date) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((part) => part.type === type).value);
+  const localAsUTC = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'));
+  return Math.round((localAsUTC - date.getTime()) / 60000);
+};
+
+/**
+ * Get the moment a local date and time happen in a timezone
+ * @param {string} date - The local date in YYYY-MM-DD format
+ * @param {string} time - The local time in HH:mm format
+ * @param {string} timezone - IANA timezone, e.g. 'Asia/Jakarta'
+ * @returns {Date}
+ */
+const getLocalDateTime = (date, time, timezone) => {
+  const localAsUTC = moment.utc(`${date} ${time}`, 'YYYY-MM-DD HH:mm').toDate();
+  return new Date(localAsUTC.getTime() - getTimezoneOffset(timezone, localAsUTC) * 60000);
+};
+
+/**
+ * Get the next moment a time of day comes around in a timezone
+ * @param {string} time - The local time in HH:mm format
+ * @param {string} timezone - IANA timezone, e.g. 'Asia/Jakarta'
+ * @param {Date} [now]
+ * @returns {Date} Later today, or tomorrow if the time has passed
+ */
+const getNextTimeOfDay = (time, timezone, now = new Date()) => {
+  const today = getToday(timezone, now);
+  const runAt = getLocalDateTime(today, time, timezone);
+  if (runAt > now) {
+    return runAt;
+  }
+  return getLocalDateTime(moment.utc(today, 'YYYY-MM-DD').add(1, 'day').format('YYYY-MM-DD'), time, timezone);
+};
+
+/**
+ * Get the next moment a day of the month comes around in a timezone
+ * @param {number} dayOfMonth - From 1 to 31. Months that are shorter use their last day
+ * @param {string} time - The local time in HH:mm format
+ * @param {string} timezone - IANA timezone, e.g. 'Asia/Jakarta'
+ * @param {Date} [after] - The moment to look after
+ * @returns {Date} In this month, or the next one if the day has passed
+ */
+const getNextDayOfMonth = (dayOfMonth, time, timezone, after = new Date()) => {
+  const month = moment.utc(getToday(timezone, after), 'YYYY-MM-DD').startOf('month');
+  const occurrenceIn = (monthsAhead) => {
+    const start = month.clone().add(monthsAhead, 'month');
+    const date = start.date(Math.min(dayOfMonth, start.daysInMonth())).format('YYYY-MM-DD');
+    return getLocalDateTime(date, time, timezone);
+  };
+  const thisMonth = occurrenceIn(0);
+  return thisMonth > after ? thisMonth : occurrenceIn(1);
+};
+
+module.exports = {
+  getToday,
+  resolveTransactionDate,
+  getLocalDateTime,
+  getNextTimeOfDay,
+  getNextDayOfMonth,
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const config = require('../config/config');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+
+const getKey = () => crypto.createHash('sha256').update(config.encryption.key).digest();
+
+/**
+ * Encrypt a secret so that it can be stored
+ * @param {string} text
+ * @returns {string} The IV, auth tag and ciphertext, base64-encoded and separated by dots
+ */
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join('.');
+};
+
+/**
+ * Decrypt a secret stored with `encrypt`
+ * @param {string} payload
+ * @returns {string}
+ */
+const decrypt = (payload) => {
+  const [iv, authTag, encrypted] = payload.split('.').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), iv);
+  decipher.setAuthTag(authTag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+};
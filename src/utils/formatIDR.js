@@ -0,0 +1,10 @@
+/**
+ * Formats a number into an IDR currency string
+ * @param {number} amount - e.g. 150000
+ * @returns {string} e.g. 'Rp 150.000,00'
+ */
+const formatIDR = (amount) => {
+  return new Intl.NumberFormat('id-ID', { style: 'currency', currency: 'IDR' }).format(amount);
+};
+
+module.exports = formatIDR;
@@ -0,0 +1,211 @@
+const formatIDR = require('./formatIDR');
+
+const MINOR_UNITS_PER_RUPIAH = 100;
+
+const digitWords = {
+  nol: 0,
+  satu: 1,
+  se: 1,
+  dua: 2,
+  tiga: 3,
+  empat: 4,
+  lima: 5,
+  enam: 6,
+  tujuh: 7,
+  delapan: 8,
+  sembilan: 9,
+};
+
+// Words that scale the number before them, e.g. "dua puluh" is 20 and "lima ratus" is 500
+const smallScaleWords = { belas: 10, puluh: 10, ratus: 100 };
+const largeScaleWords = { ribu: 1000, rb: 1000, k: 1000, juta: 1000000, jt: 1000000 };
+
+/**
+ * Parse a number written with digits, e.g. '150.000', '1.250.000,50', '1,5' or '150,000'
+ * A separator followed by exactly three digits groups thousands, anything else is a decimal point
+ * @param {string} text
+ * @returns {number|null}
+ */
+const parseDigits = (text) => {
+  if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) {
+    return null;
+  }
+  const separators = text.replace(/\d/g, '');
+  const lastSeparator = separators.charAt(separators.length - 1);
+  const previousSeparator = separators.charAt(separators.length - 2);
+  const groups = text.split(/[.,]/);
+  if (groups.some((group) => !group)) {
+    return null;
+  }
+  let integerGroups = groups;
+  let decimals = '';
+  const lastGroup = groups[groups.length - 1];
+  // "1.250.000,50" and "1,5": the last separator is a decimal point if it is not followed by a group of three,
+  // or if it differs from the separator before it
+  if (groups.length > 1 && (lastGroup.length !== 3 || (previousSeparator && previousSeparator !== lastSeparator))) {
+    integerGroups = groups.slice(0, -1);
+    decimals = lastGroup;
+    if (separators.slice(0, -1).includes(lastSeparator)) {
+      return null;
+    }
+  }
+  if (integerGroups.length > 1) {
+    // Thousands are grouped with one separator only, in groups of three after the first
+    const thousandsSeparators = new Set(separators.slice(0, integerGroups.length - 1));
+    if (thousandsSeparators.size > 1 || integerGroups[0].length > 3 || integerGroups.slice(1).some((g) => g.length !== 3)) {
+      return null;
+    }
+  }
+  return parseFloat(`${integerGroups.join('')}.${decimals || '0'}`);
+};
+
+/**
+ * Parse a number written with digits inside a written amount, e.g. the '1,5' in '1,5 juta'
+ * Thousands may not be grouped, as '25.000 ribu' could mean 25 thousand or 25 million
+ * @param {string} text
+ * @returns {number|null}
+ */
+const parseScaledDigits = (text) => {
+  if (!/^\d+$/.test(text) && !/^\d+[.,]\d\d?$/.test(text)) {
+    return null;
+  }
+  return parseFloat(text.replace(',', '.'));
+};
+
+/**
+ * Read the next word of a written number
+ * @param {{ total: number, small: number, pending: number|null, lastScale: number|null }} state - What the words before add up to:
+ * the `total` of the scales passed, the `small` part below a thousand, the `pending` number not yet scaled and the `lastScale`
+ * of 'ribu' and 'juta' seen, which may only be followed by a smaller one, as in 'satu juta lima ratus ribu'
+ * @param {string} word
+ * @returns {Object|null} The state after the word, or null if the word cannot follow the ones before
+ */
+const readWord = (state, word) => {
+  const { total, small, pending, lastScale } = state;
+  if (/\d/.test(word)) {
+    const number = parseScaledDigits(word);
+    return number === null || pending !== null ? null : { ...state, pending: number };
+  }
+  if (word in digitWords) {
+    return pending !== null ? null : { ...state, pending: digitWords[word] };
+  }
+  if (word === 'sepuluh' || word === 'sebelas') {
+    return { ...state, small: small + (word === 'sepuluh' ? 10 : 11) };
+  }
+  if (word === 'seratus') {
+    return { ...state, small: small + 100 };
+  }
+  if (word === 'setengah') {
+    // "satu setengah juta" is 1.5 million, and "setengah juta" on its own is half a million
+    return { ...state, pending: (pending || 0) + 0.5 };
+  }
+  if (word in smallScaleWords) {
+    if (pending === null) {
+      return null;
+    }
+    return { ...state, small: small + (word === 'belas' ? pending + 10 : pending * smallScaleWords[word]), pending: null };
+  }
+  if (word === 'seribu' || word === 'sejuta') {
+    const scale = word === 'seribu' ? 1000 : 1000000;
+    return lastScale !== null && scale >= lastScale ? null : { ...state, total: total + scale, lastScale: scale };
+  }
+  if (word in largeScaleWords) {
+    const amount = small + (pending || 0);
+    const scale = largeScaleWords[word];
+    if (!amount || (lastScale !== null && scale >= lastScale)) {
+      return null;
+    }
+    return { total: total + amount * scale, small: 0, pending: null, lastScale: scale };
+  }
+  return null;
+};
+
+/**
+ * Parse a number written in Indonesian words, e.g. 'dua puluh ribu' or 'satu setengah juta'
+ * Digits may be mixed in, e.g. '2 juta', '1,5 juta' or '1 jt 500 rb'
+ * @param {string[]} words
+ * @returns {number|null}
+ */
+const parseWords = (words) => {
+  const state = words.reduce((previous, word) => previous && readWord(previous, word), {
+    total: 0,
+    small: 0,
+    pending: null,
+    lastScale: null,
+  });
+  return state && state.total + state.small + (state.pending || 0);
+};
+
+/**
+ * Parse a rupiah amount as people write it in chats, e.g. 'Rp 25.000', 'Rp25.000,-', 'IDR 50000', '25rb', '1,5jt',
+ * '1jt 500rb', '150.000,00' or 'dua puluh ribu'
+ * A suffix after grouped thousands, as in '25.000rb', is ambiguous and not read
+ * @param {string|number} text
+ * @returns {number|null} The amount in minor units (1/100 rupiah, as Actual stores it), or null if it cannot be parsed
+ */
+const parseMoney = (text) => {
+  if (typeof text === 'number') {
+    return Number.isFinite(text) && text >= 0 ? Math.round(text * MINOR_UNITS_PER_RUPIAH) : null;
+  }
+  const normalized = (text || '')
+    .toLowerCase()
+    .trim()
+    .replace(/^(rp\.?|idr)/, '')
+    .replace(/\brupiah$/, '')
+    // "Rp25.000,-" marks the amount as whole rupiah
+    .replace(/[.,]-$/, '')
+    // "1jt500rb" is read as "1 jt 500 rb"
+    .replace(/(k|rb|ribu|jt|juta)(\d)/g, '$1 $2')
+    .replace(/(\d)(k|rb|ribu|jt|juta)\b/g, '$1 $2')
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (!normalized) {
+    return null;
+  }
+
+  let rupiah = parseDigits(normalized);
+  if (rupiah === null) {
+    rupiah = parseWords(normalized.split(' '));
+  }
+  if (rupiah === null || !Number.isFinite(rupiah)) {
+    return null;
+  }
+  return Math.round(rupiah * MINOR_UNITS_PER_RUPIAH);
+};
+
+/**
+ * Convert minor units back to rupiah, e.g. for `formatIDR`
+ * @param {number} minorUnits
+ * @returns {number}
+ */
+const toRupiah = (minorUnits) => minorUnits / MINOR_UNITS_PER_RUPIAH;
+
+/**
+ * Validate an amount extracted by the LLM
+ * The amount is read again from the text the user wrote, so the model's own arithmetic is never trusted. If the model
+ * read the text as a different amount, the text is ambiguous and the user is asked rather than either reading being picked
+ * @param {{ text: string, minor_units: number }|string} amount - Extractions stored before amounts were structured hold a plain string
+ * @returns {{ amount: number }|{ reason: string }} The amount in minor units
+ */
+const resolveAmount = (amount) => {
+  const text = amount && typeof amount === 'object' ? amount.text : amount;
+  const minorUnits = parseMoney(text);
+  if (!minorUnits) {
+    return { reason: `"${text}" is not an amount I can read` };
+  }
+  const modelMinorUnits = amount && typeof amount === 'object' ? amount.minor_units : undefined;
+  if (Number.isFinite(modelMinorUnits) && modelMinorUnits !== minorUnits) {
+    return {
+      reason: `I'm not sure whether "${text}" is ${formatIDR(toRupiah(minorUnits))} or ${formatIDR(
+        toRupiah(modelMinorUnits)
+      )}`,
+    };
+  }
+  return { amount: minorUnits };
+};
+
+module.exports = {
+  parseMoney,
+  toRupiah,
+  resolveAmount,
+};
@@ -0,0 +1,83 @@
+const dns = require('dns');
+const net = require('net');
+
+// IPv4 ranges outside the public internet: "this" network, private, shared (carrier-grade NAT), loopback, link-local,
+// benchmarking, and multicast and reserved
+const privateIPv4Ranges = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+];
+
+const toNumber = (ipv4) => ipv4.split('.').reduce((number, part) => number * 256 + parseInt(part, 10), 0);
+
+const isInRange = (ipv4, [base, bits]) => {
+  const size = 2 ** (32 - bits);
+  return Math.floor(toNumber(ipv4) / size) === Math.floor(toNumber(base) / size);
+};
+
+/**
+ * Write an IP address the way URLs do, e.g. '::ffff:7f00:1' for '::ffff:127.0.0.1'
+ * @param {string} address
+ * @returns {string}
+ */
+const normalizeAddress = (address) =>
+  net.isIPv6(address) ? new URL(`http://[${address}]`).hostname.slice(1, -1) : new URL(`http://${address}`).hostname;
+
+/**
+ * Whether an IP address is outside the public internet, e.g. loopback, private or link-local
+ * @param {string} address - An IPv4 or IPv6 address, as written by `normalizeAddress`
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  if (net.isIPv4(address)) {
+    return privateIPv4Ranges.some((range) => isInRange(address, range));
+  }
+  // An IPv4 address mapped into IPv6
+  const mapped = /^::ffff:([\da-f]{1,4}):([\da-f]{1,4})$/.exec(address);
+  if (mapped) {
+    const [high, low] = [parseInt(mapped[1], 16), parseInt(mapped[2], 16)];
+    return isPrivateAddress([Math.floor(high / 256), high % 256, Math.floor(low / 256), low % 256].join('.'));
+  }
+  // NAT64 (64:ff9b::/96), which a gateway may translate to any IPv4 address, private ones included
+  if (address.startsWith('64:ff9b::') && address.split(':').length <= 5) {
+    return true;
+  }
+  // Unspecified, loopback, unique local (fc00::/7), link-local (fe80::/10) and multicast (ff00::/8)
+  return address === '::' || address === '::1' || /^(f[cd]|fe[89ab]|ff)/.test(address);
+};
+
+/**
+ * Check that a server URL given by a user doesn't point into the network the bot runs in, e.g. at localhost
+ * @param {string} serverURL
+ * @param {string[]} [allowedHosts] - Hosts that may be used even though they are private, e.g. a self-hosted server
+ * @returns {Promise<string|null>} Why the URL may not be used, or null if it may
+ */
+const checkServerURL = async (serverURL, allowedHosts = []) => {
+  const { hostname } = new URL(serverURL);
+  if (allowedHosts.includes(hostname)) {
+    return null;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+  } catch (error) {
+    // A host that doesn't resolve can't be reached either, so it is left to fail when connecting
+    return null;
+  }
+  return addresses.some(({ address }) => isPrivateAddress(normalizeAddress(address)))
+    ? `${hostname} is a private or local address`
+    : null;
+};
+
+module.exports = {
+  normalizeAddress,
+  isPrivateAddress,
+  checkServerURL,
+};
@@ -0,0 +1,13 @@
+/**
+ * Call an async function on each item in turn, starting each call once the one before has finished
+ * @param {Array} items
+ * @param {Function} fn - Called with the item and its index
+ * @returns {Promise<Array>} The results, in the order of the items
+ */
+const runSequentially = (items, fn) =>
+  items.reduce(
+    (previous, item, index) => previous.then(async (results) => results.concat([await fn(item, index)])),
+    Promise.resolve([])
+  );
+
+module.exports = runSequentially;
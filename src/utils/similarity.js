@@ -0,0 +1,73 @@
+/**
+ * Normalize a name for comparison: lowercase, alphanumerics only, single spaces
+ * @param {string} value
+ * @returns {string}
+ */
+const normalize = (value) =>
+  (value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+/**
+ * Levenshtein edit distance between two strings
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Score how similar two names are, from 0 (nothing in common) to 1 (identical after normalizing)
+ * @param {string} query
+ * @param {string} name
+ * @returns {number}
+ */
+const similarity = (query, name) => {
+  const a = normalize(query);
+  const b = normalize(name);
+  if (!a || !b) {
+    return 0;
+  }
+  if (a === b) {
+    return 1;
+  }
+  const editScore = 1 - editDistance(a, b) / Math.max(a.length, b.length);
+  // A whole word of one name appearing in the other, e.g. "bca" in "bank bca", is a strong hint
+  const aWords = a.split(' ');
+  const bWords = b.split(' ');
+  const sharedWords = aWords.filter((word) => bWords.includes(word)).length;
+  const wordScore = sharedWords ? 0.6 + (0.3 * sharedWords) / Math.max(aWords.length, bWords.length) : 0;
+  return Math.max(editScore, wordScore);
+};
+
+/**
+ * Rank names by how similar they are to a query, most similar first
+ * @param {string} query
+ * @param {string[]} names
+ * @param {number} [limit] - Maximum number of names to return
+ * @returns {string[]}
+ */
+const closestNames = (query, names, limit = 5) =>
+  names
+    .map((name, index) => ({ name, index, score: similarity(query, name) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ name }) => name);
+
+module.exports = {
+  normalize,
+  similarity,
+  closestNames,
+};
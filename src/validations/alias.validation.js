@@ -0,0 +1,56 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { aliasKinds } = require('../config/aliases');
+
+const createAlias = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    kind: Joi.string()
+      .valid(...Object.values(aliasKinds))
+      .required(),
+    alias: Joi.string().trim().required(),
+    target: Joi.string().trim().required(),
+  }),
+};
+
+const getAliases = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    kind: Joi.string().valid(...Object.values(aliasKinds)),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const updateAlias = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+    aliasId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      kind: Joi.string().valid(...Object.values(aliasKinds)),
+      alias: Joi.string().trim(),
+      target: Joi.string().trim(),
+    })
+    .min(1),
+};
+
+const deleteAlias = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+    aliasId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  createAlias,
+  getAliases,
+  updateAlias,
+  deleteAlias,
+};
@@ -0,0 +1,33 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const getBudget = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+};
+
+const setBudget = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    serverURL: Joi.string()
+      .uri({ scheme: ['http', 'https'] })
+      .required(),
+    syncId: Joi.string().required(),
+    password: Joi.string().required(),
+  }),
+};
+
+const testBudget = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  getBudget,
+  setBudget,
+  testBudget,
+};
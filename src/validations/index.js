@@ -1,3 +1,9 @@
 module.exports.authValidation = require('./auth.validation');
 module.exports.userValidation = require('./user.validation');
 module.exports.webhookValidation = require('./webhook.validation');
+module.exports.jobValidation = require('./job.validation');
+module.exports.webhookEventValidation = require('./webhookEvent.validation');
+module.exports.phoneLinkValidation = require('./phoneLink.validation');
+module.exports.budgetValidation = require('./budget.validation');
+module.exports.aliasValidation = require('./alias.validation');
+module.exports.payeeCategoryValidation = require('./payeeCategory.validation');
@@ -0,0 +1,31 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { jobStatuses } = require('../config/jobs');
+
+const getJobs = {
+  query: Joi.object().keys({
+    type: Joi.string(),
+    status: Joi.string().valid(...Object.values(jobStatuses)),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const getJob = {
+  params: Joi.object().keys({
+    jobId: Joi.string().custom(objectId),
+  }),
+};
+
+const retryJob = {
+  params: Joi.object().keys({
+    jobId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  getJobs,
+  getJob,
+  retryJob,
+};
@@ -0,0 +1,41 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+
+const getPayeeCategories = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    category: Joi.string(),
+    forced: Joi.boolean(),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const updatePayeeCategory = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+    payeeCategoryId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object()
+    .keys({
+      category: Joi.string().trim(),
+      forced: Joi.boolean(),
+    })
+    .min(1),
+};
+
+const deletePayeeCategory = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+    payeeCategoryId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  getPayeeCategories,
+  updatePayeeCategory,
+  deletePayeeCategory,
+};
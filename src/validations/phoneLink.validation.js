@@ -0,0 +1,49 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { chatRoles } = require('../config/roles');
+
+const createLinkCode = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    role: Joi.string().valid(...chatRoles),
+  }),
+};
+
+const getPhoneLinks = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+  }),
+  query: Joi.object().keys({
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const updatePhoneLink = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+    phoneLinkId: Joi.string().custom(objectId),
+  }),
+  body: Joi.object().keys({
+    role: Joi.string()
+      .valid(...chatRoles)
+      .required(),
+  }),
+};
+
+const deletePhoneLink = {
+  params: Joi.object().keys({
+    userId: Joi.string().custom(objectId),
+    phoneLinkId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  createLinkCode,
+  getPhoneLinks,
+  updatePhoneLink,
+  deletePhoneLink,
+};
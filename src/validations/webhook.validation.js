@@ -8,7 +8,41 @@ const handleWebhook = {
         .keys({
           from: Joi.string().required(),
           to: Joi.string().required(),
-          body: Joi.string().required(),
+          // Media messages (e.g. a receipt photo) may arrive without a caption, reactions have no body,
+          // and button replies may carry only the pressed button.
+          body: Joi.alternatives().conditional('hasMedia', {
+            is: true,
+            then: Joi.string().allow('', null),
+            otherwise: Joi.alternatives().conditional('reaction', {
+              is: Joi.exist(),
+              then: Joi.string().allow('', null),
+              otherwise: Joi.alternatives().conditional('_data.selectedButtonId', {
+                is: Joi.exist(),
+                then: Joi.string().allow('', null),
+                otherwise: Joi.string().required(),
+              }),
+            }),
+          }),
+          hasMedia: Joi.boolean(),
+          media: Joi.object()
+            .keys({
+              url: Joi.string(),
+              mimetype: Joi.string(),
+            })
+            .unknown(true)
+            .allow(null),
+          replyTo: Joi.object()
+            .keys({
+              id: Joi.string(),
+            })
+            .unknown(true)
+            .allow(null),
+          reaction: Joi.object()
+            .keys({
+              text: Joi.string().allow(''),
+              messageId: Joi.string(),
+            })
+            .unknown(true),
         })
         .unknown(true), // Allow other properties in payload
     })
@@ -0,0 +1,24 @@
+const Joi = require('joi');
+const { objectId } = require('./custom.validation');
+const { webhookEventStatuses } = require('../config/webhookEvents');
+
+const getWebhookEvents = {
+  query: Joi.object().keys({
+    event: Joi.string(),
+    status: Joi.string().valid(...Object.values(webhookEventStatuses)),
+    sortBy: Joi.string(),
+    limit: Joi.number().integer(),
+    page: Joi.number().integer(),
+  }),
+};
+
+const reprocessWebhookEvent = {
+  params: Joi.object().keys({
+    webhookEventId: Joi.string().custom(objectId),
+  }),
+};
+
+module.exports = {
+  getWebhookEvents,
+  reprocessWebhookEvent,
+};
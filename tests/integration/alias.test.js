@@ -0,0 +1,154 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Alias } = require('../../src/models');
+const { userOne, userTwo, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Alias routes', () => {
+  const newAlias = { kind: 'account', alias: 'GoPay', target: 'GoPay Wallet' };
+
+  describe('POST /v1/users/:userId/aliases', () => {
+    test('should return 201 and store the alias in lowercase', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/aliases`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newAlias)
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({
+        id: expect.anything(),
+        user: userOne._id.toHexString(),
+        kind: 'account',
+        alias: 'gopay',
+        target: 'GoPay Wallet',
+      });
+      const dbAlias = await Alias.findById(res.body.id);
+      expect(dbAlias).toMatchObject({ alias: 'gopay', target: 'GoPay Wallet' });
+    });
+
+    test('should return 400 error if the alias is already taken for that kind', async () => {
+      await insertUsers([userOne]);
+      await Alias.create({ ...newAlias, alias: 'gopay', user: userOne._id });
+
+      await request(app)
+        .post(`/v1/users/${userOne._id}/aliases`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newAlias)
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should allow the same alias for another kind or another user', async () => {
+      await insertUsers([userOne, userTwo]);
+      await Alias.create({ ...newAlias, user: userTwo._id });
+
+      await request(app)
+        .post(`/v1/users/${userOne._id}/aliases`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newAlias)
+        .expect(httpStatus.CREATED);
+      await request(app)
+        .post(`/v1/users/${userOne._id}/aliases`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...newAlias, kind: 'payee', target: 'Gojek' })
+        .expect(httpStatus.CREATED);
+    });
+
+    test('should return 400 error if the kind is unknown', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post(`/v1/users/${userOne._id}/aliases`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...newAlias, kind: 'budget' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 error if user is creating an alias for another user', async () => {
+      await insertUsers([userOne, userTwo]);
+
+      await request(app)
+        .post(`/v1/users/${userTwo._id}/aliases`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(newAlias)
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/users/:userId/aliases', () => {
+    test('should return 200 and only the aliases of the user, filtered by kind', async () => {
+      await insertUsers([userOne, userTwo]);
+      await Alias.insertMany([
+        { ...newAlias, user: userOne._id },
+        { kind: 'category', alias: 'makan', target: 'Food & Dining', user: userOne._id },
+        { ...newAlias, user: userTwo._id },
+      ]);
+
+      const res = await request(app)
+        .get(`/v1/users/${userOne._id}/aliases`)
+        .query({ kind: 'category' })
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0]).toMatchObject({ alias: 'makan', target: 'Food & Dining' });
+    });
+
+    test('should return 200 if admin is getting the aliases of another user', async () => {
+      await insertUsers([userOne, admin]);
+
+      await request(app)
+        .get(`/v1/users/${userOne._id}/aliases`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+    });
+  });
+
+  describe('PATCH /v1/users/:userId/aliases/:aliasId', () => {
+    test('should return 200 and point the alias at another target', async () => {
+      await insertUsers([userOne]);
+      const alias = await Alias.create({ ...newAlias, user: userOne._id });
+
+      const res = await request(app)
+        .patch(`/v1/users/${userOne._id}/aliases/${alias._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ target: 'GoPay' })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ id: alias.id, alias: 'gopay', target: 'GoPay' });
+    });
+
+    test('should return 404 if the alias belongs to another user', async () => {
+      await insertUsers([userOne, userTwo]);
+      const alias = await Alias.create({ ...newAlias, user: userTwo._id });
+
+      await request(app)
+        .patch(`/v1/users/${userOne._id}/aliases/${alias._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ target: 'GoPay' })
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('DELETE /v1/users/:userId/aliases/:aliasId', () => {
+    test('should return 204 and delete the alias', async () => {
+      await insertUsers([userOne]);
+      const alias = await Alias.create({ ...newAlias, user: userOne._id });
+
+      await request(app)
+        .delete(`/v1/users/${userOne._id}/aliases/${alias._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NO_CONTENT);
+
+      expect(await Alias.findById(alias._id)).toBeNull();
+    });
+  });
+});
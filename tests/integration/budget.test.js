@@ -0,0 +1,136 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Budget } = require('../../src/models');
+const { actualService } = require('../../src/services');
+const { encrypt, decrypt } = require('../../src/utils/encryption');
+const { userOne, userTwo, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Budget routes', () => {
+  const settings = {
+    serverURL: 'https://actual.example.com',
+    syncId: '1cfdbb80-6274-49bf-b0c2-737235a4c81f',
+    password: 's3cret',
+  };
+
+  describe('PUT /v1/users/:userId/budget', () => {
+    test('should return 200 and store the password encrypted', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .put(`/v1/users/${userOne._id}/budget`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(settings)
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual({
+        id: expect.anything(),
+        user: userOne._id.toHexString(),
+        serverURL: settings.serverURL,
+        syncId: settings.syncId,
+      });
+      const dbBudget = await Budget.findOne({ user: userOne._id });
+      expect(dbBudget.encryptedPassword).not.toBe(settings.password);
+      expect(decrypt(dbBudget.encryptedPassword)).toBe(settings.password);
+    });
+
+    test('should replace the budget set before', async () => {
+      await insertUsers([admin, userOne]);
+      await Budget.create({ user: userOne._id, serverURL: 'http://old', syncId: 'old', encryptedPassword: encrypt('old') });
+
+      await request(app)
+        .put(`/v1/users/${userOne._id}/budget`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send(settings)
+        .expect(httpStatus.OK);
+
+      const budgets = await Budget.find({ user: userOne._id });
+      expect(budgets).toHaveLength(1);
+      expect(budgets[0].syncId).toBe(settings.syncId);
+    });
+
+    test('should return 400 error if the server URL is invalid', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put(`/v1/users/${userOne._id}/budget`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...settings, serverURL: 'not a url' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 400 error if the server URL points at a private or local address', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .put(`/v1/users/${userOne._id}/budget`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ ...settings, serverURL: 'http://127.0.0.1:5006' })
+        .expect(httpStatus.BAD_REQUEST);
+
+      expect(await Budget.countDocuments()).toBe(0);
+    });
+
+    test('should return 403 error if user is setting the budget of another user', async () => {
+      await insertUsers([userOne, userTwo]);
+
+      await request(app)
+        .put(`/v1/users/${userTwo._id}/budget`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send(settings)
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/users/:userId/budget', () => {
+    test('should return 404 error if the user has no budget', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get(`/v1/users/${userOne._id}/budget`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('POST /v1/users/:userId/budget/test', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should return 200 and test the stored settings', async () => {
+      await insertUsers([userOne]);
+      await Budget.create({
+        user: userOne._id,
+        serverURL: settings.serverURL,
+        syncId: settings.syncId,
+        encryptedPassword: encrypt(settings.password),
+      });
+      jest.spyOn(actualService, 'testConnection').mockResolvedValue({ accounts: 4 });
+
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/budget/test`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ accounts: 4 });
+      expect(actualService.testConnection).toHaveBeenCalledWith(settings);
+    });
+
+    test('should return 404 error if the user has no budget', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post(`/v1/users/${userOne._id}/budget/test`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { Job } = require('../../src/models');
+const jobService = require('../../src/services/job.service');
+const { jobStatuses, jobTypes } = require('../../src/config/jobs');
+const { userOne, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Job routes', () => {
+  const newJob = (status) => ({
+    type: jobTypes.WEBHOOK,
+    data: { event: 'message', payload: { id: 'msg-1', from: '628123456789@c.us', body: 'kopi 25k' } },
+    key: '628123456789@c.us',
+    status,
+    attempts: status === jobStatuses.DEAD ? 5 : 0,
+    maxAttempts: 5,
+    lastError: status === jobStatuses.DEAD ? 'Actual API Init Error: connect ECONNREFUSED' : undefined,
+    finishedAt: [jobStatuses.DEAD, jobStatuses.SUCCEEDED].includes(status) ? new Date() : undefined,
+  });
+
+  describe('GET /v1/jobs', () => {
+    test('should return 200 and only the jobs with the requested status', async () => {
+      await insertUsers([admin]);
+      const [deadJob] = await Job.insertMany([newJob(jobStatuses.DEAD), newJob(jobStatuses.SUCCEEDED)]);
+
+      const res = await request(app)
+        .get('/v1/jobs')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .query({ status: jobStatuses.DEAD })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0]).toMatchObject({
+        id: deadJob._id.toHexString(),
+        status: jobStatuses.DEAD,
+        attempts: 5,
+        lastError: 'Actual API Init Error: connect ECONNREFUSED',
+      });
+    });
+
+    test('should return 401 if access token is missing', async () => {
+      await request(app).get('/v1/jobs').send().expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test('should return 403 if a non-admin is trying to list jobs', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/jobs')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+
+    test('should return 400 if status is unknown', async () => {
+      await insertUsers([admin]);
+
+      await request(app)
+        .get('/v1/jobs')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .query({ status: 'failed' })
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+  });
+
+  describe('claimJob', () => {
+    test('should not run a newer job of a key before an older one that is waiting to be retried', async () => {
+      const retried = await Job.create({
+        ...newJob(jobStatuses.QUEUED),
+        attempts: 1,
+        runAt: new Date(Date.now() + 60 * 1000),
+      });
+      const newer = await Job.create(newJob(jobStatuses.QUEUED));
+      const otherChat = await Job.create({ ...newJob(jobStatuses.QUEUED), key: '628987654321@c.us' });
+
+      const claimed = await jobService.claimJob();
+      expect(claimed.id).toBe(otherChat.id);
+      await expect(jobService.claimJob()).resolves.toBeNull();
+
+      await Job.updateOne({ _id: retried._id }, { runAt: new Date() });
+      await expect(jobService.claimJob()).resolves.toMatchObject({ id: retried.id, status: jobStatuses.RUNNING });
+      // The older job is running now, which still holds back the newer one
+      await expect(jobService.claimJob()).resolves.toBeNull();
+      expect(await Job.findById(newer._id)).toMatchObject({ status: jobStatuses.QUEUED });
+    });
+  });
+
+  describe('POST /v1/jobs/:jobId/retry', () => {
+    test('should return 200 and queue a dead job again with fresh attempts', async () => {
+      await insertUsers([admin]);
+      const job = await Job.create(newJob(jobStatuses.DEAD));
+
+      const res = await request(app)
+        .post(`/v1/jobs/${job._id}/retry`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ status: jobStatuses.QUEUED, attempts: 0 });
+      const dbJob = await Job.findById(job._id);
+      expect(dbJob).toMatchObject({ status: jobStatuses.QUEUED, attempts: 0 });
+      // A queued job must not be deleted by the TTL index
+      expect(dbJob.finishedAt).toBeUndefined();
+    });
+
+    test('should return 400 if the job is not dead', async () => {
+      await insertUsers([admin]);
+      const job = await Job.create(newJob(jobStatuses.SUCCEEDED));
+
+      await request(app)
+        .post(`/v1/jobs/${job._id}/retry`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 403 if a non-admin is trying to retry a job', async () => {
+      await insertUsers([userOne]);
+      const job = await Job.create(newJob(jobStatuses.DEAD));
+
+      await request(app)
+        .post(`/v1/jobs/${job._id}/retry`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+
+    test('should return 404 if the job is not found', async () => {
+      await insertUsers([admin]);
+
+      await request(app)
+        .post('/v1/jobs/5ebac534954b54139806c112/retry')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const config = require('../../src/config/config');
+const { PayeeCategory } = require('../../src/models');
+const { userOne, userTwo, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Payee category routes', () => {
+  const mapping = { payee: 'indomaret', payeeName: 'Indomaret', category: 'Groceries', timesFiled: 1 };
+
+  describe('GET /v1/users/:userId/payee-categories', () => {
+    test('should return 200 and only the learned categories of the user', async () => {
+      await insertUsers([userOne, userTwo]);
+      await PayeeCategory.insertMany([
+        { ...mapping, user: userOne._id },
+        { ...mapping, user: userTwo._id },
+      ]);
+
+      const res = await request(app)
+        .get(`/v1/users/${userOne._id}/payee-categories`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0]).toMatchObject({
+        user: userOne._id.toHexString(),
+        payeeName: 'Indomaret',
+        category: 'Groceries',
+        timesFiled: 1,
+        forced: false,
+      });
+    });
+
+    test('should return 200 if admin is getting the learned categories of another user', async () => {
+      await insertUsers([userOne, admin]);
+
+      await request(app)
+        .get(`/v1/users/${userOne._id}/payee-categories`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+    });
+
+    test('should return 403 error if user is getting the learned categories of another user', async () => {
+      await insertUsers([userOne, userTwo]);
+
+      await request(app)
+        .get(`/v1/users/${userTwo._id}/payee-categories`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('PATCH /v1/users/:userId/payee-categories/:payeeCategoryId', () => {
+    test('should return 200 and settle the category the user picked', async () => {
+      await insertUsers([userOne]);
+      const payeeCategory = await PayeeCategory.create({ ...mapping, user: userOne._id });
+
+      const res = await request(app)
+        .patch(`/v1/users/${userOne._id}/payee-categories/${payeeCategory._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ category: 'Household' })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({
+        category: 'Household',
+        timesFiled: config.payeeCategories.forceAfter,
+        forced: false,
+      });
+    });
+
+    test('should return 200 and force the category', async () => {
+      await insertUsers([userOne]);
+      const payeeCategory = await PayeeCategory.create({ ...mapping, user: userOne._id });
+
+      await request(app)
+        .patch(`/v1/users/${userOne._id}/payee-categories/${payeeCategory._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ forced: true })
+        .expect(httpStatus.OK);
+
+      expect((await PayeeCategory.findById(payeeCategory._id)).forced).toBe(true);
+    });
+
+    test('should return 400 error if the body is empty', async () => {
+      await insertUsers([userOne]);
+      const payeeCategory = await PayeeCategory.create({ ...mapping, user: userOne._id });
+
+      await request(app)
+        .patch(`/v1/users/${userOne._id}/payee-categories/${payeeCategory._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({})
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 404 if the learned category belongs to another user', async () => {
+      await insertUsers([userOne, userTwo]);
+      const payeeCategory = await PayeeCategory.create({ ...mapping, user: userTwo._id });
+
+      await request(app)
+        .patch(`/v1/users/${userOne._id}/payee-categories/${payeeCategory._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ forced: true })
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('DELETE /v1/users/:userId/payee-categories/:payeeCategoryId', () => {
+    test('should return 204 and forget the learned category', async () => {
+      await insertUsers([userOne]);
+      const payeeCategory = await PayeeCategory.create({ ...mapping, user: userOne._id });
+
+      await request(app)
+        .delete(`/v1/users/${userOne._id}/payee-categories/${payeeCategory._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NO_CONTENT);
+
+      expect(await PayeeCategory.findById(payeeCategory._id)).toBeNull();
+    });
+  });
+});
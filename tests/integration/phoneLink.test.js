@@ -0,0 +1,202 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { PhoneLink, Token } = require('../../src/models');
+const { phoneLinkService } = require('../../src/services');
+const config = require('../../src/config/config');
+const { tokenTypes } = require('../../src/config/tokens');
+const { userOne, userTwo, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Phone link routes', () => {
+  const chatId = '628123456789@c.us';
+
+  describe('POST /v1/users/:userId/phone-links/code', () => {
+    test('should return 201 and a code that links a number once', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/phone-links/code`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.CREATED);
+
+      expect(res.body).toEqual({ code: expect.stringMatching(/^\d{6}$/), expires: expect.anything() });
+      const dbToken = await Token.findOne({ token: res.body.code, type: tokenTypes.LINK_PHONE });
+      expect(dbToken.user).toEqual(userOne._id);
+
+      const phoneLink = await phoneLinkService.linkPhone(chatId, res.body.code);
+      expect(phoneLink).toMatchObject({ chatId });
+      expect(phoneLink.user._id).toEqual(userOne._id);
+      expect(await phoneLinkService.linkPhone('628987654321@c.us', res.body.code)).toBeNull();
+    });
+
+    test('should give the linked number the role the code was requested for', async () => {
+      await insertUsers([userOne]);
+
+      const res = await request(app)
+        .post(`/v1/users/${userOne._id}/phone-links/code`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ role: 'helper' })
+        .expect(httpStatus.CREATED);
+
+      const phoneLink = await phoneLinkService.linkPhone(chatId, res.body.code);
+      expect(phoneLink.role).toBe('helper');
+    });
+
+    test('should return 400 error if the role is unknown', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .post(`/v1/users/${userOne._id}/phone-links/code`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ role: 'king' })
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should not link a number with an expired code', async () => {
+      await insertUsers([userOne]);
+      await Token.create({
+        token: '482913',
+        user: userOne._id,
+        type: tokenTypes.LINK_PHONE,
+        expires: new Date(Date.now() - 1000),
+      });
+
+      expect(await phoneLinkService.linkPhone(chatId, '482913')).toBeNull();
+      expect(await PhoneLink.countDocuments()).toBe(0);
+    });
+
+    test('should lock out a number that sent too many wrong codes', async () => {
+      const senders = Array.from({ length: config.phoneLink.maxFailedAttempts }, () => chatId);
+      // One at a time, as a number sends them
+      const lockouts = await senders.reduce(
+        async (previous, sender) => [...(await previous), await phoneLinkService.recordFailedLink(sender)],
+        Promise.resolve([])
+      );
+
+      const lockedUntil = lockouts.pop();
+      expect(lockouts.every((lockout) => lockout === null)).toBe(true);
+      expect(lockedUntil.getTime()).toBeGreaterThan(Date.now());
+      expect(await phoneLinkService.getLinkLockout(chatId)).toEqual(lockedUntil);
+      expect(await phoneLinkService.getLinkLockout('628987654321@c.us')).toBeNull();
+    });
+
+    test('should stop a code from working once too many wrong codes were sent while it was live', async () => {
+      await insertUsers([userOne]);
+      await Token.create({
+        token: '482913',
+        user: userOne._id,
+        type: tokenTypes.LINK_PHONE,
+        expires: new Date(Date.now() + 60 * 1000),
+        failedAttempts: config.phoneLink.codeMaxFailedAttempts - 1,
+      });
+
+      await phoneLinkService.recordFailedLink('628987654321@c.us');
+
+      expect(await phoneLinkService.linkPhone(chatId, '482913')).toBeNull();
+      expect(await PhoneLink.countDocuments()).toBe(0);
+    });
+
+    test('should return 401 error if access token is missing', async () => {
+      await insertUsers([userOne]);
+
+      await request(app).post(`/v1/users/${userOne._id}/phone-links/code`).send().expect(httpStatus.UNAUTHORIZED);
+    });
+
+    test('should return 403 error if user is requesting a code for another user', async () => {
+      await insertUsers([userOne, userTwo]);
+
+      await request(app)
+        .post(`/v1/users/${userTwo._id}/phone-links/code`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('GET /v1/users/:userId/phone-links', () => {
+    test('should return 200 and only the links of the user', async () => {
+      await insertUsers([userOne, userTwo]);
+      await PhoneLink.insertMany([
+        { chatId, user: userOne._id },
+        { chatId: '628987654321@c.us', user: userTwo._id },
+      ]);
+
+      const res = await request(app)
+        .get(`/v1/users/${userOne._id}/phone-links`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0]).toMatchObject({ chatId, user: userOne._id.toHexString() });
+    });
+
+    test('should return 200 if admin is getting the links of another user', async () => {
+      await insertUsers([userOne, admin]);
+
+      await request(app)
+        .get(`/v1/users/${userOne._id}/phone-links`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+    });
+  });
+
+  describe('PATCH /v1/users/:userId/phone-links/:phoneLinkId', () => {
+    test('should return 200 and change the role of the number', async () => {
+      await insertUsers([userOne]);
+      const phoneLink = await PhoneLink.create({ chatId, user: userOne._id });
+
+      const res = await request(app)
+        .patch(`/v1/users/${userOne._id}/phone-links/${phoneLink._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ role: 'member' })
+        .expect(httpStatus.OK);
+
+      expect(res.body).toMatchObject({ id: phoneLink.id, chatId, role: 'member' });
+      expect((await PhoneLink.findById(phoneLink._id)).role).toBe('member');
+    });
+
+    test('should return 404 if the link belongs to another user', async () => {
+      await insertUsers([userOne, userTwo]);
+      const phoneLink = await PhoneLink.create({ chatId, user: userTwo._id });
+
+      await request(app)
+        .patch(`/v1/users/${userOne._id}/phone-links/${phoneLink._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send({ role: 'helper' })
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+
+  describe('DELETE /v1/users/:userId/phone-links/:phoneLinkId', () => {
+    test('should return 204 and unlink the number', async () => {
+      await insertUsers([userOne]);
+      const phoneLink = await PhoneLink.create({ chatId, user: userOne._id });
+
+      await request(app)
+        .delete(`/v1/users/${userOne._id}/phone-links/${phoneLink._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NO_CONTENT);
+
+      expect(await PhoneLink.findById(phoneLink._id)).toBeNull();
+    });
+
+    test('should return 404 if the link belongs to another user', async () => {
+      await insertUsers([userOne, userTwo]);
+      const phoneLink = await PhoneLink.create({ chatId, user: userTwo._id });
+
+      await request(app)
+        .delete(`/v1/users/${userOne._id}/phone-links/${phoneLink._id}`)
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
@@ -38,6 +38,7 @@ describe('User routes', () => {
         email: newUser.email,
         role: newUser.role,
         isEmailVerified: false,
+        dailyDigest: false,
       });
 
       const dbUser = await User.findById(res.body.id);
@@ -164,6 +165,7 @@ describe('User routes', () => {
         email: userOne.email,
         role: userOne.role,
         isEmailVerified: userOne.isEmailVerified,
+        dailyDigest: false,
       });
     });
 
@@ -367,6 +369,7 @@ describe('User routes', () => {
         name: userOne.name,
         role: userOne.role,
         isEmailVerified: userOne.isEmailVerified,
+        dailyDigest: false,
       });
     });
 
@@ -500,6 +503,7 @@ describe('User routes', () => {
         email: updateBody.email,
         role: 'user',
         isEmailVerified: false,
+        dailyDigest: false,
       });
 
       const dbUser = await User.findById(userOne._id);
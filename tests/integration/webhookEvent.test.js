@@ -0,0 +1,156 @@
+const request = require('supertest');
+const httpStatus = require('http-status');
+const app = require('../../src/app');
+const setupTestDB = require('../utils/setupTestDB');
+const { WebhookEvent, Job } = require('../../src/models');
+const { webhookEventStatuses } = require('../../src/config/webhookEvents');
+const { userOne, admin, insertUsers } = require('../fixtures/user.fixture');
+const { userOneAccessToken, adminAccessToken } = require('../fixtures/token.fixture');
+
+setupTestDB();
+
+describe('Webhook event routes', () => {
+  const payload = {
+    id: 'false_628123456789@c.us_3EB0C767D26A1D8E2B0A',
+    from: '628123456789@c.us',
+    to: '628987654321@c.us',
+    body: 'kopi 25k pakai gopay',
+  };
+
+  describe('POST /v1/webhook', () => {
+    test('should queue a new event and ignore its redelivery while it is in flight', async () => {
+      const res = await request(app).post('/v1/webhook').send({ event: 'message', payload }).expect(httpStatus.OK);
+      expect(res.body).toEqual({ status: 'queued' });
+
+      const redelivery = await request(app).post('/v1/webhook').send({ event: 'message', payload }).expect(httpStatus.OK);
+      expect(redelivery.body).toEqual({ status: 'duplicate_ignored' });
+
+      const dbEvent = await WebhookEvent.findOne({ eventId: payload.id });
+      expect(dbEvent).toMatchObject({ status: webhookEventStatuses.RECEIVED, event: 'message' });
+      expect(await Job.countDocuments()).toBe(1);
+    });
+
+    test('should ignore the redelivery of an event that succeeded', async () => {
+      await WebhookEvent.create({ eventId: payload.id, event: 'message', payload, status: webhookEventStatuses.SUCCEEDED });
+
+      const res = await request(app).post('/v1/webhook').send({ event: 'message', payload }).expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ status: 'duplicate_ignored' });
+      expect(await Job.countDocuments()).toBe(0);
+    });
+
+    test('should queue the redelivery of an event that failed', async () => {
+      await WebhookEvent.create({
+        eventId: payload.id,
+        event: 'message',
+        payload,
+        status: webhookEventStatuses.FAILED,
+        attempts: 1,
+        lastError: 'Gemini API Error (determineIntent): timeout',
+      });
+
+      const res = await request(app).post('/v1/webhook').send({ event: 'message', payload }).expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ status: 'queued' });
+      const dbEvent = await WebhookEvent.findOne({ eventId: payload.id });
+      expect(dbEvent.status).toBe(webhookEventStatuses.RECEIVED);
+      expect(await Job.countDocuments()).toBe(1);
+    });
+
+    test('should queue the redelivery of an event whose lease ran out', async () => {
+      await WebhookEvent.create({
+        eventId: payload.id,
+        event: 'message',
+        payload,
+        status: webhookEventStatuses.PROCESSING,
+        leaseExpiresAt: new Date(Date.now() - 1000),
+      });
+
+      const res = await request(app).post('/v1/webhook').send({ event: 'message', payload }).expect(httpStatus.OK);
+
+      expect(res.body).toEqual({ status: 'queued' });
+    });
+  });
+
+  describe('GET /v1/webhook-events', () => {
+    test('should return 200 and only the failed events', async () => {
+      await insertUsers([admin]);
+      await WebhookEvent.insertMany([
+        { eventId: 'event-1', event: 'message', payload, status: webhookEventStatuses.FAILED, lastError: 'timeout' },
+        { eventId: 'event-2', event: 'message', payload, status: webhookEventStatuses.SUCCEEDED },
+      ]);
+
+      const res = await request(app)
+        .get('/v1/webhook-events')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .query({ status: webhookEventStatuses.FAILED })
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.totalResults).toBe(1);
+      expect(res.body.results[0]).toMatchObject({
+        eventId: 'event-1',
+        status: webhookEventStatuses.FAILED,
+        lastError: 'timeout',
+      });
+    });
+
+    test('should return 403 if a non-admin is trying to list webhook events', async () => {
+      await insertUsers([userOne]);
+
+      await request(app)
+        .get('/v1/webhook-events')
+        .set('Authorization', `Bearer ${userOneAccessToken}`)
+        .send()
+        .expect(httpStatus.FORBIDDEN);
+    });
+  });
+
+  describe('POST /v1/webhook-events/:webhookEventId/reprocess', () => {
+    test('should return 200 and queue a failed event again', async () => {
+      await insertUsers([admin]);
+      const webhookEvent = await WebhookEvent.create({
+        eventId: payload.id,
+        event: 'message',
+        payload,
+        status: webhookEventStatuses.FAILED,
+      });
+
+      const res = await request(app)
+        .post(`/v1/webhook-events/${webhookEvent._id}/reprocess`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.OK);
+
+      expect(res.body.status).toBe(webhookEventStatuses.RECEIVED);
+      const job = await Job.findOne();
+      expect(job.data).toEqual({ event: 'message', payload });
+    });
+
+    test('should return 400 if the event has not failed', async () => {
+      await insertUsers([admin]);
+      const webhookEvent = await WebhookEvent.create({
+        eventId: payload.id,
+        event: 'message',
+        payload,
+        status: webhookEventStatuses.SUCCEEDED,
+      });
+
+      await request(app)
+        .post(`/v1/webhook-events/${webhookEvent._id}/reprocess`)
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.BAD_REQUEST);
+    });
+
+    test('should return 404 if the event is not found', async () => {
+      await insertUsers([admin]);
+
+      await request(app)
+        .post('/v1/webhook-events/5ebac534954b54139806c112/reprocess')
+        .set('Authorization', `Bearer ${adminAccessToken}`)
+        .send()
+        .expect(httpStatus.NOT_FOUND);
+    });
+  });
+});
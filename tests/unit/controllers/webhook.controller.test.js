@@ -0,0 +1,481 @@
+const {
+  geminiService,
+  wahaService,
+  actualService,
+  chatSettingService,
+  conversationService,
+  transactionLogService,
+  webhookEventService,
+  jobService,
+  phoneLinkService,
+  aliasService,
+  payeeCategoryService,
+  budgetAlertService,
+  scheduleService,
+} = require('../../../src/services');
+const llmService = require('../../../src/services/llm.service');
+const { processWebhookEvent, runScheduledTransaction } = require('../../../src/controllers/webhook.controller');
+const config = require('../../../src/config/config');
+const { jobTypes } = require('../../../src/config/jobs');
+const { getToday } = require('../../../src/utils/date');
+const formatIDR = require('../../../src/utils/formatIDR');
+
+describe('Webhook controller', () => {
+  const chatId = '6281234567890@c.us';
+  const accounts = [{ id: 'acc-bca', name: 'BCA' }];
+  const categories = [{ id: 'cat-food', name: 'Food' }];
+  const text = (fields) => ({
+    event: 'message',
+    payload: { id: 'msg-1', from: chatId, body: '', ...fields },
+  });
+  const receipt = (fields) => ({
+    event: 'message',
+    payload: {
+      id: 'msg-1',
+      from: chatId,
+      body: '',
+      hasMedia: true,
+      media: { url: 'http://waha/files/receipt.jpg', mimetype: 'image/jpeg' },
+      ...fields,
+    },
+  });
+  const extracted = {
+    transactions: [
+      {
+        type: 'expense',
+        description: 'Belanja Indomaret',
+        amount: { text: '45.500', minor_units: 4550000 },
+        category: 'Food',
+        payee: 'Indomaret',
+        date: null,
+        source_account_name: 'BCA',
+        confidence: 0.9,
+      },
+    ],
+    line_items: [{ name: 'Roti', quantity: 2, amount: { text: '30.000', minor_units: 3000000 } }],
+  };
+
+  beforeEach(() => {
+    jest.spyOn(webhookEventService, 'startProcessing').mockResolvedValue({});
+    jest.spyOn(webhookEventService, 'markWritten').mockResolvedValue({});
+    jest.spyOn(webhookEventService, 'markSucceeded').mockResolvedValue({});
+    jest.spyOn(webhookEventService, 'markFailed').mockResolvedValue({});
+    jest.spyOn(phoneLinkService, 'getPhoneLinkByChatId').mockResolvedValue({ user: { id: 'user-1' }, role: 'owner' });
+    jest.spyOn(wahaService, 'sendSeen').mockResolvedValue();
+    jest.spyOn(wahaService, 'downloadMedia').mockResolvedValue({ data: 'aW1hZ2U=', mimetype: 'image/jpeg' });
+    jest.spyOn(wahaService, 'sendTextMessage').mockResolvedValue('reply-1');
+    jest.spyOn(actualService, 'getAccounts').mockResolvedValue(accounts);
+    jest.spyOn(actualService, 'getCategories').mockResolvedValue(categories);
+    jest.spyOn(actualService, 'getPayees').mockResolvedValue([]);
+    jest.spyOn(actualService, 'addTransactions').mockResolvedValue(['tx-1']);
+    jest.spyOn(aliasService, 'getAliasesByKind').mockResolvedValue({});
+    jest.spyOn(payeeCategoryService, 'getPayeeCategories').mockResolvedValue([]);
+    jest.spyOn(payeeCategoryService, 'learnPayeeCategories').mockResolvedValue();
+    jest.spyOn(chatSettingService, 'getChatSetting').mockResolvedValue({
+      confirmationThreshold: 1000000,
+      categoryThresholds: [],
+    });
+    jest.spyOn(transactionLogService, 'findTransactionLog').mockResolvedValue(null);
+    jest.spyOn(transactionLogService, 'saveTransactionLog').mockResolvedValue({});
+    jest.spyOn(transactionLogService, 'setReplyMessageId').mockResolvedValue({});
+    jest.spyOn(budgetAlertService, 'getBudgetAlerts').mockResolvedValue([]);
+    jest.spyOn(conversationService, 'getPendingConversation').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('receipts', () => {
+    test('should record a receipt photo and pass its caption to the model', async () => {
+      jest.spyOn(llmService, 'generateObject').mockResolvedValue(extracted);
+
+      await processWebhookEvent(receipt({ body: 'pakai BCA' }));
+
+      const [task, { prompt, media }] = llmService.generateObject.mock.calls[0];
+      expect(task).toBe('receipt');
+      expect(prompt).toContain('Caption: "pakai BCA"');
+      expect(media).toEqual([{ data: 'aW1hZ2U=', mimeType: 'image/jpeg' }]);
+      expect(actualService.addTransactions).toHaveBeenCalledWith('user-1', 'acc-bca', [
+        expect.objectContaining({ amount: -4550000, category: 'cat-food' }),
+      ]);
+      const [, reply] = wahaService.sendTextMessage.mock.calls[0];
+      expect(reply).toContain(`✅ Belanja Indomaret: ${formatIDR(45500)} (Food, BCA)`);
+      expect(reply).toContain(`- 2x Roti: ${formatIDR(30000)}`);
+    });
+
+    test('should record a receipt photo sent without a caption', async () => {
+      jest.spyOn(llmService, 'generateObject').mockResolvedValue(extracted);
+
+      await processWebhookEvent(receipt({ body: undefined }));
+
+      expect(llmService.generateObject.mock.calls[0][1].prompt).toContain('Caption: ""');
+      expect(actualService.addTransactions).toHaveBeenCalledTimes(1);
+    });
+
+    test('should not treat an attachment that is not an image as a receipt', async () => {
+      jest.spyOn(geminiService, 'processReceipt');
+
+      await processWebhookEvent(receipt({ media: { url: 'http://waha/files/statement.pdf', mimetype: 'application/pdf' } }));
+
+      expect(geminiService.processReceipt).not.toHaveBeenCalled();
+      expect(wahaService.downloadMedia).not.toHaveBeenCalled();
+      expect(wahaService.sendTextMessage).not.toHaveBeenCalled();
+      expect(webhookEventService.markSucceeded).toHaveBeenCalledWith('msg-1');
+    });
+
+    test('should say so when nothing could be read from the receipt', async () => {
+      jest.spyOn(geminiService, 'processReceipt').mockResolvedValue({ transactions: [], line_items: [] });
+
+      await processWebhookEvent(receipt());
+
+      expect(actualService.addTransactions).not.toHaveBeenCalled();
+      expect(wahaService.sendTextMessage).toHaveBeenCalledWith(
+        chatId,
+        "Sorry, I couldn't find any transaction in your message."
+      );
+    });
+  });
+
+  describe('pending conversations', () => {
+    const draft = {
+      type: 'confirmation',
+      chatId,
+      user: 'user-1',
+      transactions: [{ ...extracted.transactions[0], amount: { text: '2jt', minor_units: 200000000 } }],
+    };
+
+    beforeEach(() => {
+      conversationService.getPendingConversation.mockResolvedValue(draft);
+      jest.spyOn(conversationService, 'clearPendingConversation').mockResolvedValue();
+    });
+
+    test('should record a draft confirmed with a button', async () => {
+      await processWebhookEvent(text({ _data: { selectedButtonId: 'ya' } }));
+
+      expect(actualService.addTransactions).toHaveBeenCalledWith('user-1', 'acc-bca', [
+        expect.objectContaining({ amount: -200000000 }),
+      ]);
+      expect(conversationService.clearPendingConversation).toHaveBeenCalledWith(chatId);
+      const [writtenAt] = actualService.addTransactions.mock.invocationCallOrder;
+      const [clearedAt] = conversationService.clearPendingConversation.mock.invocationCallOrder;
+      expect(writtenAt).toBeLessThan(clearedAt);
+    });
+
+    test('should keep a confirmed draft when writing it fails, so that the retry can record it', async () => {
+      actualService.addTransactions.mockRejectedValue(new Error('Actual is down'));
+
+      await expect(processWebhookEvent(text({ body: 'ya' }))).rejects.toThrow('Actual is down');
+
+      expect(conversationService.clearPendingConversation).not.toHaveBeenCalled();
+    });
+
+    test('should not let anyone but the user who sent the draft confirm it', async () => {
+      phoneLinkService.getPhoneLinkByChatId.mockResolvedValue({ user: { id: 'user-2' }, role: 'owner' });
+      jest.spyOn(llmService, 'generateObject').mockResolvedValue({ transactions: [], line_items: [] });
+
+      await processWebhookEvent(text({ body: 'ya' }));
+
+      expect(conversationService.clearPendingConversation).not.toHaveBeenCalled();
+      expect(actualService.addTransactions).not.toHaveBeenCalled();
+    });
+
+    test('should handle a message that does not answer the draft as a new message', async () => {
+      await processWebhookEvent(text({ body: 'kopi 25rb bca' }));
+
+      expect(conversationService.clearPendingConversation).not.toHaveBeenCalled();
+      expect(actualService.addTransactions).toHaveBeenCalledWith('user-1', 'acc-bca', [
+        expect.objectContaining({ amount: -2500000, category: 'cat-food' }),
+      ]);
+    });
+
+    test('should handle a message that does not answer a question as a new message', async () => {
+      conversationService.getPendingConversation.mockResolvedValue({
+        type: 'clarification',
+        chatId,
+        user: 'user-1',
+        transactions: [extracted.transactions[0]],
+        question: { field: 'account', value: 'Jago', options: ['BCA'] },
+      });
+
+      await processWebhookEvent(text({ body: 'kopi 25rb bca' }));
+
+      expect(conversationService.clearPendingConversation).not.toHaveBeenCalled();
+      expect(actualService.addTransactions).toHaveBeenCalledWith('user-1', 'acc-bca', [
+        expect.objectContaining({ amount: -2500000 }),
+      ]);
+    });
+  });
+
+  describe('clarifications', () => {
+    beforeEach(() => {
+      conversationService.getPendingConversation.mockResolvedValue({
+        type: 'clarification',
+        chatId,
+        user: 'user-1',
+        transactions: [{ ...extracted.transactions[0], source_account_name: 'Jago' }],
+        question: { field: 'account', value: 'Jago', options: ['BCA'] },
+      });
+      jest.spyOn(conversationService, 'clearPendingConversation').mockResolvedValue();
+    });
+
+    test('should clear the question once the answered transactions are written', async () => {
+      await processWebhookEvent(text({ body: 'BCA' }));
+
+      expect(actualService.addTransactions).toHaveBeenCalledWith('user-1', 'acc-bca', [
+        expect.objectContaining({ amount: -4550000 }),
+      ]);
+      const [writtenAt] = actualService.addTransactions.mock.invocationCallOrder;
+      const [clearedAt] = conversationService.clearPendingConversation.mock.invocationCallOrder;
+      expect(writtenAt).toBeLessThan(clearedAt);
+    });
+
+    test('should keep the question when writing the answered transactions fails', async () => {
+      actualService.addTransactions.mockRejectedValue(new Error('Actual is down'));
+
+      await expect(processWebhookEvent(text({ body: 'BCA' }))).rejects.toThrow('Actual is down');
+
+      expect(conversationService.clearPendingConversation).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconciliations', () => {
+    beforeEach(() => {
+      conversationService.getPendingConversation.mockResolvedValue({
+        type: 'reconciliation',
+        chatId,
+        user: 'user-1',
+        reconciliation: {
+          accountId: 'acc-bca',
+          accountName: 'BCA',
+          balance: 425000000,
+          current: 430000000,
+          adjustment: -5000000,
+        },
+      });
+      jest.spyOn(conversationService, 'clearPendingConversation').mockResolvedValue();
+      jest.spyOn(conversationService, 'savePendingConversation').mockResolvedValue();
+    });
+
+    test('should write the adjustment the user confirmed', async () => {
+      jest.spyOn(actualService, 'reconcileAccount').mockResolvedValue(3);
+
+      await processWebhookEvent(text({ body: 'ya' }));
+
+      expect(actualService.reconcileAccount).toHaveBeenCalledWith('user-1', 'acc-bca', expect.any(String), {
+        expected: 430000000,
+        adjustment: expect.objectContaining({ amount: -5000000 }),
+      });
+      expect(wahaService.sendTextMessage.mock.calls[0][1]).toContain('✅ BCA is reconciled');
+      const [writtenAt] = actualService.reconcileAccount.mock.invocationCallOrder;
+      const [clearedAt] = conversationService.clearPendingConversation.mock.invocationCallOrder;
+      expect(writtenAt).toBeLessThan(clearedAt);
+    });
+
+    test('should keep the confirmed adjustment when writing it fails', async () => {
+      jest.spyOn(actualService, 'reconcileAccount').mockRejectedValue(new Error('Actual is down'));
+
+      await expect(processWebhookEvent(text({ body: 'ya' }))).rejects.toThrow('Actual is down');
+
+      expect(conversationService.clearPendingConversation).not.toHaveBeenCalled();
+    });
+
+    test('should ask again instead of writing a different adjustment when the balance changed', async () => {
+      jest.spyOn(actualService, 'reconcileAccount').mockResolvedValue(null);
+      jest.spyOn(actualService, 'getReconcilableBalance').mockResolvedValue(440000000);
+
+      await processWebhookEvent(text({ body: 'ya' }));
+
+      expect(conversationService.savePendingConversation).toHaveBeenCalledWith(chatId, {
+        user: 'user-1',
+        type: 'reconciliation',
+        reconciliation: {
+          accountId: 'acc-bca',
+          accountName: 'BCA',
+          balance: 425000000,
+          current: 440000000,
+          adjustment: -15000000,
+        },
+      });
+      const [, reply] = wahaService.sendTextMessage.mock.calls[0];
+      expect(reply).toContain("BCA changed in Actual since I asked, so I didn't change anything.");
+      expect(reply).toContain(`off by -${formatIDR(150000)}`);
+    });
+  });
+
+  describe('retries', () => {
+    test('should not write a message again that an earlier attempt already recorded', async () => {
+      jest.spyOn(transactionLogService, 'findTransactionLog').mockResolvedValue({
+        transactions: [
+          {
+            description: 'Kopi',
+            amount: 2500000,
+            date: '2026-10-19',
+            account: { id: 'acc-bca', name: 'BCA' },
+            category: { id: 'cat-food', name: 'Food' },
+          },
+        ],
+      });
+
+      await processWebhookEvent(text({ body: 'kopi 25rb bca' }));
+
+      expect(transactionLogService.findTransactionLog).toHaveBeenCalledWith(chatId, 'msg-1');
+      expect(actualService.addTransactions).not.toHaveBeenCalled();
+      expect(wahaService.sendTextMessage.mock.calls[0][1]).toContain(`✅ Kopi: ${formatIDR(25000)} (Food, BCA)`);
+    });
+
+    test('should mark the message as written before replying', async () => {
+      await processWebhookEvent(text({ body: 'kopi 25rb bca' }));
+
+      expect(webhookEventService.markWritten).toHaveBeenCalledWith('msg-1');
+      const [markedAt] = webhookEventService.markWritten.mock.invocationCallOrder;
+      const [repliedAt] = wahaService.sendTextMessage.mock.invocationCallOrder;
+      expect(markedAt).toBeLessThan(repliedAt);
+    });
+
+    test('should not handle again a message that an attempt whose lease ran out already wrote', async () => {
+      webhookEventService.startProcessing.mockResolvedValue({ writtenAt: new Date() });
+
+      await processWebhookEvent(text({ body: 'kopi 25rb bca' }));
+
+      expect(phoneLinkService.getPhoneLinkByChatId).not.toHaveBeenCalled();
+      expect(actualService.addTransactions).not.toHaveBeenCalled();
+      expect(webhookEventService.markSucceeded).toHaveBeenCalledWith('msg-1');
+    });
+
+    test('should only queue the reply again when it fails to go out after writing', async () => {
+      wahaService.sendTextMessage.mockRejectedValue(new Error('WAHA is down'));
+      jest.spyOn(jobService, 'enqueueJob').mockResolvedValue({});
+
+      await processWebhookEvent(text({ body: 'kopi 25rb bca' }));
+
+      expect(actualService.addTransactions).toHaveBeenCalledTimes(1);
+      expect(jobService.enqueueJob).toHaveBeenCalledWith(
+        jobTypes.REPLY,
+        expect.objectContaining({ to: chatId, text: expect.stringContaining('✅ Kopi') }),
+        { key: chatId }
+      );
+      expect(webhookEventService.markFailed).not.toHaveBeenCalled();
+      expect(webhookEventService.markSucceeded).toHaveBeenCalledWith('msg-1');
+    });
+
+    test('should not fail the message when the transactions cannot be logged after writing', async () => {
+      transactionLogService.saveTransactionLog.mockRejectedValue(new Error('Mongo is down'));
+
+      await expect(processWebhookEvent(text({ body: 'kopi 25rb bca' }))).resolves.toBeUndefined();
+      expect(wahaService.sendTextMessage.mock.calls[0][1]).toContain('✅ Kopi');
+    });
+  });
+
+  describe('scheduled transactions', () => {
+    const { maxDaysBack } = config.transactions;
+
+    beforeEach(() => {
+      config.transactions.maxDaysBack = 14;
+    });
+
+    afterEach(() => {
+      config.transactions.maxDaysBack = maxDaysBack;
+    });
+
+    test('should catch up on a run missed during a month of downtime, dated when it was due', async () => {
+      const dueAt = new Date(Date.now() - 35 * 24 * 60 * 60 * 1000);
+      jest.spyOn(scheduleService, 'claimScheduleRun').mockResolvedValue({
+        id: 'schedule-1',
+        chatId,
+        user: 'user-1',
+        lastRunAt: dueAt,
+        transaction: {
+          ...extracted.transactions[0],
+          description: 'Bayar internet',
+          amount: { text: '350rb', minor_units: 35000000 },
+        },
+      });
+
+      await runScheduledTransaction({ scheduleId: 'schedule-1', runAt: dueAt.toISOString() });
+
+      expect(actualService.addTransactions).toHaveBeenCalledWith('user-1', 'acc-bca', [
+        expect.objectContaining({ amount: -35000000, date: getToday(config.timezone, dueAt) }),
+      ]);
+      expect(wahaService.sendTextMessage.mock.calls[0][1]).toContain('✅ Bayar internet');
+    });
+  });
+
+  describe('undo', () => {
+    const log = {
+      user: 'user-2',
+      undone: false,
+      transactions: [{ description: 'Kopi', amount: 2500000, ids: ['tx-1'] }],
+    };
+
+    beforeEach(() => {
+      jest.spyOn(transactionLogService, 'undoTransactionLog').mockResolvedValue(log);
+    });
+
+    test("should only undo the sender's own latest transactions", async () => {
+      jest.spyOn(transactionLogService, 'getLatestTransactionLog').mockResolvedValue(null);
+
+      await processWebhookEvent(text({ body: 'undo' }));
+
+      expect(transactionLogService.getLatestTransactionLog).toHaveBeenCalledWith(chatId, 'user-1');
+      expect(wahaService.sendTextMessage).toHaveBeenCalledWith(chatId, 'There is nothing to undo.');
+    });
+
+    test('should not remove transactions another member recorded when the sender reacts to them', async () => {
+      jest.spyOn(transactionLogService, 'getTransactionLogByReplyMessageId').mockResolvedValue(log);
+
+      await processWebhookEvent({
+        event: 'message.reaction',
+        payload: { id: 'msg-1', from: chatId, reaction: { text: '❌', messageId: 'reply-1' } },
+      });
+
+      expect(transactionLogService.undoTransactionLog).not.toHaveBeenCalled();
+      expect(wahaService.sendTextMessage.mock.calls[0][1]).toContain('only the person who recorded those transactions');
+    });
+  });
+
+  describe('corrections', () => {
+    test('should not change transactions another member recorded', async () => {
+      jest.spyOn(transactionLogService, 'getTransactionLogByReplyMessageId').mockResolvedValue({
+        user: 'user-2',
+        undone: false,
+        transactions: [{ description: 'Kopi', amount: 2500000, ids: ['tx-1'] }],
+      });
+      jest.spyOn(geminiService, 'processCorrection');
+      jest.spyOn(actualService, 'updateTransaction');
+      jest.spyOn(actualService, 'createPayee');
+
+      await processWebhookEvent(text({ body: 'harusnya 75rb', replyTo: { id: 'reply-1' } }));
+
+      expect(geminiService.processCorrection).not.toHaveBeenCalled();
+      expect(actualService.updateTransaction).not.toHaveBeenCalled();
+      expect(actualService.createPayee).not.toHaveBeenCalled();
+      expect(wahaService.sendTextMessage.mock.calls[0][1]).toContain('can change them');
+    });
+  });
+
+  describe('linking', () => {
+    beforeEach(() => {
+      phoneLinkService.getPhoneLinkByChatId.mockResolvedValue(null);
+      jest.spyOn(phoneLinkService, 'getLinkLockout').mockResolvedValue(null);
+      jest.spyOn(phoneLinkService, 'linkPhone').mockResolvedValue(null);
+      jest.spyOn(phoneLinkService, 'recordFailedLink').mockResolvedValue(null);
+    });
+
+    test('should count a wrong code against the number', async () => {
+      await processWebhookEvent(text({ body: '482913' }));
+
+      expect(phoneLinkService.recordFailedLink).toHaveBeenCalledWith(chatId);
+      expect(wahaService.sendTextMessage.mock.calls[0][1]).toContain('invalid or has expired');
+    });
+
+    test('should not try a code from a number that is locked out', async () => {
+      phoneLinkService.getLinkLockout.mockResolvedValue(new Date(Date.now() + 10 * 60 * 1000));
+
+      await processWebhookEvent(text({ body: '482913' }));
+
+      expect(phoneLinkService.linkPhone).not.toHaveBeenCalled();
+      expect(wahaService.sendTextMessage.mock.calls[0][1]).toContain('Please wait 10 minute(s)');
+    });
+  });
+});
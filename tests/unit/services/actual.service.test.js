@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('@actual-app/api', () => ({
+  init: jest.fn(),
+  downloadBudget: jest.fn(),
+  sync: jest.fn(),
+  shutdown: jest.fn(),
+  getAccounts: jest.fn(),
+  addTransactions: jest.fn(),
+  updateTransaction: jest.fn(),
+  getTransactions: jest.fn(),
+  getBudgetMonth: jest.fn(),
+  q: jest.fn(),
+  aqlQuery: jest.fn(),
+}));
+jest.mock('../../../src/models', () => ({
+  Budget: { findOne: jest.fn() },
+}));
+
+const actual = require('@actual-app/api');
+const { Budget } = require('../../../src/models');
+const config = require('../../../src/config/config');
+const { encrypt } = require('../../../src/utils/encryption');
+const actualService = require('../../../src/services/actual.service');
+
+const userId = '5ebac534954b54139806c112';
+const otherUserId = '5ebac534954b54139806c113';
+
+describe('Actual service', () => {
+  const { defaultUserId } = config.actual;
+
+  beforeAll(() => {
+    config.actual.defaultUserId = userId;
+  });
+
+  afterAll(() => {
+    config.actual.defaultUserId = defaultUserId;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(fs.promises, 'mkdir').mockResolvedValue();
+    Budget.findOne.mockResolvedValue(null);
+    actual.init.mockResolvedValue();
+    actual.downloadBudget.mockResolvedValue();
+    actual.sync.mockResolvedValue();
+    actual.shutdown.mockResolvedValue();
+  });
+
+  afterEach(async () => {
+    await actualService.shutdown();
+    jest.useRealTimers();
+  });
+
+  test('should download the budget once and keep it open between operations', async () => {
+    actual.getAccounts.mockResolvedValue([{ id: 'acc-bca', name: 'BCA' }]);
+
+    await actualService.init();
+    await actualService.getAccounts(userId);
+    await actualService.getAccounts(userId);
+
+    expect(actual.downloadBudget).toHaveBeenCalledTimes(1);
+    expect(actual.shutdown).not.toHaveBeenCalled();
+  });
+
+  test('should run one operation at a time', async () => {
+    const running = [];
+    let overlapped = false;
+    actual.getAccounts.mockImplementation(async () => {
+      overlapped = overlapped || running.length > 0;
+      running.push(true);
+      await new Promise((resolve) => setImmediate(resolve));
+      running.pop();
+      return [];
+    });
+
+    await Promise.all([
+      actualService.getAccounts(userId),
+      actualService.getAccounts(userId),
+      actualService.getAccounts(userId),
+    ]);
+
+    expect(actual.getAccounts).toHaveBeenCalledTimes(3);
+    expect(overlapped).toBe(false);
+  });
+
+  test('should sync after a change and reconnect on the next operation if the sync fails', async () => {
+    actual.addTransactions.mockResolvedValue(['tx-1']);
+    actual.getAccounts.mockResolvedValue([]);
+    actual.sync.mockRejectedValueOnce(new Error('network down'));
+
+    await expect(actualService.addTransactions(userId, 'acc-bca', [{ amount: -2500000 }])).resolves.toEqual(['tx-1']);
+    expect(actual.sync).toHaveBeenCalledTimes(1);
+    expect(actual.shutdown).toHaveBeenCalledTimes(1);
+
+    await actualService.getAccounts(userId);
+    expect(actual.downloadBudget).toHaveBeenCalledTimes(2);
+  });
+
+  test('should retry connecting after a failed attempt', async () => {
+    actual.downloadBudget.mockRejectedValueOnce(new Error('server unreachable'));
+    actual.getAccounts.mockResolvedValue([]);
+
+    await expect(actualService.getAccounts(userId)).rejects.toThrow('Actual API Init Error: server unreachable');
+    await expect(actualService.getAccounts(userId)).resolves.toEqual([]);
+  });
+
+  test("should open each user's own budget, closing the one that was open", async () => {
+    Budget.findOne.mockImplementation(async ({ user }) =>
+      user === otherUserId
+        ? {
+            user: otherUserId,
+            serverURL: 'https://actual.example.com',
+            syncId: 'sync-2',
+            encryptedPassword: encrypt('s3cret'),
+          }
+        : null
+    );
+    actual.getAccounts.mockResolvedValue([]);
+
+    await actualService.getAccounts(userId);
+    await actualService.getAccounts(otherUserId);
+
+    expect(actual.shutdown).toHaveBeenCalledTimes(1);
+    expect(actual.init).toHaveBeenLastCalledWith({
+      dataDir: path.join(config.actual.dataDir, otherUserId),
+      serverURL: 'https://actual.example.com',
+      password: 's3cret',
+    });
+    expect(actual.downloadBudget).toHaveBeenLastCalledWith('sync-2');
+  });
+
+  test('should close a budget that has not been used for a while', async () => {
+    jest.useFakeTimers('modern');
+    actual.getAccounts.mockResolvedValue([]);
+
+    await actualService.init();
+    await actualService.getAccounts(userId);
+    jest.advanceTimersByTime((config.actual.idleMinutes + 1) * 60 * 1000);
+    // Queued behind the idle check, so it reopens the budget once the check has closed it
+    await actualService.getAccounts(userId);
+
+    expect(actual.shutdown).toHaveBeenCalledTimes(1);
+    expect(actual.downloadBudget).toHaveBeenCalledTimes(2);
+  });
+
+  test('should get the transactions of every account in one operation', async () => {
+    actual.getAccounts.mockResolvedValue([{ id: 'acc-bca' }, { id: 'acc-cash' }]);
+    actual.getTransactions.mockImplementation(async (accountId) => [{ id: `tx-${accountId}`, account: accountId }]);
+
+    const transactions = await actualService.getTransactions(userId, '2026-09-01', '2026-09-30');
+
+    expect(transactions.map(({ id }) => id)).toEqual(['tx-acc-bca', 'tx-acc-cash']);
+    expect(actual.getTransactions).toHaveBeenCalledWith('acc-cash', '2026-09-01', '2026-09-30');
+  });
+
+  test('should query expenses by their amount and the other filters given', async () => {
+    const query = {};
+    ['filter', 'select', 'options', 'orderBy', 'offset', 'limit'].forEach((method) => {
+      query[method] = jest.fn(() => query);
+    });
+    actual.q.mockReturnValue(query);
+    actual.aqlQuery.mockResolvedValue({ data: [{ id: 'tx-1' }] });
+
+    const transactions = await actualService.queryTransactions(
+      userId,
+      { accountId: 'acc-bca', notes: 'grab', minAmount: 50000000, startDate: '2026-10-01' },
+      { offset: 10, limit: 11 }
+    );
+
+    expect(transactions).toEqual([{ id: 'tx-1' }]);
+    expect(actual.q).toHaveBeenCalledWith('transactions');
+    expect(query.filter).toHaveBeenCalledWith({
+      $and: [
+        { account: 'acc-bca' },
+        { notes: { $like: '%grab%' } },
+        { date: { $gte: '2026-10-01' } },
+        { amount: { $lte: -50000000 } },
+      ],
+    });
+    expect(query.options).toHaveBeenCalledWith({ splits: 'inline' });
+    expect(query.offset).toHaveBeenCalledWith(10);
+    expect(query.limit).toHaveBeenCalledWith(11);
+  });
+
+  test('should query income by its amount only when asked for', async () => {
+    const query = {};
+    ['filter', 'select', 'options', 'orderBy', 'offset'].forEach((method) => {
+      query[method] = jest.fn(() => query);
+    });
+    actual.q.mockReturnValue(query);
+    actual.aqlQuery.mockResolvedValue({ data: [] });
+
+    await actualService.queryTransactions(userId, { minAmount: 100000000, maxAmount: 500000000, income: true });
+    await actualService.queryTransactions(userId, { minAmount: 100000000, maxAmount: 500000000 });
+
+    expect(query.filter.mock.calls).toEqual([
+      [{ $and: [{ amount: { $gte: 100000000, $lte: 500000000 } }] }],
+      [{ $and: [{ amount: { $lte: -100000000, $gte: -500000000 } }] }],
+    ]);
+  });
+
+  test('should add the adjustment and mark the transactions up to the day as reconciled in one operation', async () => {
+    const adjustment = { date: '2026-10-19', amount: -5000000, cleared: true };
+    const transactions = [
+      { id: 'tx-1', amount: 420000000, cleared: true, reconciled: true },
+      { id: 'tx-2', amount: 15000000, cleared: true, reconciled: false },
+      { id: 'tx-3', amount: -5000000, cleared: false, reconciled: false },
+    ];
+    actual.addTransactions.mockResolvedValue(['tx-adjustment']);
+    actual.getTransactions
+      .mockResolvedValueOnce(transactions)
+      .mockResolvedValueOnce([...transactions, { id: 'tx-adjustment', amount: -5000000, cleared: true, reconciled: false }]);
+    actual.updateTransaction.mockResolvedValue();
+
+    const reconciled = await actualService.reconcileAccount(userId, 'acc-bca', '2026-10-19', {
+      expected: 430000000,
+      adjustment,
+    });
+
+    expect(reconciled).toBe(3);
+    expect(actual.addTransactions).toHaveBeenCalledWith('acc-bca', [adjustment]);
+    expect(actual.getTransactions).toHaveBeenCalledWith('acc-bca', '1970-01-01', '2026-10-19');
+    expect(actual.updateTransaction.mock.calls).toEqual([
+      ['tx-2', { cleared: true, reconciled: true }],
+      ['tx-3', { cleared: true, reconciled: true }],
+      ['tx-adjustment', { cleared: true, reconciled: true }],
+    ]);
+    expect(actual.sync).toHaveBeenCalled();
+  });
+
+  test('should not reconcile an account whose balance changed since the adjustment was worked out', async () => {
+    actual.getTransactions.mockResolvedValue([{ id: 'tx-1', amount: 425000000, cleared: false, reconciled: false }]);
+
+    const reconciled = await actualService.reconcileAccount(userId, 'acc-bca', '2026-10-19', {
+      expected: 430000000,
+      adjustment: { date: '2026-10-19', amount: -5000000, cleared: true },
+    });
+
+    expect(reconciled).toBeNull();
+    expect(actual.addTransactions).not.toHaveBeenCalled();
+    expect(actual.updateTransaction).not.toHaveBeenCalled();
+  });
+
+  test('should read a budget month once until the budget is synced', async () => {
+    actual.getBudgetMonth.mockResolvedValue({ month: '2026-10', categoryGroups: [] });
+    actual.addTransactions.mockResolvedValue(['tx-1']);
+
+    await actualService.getBudgetMonth(userId, '2026-10');
+    await actualService.getBudgetMonth(userId, '2026-10');
+    expect(actual.getBudgetMonth).toHaveBeenCalledTimes(1);
+
+    await actualService.addTransactions(userId, 'acc-bca', [{ amount: -2500000 }]);
+    await actualService.getBudgetMonth(userId, '2026-10');
+    expect(actual.getBudgetMonth).toHaveBeenCalledTimes(2);
+  });
+
+  test('should not let any user but the configured one use the default budget', async () => {
+    await expect(actualService.getAccounts(otherUserId)).rejects.toThrow('No Actual budget is set up for this account yet');
+    await expect(actualService.getAccounts(undefined)).rejects.toThrow('No Actual budget is set up for this account yet');
+    expect(actual.init).not.toHaveBeenCalled();
+  });
+
+  test('should refuse to run for a user without a budget when no default budget is configured', async () => {
+    const { serverURL } = config.actual;
+    config.actual.serverURL = undefined;
+
+    await expect(actualService.getAccounts(userId)).rejects.toThrow('No Actual budget is set up for this account yet');
+    expect(actual.init).not.toHaveBeenCalled();
+
+    config.actual.serverURL = serverURL;
+  });
+});
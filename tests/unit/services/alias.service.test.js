@@ -0,0 +1,23 @@
+const aliasService = require('../../../src/services/alias.service');
+
+describe('Alias service', () => {
+  describe('parseAliasCommand', () => {
+    test('should parse the alias and its target', () => {
+      expect(aliasService.parseAliasCommand('alias gopay = GoPay Wallet')).toEqual({
+        alias: 'gopay',
+        target: 'GoPay Wallet',
+      });
+      expect(aliasService.parseAliasCommand(' Alias Uang Makan=Food & Dining ')).toEqual({
+        alias: 'uang makan',
+        target: 'Food & Dining',
+      });
+    });
+
+    test('should return null for anything else', () => {
+      expect(aliasService.parseAliasCommand('alias gopay')).toBeNull();
+      expect(aliasService.parseAliasCommand('alias = GoPay')).toBeNull();
+      expect(aliasService.parseAliasCommand('alias a = b = c')).toBeNull();
+      expect(aliasService.parseAliasCommand('kopi 25k gopay')).toBeNull();
+    });
+  });
+});
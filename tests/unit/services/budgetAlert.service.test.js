@@ -0,0 +1,133 @@
+const { User, PhoneLink } = require('../../../src/models');
+const actualService = require('../../../src/services/actual.service');
+const wahaService = require('../../../src/services/waha.service');
+const budgetAlertService = require('../../../src/services/budgetAlert.service');
+const formatIDR = require('../../../src/utils/formatIDR');
+const { getToday } = require('../../../src/utils/date');
+const config = require('../../../src/config/config');
+
+describe('Budget alert service', () => {
+  const userId = '5ebac534954b54139806c112';
+  const month = getToday(config.timezone).slice(0, 7);
+  const food = { id: 'cat-food', name: 'Food', budgeted: 100000000, spent: -85000000, balance: 15000000 };
+  const fun = { id: 'cat-fun', name: 'Hiburan', budgeted: 50000000, spent: -60000000, balance: -10000000 };
+  const bills = { id: 'cat-bills', name: 'Bills', budgeted: 50000000, spent: -10000000, balance: 40000000 };
+  const budgetMonth = {
+    categoryGroups: [
+      { name: 'Usual Expenses', is_income: false, categories: [food, fun, bills] },
+      { name: 'Income', is_income: true, categories: [{ id: 'cat-salary', name: 'Salary', budgeted: 0, spent: 0 }] },
+    ],
+  };
+  const expense = (category, amount, date = `${month}-01`) => ({
+    category,
+    date,
+    legs: [{ accountId: 'acc-bca', transaction: { date, amount, category: category.id } }],
+  });
+
+  beforeEach(() => {
+    jest.spyOn(actualService, 'getBudgetMonth').mockResolvedValue(budgetMonth);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getBudgetAlerts', () => {
+    test('should warn when an expense passes a threshold', async () => {
+      const alerts = await budgetAlertService.getBudgetAlerts(userId, [expense(food, -10000000)]);
+
+      expect(alerts).toEqual([`⚠️ Food has used 85% of its budget, ${formatIDR(150000)} left`]);
+    });
+
+    test('should not warn again about a threshold passed before the expense', async () => {
+      const alerts = await budgetAlertService.getBudgetAlerts(userId, [expense(food, -2000000)]);
+
+      expect(alerts).toEqual([]);
+    });
+
+    test('should warn about a category over budget', async () => {
+      const alerts = await budgetAlertService.getBudgetAlerts(userId, [expense(fun, -2000000)]);
+
+      expect(alerts).toEqual([`🚨 Hiburan is over budget by ${formatIDR(100000)}`]);
+    });
+
+    test('should add up the expenses of one category and name a past month', async () => {
+      const date = '2026-01-15';
+
+      const alerts = await budgetAlertService.getBudgetAlerts(userId, [
+        expense(food, -4000000, date),
+        expense(food, -4000000, date),
+      ]);
+
+      expect(actualService.getBudgetMonth).toHaveBeenCalledTimes(1);
+      expect(actualService.getBudgetMonth).toHaveBeenCalledWith(userId, '2026-01');
+      expect(alerts).toEqual([`⚠️ Food has used 85% of its budget, ${formatIDR(150000)} left in January 2026`]);
+    });
+
+    test('should ignore income and transfers', async () => {
+      const transfer = {
+        destinationAccount: { id: 'acc-cash' },
+        date: `${month}-01`,
+        legs: [{ transaction: { amount: -1 } }],
+      };
+
+      const alerts = await budgetAlertService.getBudgetAlerts(userId, [expense(fun, 500000000), transfer]);
+
+      expect(alerts).toEqual([]);
+      expect(actualService.getBudgetMonth).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('buildBudgetDigest', () => {
+    test('should list the categories close to or over budget, the worst first', () => {
+      expect(budgetAlertService.buildBudgetDigest(budgetMonth)).toBe(
+        [
+          '*📊 Daily budget digest*',
+          `🚨 Hiburan is over budget by ${formatIDR(100000)}`,
+          `⚠️ Food has used 85% of its budget, ${formatIDR(150000)} left`,
+        ].join('\n')
+      );
+    });
+
+    test('should return null when every category is within budget', () => {
+      expect(
+        budgetAlertService.buildBudgetDigest({ categoryGroups: [{ is_income: false, categories: [bills] }] })
+      ).toBeNull();
+    });
+  });
+
+  describe('sendBudgetDigest', () => {
+    beforeEach(() => {
+      jest.spyOn(wahaService, 'sendTextMessage').mockResolvedValue('msg-1');
+      jest.spyOn(PhoneLink, 'find').mockResolvedValue([
+        { chatId: '6281@c.us', role: 'owner' },
+        { chatId: '6282@c.us', role: 'helper' },
+      ]);
+    });
+
+    test('should send the digest to the numbers that may see budgets', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: userId, dailyDigest: true });
+
+      await budgetAlertService.sendBudgetDigest(userId);
+
+      expect(wahaService.sendTextMessage).toHaveBeenCalledTimes(1);
+      expect(wahaService.sendTextMessage).toHaveBeenCalledWith('6281@c.us', expect.stringContaining('Daily budget digest'));
+    });
+
+    test('should not send anything to a user who turned the digest off', async () => {
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: userId, dailyDigest: false });
+
+      await budgetAlertService.sendBudgetDigest(userId);
+
+      expect(wahaService.sendTextMessage).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('parseDigestCommand', () => {
+    test('should parse turning the digest on and off', () => {
+      expect(budgetAlertService.parseDigestCommand('digest on')).toEqual({ dailyDigest: true });
+      expect(budgetAlertService.parseDigestCommand('Ringkasan OFF')).toEqual({ dailyDigest: false });
+      expect(budgetAlertService.parseDigestCommand('digest please')).toBeNull();
+    });
+  });
+});
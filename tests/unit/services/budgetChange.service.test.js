@@ -0,0 +1,152 @@
+const actualService = require('../../../src/services/actual.service');
+const budgetChangeService = require('../../../src/services/budgetChange.service');
+const formatIDR = require('../../../src/utils/formatIDR');
+
+describe('Budget change service', () => {
+  const month = '2026-10';
+  const food = { id: 'cat-food', name: 'Food', budgeted: 150000000, balance: 40000000, carryover: false };
+  const fun = { id: 'cat-fun', name: 'Hiburan', budgeted: 100000000, balance: 60000000, carryover: false };
+  const transport = { id: 'cat-transport', name: 'Transport', budgeted: 50000000, balance: 5000000, carryover: true };
+  const budgetMonth = {
+    toBudget: 30000000,
+    forNextMonth: 20000000,
+    categoryGroups: [
+      { name: 'Usual Expenses', is_income: false, categories: [food, fun, transport] },
+      { name: 'Income', is_income: true, categories: [{ id: 'cat-salary', name: 'Salary', budgeted: 0 }] },
+    ],
+  };
+  const context = { month, budgetMonth };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveMonth', () => {
+    test('should use the month of the command, or the current month', () => {
+      expect(budgetChangeService.resolveMonth('2026-11', '2026-10-19')).toBe('2026-11');
+      expect(budgetChangeService.resolveMonth(null, '2026-10-19')).toBe('2026-10');
+      expect(budgetChangeService.resolveMonth('bulan depan', '2026-10-19')).toBe('2026-10');
+    });
+  });
+
+  describe('resolveBudgetChange', () => {
+    test('should set the amount of a category', () => {
+      const command = { action: 'set', category: 'food', amount: { text: '2jt' } };
+
+      expect(budgetChangeService.resolveBudgetChange(command, context)).toEqual({
+        change: { month, amounts: [{ category: food, before: 150000000, after: 200000000 }] },
+      });
+    });
+
+    test('should allow setting a budget to zero', () => {
+      const command = { action: 'set', category: 'Food', amount: { text: '0' } };
+
+      expect(budgetChangeService.resolveBudgetChange(command, context).change.amounts[0].after).toBe(0);
+    });
+
+    test('should move an amount between categories', () => {
+      const command = { action: 'move', from_category: 'hiburan', category: 'transport', amount: { text: '500rb' } };
+
+      expect(budgetChangeService.resolveBudgetChange(command, context).change.amounts).toEqual([
+        { category: fun, before: 100000000, after: 50000000 },
+        { category: transport, before: 50000000, after: 100000000 },
+      ]);
+    });
+
+    test('should not move more than is left in a category', () => {
+      const command = { action: 'move', from_category: 'Transport', category: 'Food', amount: { text: '100rb' } };
+
+      expect(budgetChangeService.resolveBudgetChange(command, context)).toEqual({
+        reason: `"Transport" only has ${formatIDR(50000)} left`,
+      });
+    });
+
+    test('should copy the amounts of the month before that differ', () => {
+      const previousMonth = {
+        categoryGroups: [{ is_income: false, categories: [{ ...food }, { ...fun, budgeted: 80000000 }] }],
+      };
+      const command = { action: 'copy_last_month' };
+
+      expect(budgetChangeService.resolveBudgetChange(command, { ...context, previousMonth }).change.amounts).toEqual([
+        { category: fun, before: 100000000, after: 80000000 },
+      ]);
+    });
+
+    test('should turn carryover on for a category', () => {
+      const command = { action: 'carryover', category: 'Food', carryover: true };
+
+      expect(budgetChangeService.resolveBudgetChange(command, context).change.carryover).toEqual({
+        category: food,
+        before: false,
+        after: true,
+      });
+    });
+
+    test('should hold no more for next month than is left to budget', () => {
+      expect(
+        budgetChangeService.resolveBudgetChange({ action: 'hold', amount: { text: '500rb' } }, context).change.hold
+      ).toEqual({ before: 20000000, after: 50000000 });
+      expect(budgetChangeService.resolveBudgetChange({ action: 'hold', amount: { text: '1jt' } }, context)).toEqual({
+        reason: `only ${formatIDR(500000)} is left to budget in October 2026`,
+      });
+    });
+
+    test('should report a category it cannot find', () => {
+      const command = { action: 'set', category: 'Salary', amount: { text: '1jt' } };
+
+      expect(budgetChangeService.resolveBudgetChange(command, context)).toEqual({
+        unmatched: { name: 'Salary', candidates: [] },
+      });
+    });
+
+    test('should reject an amount it cannot read', () => {
+      const command = { action: 'set', category: 'Food', amount: { text: 'banyak' } };
+
+      expect(budgetChangeService.resolveBudgetChange(command, context)).toEqual({
+        reason: '"banyak" is not an amount I can read',
+      });
+    });
+  });
+
+  describe('applyBudgetChange', () => {
+    test('should write the amounts in one call and the carryover and hold separately', async () => {
+      jest.spyOn(actualService, 'setBudgetAmounts').mockResolvedValue();
+      jest.spyOn(actualService, 'setBudgetCarryover').mockResolvedValue();
+      jest.spyOn(actualService, 'holdBudgetForNextMonth').mockResolvedValue();
+      const change = {
+        month,
+        amounts: [
+          { category: fun, before: 100000000, after: 50000000 },
+          { category: transport, before: 50000000, after: 100000000 },
+        ],
+      };
+
+      await budgetChangeService.applyBudgetChange('user-1', change);
+
+      expect(actualService.setBudgetAmounts).toHaveBeenCalledWith('user-1', month, [
+        { categoryId: 'cat-fun', amount: 50000000 },
+        { categoryId: 'cat-transport', amount: 100000000 },
+      ]);
+      expect(actualService.setBudgetCarryover).not.toHaveBeenCalled();
+      expect(actualService.holdBudgetForNextMonth).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('formatBudgetChange', () => {
+    test('should show every change before and after', () => {
+      const change = {
+        month,
+        amounts: [{ category: food, before: 150000000, after: 200000000 }],
+        carryover: { category: food, before: false, after: true },
+      };
+
+      expect(budgetChangeService.formatBudgetChange(change)).toBe(
+        [
+          '*📊 Budget for October 2026 updated:*',
+          `- Food: ${formatIDR(1500000)} → ${formatIDR(2000000)}`,
+          '- Carryover for Food: off → on',
+        ].join('\n')
+      );
+    });
+  });
+});
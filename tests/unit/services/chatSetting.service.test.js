@@ -0,0 +1,67 @@
+const chatSettingService = require('../../../src/services/chatSetting.service');
+const config = require('../../../src/config/config');
+
+describe('Chat setting service', () => {
+  describe('parseThresholdCommand', () => {
+    test('should parse a threshold for every category', () => {
+      expect(chatSettingService.parseThresholdCommand('batas konfirmasi 500rb')).toEqual({
+        category: null,
+        threshold: 500000,
+      });
+      expect(chatSettingService.parseThresholdCommand('Batas konfirmasi Rp 1.500.000')).toEqual({
+        category: null,
+        threshold: 1500000,
+      });
+      expect(chatSettingService.parseThresholdCommand('batas konfirmasi 1,5jt')).toEqual({
+        category: null,
+        threshold: 1500000,
+      });
+    });
+
+    test('should parse a threshold for one category', () => {
+      expect(chatSettingService.parseThresholdCommand('batas konfirmasi Food & Dining 200 rb')).toEqual({
+        category: 'Food & Dining',
+        threshold: 200000,
+      });
+    });
+
+    test('should return null for anything else', () => {
+      expect(chatSettingService.parseThresholdCommand('batas konfirmasi makan')).toBeNull();
+      expect(chatSettingService.parseThresholdCommand('kopi 25k')).toBeNull();
+    });
+  });
+
+  describe('getConfirmationReason', () => {
+    const entry = (amount, confidence = 0.9) => ({
+      item: { description: 'Laptop', confidence },
+      category: { id: 'cat-electronics', name: 'Electronics' },
+      legs: [{ accountId: 'acc-bca', transaction: { amount: -amount * 100 } }],
+    });
+    const setting = {
+      confirmationThreshold: 1000000,
+      categoryThresholds: [{ category: 'Electronics', threshold: 5000000 }],
+    };
+
+    test('should not need confirmation below the threshold', () => {
+      expect(chatSettingService.getConfirmationReason(entry(50000), { ...setting, categoryThresholds: [] })).toBeNull();
+    });
+
+    test('should need confirmation at or above the threshold', () => {
+      const reason = chatSettingService.getConfirmationReason(entry(1000000), { ...setting, categoryThresholds: [] });
+      expect(reason).toContain('limit');
+    });
+
+    test('should prefer the category threshold', () => {
+      expect(chatSettingService.getConfirmationReason(entry(2000000), setting)).toBeNull();
+      expect(chatSettingService.getConfirmationReason(entry(5000000), setting)).toContain('limit');
+    });
+
+    test('should need confirmation when the model is not confident', () => {
+      const reason = chatSettingService.getConfirmationReason(
+        entry(50000, config.confirmation.minConfidence - 0.1),
+        setting
+      );
+      expect(reason).toContain('not sure');
+    });
+  });
+});
@@ -0,0 +1,76 @@
+const conversationService = require('../../../src/services/conversation.service');
+
+describe('Conversation service', () => {
+  const accountNames = ['Cash', 'GoPay', 'Bank BCA', 'BRI'];
+  const item = {
+    type: 'expense',
+    description: 'Kopi',
+    amount: { text: '25k', minor_units: 2500000 },
+    category: 'Food',
+    source_account_name: 'BCA',
+  };
+
+  describe('buildQuestion', () => {
+    test('should offer the closest names first', () => {
+      const { question, text } = conversationService.buildQuestion(
+        { item, missing: { field: 'account', value: 'BCA' } },
+        accountNames
+      );
+
+      expect(question).toEqual({ field: 'account', value: 'BCA', options: ['Bank BCA', 'BRI', 'Cash', 'GoPay'] });
+      expect(text).toContain('Which account did you mean for "Kopi"?');
+      expect(text).toContain('1. Bank BCA');
+    });
+
+    test('should offer only the ranked candidates of an ambiguous name', () => {
+      const { question, text } = conversationService.buildQuestion(
+        { item, missing: { field: 'account', value: 'bca', candidates: [{ name: 'BCA Giro' }, { name: 'BCA Tabungan' }] } },
+        accountNames
+      );
+
+      expect(question.options).toEqual(['BCA Giro', 'BCA Tabungan']);
+      expect(text).toContain('"bca" could be more than one');
+    });
+  });
+
+  describe('parseAnswer', () => {
+    const pending = { question: { field: 'account', value: 'BCA', options: ['Bank BCA', 'BRI'] } };
+
+    test('should accept the number of an option', () => {
+      expect(conversationService.parseAnswer(pending, '2', accountNames)).toEqual({ answer: 'BRI' });
+    });
+
+    test('should accept any valid name', () => {
+      expect(conversationService.parseAnswer(pending, 'gopay', accountNames)).toEqual({ answer: 'GoPay' });
+    });
+
+    test('should accept part of an option', () => {
+      expect(conversationService.parseAnswer(pending, 'bank', accountNames)).toEqual({ answer: 'Bank BCA' });
+    });
+
+    test('should recognize a cancellation', () => {
+      expect(conversationService.parseAnswer(pending, 'Batal', accountNames)).toEqual({ cancel: true });
+    });
+
+    test('should return nothing for a reply it does not understand', () => {
+      expect(conversationService.parseAnswer(pending, '5', accountNames)).toEqual({});
+      expect(conversationService.parseAnswer(pending, 'OVO', accountNames)).toEqual({});
+      expect(conversationService.parseAnswer(pending, '', accountNames)).toEqual({});
+    });
+  });
+
+  describe('parseConfirmation', () => {
+    test('should recognize a confirmation', () => {
+      expect(conversationService.parseConfirmation('Ya')).toEqual({ confirm: true });
+      expect(conversationService.parseConfirmation('ok!')).toEqual({ confirm: true });
+    });
+
+    test('should recognize a cancellation', () => {
+      expect(conversationService.parseConfirmation('batal')).toEqual({ cancel: true });
+    });
+
+    test('should return nothing for anything else', () => {
+      expect(conversationService.parseConfirmation('kopi 25k')).toEqual({});
+    });
+  });
+});
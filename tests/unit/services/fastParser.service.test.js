@@ -0,0 +1,92 @@
+const fastParserService = require('../../../src/services/fastParser.service');
+
+describe('Fast parser service', () => {
+  const context = {
+    accounts: [
+      { id: 'acc-bca', name: 'BCA' },
+      { id: 'acc-gopay', name: 'GoPay Wallet' },
+      { id: 'acc-mandiri', name: 'Mandiri', closed: true },
+    ],
+    categories: [
+      { id: 'cat-food', name: 'Food' },
+      { id: 'cat-makan', name: 'Makan' },
+      { id: 'cat-transport', name: 'Transportasi' },
+      { id: 'cat-bills', name: 'Bills' },
+    ],
+  };
+
+  describe('parseExpense', () => {
+    test('should parse an expense with an amount shorthand and an account', () => {
+      expect(fastParserService.parseExpense('kopi 25k bca', context)).toEqual({
+        type: 'expense',
+        description: 'Kopi',
+        amount: { text: '25k', minor_units: 2500000 },
+        category: 'Food',
+        payee: null,
+        date: null,
+        source_account_name: 'BCA',
+        confidence: 1,
+      });
+    });
+
+    test.each([
+      ['bensin 150rb gopay', 15000000],
+      ['bensin 1,5jt pakai gopay', 150000000],
+      ['bensin 1.5jt gopay', 150000000],
+      ['bensin 150.000 gopay', 15000000],
+      ['bensin Rp150.000 gopay', 15000000],
+      ['bensin 2juta gopaywallet', 200000000],
+    ])('should read the amount in "%s" as %s minor units', (text, minorUnits) => {
+      expect(fastParserService.parseExpense(text, context)).toMatchObject({
+        amount: { minor_units: minorUnits },
+        category: 'Transportasi',
+        source_account_name: 'GoPay Wallet',
+      });
+    });
+
+    test("should use the user's account and category aliases", () => {
+      const aliases = {
+        account: [{ alias: 'dompet', target: 'GoPay Wallet' }],
+        category: [{ alias: 'laptop', target: 'Makan' }],
+        payee: [],
+      };
+
+      expect(fastParserService.parseExpense('laptop 15jt dompet', { ...context, aliases })).toMatchObject({
+        category: 'Makan',
+        source_account_name: 'GoPay Wallet',
+      });
+    });
+
+    test.each([
+      ['kopi 25k', 'no account'],
+      ['kopi 25 bca', 'an amount that may be shorthand'],
+      ['kopi 25k parkir 5rb bca', 'two amounts'],
+      ['kopi 25k, parkir 5rb bca', 'several transactions'],
+      ['kopi 25k mandiri', 'a closed account'],
+      ['laptop 15jt bca', 'no category keyword'],
+      ['kopi bensin 40k bca', 'keywords for two categories'],
+      ['kopi 25k bca kemarin', 'a date'],
+      ['gaji 10jt bca', 'income'],
+      ['transfer 500rb bca gopay', 'a transfer'],
+      ['kopi 25.5 bca', 'an ambiguous decimal'],
+      ['transaksi kopi di atas 50rb bca', 'a search'],
+      ['cari kopi 50rb bca', 'a search'],
+      ['berapa pengeluaran makan 500rb bca', 'a question about spending'],
+      ['saldo bca sebenarnya 4.250.000 makan', 'a reconciliation'],
+      ['budget makan 2jt bca', 'a budget change'],
+      ['pindahkan makan 500rb bca', 'a budget change'],
+      ['setiap tanggal 5 internet 350rb bca', 'a schedule'],
+      ['tiap bulan internet 350rb bca', 'a schedule'],
+      ['jadwal internet 350rb bca', 'a schedule'],
+    ])('should leave "%s" to the LLM because of %s', (text) => {
+      expect(fastParserService.parseExpense(text, context)).toBeNull();
+    });
+  });
+
+  describe('mayBeExpense', () => {
+    test('should only let messages with an amount through', () => {
+      expect(fastParserService.mayBeExpense('kopi 25k bca')).toBe(true);
+      expect(fastParserService.mayBeExpense('berapa saldo bca?')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const axios = require('axios');
+const { z } = require('zod');
+const config = require('../../../src/config/config');
+const llmService = require('../../../src/services/llm.service');
+const providers = require('../../../src/services/llm');
+
+describe('LLM service', () => {
+  const schema = z.object({ intent: z.enum(['transaction', 'question']) });
+  const { tasks, openai } = config.llm;
+
+  beforeEach(() => {
+    config.llm.tasks = { ...tasks, intent: { provider: 'fixture', model: 'fixture' } };
+  });
+
+  afterEach(() => {
+    config.llm.tasks = tasks;
+    config.llm.openai = openai;
+    providers.fixture.clearResponses();
+    jest.restoreAllMocks();
+  });
+
+  describe('generateObject', () => {
+    test('should use the provider configured for the task and validate the response', async () => {
+      providers.fixture.setResponse('intent', { intent: 'transaction' });
+
+      await expect(llmService.generateObject('intent', { prompt: 'kopi 25k', schema })).resolves.toEqual({
+        intent: 'transaction',
+      });
+    });
+
+    test('should use the default provider and model for a task without its own', async () => {
+      jest.spyOn(providers.gemini, 'generate').mockResolvedValue('{"intent":"question"}');
+
+      await llmService.generateObject('answer', { prompt: 'apa itu inflasi?', schema });
+
+      expect(providers.gemini.generate).toHaveBeenCalledWith(
+        expect.objectContaining({ task: 'answer', model: config.llm.default.model, jsonSchema: expect.any(Object) })
+      );
+    });
+
+    test('should throw if the response does not match the schema', async () => {
+      providers.fixture.setResponse('intent', { intent: 'dance' });
+
+      await expect(llmService.generateObject('intent', { prompt: 'kopi 25k', schema })).rejects.toThrow(
+        'LLM response validation error (intent)'
+      );
+    });
+
+    test('should throw if the response is not JSON', async () => {
+      providers.fixture.setResponse('intent', 'Sure! The intent is transaction.');
+
+      await expect(llmService.generateObject('intent', { prompt: 'kopi 25k', schema })).rejects.toThrow(
+        'LLM response validation error (intent): invalid JSON'
+      );
+    });
+
+    test('should wrap provider errors', async () => {
+      await expect(llmService.generateObject('intent', { prompt: 'kopi 25k', schema })).rejects.toThrow(
+        'LLM API Error (intent): No fixture response set for task "intent"'
+      );
+    });
+  });
+
+  describe('openai provider', () => {
+    test('should send the prompt, attachments and schema to the chat completions endpoint', async () => {
+      config.llm.tasks = { ...tasks, receipt: { provider: 'openai', model: 'llava' } };
+      config.llm.openai = { baseUrl: 'http://localhost:11434/v1/', apiKey: '' };
+      jest.spyOn(axios, 'post').mockResolvedValue({
+        data: { choices: [{ message: { content: '{"intent":"transaction"}' } }] },
+      });
+
+      const result = await llmService.generateObject('receipt', {
+        prompt: 'Read this receipt',
+        schema,
+        media: [{ data: Buffer.from('image'), mimeType: 'image/jpeg' }],
+      });
+
+      expect(result).toEqual({ intent: 'transaction' });
+      const [url, body, options] = axios.post.mock.calls[0];
+      expect(url).toBe('http://localhost:11434/v1/chat/completions');
+      expect(body.model).toBe('llava');
+      expect(body.messages[0].content).toEqual([
+        { type: 'text', text: 'Read this receipt' },
+        { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${Buffer.from('image').toString('base64')}` } },
+      ]);
+      expect(body.response_format).toMatchObject({ type: 'json_schema', json_schema: { name: 'receipt' } });
+      expect(options.headers).toEqual({});
+    });
+  });
+
+  describe('generateText', () => {
+    test('should return the plain text response', async () => {
+      config.llm.tasks = { ...tasks, answer: { provider: 'fixture', model: 'fixture' } };
+      providers.fixture.setResponse('answer', ({ prompt }) => `You asked: ${prompt}`);
+
+      await expect(llmService.generateText('answer', { prompt: 'halo' })).resolves.toBe('You asked: halo');
+    });
+  });
+});
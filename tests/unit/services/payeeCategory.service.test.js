@@ -0,0 +1,101 @@
+const payeeCategoryService = require('../../../src/services/payeeCategory.service');
+const { PayeeCategory } = require('../../../src/models');
+const config = require('../../../src/config/config');
+
+describe('Payee category service', () => {
+  const userId = '5ebac534954b54139806c112';
+  const mapping = (fields) => ({
+    payee: 'indomaret',
+    payeeName: 'Indomaret',
+    category: 'Groceries',
+    forced: false,
+    ...fields,
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('learnPayeeCategory', () => {
+    const existing = (fields) => ({ ...mapping(fields), save: jest.fn().mockResolvedValue() });
+
+    test('should create a mapping for a new payee', async () => {
+      jest.spyOn(PayeeCategory, 'findOne').mockResolvedValue(null);
+      jest.spyOn(PayeeCategory, 'create').mockResolvedValue();
+
+      await payeeCategoryService.learnPayeeCategory(userId, 'INDOMARET', 'Groceries');
+
+      expect(PayeeCategory.findOne).toHaveBeenCalledWith({ user: userId, payee: 'indomaret' });
+      expect(PayeeCategory.create).toHaveBeenCalledWith({
+        user: userId,
+        payee: 'indomaret',
+        payeeName: 'INDOMARET',
+        category: 'Groceries',
+      });
+    });
+
+    test('should count another filing under the same category', async () => {
+      const payeeCategory = existing({ timesFiled: 2 });
+      jest.spyOn(PayeeCategory, 'findOne').mockResolvedValue(payeeCategory);
+
+      await payeeCategoryService.learnPayeeCategory(userId, 'Indomaret', 'Groceries');
+
+      expect(payeeCategory).toMatchObject({ category: 'Groceries', timesFiled: 3 });
+      expect(payeeCategory.save).toHaveBeenCalled();
+    });
+
+    test('should start over when the payee is filed under another category', async () => {
+      const payeeCategory = existing({ timesFiled: 5 });
+      jest.spyOn(PayeeCategory, 'findOne').mockResolvedValue(payeeCategory);
+
+      await payeeCategoryService.learnPayeeCategory(userId, 'Indomaret', 'Household');
+
+      expect(payeeCategory).toMatchObject({ category: 'Household', timesFiled: 1 });
+    });
+
+    test('should leave a forced category alone', async () => {
+      const payeeCategory = existing({ timesFiled: 1, forced: true });
+      jest.spyOn(PayeeCategory, 'findOne').mockResolvedValue(payeeCategory);
+
+      await payeeCategoryService.learnPayeeCategory(userId, 'Indomaret', 'Household');
+
+      expect(payeeCategory.category).toBe('Groceries');
+      expect(payeeCategory.save).not.toHaveBeenCalled();
+    });
+
+    test('should learn nothing without a user, payee or category', async () => {
+      jest.spyOn(PayeeCategory, 'findOne');
+
+      expect(await payeeCategoryService.learnPayeeCategory(undefined, 'Indomaret', 'Groceries')).toBeNull();
+      expect(await payeeCategoryService.learnPayeeCategory(userId, null, 'Groceries')).toBeNull();
+      expect(await payeeCategoryService.learnPayeeCategory(userId, 'Indomaret', null)).toBeNull();
+      expect(PayeeCategory.findOne).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSettledCategory', () => {
+    test('should return the category once the payee was filed under it often enough', () => {
+      const { forceAfter } = config.payeeCategories;
+
+      expect(payeeCategoryService.getSettledCategory([mapping({ timesFiled: forceAfter })], 'Indomaret')).toBe('Groceries');
+      expect(payeeCategoryService.getSettledCategory([mapping({ timesFiled: forceAfter - 1 })], 'Indomaret')).toBeNull();
+    });
+
+    test('should always return a forced category', () => {
+      expect(payeeCategoryService.getSettledCategory([mapping({ timesFiled: 1, forced: true })], 'indomaret')).toBe(
+        'Groceries'
+      );
+    });
+
+    test('should return null for an unknown payee', () => {
+      expect(payeeCategoryService.getSettledCategory([mapping({ forced: true })], 'Alfamart')).toBeNull();
+      expect(payeeCategoryService.getSettledCategory([mapping({ forced: true })], null)).toBeNull();
+    });
+  });
+
+  describe('buildCategoryHints', () => {
+    test('should describe each payee on one line', () => {
+      expect(payeeCategoryService.buildCategoryHints([mapping({ timesFiled: 1 })])).toEqual(['Indomaret: Groceries']);
+    });
+  });
+});
@@ -0,0 +1,25 @@
+const phoneLinkService = require('../../../src/services/phoneLink.service');
+
+describe('Phone link service', () => {
+  describe('parseLinkCode', () => {
+    test('should parse a code on its own or after "link"', () => {
+      expect(phoneLinkService.parseLinkCode('482913')).toBe('482913');
+      expect(phoneLinkService.parseLinkCode(' Link  007123 ')).toBe('007123');
+    });
+
+    test('should return null for anything else', () => {
+      expect(phoneLinkService.parseLinkCode('kopi 25000')).toBeNull();
+      expect(phoneLinkService.parseLinkCode('1234567')).toBeNull();
+      expect(phoneLinkService.parseLinkCode(undefined)).toBeNull();
+    });
+  });
+
+  describe('getSenderId', () => {
+    test('should use the participant in a group and the chat otherwise', () => {
+      expect(phoneLinkService.getSenderId({ from: '628123456789@c.us' })).toBe('628123456789@c.us');
+      expect(phoneLinkService.getSenderId({ from: '120363000000@g.us', participant: '628123456789@c.us' })).toBe(
+        '628123456789@c.us'
+      );
+    });
+  });
+});
@@ -0,0 +1,123 @@
+const actualService = require('../../../src/services/actual.service');
+const reconciliationService = require('../../../src/services/reconciliation.service');
+const formatIDR = require('../../../src/utils/formatIDR');
+
+describe('Reconciliation service', () => {
+  const bca = { id: 'acc-bca', name: 'BCA' };
+  const accounts = [bca, { id: 'acc-jago', name: 'Jago' }];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveReconciliation', () => {
+    test('should find the account and read the balance', () => {
+      const request = { account_name: 'bca', balance: { text: '4.250.000' }, negative: false };
+
+      expect(reconciliationService.resolveReconciliation(request, { accounts })).toEqual({
+        account: bca,
+        balance: 425000000,
+      });
+    });
+
+    test('should read a negative balance and allow zero', () => {
+      const negative = { account_name: 'BCA', balance: { text: '1,2jt' }, negative: true };
+      const zero = { account_name: 'BCA', balance: { text: '0' }, negative: false };
+
+      expect(reconciliationService.resolveReconciliation(negative, { accounts }).balance).toBe(-120000000);
+      expect(reconciliationService.resolveReconciliation(zero, { accounts }).balance).toBe(0);
+    });
+
+    test('should report an account it cannot find', () => {
+      const request = { account_name: 'Mandiri', balance: { text: '1jt' }, negative: false };
+
+      expect(reconciliationService.resolveReconciliation(request, { accounts })).toEqual({
+        unmatched: { name: 'Mandiri', candidates: [] },
+      });
+    });
+
+    test('should reject a balance it cannot read', () => {
+      const request = { account_name: 'BCA', balance: { text: 'banyak' }, negative: false };
+
+      expect(reconciliationService.resolveReconciliation(request, { accounts })).toEqual({
+        reason: '"banyak" is not an amount I can read',
+      });
+    });
+  });
+
+  describe('formatDifference', () => {
+    test('should show both balances and the adjustment to confirm', () => {
+      expect(
+        reconciliationService.formatDifference({ account: bca, current: 430000000, balance: 425000000 }).split('\n')
+      ).toEqual([
+        `*🏦 BCA is off by -${formatIDR(50000)}*`,
+        `- In Actual: ${formatIDR(4300000)}`,
+        `- At the bank: ${formatIDR(4250000)}`,
+        `Reply "ya" to add a -${formatIDR(
+          50000
+        )} adjustment and mark the transactions up to today as reconciled, or "batal" to cancel.`,
+      ]);
+    });
+  });
+
+  describe('applyReconciliation', () => {
+    beforeEach(() => {
+      jest.spyOn(actualService, 'reconcileAccount').mockResolvedValue(4);
+    });
+
+    test('should add the confirmed adjustment as a cleared transaction', async () => {
+      const result = await reconciliationService.applyReconciliation(
+        'user-1',
+        { accountId: 'acc-bca', current: 430000000, adjustment: -5000000 },
+        '2026-10-19'
+      );
+
+      expect(result).toEqual({ adjustment: -5000000, reconciled: 4 });
+      expect(actualService.reconcileAccount).toHaveBeenCalledWith('user-1', 'acc-bca', '2026-10-19', {
+        expected: 430000000,
+        adjustment: {
+          date: '2026-10-19',
+          amount: -5000000,
+          payee_name: 'Reconciliation Balance Adjustment',
+          notes: 'Reconciled from chat',
+          cleared: true,
+        },
+      });
+    });
+
+    test('should not add an adjustment when the balance already matches', async () => {
+      await reconciliationService.applyReconciliation(
+        'user-1',
+        { accountId: 'acc-bca', current: 425000000, adjustment: 0 },
+        '2026-10-19'
+      );
+
+      expect(actualService.reconcileAccount).toHaveBeenCalledWith('user-1', 'acc-bca', '2026-10-19', {
+        expected: 425000000,
+        adjustment: null,
+      });
+    });
+
+    test('should return null when the balance changed since the user confirmed', async () => {
+      actualService.reconcileAccount.mockResolvedValue(null);
+
+      await expect(
+        reconciliationService.applyReconciliation(
+          'user-1',
+          { accountId: 'acc-bca', current: 430000000, adjustment: -5000000 },
+          '2026-10-19'
+        )
+      ).resolves.toBeNull();
+    });
+  });
+
+  describe('formatReconciliation', () => {
+    test('should describe the adjustment and how many transactions were reconciled', () => {
+      expect(reconciliationService.formatReconciliation('BCA', 425000000, { adjustment: -5000000, reconciled: 4 })).toBe(
+        `✅ BCA is reconciled at ${formatIDR(4250000)}, after a -${formatIDR(
+          50000
+        )} adjustment. 4 transaction(s) marked as reconciled.`
+      );
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const resolverService = require('../../../src/services/resolver.service');
+
+describe('Resolver service', () => {
+  const accounts = [
+    { id: 'acc-bank-bca', name: 'Bank BCA' },
+    { id: 'acc-gopay', name: 'GoPay Wallet' },
+    { id: 'acc-cash', name: 'Cash' },
+  ];
+
+  describe('resolveName', () => {
+    test('should match an exact name regardless of case and punctuation', () => {
+      expect(resolverService.resolveName('gopay-wallet', accounts)).toEqual({ match: accounts[1], candidates: [] });
+    });
+
+    test('should match a name that is clearly the closest', () => {
+      expect(resolverService.resolveName('BCA', accounts).match).toBe(accounts[0]);
+      expect(resolverService.resolveName('gopay', accounts).match).toBe(accounts[1]);
+    });
+
+    test('should match an alias', () => {
+      const aliases = [{ alias: 'dompet', target: 'Cash' }];
+
+      expect(resolverService.resolveName('Dompet', accounts, aliases).match).toBe(accounts[2]);
+    });
+
+    test('should prefer an exact alias over a similar name', () => {
+      const entries = [...accounts, { id: 'acc-bca-giro', name: 'BCA Giro' }];
+      const aliases = [{ alias: 'bca', target: 'BCA Giro' }];
+
+      expect(resolverService.resolveName('bca', entries).match).toBeUndefined();
+      expect(resolverService.resolveName('bca', entries, aliases).match).toBe(entries[3]);
+    });
+
+    test('should return ranked candidates instead of guessing between close names', () => {
+      const entries = [
+        { id: 'cat-food-court', name: 'Food Court' },
+        { id: 'cat-food-dining', name: 'Food & Dining' },
+        { id: 'cat-bills', name: 'Bills' },
+      ];
+
+      expect(resolverService.resolveName('food', entries)).toEqual({ candidates: [entries[0], entries[1]] });
+    });
+
+    test('should return no candidates for an unrelated name', () => {
+      expect(resolverService.resolveName('Mandiri', accounts)).toEqual({ candidates: [] });
+      expect(resolverService.resolveName(null, accounts)).toEqual({ candidates: [] });
+    });
+  });
+
+  describe('findExactName', () => {
+    test('should find an exact name or alias regardless of case', () => {
+      const aliases = [{ alias: 'dompet', target: 'Cash' }];
+
+      expect(resolverService.findExactName('GOPAY wallet', accounts)).toBe(accounts[1]);
+      expect(resolverService.findExactName('Dompet', accounts, aliases)).toBe(accounts[2]);
+    });
+
+    test('should not find a name that is only similar', () => {
+      expect(resolverService.findExactName('gopay', accounts)).toBeUndefined();
+      expect(resolverService.findExactName(null, accounts)).toBeUndefined();
+    });
+  });
+
+  describe('describeCandidates', () => {
+    test('should list the names', () => {
+      expect(resolverService.describeCandidates([{ name: 'A' }])).toBe('"A"');
+      expect(resolverService.describeCandidates([{ name: 'A' }, { name: 'B' }, { name: 'C' }])).toBe('"A", "B" or "C"');
+    });
+  });
+});
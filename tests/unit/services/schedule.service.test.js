@@ -0,0 +1,134 @@
+const { Schedule } = require('../../../src/models');
+const jobService = require('../../../src/services/job.service');
+const scheduleService = require('../../../src/services/schedule.service');
+const formatIDR = require('../../../src/utils/formatIDR');
+const { jobTypes } = require('../../../src/config/jobs');
+
+describe('Schedule service', () => {
+  const userId = '5ebac534954b54139806c112';
+  const transaction = {
+    type: 'expense',
+    description: 'Bayar internet',
+    amount: { text: '350rb', minor_units: 35000000 },
+    category: 'Bills',
+    payee: 'Biznet',
+    source_account_name: 'BCA',
+  };
+  // 07:00 in Jakarta on the 5th of November and December
+  const novemberRun = new Date('2026-11-05T00:00:00Z');
+  const decemberRun = new Date('2026-12-05T00:00:00Z');
+
+  beforeEach(() => {
+    jest.spyOn(jobService, 'ensureJob').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseScheduleCommand', () => {
+    test('should parse listing, pausing, resuming and deleting', () => {
+      expect(scheduleService.parseScheduleCommand('jadwal')).toEqual({ action: 'list' });
+      expect(scheduleService.parseScheduleCommand('Schedules')).toEqual({ action: 'list' });
+      expect(scheduleService.parseScheduleCommand('jadwal jeda 2')).toEqual({ action: 'pause', number: 2 });
+      expect(scheduleService.parseScheduleCommand('schedule resume 1')).toEqual({ action: 'resume', number: 1 });
+      expect(scheduleService.parseScheduleCommand('jadwal hapus 3')).toEqual({ action: 'delete', number: 3 });
+    });
+
+    test('should return null for anything else', () => {
+      expect(scheduleService.parseScheduleCommand('jadwal hapus')).toBeNull();
+      expect(scheduleService.parseScheduleCommand('jadwal makan 50rb')).toBeNull();
+    });
+  });
+
+  describe('createSchedule', () => {
+    test('should save the schedule and queue its first run', async () => {
+      jest.useFakeTimers('modern');
+      jest.setSystemTime(new Date('2026-10-19T03:00:00Z'));
+      jest.spyOn(Schedule, 'create').mockImplementation(async (doc) => ({ ...doc, id: 'schedule-1' }));
+
+      try {
+        await scheduleService.createSchedule({ chatId: '6281@c.us', userId }, transaction, 5);
+      } finally {
+        jest.useRealTimers();
+      }
+
+      expect(Schedule.create).toHaveBeenCalledWith({
+        user: userId,
+        chatId: '6281@c.us',
+        transaction,
+        dayOfMonth: 5,
+        nextRunAt: novemberRun,
+      });
+      expect(jobService.ensureJob).toHaveBeenCalledWith(
+        jobTypes.SCHEDULED_TRANSACTION,
+        { scheduleId: 'schedule-1', runAt: novemberRun.toISOString() },
+        { key: 'schedule:schedule-1', runAt: novemberRun }
+      );
+    });
+  });
+
+  describe('claimScheduleRun', () => {
+    const schedule = { id: 'schedule-1', dayOfMonth: 5, nextRunAt: novemberRun, paused: false };
+
+    test('should move the schedule on to its next run and queue it', async () => {
+      jest.spyOn(Schedule, 'findById').mockResolvedValue(schedule);
+      jest.spyOn(Schedule, 'findOneAndUpdate').mockResolvedValue({ ...schedule, nextRunAt: decemberRun });
+
+      const claimed = await scheduleService.claimScheduleRun('schedule-1', novemberRun);
+
+      expect(claimed.nextRunAt).toEqual(decemberRun);
+      expect(Schedule.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'schedule-1', nextRunAt: novemberRun, paused: false },
+        { nextRunAt: decemberRun, lastRunAt: novemberRun },
+        { new: true }
+      );
+      expect(jobService.ensureJob).toHaveBeenCalledWith(
+        jobTypes.SCHEDULED_TRANSACTION,
+        { scheduleId: 'schedule-1', runAt: decemberRun.toISOString() },
+        expect.objectContaining({ runAt: decemberRun })
+      );
+    });
+
+    test('should not run a paused schedule', async () => {
+      jest.spyOn(Schedule, 'findById').mockResolvedValue({ ...schedule, paused: true });
+      jest.spyOn(Schedule, 'findOneAndUpdate');
+
+      await expect(scheduleService.claimScheduleRun('schedule-1', novemberRun)).resolves.toBeNull();
+      expect(Schedule.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    test('should queue the current run instead of a run that is no longer due', async () => {
+      jest.spyOn(Schedule, 'findById').mockResolvedValue({ ...schedule, nextRunAt: decemberRun });
+      jest.spyOn(Schedule, 'findOneAndUpdate');
+
+      await expect(scheduleService.claimScheduleRun('schedule-1', novemberRun)).resolves.toBeNull();
+      expect(Schedule.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(jobService.ensureJob).toHaveBeenCalledWith(
+        jobTypes.SCHEDULED_TRANSACTION,
+        { scheduleId: 'schedule-1', runAt: decemberRun.toISOString() },
+        expect.anything()
+      );
+    });
+  });
+
+  describe('formatScheduleList', () => {
+    test('should number the schedules and show when each runs next', () => {
+      const schedules = [
+        { transaction, dayOfMonth: 5, nextRunAt: novemberRun, paused: false },
+        {
+          transaction: { ...transaction, type: 'transfer', description: 'Tabungan', payee: 'Jago' },
+          dayOfMonth: 25,
+          nextRunAt: novemberRun,
+          paused: true,
+        },
+      ];
+
+      expect(scheduleService.formatScheduleList(schedules).split('\n').slice(0, 3)).toEqual([
+        '*🔁 Recurring transactions:*',
+        `1. Bayar internet: ${formatIDR(350000)} from BCA every 5th, next on 5 Nov 2026`,
+        `2. Tabungan: ${formatIDR(350000)} from BCA to Jago every 25th, paused`,
+      ]);
+    });
+  });
+});
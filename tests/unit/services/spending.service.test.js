@@ -0,0 +1,148 @@
+const spendingService = require('../../../src/services/spending.service');
+const formatIDR = require('../../../src/utils/formatIDR');
+
+describe('Spending service', () => {
+  const accounts = [
+    { id: 'acc-bca', name: 'BCA' },
+    { id: 'acc-cash', name: 'Cash' },
+  ];
+  const categories = [
+    { id: 'cat-food', name: 'Food' },
+    { id: 'cat-transport', name: 'Transport' },
+  ];
+  const payees = [
+    { id: 'payee-indomaret', name: 'Indomaret' },
+    { id: 'payee-transfer-cash', name: 'Cash', transfer_acct: 'acc-cash' },
+  ];
+  const transactions = [
+    { id: 'tx-1', account: 'acc-bca', date: '2026-09-03', amount: -2500000, category: 'cat-food', notes: 'Kopi' },
+    { id: 'tx-2', account: 'acc-cash', date: '2026-09-05', amount: -1500000, category: 'cat-transport', notes: 'Grab' },
+    { id: 'tx-3', account: 'acc-bca', date: '2026-09-06', amount: 500000000, category: null, notes: 'Gaji' },
+    { id: 'tx-4', account: 'acc-bca', date: '2026-09-07', amount: -10000000, transfer_id: 'tx-5', notes: 'Tarik tunai' },
+    {
+      id: 'tx-6',
+      account: 'acc-bca',
+      date: '2026-09-08',
+      amount: -9000000,
+      payee: 'payee-indomaret',
+      is_parent: true,
+      subtransactions: [
+        { id: 'tx-6a', amount: -6000000, category: 'cat-food', notes: 'Belanja' },
+        { id: 'tx-6b', amount: -3000000, category: 'cat-transport', notes: 'Bensin' },
+      ],
+    },
+  ];
+
+  describe('resolvePeriod', () => {
+    const today = '2026-10-19';
+
+    test('should accept a past period', () => {
+      expect(spendingService.resolvePeriod({ start_date: '2026-09-01', end_date: '2026-09-30' }, today)).toEqual({
+        startDate: '2026-09-01',
+        endDate: '2026-09-30',
+      });
+    });
+
+    test('should end a period that runs past today on today', () => {
+      expect(spendingService.resolvePeriod({ start_date: '2026-10-01', end_date: '2026-10-31' }, today)).toEqual({
+        startDate: '2026-10-01',
+        endDate: today,
+      });
+    });
+
+    test('should reject invalid, future and reversed periods', () => {
+      expect(
+        spendingService.resolvePeriod({ start_date: 'bulan lalu', end_date: '2026-09-30' }, today).reason
+      ).toBeDefined();
+      expect(spendingService.resolvePeriod({ start_date: '2026-11-01', end_date: '2026-11-30' }, today).reason).toBe(
+        '2026-11-01 is in the future'
+      );
+      expect(spendingService.resolvePeriod({ start_date: '2026-09-30', end_date: '2026-09-01' }, today).reason).toBe(
+        'the period ends before it starts'
+      );
+    });
+  });
+
+  describe('resolveFilters', () => {
+    test('should match the named category, payee and account', () => {
+      const query = { category: 'food', payee: 'indomaret', account: null };
+
+      expect(spendingService.resolveFilters(query, { accounts, categories, payees })).toEqual({
+        filters: { category: categories[0], payee: payees[0] },
+      });
+    });
+
+    test('should not match a transfer payee', () => {
+      const query = { category: null, payee: 'Cash', account: null };
+
+      expect(spendingService.resolveFilters(query, { accounts, categories, payees })).toEqual({
+        unmatched: { label: 'payee', name: 'Cash', candidates: [] },
+      });
+    });
+  });
+
+  describe('filterExpenses', () => {
+    test('should count expenses and the parts of split transactions, but not income or transfers', () => {
+      const expenses = spendingService.filterExpenses(transactions);
+
+      expect(expenses.map(({ id }) => id)).toEqual(['tx-1', 'tx-2', 'tx-6a', 'tx-6b']);
+      expect(expenses[2]).toMatchObject({ account: 'acc-bca', date: '2026-09-08', payee: 'payee-indomaret' });
+    });
+
+    test('should keep only the expenses matching the filters', () => {
+      const expenses = spendingService.filterExpenses(transactions, { category: categories[0], account: accounts[0] });
+
+      expect(expenses.map(({ id }) => id)).toEqual(['tx-1', 'tx-6a']);
+    });
+  });
+
+  describe('summarizeSpending', () => {
+    test('should total the expenses overall and by category, largest first', () => {
+      const summary = spendingService.summarizeSpending(spendingService.filterExpenses(transactions));
+
+      expect(summary.total).toBe(13000000);
+      expect(summary.count).toBe(4);
+      expect(summary.largest.map(({ id }) => id)).toEqual(['tx-6a', 'tx-6b', 'tx-1', 'tx-2']);
+      expect(summary.byCategory).toEqual([
+        { category: 'cat-food', total: 8500000 },
+        { category: 'cat-transport', total: 4500000 },
+      ]);
+    });
+  });
+
+  describe('formatSpendingSummary', () => {
+    const options = { startDate: '2026-09-01', endDate: '2026-09-30', categories, payees };
+
+    test('should show the total, the categories and the largest expenses', () => {
+      const summary = spendingService.summarizeSpending(spendingService.filterExpenses(transactions));
+
+      const text = spendingService.formatSpendingSummary(summary, { ...options, focus: 'total', filters: {} });
+
+      expect(text).toContain('*💸 Spending, 1 Sep 2026 – 30 Sep 2026*');
+      expect(text).toContain(`Total: ${formatIDR(130000)} in 4 transactions`);
+      expect(text).toContain(`- Food: ${formatIDR(85000)}`);
+      expect(text).toContain(`1. Belanja: ${formatIDR(60000)} (Food, 2026-09-08)`);
+    });
+
+    test('should lead with the largest expenses when asked for them', () => {
+      const filters = { category: categories[0] };
+      const summary = spendingService.summarizeSpending(spendingService.filterExpenses(transactions, filters));
+
+      const text = spendingService.formatSpendingSummary(summary, { ...options, focus: 'largest', filters });
+
+      expect(text.split('\n\n')).toEqual([
+        '*💸 Spending on Food, 1 Sep 2026 – 30 Sep 2026*',
+        `*Largest:*\n1. Belanja: ${formatIDR(60000)} (Food, 2026-09-08)\n2. Kopi: ${formatIDR(25000)} (Food, 2026-09-03)`,
+        `Total: ${formatIDR(85000)} in 2 transactions`,
+      ]);
+    });
+
+    test('should say when nothing was spent', () => {
+      const summary = spendingService.summarizeSpending([]);
+
+      expect(spendingService.formatSpendingSummary(summary, { ...options, focus: 'total', filters: {} })).toBe(
+        '*💸 Spending, 1 Sep 2026 – 30 Sep 2026*\nNothing was spent.'
+      );
+    });
+  });
+});
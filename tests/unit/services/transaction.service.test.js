@@ -0,0 +1,261 @@
+const transactionService = require('../../../src/services/transaction.service');
+const actualService = require('../../../src/services/actual.service');
+
+describe('Transaction service', () => {
+  const userId = '5ebac534954b54139806c112';
+  const context = {
+    accounts: [
+      { id: 'acc-bca', name: 'BCA' },
+      { id: 'acc-gopay', name: 'GoPay' },
+    ],
+    categories: [
+      { id: 'cat-food', name: 'Food' },
+      { id: 'cat-transport', name: 'Transport' },
+    ],
+    payees: [
+      { id: 'payee-bca', name: 'BCA', transfer_acct: 'acc-bca' },
+      { id: 'payee-gopay', name: 'GoPay', transfer_acct: 'acc-gopay' },
+    ],
+    today: '2025-11-20',
+  };
+
+  const amountOf = (text) => ({ text, minor_units: parseInt(text, 10) * 100 });
+
+  const expense = (description, amount, category, account, date = null) => ({
+    type: 'expense',
+    description,
+    amount: amountOf(amount),
+    category,
+    payee: null,
+    date,
+    source_account_name: account,
+    confidence: 0.9,
+  });
+
+  const record = async (items) => {
+    const result = transactionService.resolveTransactions(items, context);
+    await transactionService.writeTransactions(userId, result.resolved);
+    return result;
+  };
+
+  beforeEach(() => {
+    jest.spyOn(actualService, 'addTransactions').mockResolvedValue([]);
+  });
+
+  describe('resolveTransactions and writeTransactions', () => {
+    test('should write all transactions with one batch per account', async () => {
+      const items = [
+        expense('Makan siang', '50000', 'Food', 'GoPay'),
+        expense('Kopi', '25000', 'food', 'gopay'),
+        expense('Parkir', '5000', 'Transport', 'BCA'),
+      ];
+
+      const result = await record(items);
+
+      expect(result.resolved).toHaveLength(3);
+      expect(result.rejected).toHaveLength(0);
+      expect(actualService.addTransactions).toHaveBeenCalledTimes(2);
+      expect(actualService.addTransactions).toHaveBeenCalledWith(userId, 'acc-gopay', [
+        expect.objectContaining({ amount: -5000000, category: 'cat-food', notes: 'Makan siang' }),
+        expect.objectContaining({ amount: -2500000, category: 'cat-food', notes: 'Kopi' }),
+      ]);
+      expect(actualService.addTransactions).toHaveBeenCalledWith(userId, 'acc-bca', [
+        expect.objectContaining({ amount: -500000, category: 'cat-transport' }),
+      ]);
+    });
+
+    test('should hold back a transaction with an unknown account or category without affecting the others', async () => {
+      const items = [
+        expense('Makan siang', '50000', 'Food', 'GoPay'),
+        expense('Kopi', '25000', 'Coffee', 'GoPay'),
+        expense('Parkir', '5000', 'Transport', 'OVO'),
+      ];
+
+      const result = await record(items);
+
+      expect(result.resolved.map(({ item }) => item.description)).toEqual(['Makan siang']);
+      expect(result.rejected).toHaveLength(0);
+      expect(result.unresolved).toEqual([
+        { item: items[1], missing: { field: 'category', value: 'Coffee', candidates: [] } },
+        { item: items[2], missing: { field: 'account', value: 'OVO', candidates: [] } },
+      ]);
+      expect(actualService.addTransactions).toHaveBeenCalledTimes(1);
+    });
+
+    test("should match names loosely and through the user's aliases", async () => {
+      const aliases = {
+        account: [{ alias: 'dompet digital', target: 'GoPay' }],
+        category: [{ alias: 'makan', target: 'Food' }],
+        payee: [],
+      };
+
+      const result = transactionService.resolveTransactions(
+        [expense('Nasi goreng', '30000', 'makan', 'Dompet Digital'), expense('Ojek', '20000', 'transportasi', 'bca')],
+        { ...context, aliases }
+      );
+
+      expect(result.unresolved).toHaveLength(0);
+      expect(result.resolved.map(({ account, category }) => [account.id, category.id])).toEqual([
+        ['acc-gopay', 'cat-food'],
+        ['acc-bca', 'cat-transport'],
+      ]);
+    });
+
+    test('should file a payee under its learned category once it is settled', () => {
+      const item = { ...expense('Belanja', '50000', 'Food', 'BCA'), payee: 'Indomaret' };
+      const learned = (timesFiled) => [
+        { payee: 'indomaret', payeeName: 'Indomaret', category: 'Transport', timesFiled, forced: false },
+      ];
+
+      const settled = transactionService.resolveTransactions([item], { ...context, payeeCategories: learned(3) });
+      const unsettled = transactionService.resolveTransactions([item], { ...context, payeeCategories: learned(1) });
+
+      expect(settled.resolved[0].category.id).toBe('cat-transport');
+      expect(unsettled.resolved[0].category.id).toBe('cat-food');
+    });
+
+    test('should keep the payee as written unless it is a known payee or an alias of one', () => {
+      const payees = [...context.payees, { id: 'payee-indomaret-point', name: 'Indomaret Point' }];
+      const aliases = { payee: [{ alias: 'indo', target: 'Indomaret Point' }] };
+      const payeeOf = (payee) =>
+        transactionService.resolveTransactions([{ ...expense('Belanja', '50000', 'Food', 'BCA'), payee }], {
+          ...context,
+          payees,
+          aliases,
+        }).resolved[0].legs[0].transaction.payee_name;
+
+      expect(payeeOf('indomaret')).toBe('indomaret');
+      expect(payeeOf('INDOMARET POINT')).toBe('Indomaret Point');
+      expect(payeeOf('Indo')).toBe('Indomaret Point');
+    });
+
+    test('should ask with ranked candidates when a name matches several entries', () => {
+      const accounts = [
+        ...context.accounts,
+        { id: 'acc-bca-giro', name: 'BCA Giro' },
+        { id: 'acc-bca-tab', name: 'BCA Tabungan' },
+      ];
+
+      const result = transactionService.resolveTransactions([expense('Kopi', '25000', 'Food', 'bca')], {
+        ...context,
+        accounts: accounts.filter((account) => account.id !== 'acc-bca'),
+      });
+
+      expect(result.unresolved[0].missing).toMatchObject({ field: 'account', value: 'bca' });
+      expect(result.unresolved[0].missing.candidates.map(({ name }) => name)).toEqual(['BCA Giro', 'BCA Tabungan']);
+    });
+
+    test('should write both legs of a transfer into their own account batches', async () => {
+      const transfer = {
+        type: 'transfer',
+        description: 'Top up',
+        amount: amountOf('100000'),
+        category: null,
+        payee: 'GoPay',
+        date: null,
+        source_account_name: 'BCA',
+      };
+
+      await record([transfer]);
+
+      expect(actualService.addTransactions).toHaveBeenCalledWith(userId, 'acc-bca', [
+        expect.objectContaining({ amount: -10000000, payee: 'payee-gopay' }),
+      ]);
+      expect(actualService.addTransactions).toHaveBeenCalledWith(userId, 'acc-gopay', [
+        expect.objectContaining({ amount: 10000000, payee: 'payee-bca' }),
+      ]);
+    });
+
+    test('should date transactions today unless another date was extracted', async () => {
+      await record([
+        expense('Bensin', '100000', 'Transport', 'BCA', '2025-11-19'),
+        expense('Parkir', '5000', 'Transport', 'BCA'),
+      ]);
+
+      expect(actualService.addTransactions).toHaveBeenCalledWith(userId, 'acc-bca', [
+        expect.objectContaining({ date: '2025-11-19' }),
+        expect.objectContaining({ date: '2025-11-20' }),
+      ]);
+    });
+
+    test('should reject transactions dated in the future or too far back', async () => {
+      const items = [
+        expense('Listrik', '300000', 'Transport', 'BCA', '2025-11-21'),
+        expense('Bensin', '100000', 'Transport', 'BCA', '2024-01-01'),
+      ];
+
+      const result = await record(items);
+
+      expect(result.rejected).toEqual([
+        { item: items[0], reason: expect.stringContaining('future') },
+        { item: items[1], reason: expect.stringContaining('days ago') },
+      ]);
+    });
+
+    test('should not write an amount the model read differently from the text', async () => {
+      const item = { ...expense('Kopi', '25000', 'Food', 'GoPay'), amount: { text: '25rb', minor_units: 25000 } };
+
+      const result = await record([item]);
+
+      expect(result.rejected).toEqual([{ item, reason: expect.stringContaining('"25rb"') }]);
+      expect(actualService.addTransactions).not.toHaveBeenCalled();
+    });
+
+    test('should reject a transaction whose amount cannot be parsed', async () => {
+      const items = [
+        { ...expense('Kopi', '25000', 'Food', 'GoPay'), amount: { text: 'dua gelas', minor_units: 2500000 } },
+        expense('Parkir', '5000', 'Transport', 'BCA'),
+      ];
+
+      const result = await record(items);
+
+      expect(result.rejected).toEqual([{ item: items[0], reason: expect.stringContaining('"dua gelas"') }]);
+      expect(result.resolved).toHaveLength(1);
+    });
+
+    test('should still read amounts stored as plain strings', async () => {
+      await record([{ ...expense('Kopi', '25000', 'Food', 'GoPay'), amount: '25000' }]);
+
+      expect(actualService.addTransactions).toHaveBeenCalledWith(userId, 'acc-gopay', [
+        expect.objectContaining({ amount: -2500000 }),
+      ]);
+    });
+
+    test('should not call Actual if no transaction can be recorded', async () => {
+      const result = await record([expense('Kopi', '25000', 'Food', 'OVO')]);
+
+      expect(result.unresolved).toHaveLength(1);
+      expect(actualService.addTransactions).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('applyAnswer', () => {
+    test('should fill in the field that was asked about', () => {
+      const item = expense('Kopi', '25000', 'Coffee', 'OVO');
+
+      expect(transactionService.applyAnswer(item, 'account', 'GoPay')).toEqual({ ...item, source_account_name: 'GoPay' });
+      expect(transactionService.applyAnswer(item, 'category', 'Food')).toEqual({ ...item, category: 'Food' });
+      expect(transactionService.applyAnswer(item, 'destinationAccount', 'BCA')).toEqual({ ...item, payee: 'BCA' });
+    });
+  });
+
+  describe('formatRecordResult', () => {
+    test('should list recorded and rejected transactions one per line', async () => {
+      const result = await record([
+        expense('Kopi', '25000', 'Food', 'GoPay'),
+        expense('Bensin', '100000', 'Transport', 'BCA', '2025-11-19'),
+        expense('Parkir', '5000', 'Transport', 'BCA', '2025-11-21'),
+        expense('Tol', '15000', 'Transport', 'OVO'),
+      ]);
+
+      const lines = transactionService
+        .formatRecordResult({ recorded: result.resolved, rejected: result.rejected, today: context.today })
+        .split('\n');
+
+      expect(lines).toHaveLength(3);
+      expect(lines[0]).toMatch(/^✅ Kopi: Rp\s25\.000,00 \(Food, GoPay\)$/);
+      expect(lines[1]).toMatch(/^✅ Bensin: .*📅 2025-11-19$/);
+      expect(lines[2]).toMatch(/^❌ Parkir: .*future/);
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const actualService = require('../../../src/services/actual.service');
+const transactionLogService = require('../../../src/services/transactionLog.service');
+const formatIDR = require('../../../src/utils/formatIDR');
+
+describe('Transaction log service', () => {
+  const userId = '5ebac534954b54139806c112';
+  const expense = {
+    description: 'Kopi',
+    amount: 2500000,
+    account: { id: 'acc-gopay', name: 'GoPay' },
+    category: { id: 'cat-food', name: 'Food' },
+    ids: ['tx-1'],
+  };
+  const transfer = {
+    description: 'Top up',
+    amount: 10000000,
+    account: { id: 'acc-bca', name: 'BCA' },
+    destinationAccount: { id: 'acc-gopay', name: 'GoPay' },
+    ids: ['tx-2', 'tx-3'],
+  };
+
+  describe('describeLoggedTransaction', () => {
+    test('should describe an expense with its category and account', () => {
+      expect(transactionLogService.describeLoggedTransaction(expense)).toBe(`Kopi: ${formatIDR(25000)} (Food, GoPay)`);
+    });
+
+    test('should describe a transfer with both accounts', () => {
+      expect(transactionLogService.describeLoggedTransaction(transfer)).toBe(`Top up: ${formatIDR(100000)} (BCA → GoPay)`);
+    });
+  });
+
+  describe('undoTransactionLog', () => {
+    beforeEach(() => {
+      jest.spyOn(actualService, 'deleteTransaction').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should delete every transaction, including both legs of a transfer, and mark the log as undone', async () => {
+      const log = {
+        user: userId,
+        transactions: [expense, transfer],
+        undone: false,
+        deletedIds: [],
+        save: jest.fn().mockResolvedValue(),
+      };
+
+      await transactionLogService.undoTransactionLog(log);
+
+      expect(actualService.deleteTransaction.mock.calls).toEqual([
+        [userId, 'tx-1'],
+        [userId, 'tx-2'],
+        [userId, 'tx-3'],
+      ]);
+      expect(log.undone).toBe(true);
+      expect(log.save).toHaveBeenCalled();
+    });
+
+    test('should keep track of a partial undo and only delete what is left the next time', async () => {
+      const log = {
+        user: userId,
+        transactions: [expense, transfer],
+        undone: false,
+        deletedIds: [],
+        save: jest.fn().mockResolvedValue(),
+      };
+      actualService.deleteTransaction.mockResolvedValueOnce().mockRejectedValueOnce(new Error('sync failed'));
+
+      await expect(transactionLogService.undoTransactionLog(log)).rejects.toThrow('sync failed');
+      expect(log.undone).toBe(false);
+      expect(log.deletedIds).toEqual(['tx-1']);
+      expect(transactionLogService.countDeletedTransactions(log)).toEqual({ deleted: 1, total: 3 });
+
+      actualService.deleteTransaction.mockClear();
+      await transactionLogService.undoTransactionLog(log);
+
+      expect(actualService.deleteTransaction.mock.calls).toEqual([
+        [userId, 'tx-2'],
+        [userId, 'tx-3'],
+      ]);
+      expect(log.undone).toBe(true);
+    });
+  });
+
+  describe('correctTransactionLog', () => {
+    const context = {
+      accounts: [
+        { id: 'acc-bca', name: 'BCA' },
+        { id: 'acc-gopay', name: 'GoPay' },
+      ],
+      categories: [
+        { id: 'cat-food', name: 'Food' },
+        { id: 'cat-transport', name: 'Transport' },
+      ],
+      payees: [{ id: 'payee-gopay', name: 'GoPay', transfer_acct: 'acc-gopay' }],
+      today: '2025-11-20',
+    };
+    const noChanges = {
+      transaction_number: null,
+      amount: null,
+      category: null,
+      payee: null,
+      account_name: null,
+      date: null,
+      notes: null,
+    };
+    const makeLog = (...transactions) => ({
+      user: userId,
+      transactions: transactions.map((transaction) => ({ ...transaction })),
+      save: jest.fn().mockResolvedValue(),
+    });
+
+    beforeEach(() => {
+      jest.spyOn(actualService, 'updateTransaction').mockResolvedValue();
+      jest.spyOn(actualService, 'createPayee').mockResolvedValue('payee-new');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should change the amount of an expense and keep it negative', async () => {
+      const log = makeLog({ ...expense, type: 'expense' });
+
+      const { updated } = await transactionLogService.correctTransactionLog(
+        log,
+        { ...noChanges, amount: { text: '75rb', minor_units: 7500000 } },
+        context
+      );
+
+      expect(actualService.updateTransaction).toHaveBeenCalledWith(userId, 'tx-1', { amount: -7500000 });
+      expect(updated[0].amount).toBe(7500000);
+      expect(log.save).toHaveBeenCalled();
+    });
+
+    test('should change the amount of both legs of a transfer', async () => {
+      const log = makeLog({ ...transfer, type: 'transfer' });
+
+      await transactionLogService.correctTransactionLog(
+        log,
+        { ...noChanges, amount: { text: '50.000', minor_units: 5000000 } },
+        context
+      );
+
+      expect(actualService.updateTransaction.mock.calls).toEqual([
+        [userId, 'tx-2', { amount: -5000000 }],
+        [userId, 'tx-3', { amount: 5000000 }],
+      ]);
+    });
+
+    test('should reject an amount that cannot be parsed', async () => {
+      const log = makeLog({ ...expense, type: 'expense' });
+
+      const { reason } = await transactionLogService.correctTransactionLog(
+        log,
+        { ...noChanges, amount: { text: 'lebih murah', minor_units: 5000000 } },
+        context
+      );
+
+      expect(reason).toMatch(/"lebih murah"/);
+      expect(actualService.updateTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should ask which account was meant when the name matches several', async () => {
+      const log = makeLog({ ...expense, type: 'expense' });
+      const accounts = [
+        { id: 'acc-gopay', name: 'GoPay' },
+        { id: 'acc-bca-giro', name: 'BCA Giro' },
+        { id: 'acc-bca-tab', name: 'BCA Tabungan' },
+      ];
+
+      const { reason } = await transactionLogService.correctTransactionLog(
+        log,
+        { ...noChanges, account_name: 'bca' },
+        { ...context, accounts }
+      );
+
+      expect(reason).toBe('"bca" could be "BCA Giro" or "BCA Tabungan". Please say which one.');
+      expect(actualService.updateTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should change the category and create a new payee', async () => {
+      const log = makeLog({ ...expense, type: 'expense' });
+
+      const { updated } = await transactionLogService.correctTransactionLog(
+        log,
+        { ...noChanges, category: 'transport', payee: 'Gojek' },
+        context
+      );
+
+      expect(actualService.createPayee).toHaveBeenCalledWith(userId, 'Gojek');
+      expect(actualService.updateTransaction).toHaveBeenCalledWith(userId, 'tx-1', {
+        category: 'cat-transport',
+        payee: 'payee-new',
+      });
+      expect(updated[0]).toMatchObject({ category: { id: 'cat-transport', name: 'Transport' }, payee: 'Gojek' });
+    });
+
+    test('should ask which transaction to change when an amount applies to several', async () => {
+      const log = makeLog({ ...expense, type: 'expense' }, { ...transfer, type: 'transfer' });
+
+      const { reason } = await transactionLogService.correctTransactionLog(
+        log,
+        { ...noChanges, amount: { text: '75rb', minor_units: 7500000 } },
+        context
+      );
+
+      expect(reason).toMatch(/which one/);
+      expect(actualService.updateTransaction).not.toHaveBeenCalled();
+    });
+
+    test('should not change anything if one of the transactions cannot take the change', async () => {
+      const log = makeLog({ ...expense, type: 'expense' }, { ...transfer, type: 'transfer' });
+
+      const { reason } = await transactionLogService.correctTransactionLog(log, { ...noChanges, category: 'Food' }, context);
+
+      expect(reason).toMatch(/transfer/);
+      expect(actualService.updateTransaction).not.toHaveBeenCalled();
+      expect(log.save).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown category', async () => {
+      const log = makeLog({ ...expense, type: 'expense' });
+
+      const { reason } = await transactionLogService.correctTransactionLog(log, { ...noChanges, category: 'Pets' }, context);
+
+      expect(reason).toBe('I couldn\'t find a category named "Pets".');
+    });
+  });
+});
@@ -0,0 +1,146 @@
+const actualService = require('../../../src/services/actual.service');
+const transactionSearchService = require('../../../src/services/transactionSearch.service');
+const formatIDR = require('../../../src/utils/formatIDR');
+
+describe('Transaction search service', () => {
+  const accounts = [
+    { id: 'acc-bca', name: 'BCA' },
+    { id: 'acc-cash', name: 'Cash' },
+  ];
+  const categories = [
+    { id: 'cat-food', name: 'Food' },
+    { id: 'cat-transport', name: 'Transport' },
+  ];
+  const payees = [
+    { id: 'payee-grab', name: 'Grab' },
+    { id: 'payee-to-cash', name: '', transfer_acct: 'acc-cash' },
+  ];
+  const context = { accounts, categories, payees, today: '2026-10-19' };
+  const emptyQuery = {
+    account: null,
+    category: null,
+    keyword: null,
+    min_amount: null,
+    max_amount: null,
+    income: false,
+    start_date: null,
+    end_date: null,
+    limit: null,
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('resolveSearch', () => {
+    test('should search the last transactions of an account', () => {
+      expect(transactionSearchService.resolveSearch({ ...emptyQuery, account: 'bca', limit: 5 }, context)).toEqual({
+        search: {
+          filters: { accountId: 'acc-bca', categoryId: undefined, minAmount: null, maxAmount: null, income: false },
+          limit: 5,
+        },
+      });
+    });
+
+    test('should search for a payee by name and the notes for any other keyword', () => {
+      const byPayee = transactionSearchService.resolveSearch({ ...emptyQuery, keyword: 'grab' }, context);
+      const byNotes = transactionSearchService.resolveSearch({ ...emptyQuery, keyword: 'parkir' }, context);
+
+      expect(byPayee.search.filters.payeeId).toBe('payee-grab');
+      expect(byNotes.search.filters).toEqual(expect.objectContaining({ notes: 'parkir' }));
+      expect(byNotes.search.filters.payeeId).toBeUndefined();
+    });
+
+    test('should read the amount range and the period', () => {
+      const query = { ...emptyQuery, min_amount: { text: '500rb' }, start_date: '2026-10-01', end_date: '2026-10-31' };
+
+      expect(transactionSearchService.resolveSearch(query, context).search.filters).toEqual(
+        expect.objectContaining({ minAmount: 50000000, maxAmount: null, startDate: '2026-10-01', endDate: '2026-10-19' })
+      );
+    });
+
+    test('should search amounts of income only when asked for', () => {
+      const query = { ...emptyQuery, min_amount: { text: '1jt' }, income: true };
+
+      expect(transactionSearchService.resolveSearch(query, context).search.filters).toEqual(
+        expect.objectContaining({ minAmount: 100000000, income: true })
+      );
+    });
+
+    test('should reject a range whose smallest amount is the largest', () => {
+      const query = { ...emptyQuery, min_amount: { text: '500rb' }, max_amount: { text: '100rb' } };
+
+      expect(transactionSearchService.resolveSearch(query, context)).toEqual({
+        reason: `${formatIDR(500000)} is more than ${formatIDR(100000)}`,
+      });
+    });
+
+    test('should report a category it cannot find', () => {
+      expect(transactionSearchService.resolveSearch({ ...emptyQuery, category: 'Pajak' }, context)).toEqual({
+        unmatched: { label: 'category', name: 'Pajak', candidates: [] },
+      });
+    });
+  });
+
+  describe('getSearchPage', () => {
+    const found = (count) => Array.from({ length: count }, (_, index) => ({ id: `tx-${index}` }));
+
+    test('should ask for one more transaction than a page holds to tell whether there are more', async () => {
+      jest.spyOn(actualService, 'queryTransactions').mockResolvedValue(found(11));
+
+      const result = await transactionSearchService.getSearchPage('user-1', { filters: {}, limit: null }, 1);
+
+      expect(actualService.queryTransactions).toHaveBeenCalledWith('user-1', {}, { offset: 10, limit: 11 });
+      expect(result.transactions).toHaveLength(10);
+      expect(result.hasMore).toBe(true);
+    });
+
+    test('should stop at the number of transactions asked for', async () => {
+      jest.spyOn(actualService, 'queryTransactions').mockResolvedValue(found(6));
+
+      const result = await transactionSearchService.getSearchPage('user-1', { filters: {}, limit: 5 }, 0);
+
+      expect(actualService.queryTransactions).toHaveBeenCalledWith('user-1', {}, { offset: 0, limit: 6 });
+      expect(result.transactions).toHaveLength(5);
+      expect(result.hasMore).toBe(false);
+    });
+  });
+
+  describe('formatSearchPage', () => {
+    test('should list each transaction on one line and offer more', () => {
+      const transactions = [
+        {
+          date: '2026-10-18',
+          account: 'acc-bca',
+          payee: 'payee-grab',
+          category: 'cat-transport',
+          amount: -2500000,
+          notes: 'ke kantor',
+        },
+        { date: '2026-10-17', account: 'acc-bca', payee: 'payee-to-cash', transfer_id: 'tx-9', amount: -10000000 },
+      ];
+
+      expect(
+        transactionSearchService.formatSearchPage({ transactions, page: 0, hasMore: true }, context).split('\n')
+      ).toEqual([
+        '*🔎 Transactions 1–2:*',
+        `• 18 Oct 2026 · Grab: -${formatIDR(25000)} (Transport, BCA) _ke kantor_`,
+        `• 17 Oct 2026 · Transfer to Cash: -${formatIDR(100000)} (BCA)`,
+        'Reply "lagi" for more.',
+      ]);
+    });
+
+    test('should say when nothing was found', () => {
+      expect(transactionSearchService.formatSearchPage({ transactions: [], page: 0, hasMore: false }, context)).toBe(
+        '🔎 No transactions found.'
+      );
+    });
+  });
+
+  describe('isMoreCommand', () => {
+    test('should recognize a request for the next page', () => {
+      expect(transactionSearchService.isMoreCommand(' Lagi ')).toBe(true);
+      expect(transactionSearchService.isMoreCommand('lagi dong makan 20k')).toBe(false);
+    });
+  });
+});
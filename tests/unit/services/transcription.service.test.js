@@ -0,0 +1,36 @@
+const transcriptionService = require('../../../src/services/transcription.service');
+const geminiService = require('../../../src/services/gemini.service');
+
+describe('Transcription service', () => {
+  afterEach(() => {
+    transcriptionService.setBackend('gemini');
+  });
+
+  test('should transcribe with the backend that was set', async () => {
+    const stub = { transcribe: jest.fn().mockResolvedValue('  kopi 25 ribu pakai gopay \n') };
+    transcriptionService.setBackend(stub);
+
+    const audio = Buffer.from('audio');
+    await expect(transcriptionService.transcribe(audio, 'audio/ogg')).resolves.toBe('kopi 25 ribu pakai gopay');
+    expect(stub.transcribe).toHaveBeenCalledWith(audio, 'audio/ogg');
+  });
+
+  test('should use Gemini by default', async () => {
+    jest.spyOn(geminiService, 'transcribeAudio').mockResolvedValue('bensin 100rb');
+
+    const audio = Buffer.from('audio');
+    await expect(transcriptionService.transcribe(audio, 'audio/ogg')).resolves.toBe('bensin 100rb');
+    expect(geminiService.transcribeAudio).toHaveBeenCalledWith(audio, 'audio/ogg');
+  });
+
+  test('should throw if the transcript is empty', async () => {
+    transcriptionService.setBackend({ transcribe: jest.fn().mockResolvedValue('   ') });
+
+    await expect(transcriptionService.transcribe(Buffer.from('audio'), 'audio/ogg')).rejects.toThrow();
+  });
+
+  test('should throw when setting an unknown backend', () => {
+    expect(() => transcriptionService.setBackend('unknown')).toThrow();
+    expect(() => transcriptionService.setBackend({})).toThrow();
+  });
+});
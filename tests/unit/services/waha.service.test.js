@@ -0,0 +1,40 @@
+jest.mock('axios', () => {
+  const api = { get: jest.fn(), post: jest.fn() };
+  return { create: jest.fn(() => api) };
+});
+
+const axios = require('axios');
+const wahaService = require('../../../src/services/waha.service');
+
+describe('WAHA service', () => {
+  const wahaApi = axios.create();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('downloadMedia', () => {
+    test('should fetch the file from the configured server by its path', async () => {
+      wahaApi.get.mockResolvedValue({ data: Buffer.from('image'), headers: { 'content-type': 'image/jpeg' } });
+
+      const media = await wahaService.downloadMedia('http://localhost:3000/api/files/default/ABC123.jpg');
+
+      expect(wahaApi.get).toHaveBeenCalledWith('/api/files/default/ABC123.jpg', { responseType: 'arraybuffer' });
+      expect(media).toEqual({ data: Buffer.from('image'), mimetype: 'image/jpeg' });
+    });
+
+    test.each(['http://attacker.example/steal', 'http://169.254.169.254/latest/meta-data', '/api/sendText', 'not a url'])(
+      'should not fetch "%s", which is not a WAHA file',
+      async (url) => {
+        await expect(wahaService.downloadMedia(url)).rejects.toThrow('is not a WAHA media URL');
+        expect(wahaApi.get).not.toHaveBeenCalled();
+      }
+    );
+
+    test('should not follow a path out of the files directory', async () => {
+      await expect(wahaService.downloadMedia('http://waha/api/files/../sessions')).rejects.toThrow(
+        'is not a WAHA media URL'
+      );
+    });
+  });
+});
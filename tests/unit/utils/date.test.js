@@ -0,0 +1,85 @@
+const { getToday, resolveTransactionDate, getNextTimeOfDay, getNextDayOfMonth } = require('../../../src/utils/date');
+
+describe('Date utils', () => {
+  describe('getToday', () => {
+    test('should return the date in the given timezone', () => {
+      const now = new Date('2025-11-20T15:30:00Z');
+      expect(getToday('Asia/Jakarta', now)).toBe('2025-11-20');
+      expect(getToday('UTC', now)).toBe('2025-11-20');
+
+      // 00:30 in Jakarta (UTC+7) is still the previous day in UTC
+      const lateEvening = new Date('2025-11-20T17:30:00Z');
+      expect(getToday('Asia/Jakarta', lateEvening)).toBe('2025-11-21');
+      expect(getToday('UTC', lateEvening)).toBe('2025-11-20');
+    });
+  });
+
+  describe('resolveTransactionDate', () => {
+    const options = { today: '2025-11-20', maxDaysBack: 30 };
+
+    test('should default to today', () => {
+      expect(resolveTransactionDate(null, options)).toEqual({ date: '2025-11-20' });
+    });
+
+    test('should accept a date in the past within the limit', () => {
+      expect(resolveTransactionDate('2025-11-19', options)).toEqual({ date: '2025-11-19' });
+      expect(resolveTransactionDate('2025-10-21', options)).toEqual({ date: '2025-10-21' });
+    });
+
+    test('should reject a date in the future', () => {
+      expect(resolveTransactionDate('2025-11-21', options)).toEqual({ reason: expect.stringContaining('future') });
+    });
+
+    test('should reject a date too far back', () => {
+      expect(resolveTransactionDate('2025-10-20', options)).toEqual({ reason: expect.stringContaining('30 days') });
+    });
+
+    test('should reject an invalid date', () => {
+      expect(resolveTransactionDate('2025-02-30', options)).toEqual({ reason: expect.stringContaining('not a valid') });
+      expect(resolveTransactionDate('kemarin', options)).toEqual({ reason: expect.stringContaining('not a valid') });
+    });
+  });
+
+  describe('getNextTimeOfDay', () => {
+    test('should return the time later today', () => {
+      expect(getNextTimeOfDay('20:00', 'Asia/Jakarta', new Date('2026-10-19T12:00:00Z'))).toEqual(
+        new Date('2026-10-19T13:00:00Z')
+      );
+    });
+
+    test('should return the time tomorrow once it has passed', () => {
+      expect(getNextTimeOfDay('20:00', 'Asia/Jakarta', new Date('2026-10-19T13:00:00Z'))).toEqual(
+        new Date('2026-10-20T13:00:00Z')
+      );
+    });
+
+    test('should follow daylight saving time', () => {
+      expect(getNextTimeOfDay('09:00', 'Europe/Amsterdam', new Date('2026-10-24T12:00:00Z'))).toEqual(
+        new Date('2026-10-25T08:00:00Z')
+      );
+    });
+  });
+
+  describe('getNextDayOfMonth', () => {
+    test('should return the day later this month', () => {
+      expect(getNextDayOfMonth(25, '07:00', 'Asia/Jakarta', new Date('2026-10-19T12:00:00Z'))).toEqual(
+        new Date('2026-10-25T00:00:00Z')
+      );
+    });
+
+    test('should return the day next month once it has passed', () => {
+      expect(getNextDayOfMonth(5, '07:00', 'Asia/Jakarta', new Date('2026-10-19T12:00:00Z'))).toEqual(
+        new Date('2026-11-05T00:00:00Z')
+      );
+    });
+
+    test('should use the last day of a shorter month', () => {
+      expect(getNextDayOfMonth(31, '07:00', 'Asia/Jakarta', new Date('2026-11-19T12:00:00Z'))).toEqual(
+        new Date('2026-11-30T00:00:00Z')
+      );
+      expect(getNextDayOfMonth(31, '07:00', 'Asia/Jakarta', new Date('2027-02-01T12:00:00Z'))).toEqual(
+        new Date('2027-02-28T00:00:00Z')
+      );
+    });
+  });
+});
@@ -0,0 +1,18 @@
+const { encrypt, decrypt } = require('../../../src/utils/encryption');
+
+describe('Encryption', () => {
+  test('should decrypt what it encrypted', () => {
+    expect(decrypt(encrypt('s3cret'))).toBe('s3cret');
+  });
+
+  test('should not encrypt the same text the same way twice', () => {
+    expect(encrypt('s3cret')).not.toBe(encrypt('s3cret'));
+  });
+
+  test('should refuse a tampered payload', () => {
+    const [iv, authTag] = encrypt('s3cret').split('.');
+    const forged = [iv, authTag, Buffer.from('other').toString('base64')].join('.');
+
+    expect(() => decrypt(forged)).toThrow();
+  });
+});
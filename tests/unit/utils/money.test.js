@@ -0,0 +1,96 @@
+const { parseMoney, toRupiah, resolveAmount } = require('../../../src/utils/money');
+const formatIDR = require('../../../src/utils/formatIDR');
+
+describe('Money utils', () => {
+  describe('parseMoney', () => {
+    test.each([
+      ['25000', 2500000],
+      ['Rp 25.000', 2500000],
+      ['Rp. 50.000', 5000000],
+      ['50.000 rupiah', 5000000],
+      ['1.000.000', 100000000],
+      ['150,000', 15000000],
+      ['1.250.000,50', 125000050],
+      ['1,000,000.50', 100000050],
+      ['12,5', 1250],
+      ['Rp25.000,-', 2500000],
+      ['Rp 1.500.000,-', 150000000],
+      ['IDR 50000', 5000000],
+      ['idr 50.000', 5000000],
+    ])('should read digits with separators in "%s"', (text, minorUnits) => {
+      expect(parseMoney(text)).toBe(minorUnits);
+    });
+
+    test.each([
+      ['25k', 2500000],
+      ['25rb', 2500000],
+      ['25 ribu', 2500000],
+      ['1,5jt', 150000000],
+      ['1.5jt', 150000000],
+      ['2 juta', 200000000],
+      ['1jt 500rb', 150000000],
+      ['1jt500rb', 150000000],
+      ['2 jt 250 rb', 225000000],
+      ['Rp 1,5jt', 150000000],
+    ])('should read the suffix in "%s"', (text, minorUnits) => {
+      expect(parseMoney(text)).toBe(minorUnits);
+    });
+
+    test.each([
+      ['dua puluh ribu', 2000000],
+      ['seratus lima puluh ribu', 15000000],
+      ['dua belas ribu', 1200000],
+      ['seribu', 100000],
+      ['lima ratus', 50000],
+      ['satu setengah juta', 150000000],
+      ['setengah juta', 50000000],
+      ['tiga juta lima ratus ribu', 350000000],
+      ['1,5 juta', 150000000],
+    ])('should read the written number "%s"', (text, minorUnits) => {
+      expect(parseMoney(text)).toBe(minorUnits);
+    });
+
+    test('should return null for anything else', () => {
+      expect(parseMoney('')).toBeNull();
+      expect(parseMoney('kopi')).toBeNull();
+      expect(parseMoney('1.2.3')).toBeNull();
+      expect(parseMoney('1.000,000,5')).toBeNull();
+      expect(parseMoney('puluh ribu')).toBeNull();
+      expect(parseMoney('-25000')).toBeNull();
+    });
+
+    test.each(['25.000rb', '25.000 ribu', '1.500jt', '500rb 1jt', '1jt 2jt'])(
+      'should not read the ambiguous amount "%s"',
+      (text) => {
+        expect(parseMoney(text)).toBeNull();
+      }
+    );
+  });
+
+  describe('toRupiah', () => {
+    test('should convert minor units to rupiah', () => {
+      expect(toRupiah(2500050)).toBe(25000.5);
+    });
+  });
+
+  describe('resolveAmount', () => {
+    test('should read the amount from the text the model returned', () => {
+      expect(resolveAmount({ text: '25rb', minor_units: 2500000 })).toEqual({ amount: 2500000 });
+    });
+
+    test('should ask when the model read the text as a different amount', () => {
+      expect(resolveAmount({ text: '25rb', minor_units: 25000 })).toEqual({
+        reason: `I'm not sure whether "25rb" is ${formatIDR(25000)} or ${formatIDR(250)}`,
+      });
+    });
+
+    test('should accept a plain string', () => {
+      expect(resolveAmount('25000')).toEqual({ amount: 2500000 });
+    });
+
+    test('should reject an amount that cannot be parsed or is zero', () => {
+      expect(resolveAmount({ text: 'gratis', minor_units: 0 })).toEqual({ reason: expect.stringContaining('"gratis"') });
+      expect(resolveAmount({ text: '0', minor_units: 0 })).toEqual({ reason: expect.stringContaining('"0"') });
+    });
+  });
+});
@@ -0,0 +1,47 @@
+const { normalizeAddress, isPrivateAddress, checkServerURL } = require('../../../src/utils/network');
+
+describe('Network', () => {
+  describe('isPrivateAddress', () => {
+    test('should recognize loopback, private, link-local and unspecified addresses', () => {
+      ['127.0.0.1', '10.1.2.3', '172.20.0.5', '192.168.1.1', '169.254.169.254', '0.0.0.0', '100.64.0.1'].forEach((address) =>
+        expect(isPrivateAddress(address)).toBe(true)
+      );
+      ['::1', '::', 'fd12:3456::1', 'fe80::1'].forEach((address) => expect(isPrivateAddress(address)).toBe(true));
+    });
+
+    test('should recognize shared (carrier-grade NAT), benchmarking and NAT64 addresses', () => {
+      ['100.64.0.1', '100.127.255.254', '198.18.0.1', '198.19.255.254'].forEach((address) =>
+        expect(isPrivateAddress(address)).toBe(true)
+      );
+      ['64:ff9b::', '64:ff9b::7f00:1', normalizeAddress('64:ff9b::10.0.0.1')].forEach((address) =>
+        expect(isPrivateAddress(address)).toBe(true)
+      );
+      ['100.128.0.1', '198.20.0.1', '64:ff9b:1::1', '64:ff9b::1:0:0'].forEach((address) =>
+        expect(isPrivateAddress(address)).toBe(false)
+      );
+    });
+
+    test('should recognize an IPv4 loopback address mapped into IPv6', () => {
+      expect(isPrivateAddress(normalizeAddress('::ffff:127.0.0.1'))).toBe(true);
+    });
+
+    test('should not flag public addresses', () => {
+      ['93.184.216.34', '172.32.0.1', '2606:4700::1111'].forEach((address) => expect(isPrivateAddress(address)).toBe(false));
+    });
+  });
+
+  describe('checkServerURL', () => {
+    test('should refuse a URL that points at the local machine or a private network', async () => {
+      await expect(checkServerURL('http://localhost:5006')).resolves.toContain('private or local');
+      await expect(checkServerURL('http://[::1]:5006')).resolves.toContain('private or local');
+      await expect(checkServerURL('http://2130706433:5006')).resolves.toContain('private or local');
+      await expect(checkServerURL('https://10.0.0.8')).resolves.toContain('private or local');
+      await expect(checkServerURL('http://[64:ff9b::7f00:1]:5006')).resolves.toContain('private or local');
+    });
+
+    test('should accept a public address and an allowed private host', async () => {
+      await expect(checkServerURL('https://93.184.216.34')).resolves.toBeNull();
+      await expect(checkServerURL('http://10.0.0.8:5006', ['10.0.0.8'])).resolves.toBeNull();
+    });
+  });
+});
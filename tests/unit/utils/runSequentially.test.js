@@ -0,0 +1,31 @@
+const runSequentially = require('../../../src/utils/runSequentially');
+
+describe('runSequentially', () => {
+  test('should start each call once the one before has finished, and return the results in order', async () => {
+    const started = [];
+    const finished = [];
+    const delays = [30, 10, 20];
+
+    const results = await runSequentially(delays, async (delay, index) => {
+      started.push(index);
+      expect(finished).toHaveLength(index);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+      finished.push(index);
+      return delay * 2;
+    });
+
+    expect(results).toEqual([60, 20, 40]);
+    expect(started).toEqual([0, 1, 2]);
+  });
+
+  test('should stop at the first call that fails', async () => {
+    const fn = jest.fn(async (item) => {
+      if (item === 2) {
+        throw new Error('failed');
+      }
+    });
+
+    await expect(runSequentially([1, 2, 3], fn)).rejects.toThrow('failed');
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,40 @@
+const { normalize, similarity, closestNames } = require('../../../src/utils/similarity');
+
+describe('Similarity utils', () => {
+  describe('normalize', () => {
+    test('should lowercase and keep only words', () => {
+      expect(normalize('  Food & Dining ')).toBe('food dining');
+      expect(normalize(null)).toBe('');
+    });
+  });
+
+  describe('similarity', () => {
+    test('should return 1 for names that are equal after normalizing', () => {
+      expect(similarity('GoPay', 'gopay')).toBe(1);
+    });
+
+    test('should score a shared word higher than an unrelated name', () => {
+      expect(similarity('BCA', 'Bank BCA')).toBeGreaterThan(similarity('BCA', 'Mandiri'));
+    });
+
+    test('should score a typo higher than an unrelated name', () => {
+      expect(similarity('Transprot', 'Transport')).toBeGreaterThan(similarity('Transprot', 'Groceries'));
+    });
+
+    test('should return 0 for empty names', () => {
+      expect(similarity('', 'BCA')).toBe(0);
+    });
+  });
+
+  describe('closestNames', () => {
+    test('should rank names by similarity and apply the limit', () => {
+      const names = ['Cash', 'GoPay', 'Bank BCA', 'BRI', 'Mandiri'];
+
+      expect(closestNames('bca', names, 2)).toEqual(['Bank BCA', 'BRI']);
+    });
+
+    test('should keep the original order when there is nothing to compare against', () => {
+      expect(closestNames(null, ['Cash', 'GoPay', 'BCA'])).toEqual(['Cash', 'GoPay', 'BCA']);
+    });
+  });
+});